@@ -1,3 +1,5 @@
+import { EventEmitter } from "events";
+
 interface Cookie {
   key: string;
   value: string;
@@ -16,6 +18,171 @@ interface LoginCredentials {
   appState?: Cookie[] | string | { cookies: Cookie[] };
   email?: string;
   password?: string;
+  /** Logs in with the appState saved under this user ID in `sessionStore`. */
+  userID?: string;
+}
+
+interface TransportRequest {
+  method: string;
+  /** Absolute, query string included. */
+  url: string;
+  headers: Record<string, string>;
+  body?: string | Buffer | import("stream").Readable;
+  /** Ms the socket may stay idle. */
+  timeout?: number;
+  /** Proxy URL to go through. */
+  proxy?: string;
+  /** How to hand back the decompressed body. Defaults to `text`. */
+  responseType?: "text" | "buffer" | "stream";
+}
+
+interface TransportResponse {
+  statusCode: number;
+  /** Lower-cased names, `set-cookie` as an array. */
+  headers: Record<string, string | string[] | undefined>;
+  body: string | Buffer | import("stream").Readable;
+}
+
+/** Sends one HTTP request. Redirects and cookies are handled around it; reject only when no response came back. */
+interface Transport {
+  request(req: TransportRequest): Promise<TransportResponse>;
+}
+
+interface InterceptedRequest {
+  method: string;
+  /** Without `qs`. */
+  url: string;
+  headers: Record<string, string>;
+  qs?: Record<string, any>;
+  form?: Record<string, any>;
+  formData?: Record<string, any>;
+  json?: any;
+}
+
+interface InterceptedResponse {
+  /** What was sent, with `uri` the URL of the last hop. */
+  request: InterceptedRequest & { uri: URL };
+  statusCode: number;
+  headers: Record<string, string | string[] | undefined>;
+  body: any;
+  /** Ms from sending to the whole answer, redirects included. */
+  duration: number;
+}
+
+interface CannedResponse {
+  /** Defaults to 200. */
+  statusCode?: number;
+  headers?: Record<string, string | string[]>;
+  /** Objects are sent as JSON. */
+  body?: any;
+}
+
+/**
+ * Hooks into HTTP requests. Request hooks run in the order the interceptors were added, the others in reverse.
+ * Hooks may be async; one that throws fails the request.
+ */
+interface Interceptor {
+  /** For `remove(name)`. */
+  name?: string;
+  /** Change `req` in place; return a response to answer without sending. */
+  request?(req: InterceptedRequest): void | CannedResponse | null | Promise<void | CannedResponse | null>;
+  /** Every response; return one to replace it. */
+  response?(res: InterceptedResponse): void | InterceptedResponse | Promise<void | InterceptedResponse>;
+  /** Bodies `parseAndCheckLogin` parsed, before they are checked for errors; return a value to replace it. */
+  parsed?(data: any, res: InterceptedResponse): any;
+}
+
+interface InterceptorChain {
+  /** Adds an interceptor after the others; the returned function removes it. */
+  use(interceptor: Interceptor): () => boolean;
+  /** Removes an interceptor, or the ones with that name. */
+  remove(interceptor: Interceptor | string): boolean;
+  /** Replaces all interceptors. */
+  reset(interceptors?: Interceptor[]): void;
+  list(): Interceptor[];
+  runRequest(req: InterceptedRequest): Promise<CannedResponse | null>;
+  runResponse(res: InterceptedResponse): Promise<InterceptedResponse>;
+  runParsed(data: any, res: InterceptedResponse): Promise<any>;
+}
+
+interface RetryOptions {
+  /** Retries after the first attempt. Defaults to 3. */
+  retries?: number;
+  /** Ms before the first retry, doubled (see `factor`) for each next one. Defaults to 500. */
+  minDelay?: number;
+  /** Longest wait, in ms; a longer `Retry-After` is not waited for. Defaults to 30000. */
+  maxDelay?: number;
+  factor?: number;
+  /** Wait a random 50–100 % of each delay. Defaults to true. */
+  jitter?: boolean;
+  /** Defaults to 408, 429, 500, 502, 503 and 504. */
+  statusCodes?: number[];
+}
+
+interface ScreenProfile {
+  width: number;
+  height: number;
+  /** Without the taskbar or menu bar. */
+  availWidth: number;
+  availHeight: number;
+  colorDepth: number;
+  pixelRatio: number;
+}
+
+interface DeviceProfile {
+  userAgent: string;
+  /** `sec-ch-ua*` headers; null for browsers that send none. */
+  clientHints: Record<string, string> | null;
+  platform: "Windows" | "macOS" | "Linux" | string;
+  browser: "Chrome" | "Edge" | "Firefox" | "Safari" | string;
+  screen: ScreenProfile;
+  /** Facebook locale, e.g. `en_US`. */
+  locale: string;
+  acceptLanguage: string;
+  /** IANA time zone, e.g. `Asia/Manila`. */
+  timezone: string;
+}
+
+interface ProxyHealthCheck {
+  /** Fetched through each proxy. Defaults to `https://www.facebook.com/favicon.ico`. */
+  url?: string;
+  /** Ms between two checks, run when a request needs a proxy. Defaults to 300000. */
+  interval?: number;
+  /** Ms a proxy has to answer. Defaults to 10000. */
+  timeout?: number;
+}
+
+interface ProxyPoolOptions {
+  /** `http://`, `https://` or `socks5://` URLs, credentials included. */
+  proxies: string[];
+  /** Ms a proxy that failed is left out. Defaults to 60000. */
+  cooldown?: number;
+  /** Defaults to false. */
+  healthCheck?: boolean | ProxyHealthCheck;
+}
+
+interface ProxyStatus {
+  proxy: string;
+  healthy: boolean;
+  /** In a row. */
+  failures: number;
+  /** When a proxy that failed is tried again. */
+  downUntil: number | null;
+  lastError: string | null;
+  /** Accounts that go through it. */
+  accounts: string[];
+}
+
+interface ProxyPool {
+  /** The proxy an account goes through: the one it had, unless that one is down. */
+  acquire(account: string): string;
+  release(account: string): void;
+  /** Takes a proxy out for `cooldown` ms. */
+  markFailed(proxy: string, err?: any): void;
+  markHealthy(proxy: string): void;
+  /** Checks every proxy now. */
+  check(): Promise<ProxyStatus[]>;
+  status(): ProxyStatus[];
 }
 
 interface LoginOptions {
@@ -31,11 +198,547 @@ interface LoginOptions {
   online?: boolean;
   emitReady?: boolean;
   randomUserAgent?: boolean;
+  /** Sent instead of the device profile's user agent, without its client hints. */
   userAgent?: string;
+  /**
+   * The browser and machine the session presents itself as, saved per account in `sessionStore`. On by default;
+   * fields given here are kept and the rest generated to match. `false` sends only `userAgent`.
+   */
+  deviceProfile?: boolean | Partial<DeviceProfile>;
+  /** `http://`, `https://` or `socks5://` proxy URL. */
   proxy?: string;
+  /** Proxies shared out between accounts, with failover; takes precedence over `proxy`. Share a `ProxyPool` between sessions. */
+  proxyPool?: string[] | ProxyPoolOptions | ProxyPool;
+  /** Sends every HTTP request of the session. Node's http/https by default. */
+  transport?: Transport;
+  /** Hooks into every HTTP request of the session, login included. */
+  interceptors?: Interceptor[];
+  /** How failed HTTP requests are retried; `false` never retries. Only requests safe to repeat are. */
+  retry?: boolean | RetryOptions;
   bypassRegion?: string;
   pageID?: string;
   OnAutoLoginProcess?: boolean;
+  /** How long `/ls_req` tasks wait for their `/ls_resp`, in ms. Defaults to 15000. */
+  mqttTaskTimeout?: number;
+  /** Keep the MQTT sync position across reconnects and restarts and replay missed messages. */
+  resumeSync?: boolean;
+  /** Where `resumeSync` saves its checkpoint: a JSON file path or a custom store. In memory by default. */
+  syncStore?: string | SyncStore;
+  /** Where appState, fb_dtsg/jazoest and sync checkpoints are kept: a JSON file path or a custom store. In memory by default. */
+  sessionStore?: string | SessionStore;
+  /** Called, debounced, with `api.getAppState()` whenever Facebook rotates the session cookies. */
+  onAppStateChange?: (appState: Cookie[]) => void | Promise<void>;
+  /** Saves rotated cookies automatically: `true` writes to `sessionStore`, a string is a JSON file path. */
+  persistAppState?: boolean | string;
+  /** Sends Facebook traffic to another host instead, e.g. the offline mock server used by the tests. */
+  baseURL?: string;
+  /** Replaces single hosts, e.g. `{ upload: "http://127.0.0.1:8080" }`. Applied after `baseURL`. */
+  endpoints?: Partial<Record<EndpointName, string>>;
+  /** Replaces persisted GraphQL query ids by friendly name, e.g. `{ CometUFIFeedbackReactMutation: "123" }`. */
+  docIds?: Partial<Record<DocIdName, string | number>>;
+  /** Paces `sendMessage`/`sendMessageMqtt` through a token bucket and keeps each thread in order. `true` uses the defaults. */
+  sendQueue?: boolean | SendQueueOptions;
+  /** Largest attachment accepted from a Buffer, file or URL, in bytes. Defaults to 25 MB. */
+  maxAttachmentSize?: number;
+  /** Uploads identical attachments once and reuses their ids. `true` uses the defaults. */
+  uploadCache?: boolean | UploadCacheOptions;
+  /** Remembers received messages so unsends and edits can tell what was removed or changed. */
+  messageCache?: boolean | { max?: number } | MessageStore;
+  /** Settings of `api.commands`. */
+  commands?: CommandOptions;
+}
+
+interface CachedMessage {
+  messageID: string;
+  threadID: string;
+  senderID: string;
+  /** Latest text, edits included. */
+  body: string;
+  attachments: any[];
+  mentions: Record<string, string>;
+  timestamp: number;
+}
+
+interface MessageStore {
+  get(messageID: string): CachedMessage | null | Promise<CachedMessage | null>;
+  set(messageID: string, message: CachedMessage): void | Promise<void>;
+}
+
+interface MessageUnsendEvent {
+  type: "message_unsend";
+  threadID: string;
+  messageID: string;
+  senderID: string;
+  deletionTimestamp: number;
+  timestamp: number;
+  /** What was removed, when the `messageCache` saw it; otherwise `null`. Absent without the cache. */
+  original?: { body: string; attachments: any[]; mentions: Record<string, string>; timestamp: number } | null;
+}
+
+interface MessageEditEvent {
+  type: "message_edit";
+  /** Known when the edit came in a `ClientPayload` delta or the `messageCache` saw the message. */
+  threadID: string | null;
+  messageID: string;
+  senderID: string | null;
+  oldBody: string | null;
+  newBody: string;
+  editCount: number;
+  timestamp: number;
+}
+
+interface ReadEvent {
+  type: "read" | "unread";
+  threadID: string;
+  time: number;
+}
+
+interface DeliveryReceiptEvent {
+  type: "delivery_receipt";
+  threadID: string;
+  userID: string;
+  messageIDs: string[];
+  time: number;
+}
+
+interface ThreadMuteEvent {
+  type: "thread_mute";
+  threadID: string;
+  muted: boolean;
+  /** When the mute ends in ms, `-1` until unmuted, `0` when unmuted. */
+  mutedUntil: number;
+}
+
+interface ThreadDeleteEvent {
+  type: "thread_delete";
+  threadID: string;
+}
+
+interface ThreadFolderEvent {
+  type: "thread_folder";
+  threadID: string;
+  folder: "INBOX" | "ARCHIVED" | "PENDING" | "OTHER" | "SPAM" | string;
+}
+
+interface ApprovalQueueEvent {
+  type: "approval_queue";
+  threadID: string;
+  action: string;
+  userID: string;
+  requesterID: string;
+  requestSource: any;
+  timestamp: number;
+}
+
+interface ChangeViewerStatusEvent {
+  type: "change_viewer_status";
+  threadID: string;
+  actorID: string;
+  canReply: boolean;
+  reason: number;
+}
+
+/** A delta nothing else formats, passed on as received. */
+interface RawDeltaEvent {
+  type: "raw_delta";
+  class: string;
+  /** Sub-delta key of a `ClientPayload` delta, e.g. `deltaSomethingNew`. */
+  key?: string;
+  delta: Record<string, any>;
+}
+
+interface StickerAttachment {
+  type: "sticker";
+  ID: string;
+  url: string;
+  packID: string | null;
+  spriteUrl: string;
+  spriteUrl2x: string;
+  width: number;
+  height: number;
+  caption: string;
+  description: string;
+  frameCount: number;
+  frameRate: number;
+  framesPerRow: number;
+  framesPerCol: number;
+  /** @deprecated Use `ID`. */
+  stickerID: string;
+  /** @deprecated Use `spriteUrl`. */
+  spriteURI: string;
+  /** @deprecated Use `spriteUrl2x`. */
+  spriteURI2x: string;
+}
+
+interface FileAttachment {
+  type: "file";
+  ID: string;
+  fullFileName: string;
+  filename: string;
+  fileSize: number;
+  original_extension: string;
+  mimeType: string;
+  url: string;
+  isMalicious: boolean;
+  contentType: string;
+  /** @deprecated Use `filename`. */
+  name: string;
+}
+
+interface PhotoAttachment {
+  type: "photo";
+  ID: string;
+  filename: string;
+  fullFileName: string;
+  fileSize: number;
+  original_extension: string;
+  mimeType: string;
+  thumbnailUrl: string;
+  previewUrl: string;
+  previewWidth: number;
+  previewHeight: number;
+  largePreviewUrl: string;
+  largePreviewWidth: number;
+  largePreviewHeight: number;
+  url: string;
+  width: number | string;
+  height: number | string;
+  name: string;
+}
+
+interface AnimatedImageAttachment {
+  type: "animated_image";
+  ID: string;
+  filename: string;
+  fullFileName: string;
+  original_extension: string;
+  mimeType: string;
+  previewUrl: string;
+  previewWidth: number;
+  previewHeight: number;
+  url: string;
+  width: number;
+  height: number;
+  name: string;
+  facebookUrl: string;
+  thumbnailUrl: string;
+  rawGifImage: string;
+  rawWebpImage?: string;
+  animatedGifUrl: string;
+  animatedGifPreviewUrl: string;
+  animatedWebpUrl: string;
+  animatedWebpPreviewUrl: string;
+}
+
+interface ShareAttachment {
+  type: "share";
+  ID: string;
+  url: string;
+  title: string;
+  description: string | null;
+  source: string | null;
+  image: string | null;
+  width: number | null;
+  height: number | null;
+  playable: boolean;
+  duration: number;
+  playableUrl?: string | null;
+  subattachments: any[];
+  properties: Record<string, string>;
+  animatedImageSize?: { width: number; height: number };
+  facebookUrl: string;
+  target: any;
+  styleList: string[];
+}
+
+interface VideoAttachment {
+  type: "video";
+  ID: string;
+  filename: string;
+  fullFileName: string;
+  original_extension: string;
+  fileSize?: number;
+  mimeType: string;
+  /** Length in ms. */
+  duration: number;
+  previewUrl: string;
+  previewWidth: number;
+  previewHeight: number;
+  url: string;
+  width: number;
+  height: number;
+  videoType: "file_attachment" | "native_video" | "unknown" | string;
+  thumbnailUrl: string;
+}
+
+interface AudioAttachment {
+  type: "audio";
+  ID: string;
+  filename: string;
+  fullFileName: string;
+  fileSize: number;
+  /** Length in ms. */
+  duration: number;
+  original_extension: string;
+  mimeType: string;
+  audioType: string;
+  url: string;
+  isVoiceMail: boolean;
+}
+
+interface LocationAttachment {
+  type: "location";
+  ID: string;
+  latitude: number;
+  longitude: number;
+  image: string | undefined;
+  width: number | undefined;
+  height: number | undefined;
+  url: string;
+  address: string;
+  facebookUrl: string;
+  target: any;
+  styleList: string[];
+}
+
+/** Facebook reported the attachment as broken; both raw halves are kept. */
+interface ErrorAttachment {
+  type: "error";
+  attachment1: any;
+  attachment2: any;
+}
+
+/** An attachment `_formatAttachment` could not read, as received plus the error. */
+interface UnknownAttachment {
+  type: "unknown";
+  error: Error;
+  [key: string]: any;
+}
+
+/** Attachment of a message, as `utils._formatAttachment` formats it; narrow on `type`. */
+type Attachment =
+  | StickerAttachment
+  | FileAttachment
+  | PhotoAttachment
+  | AnimatedImageAttachment
+  | ShareAttachment
+  | VideoAttachment
+  | AudioAttachment
+  | LocationAttachment
+  | ErrorAttachment
+  | UnknownAttachment;
+
+interface MessageEvent {
+  type: "message";
+  threadID: string;
+  messageID: string;
+  senderID: string;
+  body: string;
+  /** `body` split on whitespace. */
+  args: string[];
+  attachments: Attachment[];
+  /** Mentioned user IDs and the text that mentions them. */
+  mentions: Record<string, string>;
+  timestamp: string;
+  isGroup: boolean;
+  participantIDs: string[];
+}
+
+interface MessageReplyEvent extends Omit<MessageEvent, "type"> {
+  type: "message_reply";
+  /** The message replied to; absent when Facebook did not send it and it could not be fetched. */
+  messageReply?: Omit<MessageEvent, "type">;
+}
+
+interface MessageReactionEvent {
+  type: "message_reaction";
+  threadID: string;
+  messageID: string;
+  /** Empty when the reaction was removed. */
+  reaction: string;
+  /** Who sent the message. */
+  senderID: string;
+  /** Who reacted. */
+  userID: string;
+}
+
+interface ThreadEventBase {
+  type: "event";
+  threadID: string;
+  logMessageBody: string;
+  author: string;
+  participantIDs: string[];
+}
+
+interface ThreadEventData {
+  "log:thread-name": { name: string };
+  "log:subscribe": { addedParticipants: Array<{ userFbId: string; fullName: string; firstName: string; [key: string]: any }> };
+  "log:unsubscribe": { leftParticipantFbId: string };
+  "log:thread-color": { theme_color: string; theme_id?: string; theme_emoji?: string; accessibility_label?: string; [key: string]: any };
+  "log:thread-icon": { thread_quick_reaction_emoji: string; thread_icon?: string; [key: string]: any };
+  "log:user-nickname": { participant_id: string; nickname: string };
+  "log:thread-admins": { TARGET_ID: string; ADMIN_EVENT: "add_admin" | "remove_admin" };
+  "log:thread-poll": { event_type: string; question_json: string; [key: string]: any };
+  "log:thread-approval-mode": { APPROVAL_MODE: "0" | "1"; THREAD_CATEGORY: string };
+  "log:thread-call": { event: string; call_duration?: string; caller_id?: string; [key: string]: any };
+  "log:thread-pinned": { pinned_message_id?: string; [key: string]: any };
+  "log:thread-unpinned": { unpinned_message_id?: string; [key: string]: any };
+}
+
+/** A change to a thread; narrow on `logMessageType` to get its `logMessageData`. */
+type ThreadEvent =
+  | {
+      [K in keyof ThreadEventData]: ThreadEventBase & { logMessageType: K; logMessageData: ThreadEventData[K] };
+    }[keyof ThreadEventData]
+  | (ThreadEventBase & { logMessageType: string; logMessageData: Record<string, any> });
+
+interface ChangeThreadImageEvent {
+  type: "change_thread_image";
+  threadID: string;
+  snippet: string;
+  timestamp: string;
+  author: string;
+  image: { attachmentID: string; width: number; height: number; url: string };
+}
+
+interface TypingEvent {
+  type: "typ";
+  isTyping: boolean;
+  /** Who is typing. */
+  from: string;
+  threadID: string;
+}
+
+interface PresenceEvent {
+  type: "presence";
+  userID: string;
+  timestamp: number;
+  /** 0 idle, 2 online. */
+  statuses: number;
+}
+
+interface ReadReceiptEvent {
+  type: "read_receipt";
+  reader: string;
+  time: string;
+  threadID: string;
+}
+
+/** Sent once the first sync completes, with the `emitReady` option. */
+interface ReadyEvent {
+  type: "ready";
+  error: null;
+}
+
+/** Everything `listenMqtt` reports; narrow on `type`. */
+type ListenEvent =
+  | MessageEvent
+  | MessageReplyEvent
+  | MessageReactionEvent
+  | MessageUnsendEvent
+  | MessageEditEvent
+  | ThreadEvent
+  | ChangeThreadImageEvent
+  | TypingEvent
+  | PresenceEvent
+  | ReadReceiptEvent
+  | ReadEvent
+  | DeliveryReceiptEvent
+  | ThreadMuteEvent
+  | ThreadDeleteEvent
+  | ThreadFolderEvent
+  | ApprovalQueueEvent
+  | ChangeViewerStatusEvent
+  | ScheduledMessageEvent
+  | CommandErrorEvent
+  | ReadyEvent
+  | RawDeltaEvent;
+
+interface UploadCacheOptions {
+  /** How long an uploaded attachment id is reused, in ms. Defaults to one hour. */
+  ttl?: number;
+  /** How many uploads are remembered; the oldest go first. Defaults to 500. */
+  max?: number;
+}
+
+interface SendQueueOptions {
+  /** Messages per second the bucket refills with. Defaults to 1. */
+  rate?: number;
+  /** How many messages may go out back to back. Defaults to 5. */
+  burst?: number;
+  /** Extra random delay before each send, up to this many ms. Defaults to 500. */
+  jitter?: number;
+}
+
+type EndpointName = "www" | "m" | "upload" | "graph" | "graphVideo" | "business" | "accountsCenter" | "messenger" | "mqtt";
+
+type Endpoints = Readonly<Record<EndpointName, string>> & {
+  /** Maps a URL on a moved endpoint back to the Facebook URL it stands for. */
+  canonical(url: string): string;
+};
+
+type DocIdName =
+  | "FriendingCometFriendRequestConfirmMutation"
+  | "FriendingCometFriendRequestSendMutation"
+  | "CometUserFollowMutation"
+  | "CometUserUnfollowMutation"
+  | "ProfileCometProfilePictureSetMutation"
+  | "ProfileCometCoverPhotoUpdateMutation"
+  | "ProfileCometSetBioMutation"
+  | "useFXIMUpdateNameMutation"
+  | "useFXIMUpdateUsernameMutation"
+  | "IsShieldedSetMutation"
+  | "FBScrapingWarningMutation"
+  | "ComposerLinkAttachmentPreviewQuery"
+  | "ComposerStoryCreateMutation"
+  | "useCometUFICreateCommentMutation"
+  | "CometUFIFeedbackReactMutation"
+  | "useStoriesSendReplyMutation"
+  | "CometNotificationsRootQuery"
+  | "StickersFlyoutTagSelectorQuery"
+  | "MessengerGroupCreateMutation"
+  | "MessengerThreadThemeUpdateMutation"
+  | "MessengerMessageReactionMutation"
+  | "MessengerGraphQLThreadFetcher"
+  | "MessengerGraphQLThreadlistFetcher"
+  | "MessengerThreadHistoryQuery"
+  | "MessengerMessageQuery"
+  | "MessengerForcedFetchQuery"
+  | "MessengerSyncSequenceIDQuery";
+
+type DocIds = Readonly<Record<DocIdName, string>>;
+
+interface DocIdCheckEntry {
+  name: DocIdName;
+  docID: string;
+  message: string;
+}
+
+interface DocIdCheckResult {
+  /** Queries Facebook still knows. */
+  ok: DocIdName[];
+  /** Queries answered with a "persisted query not found" style error; override their doc_id. */
+  missing: DocIdCheckEntry[];
+  /** Queries that could not be checked, e.g. network errors. */
+  failed: DocIdCheckEntry[];
+}
+
+interface SyncCheckpoint {
+  lastSeqId: number | null;
+  syncToken: string | null;
+  seenMessageIDs: string[];
+  updatedAt: number;
+}
+
+interface SyncStore {
+  get(userID: string): SyncCheckpoint | null | Promise<SyncCheckpoint | null>;
+  set(userID: string, checkpoint: SyncCheckpoint): void | Promise<void>;
+}
+
+interface SessionStore {
+  get(key: string): any | Promise<any>;
+  set(key: string, value: any): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
 }
 
 interface APIContext {
@@ -47,24 +750,494 @@ interface APIContext {
   access_token: string;
   clientMutationId: number;
   mqttClient: any;
+  mqttConnection?: {
+    getState(): "connecting" | "syncing" | "live" | "backoff" | "stopped";
+    stop(reason?: any): void;
+  };
   lastSeqId: number | undefined;
   syncToken: string | undefined;
   mqttEndpoint: string;
   region: string;
   firstListen: boolean;
-  req_ID: number;
-  callback_Task: Record<string, any>;
+  lsTasks: {
+    publish(request: any): Promise<any>;
+    handleResponse(message: any): boolean;
+    rejectAll(reason: string): void;
+    pending(): number;
+  };
+  sendQueue: {
+    schedule(threadID: string | string[], task: (done: () => void) => void): void;
+    depth(threadID?: string | string[]): number;
+    wrap<T extends (...args: any[]) => any>(send: T): T;
+  };
+  uploadCache: {
+    upload(inputs: AttachmentInput | AttachmentInput[], uploadOne: (part: { value: any; options: any }) => Promise<any>): Promise<Array<{ metadata: any; key: string | null; reused: boolean; input: { data: Buffer; filename: string; contentType: string } | null }>>;
+    invalidate(idsOrKeys?: string | string[]): number;
+    size(): number;
+  };
+  scheduler: {
+    load(): Promise<void>;
+    schedule(msg: string | Record<string, any>, threadID: ThreadID | ThreadID[], when: ScheduleTime): Promise<ScheduledMessage>;
+    list(threadID?: ThreadID | ThreadID[]): Promise<ScheduledMessage[]>;
+    cancel(id: string): Promise<boolean>;
+    reschedule(id: string, when: ScheduleTime): Promise<ScheduledMessage>;
+    stop(): void;
+  };
+  commands: CommandRouter & { load(): Promise<void> };
+  interceptors: InterceptorChain;
+  /** Hands an event to the current `listenMqtt` callback; dropped while not listening. */
+  dispatchEvent?: (event: Record<string, any>) => void;
+  messageCache: {
+    remember(event: Record<string, any>): void;
+    withOriginal(event: MessageUnsendEvent): Promise<MessageUnsendEvent>;
+    applyEdit(event: MessageEditEvent): Promise<MessageEditEvent>;
+  } | null;
+  refreshTask?: { stop(): void };
+  sessionStore: SessionStore;
+  appStateWatcher?: { check(): Promise<void>; stop(): void };
+  endpoints: Endpoints;
+  docIds: DocIds;
   fb_dtsg: string;
 }
 
+type NodeCallback<T = any> = (err: login.FBError | null, result?: T) => void;
+
+type ThreadID = string | number;
+
+/** Options-object form of `sendMessage`; keys other than the parameters make up the message. */
+interface SendMessageOptions {
+  threadID: ThreadID | ThreadID[];
+  replyTo?: string;
+  replyToMessage?: string;
+  isGroup?: boolean;
+  msg?: string | Record<string, any>;
+  [key: string]: any;
+}
+
+/** A readable stream, a Buffer, a file path, an http(s) URL, or one of those with an explicit name and type. */
+type AttachmentInput =
+  | import("stream").Readable
+  | Buffer
+  | string
+  | { data: import("stream").Readable | Buffer | string; filename?: string; contentType?: string };
+
+interface SentMessage {
+  threadID: string;
+  messageID: string;
+  timestamp: number;
+}
+
+/** A Date or date string (once), a delay in ms (once), or a cron expression (repeating). */
+type ScheduleTime = Date | number | string | { cron: string; timezone?: string };
+
+interface ScheduledMessage {
+  id: string;
+  threadID: ThreadID | ThreadID[];
+  msg: Record<string, any>;
+  /** When a one-off message goes out, in ms since the epoch. */
+  at?: number;
+  cron?: string;
+  timezone?: string;
+  createdAt: number;
+  lastRun?: number;
+}
+
+/** Reported to the `listenMqtt` callback each time a scheduled message goes out or fails. */
+type ScheduledMessageEvent =
+  | { type: "scheduled_sent"; scheduleID: string; threadID: ThreadID | ThreadID[]; messageID: string; timestamp: number; late?: boolean }
+  | { type: "scheduled_failed"; scheduleID: string; threadID: ThreadID | ThreadID[]; error: login.FBError; late?: boolean };
+
+interface CommandOptions {
+  /** What a command starts with. Defaults to `/`. */
+  prefix?: string | string[];
+  /** User IDs allowed to run `owner` commands; they pass `admin` checks too. */
+  owners?: string[];
+  /** Name of the generated help command, `false` for none. Defaults to `help`. */
+  help?: string | false;
+}
+
+interface CommandArgument {
+  name: string;
+  /** `user` takes a mention or a user ID, `rest` the remaining text. Defaults to `string`. */
+  type?: "string" | "number" | "integer" | "boolean" | "user" | "rest";
+  optional?: boolean;
+  description?: string;
+}
+
+interface CommandContext {
+  api: API;
+  event: MessageEvent | MessageReplyEvent;
+  /** Parsed arguments by name; missing optional ones are undefined. */
+  args: Record<string, any>;
+  /** Everything after the command name. */
+  text: string;
+  prefix: string;
+  /** The name or alias that was used. */
+  name: string;
+  /** Sends a reply to the command's message. */
+  reply(msg: string | Record<string, any>): Promise<SentMessage>;
+}
+
+interface CommandDefinition {
+  name: string;
+  aliases?: string[];
+  description?: string;
+  args?: CommandArgument[];
+  /** Ms a user waits between two runs of the command. */
+  cooldown?: number;
+  /** `admin` means a thread admin or an owner. Defaults to `everyone`. */
+  permission?: "everyone" | "admin" | "owner";
+  /** What it returns (or resolves to), if anything, is sent as the reply. */
+  run(context: CommandContext): any;
+}
+
+/** `api.commands`: commands run from the `listenMqtt` listener. */
+interface CommandRouter {
+  /** Registers a command, replacing one of the same name. */
+  add(definition: CommandDefinition): CommandRouter;
+  /** Removes a command by name or alias. */
+  remove(name: string): boolean;
+  list(): Array<{ name: string; aliases: string[]; description: string; usage: string; permission: string; cooldown: number }>;
+  /** Turns a command off in one thread; kept in the session store. */
+  disable(name: string, threadID: ThreadID): Promise<void>;
+  enable(name: string, threadID: ThreadID): Promise<void>;
+  isEnabled(name: string, threadID: ThreadID): boolean;
+  /** The generated help: every command enabled in the thread, or the details of one. */
+  help(threadID?: ThreadID, name?: string, prefix?: string): string;
+  /** Runs the command an event calls, if any; resolves to whether it called one. */
+  handle(event: ListenEvent): Promise<boolean>;
+}
+
+/** A command from `api.commands` threw or rejected. */
+interface CommandErrorEvent {
+  type: "command_error";
+  command: string;
+  threadID: string;
+  messageID: string;
+  senderID: string;
+  error: any;
+}
+
+/** Fluent builder returned by `api.message(threadID)`. */
+interface MessageBuilder {
+  /** `@{userID}` placeholders become mentions. */
+  text(body: string): this;
+  /** Names the user of a placeholder; unnamed ones are looked up with `getUserInfo`. */
+  mention(userID: string, name: string): this;
+  attach(...inputs: Array<AttachmentInput | AttachmentInput[]>): this;
+  url(url: string): this;
+  sticker(stickerID: string | number): this;
+  emoji(emoji: string, size?: "small" | "medium" | "large"): this;
+  location(latitude: number, longitude: number, current?: boolean): this;
+  replyTo(messageID: string): this;
+  group(isGroup?: boolean): this;
+  via(transport: "http" | "mqtt"): this;
+  build(): Promise<Record<string, any>>;
+  send(callback?: NodeCallback<SentMessage>): Promise<SentMessage>;
+}
+
+/** Emitter returned by `listenMqtt`; without a callback, events arrive as `message` and failures as `error`. */
+interface ListenEmitter extends EventEmitter {
+  /** Closes the connection gracefully; `callback` runs once the socket has closed. No reconnect follows. */
+  stopListening(callback?: () => void): void;
+  on(event: "message", listener: (event: ListenEvent) => void): this;
+  on(event: "error", listener: (err: login.FBError) => void): this;
+  on(event: "state", listener: (change: { state: "connecting" | "syncing" | "live" | "backoff" | "stopped"; previous: string }) => void): this;
+  on(event: "reconnecting", listener: (info: { attempt: number; delay: number; reason: any }) => void): this;
+  on(event: "reconnected", listener: (info: { attempts: number }) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+type ListenCallback = (err: login.FBError | null, event: ListenEvent) => void;
+
+interface UserInfo {
+  name: string;
+  firstName: string;
+  vanity: string;
+  thumbSrc: string;
+  profileUrl: string;
+  gender: number;
+  type: string;
+  isFriend: boolean;
+  isBirthday: boolean;
+  searchTokens?: string[];
+  alternateName?: string;
+}
+
+interface FriendInfo {
+  alternateName: string;
+  firstName: string;
+  gender: string;
+  userID: string;
+  isFriend: boolean;
+  fullName: string;
+  profilePicture: string;
+  type: string;
+  profileUrl: string;
+  vanity: string;
+  isBirthday: boolean;
+}
+
+interface UserSearchResult {
+  userID: string;
+  photoUrl: string;
+  indexRank: number;
+  name: string;
+  isVerified: boolean;
+  profileUrl: string;
+  category: string;
+  score: number;
+  type: string;
+}
+
+interface ThreadInfo {
+  threadID: string;
+  threadName: string | null;
+  name: string | null;
+  participantIDs: string[];
+  userInfo: Array<{
+    id: string;
+    name: string;
+    firstName: string;
+    vanity: string;
+    url: string;
+    thumbSrc: string;
+    profileUrl: string;
+    gender: string;
+    type: string;
+    isFriend: boolean;
+    isBirthday: boolean;
+  }>;
+  unreadCount: number;
+  messageCount: number;
+  timestamp: string;
+  muteUntil: number | null;
+  isGroup: boolean;
+  isSubscribed: boolean;
+  isArchived: boolean;
+  folder: string;
+  cannotReplyReason: string | null;
+  eventReminders: any[] | null;
+  emoji: string | null;
+  color: string | null;
+  threadTheme: any;
+  nicknames: Record<string, string>;
+  adminIDs: Array<{ id: string }>;
+  approvalMode: boolean;
+  approvalQueue: Array<{ inviterID: string; requesterID: string; timestamp: string; request_source: string }>;
+  reactionsMuteMode: string;
+  mentionsMuteMode: string;
+  imageSrc: string | null;
+  snippet: string | null;
+  snippetSender: string | null;
+  lastMessageTimestamp: string | null;
+  lastReadTimestamp: string | null;
+  inviteLink: { enable: boolean; link: string | null };
+  [key: string]: any;
+}
+
+interface Sticker {
+  id: string;
+  image: any;
+  package: { name?: string; id?: string };
+  label: string;
+}
+
+/** `payload.metadata[0]` of an upload, e.g. `{ image_id, filename, filetype }`. */
+type UploadMetadata = Record<string, any>;
+
+/** Messages and events as `getThreadHistory` returns them. */
+type HistoryMessage = (Omit<MessageEvent, "type"> & { type: "message"; messageReactions?: any[]; messageReply?: any }) | (ThreadEventBase & { messageID: string; [key: string]: any });
+
 interface API {
-  setOptions(options: LoginOptions): Promise<void>;
+  acpFriend(userID: ThreadID, callback?: NodeCallback): Promise<any>;
+  /** Adds your own functions, each built like a `src/` module: `(defaultFuncs, api, ctx) => function`. */
+  addExternalModule(moduleObj: Record<string, (defaultFuncs: any, api: API, ctx: APIContext) => (...args: any[]) => any>): void;
+  addFriend(userID: ThreadID, callback?: NodeCallback): Promise<any>;
+  addUserToGroup(userID: ThreadID | ThreadID[], threadID: ThreadID, callback?: NodeCallback<void>): Promise<void>;
+  cancelScheduledMessage(scheduleID: string, callback?: NodeCallback<boolean>): Promise<boolean>;
+  changeAdminStatus(threadID: ThreadID, adminIDs: ThreadID | ThreadID[], adminStatus: boolean, callback?: NodeCallback<void>): Promise<void>;
+  changeArchivedStatus(threadOrThreads: ThreadID | ThreadID[], archive: boolean, callback?: NodeCallback<void>): Promise<void>;
+  changeAvatar(image: AttachmentInput, caption?: string, timestamp?: number, callback?: NodeCallback): Promise<any>;
+  changeAvatarV2(link: string, caption?: string, callback?: NodeCallback): Promise<any>;
+  changeBio(bio?: string, publish?: boolean, callback?: NodeCallback<void>): Promise<void>;
+  changeBlockedStatus(userID: ThreadID, block: boolean, callback?: NodeCallback<void>): Promise<void>;
+  changeBlockedStatusMqtt(userID: ThreadID, status: boolean, type: string, callback?: NodeCallback): Promise<any>;
+  changeCover(image: AttachmentInput, callback?: NodeCallback): Promise<any>;
+  changeGroupImage(image: AttachmentInput, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  changeName(input: { first_name?: string; middle_name?: string; last_name?: string }, format?: string, callback?: NodeCallback): Promise<any>;
+  changeNickname(nickname: string, threadID: ThreadID, participantID: ThreadID, callback?: NodeCallback<void>): Promise<void>;
+  changeThreadColor(color: string | number | undefined, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  changeThreadEmoji(emoji: string, threadID: ThreadID, callback?: NodeCallback<void>): Promise<void>;
+  changeUsername(username: string, callback?: NodeCallback): Promise<any>;
+  /** Commands run from the `listenMqtt` listener, e.g. `/kick @Bob`. */
+  commands: CommandRouter;
+  /** Probes the doc_ids in use and reports which ones Facebook no longer knows. */
+  checkDocIds(names?: DocIdName | DocIdName[], callback?: NodeCallback<DocIdCheckResult>): Promise<DocIdCheckResult>;
+  createCommentPost(msg: string | Record<string, any>, postID: string, callback?: NodeCallback, replyCommentID?: string): Promise<any>;
+  /** Resolves to the new thread's ID. */
+  createNewGroup(participantIDs: ThreadID[], groupTitle?: string, callback?: NodeCallback<string>): Promise<string>;
+  createPoll(title: string, threadID: ThreadID, options?: Record<string, boolean>, callback?: NodeCallback<void>): Promise<void>;
+  /** Resolves to the URL of the new post. */
+  createPost(msg: string | Record<string, any>, callback?: NodeCallback<string>): Promise<string>;
+  deleteMessage(messageOrMessages: string | string[], callback?: NodeCallback<void>): Promise<void>;
+  deleteThread(threadOrThreads: ThreadID | ThreadID[], callback?: NodeCallback<void>): Promise<void>;
+  /** Resolves once the server confirms the edit. */
+  editMessage(text: string, messageID: string, callback?: NodeCallback<{ messageID: string; text: string }>): Promise<{ messageID: string; text: string }>;
+  follow(senderID: ThreadID, follow: boolean, callback?: NodeCallback): Promise<any>;
+  forwardAttachment(attachmentID: ThreadID, userOrUsers: ThreadID | ThreadID[], callback?: NodeCallback<void>): Promise<void>;
+  /** Resolves to an access token. */
+  getAccess(cookie: string, callback?: NodeCallback<string>): Promise<string>;
   getAppState(): Cookie[];
+  getAvatarUser(userIDs: ThreadID | ThreadID[], size?: number | string | number[], callback?: NodeCallback<Record<string, string>>): Promise<Record<string, string>>;
+  getBotInfo(callback?: NodeCallback<Record<string, any> & { name: string; uid: string }>): Promise<Record<string, any> & { name: string; uid: string }>;
   getCookie(): string;
+  getCurrentUserID(): string;
+  /** The browser and machine the session presents itself as; null when the `deviceProfile` option is off. */
+  getDeviceProfile(): DeviceProfile | null;
+  getEmojiUrl(c: string, size: 32 | 64 | 128, pixelRatio?: "1.0" | "1.5"): string;
+  getFriendsList(callback?: NodeCallback<FriendInfo[]>): Promise<FriendInfo[]>;
+  getInfo(id?: ThreadID, callback?: NodeCallback<Record<string, any> | null>): Promise<Record<string, any> | null>;
+  getMessage(threadID: ThreadID, messageID: string, callback?: NodeCallback<Record<string, any>>): Promise<Record<string, any>>;
+  /** Messages the send queue has not finished sending, overall or for one thread. */
+  getSendQueueDepth(threadID?: string | string[]): number;
+  getThreadHistory(threadID: ThreadID, amount: number, timestamp?: number, callback?: NodeCallback<HistoryMessage[]>): Promise<HistoryMessage[]>;
+  getThreadHistoryDeprecated(threadID: ThreadID, amount: number, timestamp?: number, callback?: NodeCallback<any[]>): Promise<any[]>;
+  getThreadInfo(threadID: ThreadID, callback?: NodeCallback<ThreadInfo>): Promise<ThreadInfo>;
+  getThreadInfo(threadIDs: ThreadID[], callback?: NodeCallback<Record<string, ThreadInfo>>): Promise<Record<string, ThreadInfo>>;
+  getThreadInfoDeprecated(threadID: ThreadID, callback?: NodeCallback<Record<string, any>>): Promise<Record<string, any>>;
+  getThreadList(limit: number, timestamp?: number | null, tags?: string | string[], callback?: NodeCallback<ThreadInfo[]>): Promise<ThreadInfo[]>;
+  getThreadListDeprecated(start: number, end: number, type?: string, callback?: NodeCallback<any[]>): Promise<any[]>;
+  getThreadPictures(threadID: ThreadID, offset: number, limit: number, callback?: NodeCallback<any[]>): Promise<any[]>;
+  /** Resolves a profile link to its user ID. */
+  getUID(link: string, callback?: NodeCallback<string>): Promise<string>;
+  getUserID(name: string, callback?: NodeCallback<UserSearchResult[]>): Promise<UserSearchResult[]>;
+  getUserInfo(id: ThreadID | ThreadID[], callback?: NodeCallback<Record<string, UserInfo>>): Promise<Record<string, UserInfo>>;
+  handleFriendRequest(userID: ThreadID, accept: boolean, callback?: NodeCallback): Promise<any>;
+  handleMessageRequest(threadID: ThreadID | ThreadID[], accept: boolean, callback?: NodeCallback<void>): Promise<void>;
+  httpGet(url: string, form?: any, customHeader?: Record<string, string>, callback?: NodeCallback<string>, notAPI?: boolean): Promise<string>;
+  httpPost(url: string, form?: any, customHeader?: Record<string, string>, callback?: NodeCallback<string>, notAPI?: boolean): Promise<string>;
+  httpPostFormData(url: string, form?: any, customHeader?: Record<string, string>, callback?: NodeCallback<string>, notAPI?: boolean): Promise<string>;
+  /** Hooks into every HTTP request of the session. */
+  interceptors: InterceptorChain;
+  /** Drops cached uploads by attachment id or content hash, or all of them; returns how many. */
+  invalidateUploadCache(idsOrKeys?: string | string[]): number;
+  listScheduledMessages(threadID?: ThreadID | ThreadID[], callback?: NodeCallback<ScheduledMessage[]>): Promise<ScheduledMessage[]>;
+  /** Connects to MQTT and reports every event; narrow on `event.type`. */
+  listenMqtt(callback?: ListenCallback): Promise<ListenEmitter>;
+  /** Polls notifications once a minute. */
+  listenNotification(callback?: NodeCallback<any>): EventEmitter & { stop(): void };
+  logout(callback?: NodeCallback<void>): Promise<void>;
+  markAsDelivered(threadID: ThreadID, messageID: string, callback?: NodeCallback<void>): Promise<void>;
+  markAsRead(threadID: ThreadID, read?: boolean, callback?: NodeCallback<void>): Promise<void>;
+  markAsReadAll(callback?: NodeCallback<void>): Promise<void>;
+  markAsSeen(seen_timestamp?: number, callback?: NodeCallback<void>): Promise<void>;
+  /** Starts a message to a thread; chain its parts and finish with `send()`. */
+  message(threadID: ThreadID | ThreadID[]): MessageBuilder;
+  muteThread(threadID: ThreadID, muteSeconds: number, callback?: NodeCallback<void>): Promise<void>;
+  pinMessage(pinMode: boolean, messageID: string, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  postVideo(videoUrl: string, caption: string, cookieorToken: string): Promise<any>;
+  /**
+   * Fetches new `fb_dtsg` and `jazoest` values, or sets the given ones, and saves them to the session store.
+   * Facebook starts rejecting requests when they are left alone for long; refresh every 48 hours or less.
+   */
+  refreshFb_dtsg(obj?: { fb_dtsg?: string; jazoest?: string }, callback?: NodeCallback<{ data: { fb_dtsg: string; jazoest: string }; message: string }>): Promise<{ data: { fb_dtsg: string; jazoest: string }; message: string }>;
+  removeUserFromGroup(userID: ThreadID, threadID: ThreadID, callback?: NodeCallback<void>): Promise<void>;
+  rescheduleMessage(scheduleID: string, when: ScheduleTime, callback?: NodeCallback<ScheduledMessage>): Promise<ScheduledMessage>;
+  resolvePhotoUrl(photoID: ThreadID, callback?: NodeCallback<string>): Promise<string>;
+  /** Sends a message later through `sendMessage`; kept in the session store across restarts. */
+  scheduleMessage(msg: string | Record<string, any>, threadID: ThreadID | ThreadID[], when: ScheduleTime, callback?: NodeCallback<ScheduledMessage>): Promise<ScheduledMessage>;
+  searchForThread(name: string, callback?: NodeCallback<any[]>): Promise<any[]>;
+  searchStickers(query?: string, callback?: NodeCallback<Sticker[]>): Promise<Sticker[]>;
+  sendMessage(msg: string | Record<string, any>, threadID: ThreadID | ThreadID[], callback?: NodeCallback<SentMessage>, replyToMessage?: string, isGroup?: boolean): Promise<SentMessage>;
+  sendMessage(msg: string | Record<string, any>, threadID: ThreadID | ThreadID[], replyToMessage?: string, callback?: NodeCallback<SentMessage>): Promise<SentMessage>;
+  sendMessage(options: SendMessageOptions, callback?: NodeCallback<SentMessage>): Promise<SentMessage>;
+  sendMessageMqtt(msg: string | Record<string, any>, threadID: ThreadID, callback?: NodeCallback<SentMessage & { otid: string }>, replyToMessage?: string): Promise<SentMessage & { otid: string }>;
+  sendMessageMqtt(options: SendMessageOptions, callback?: NodeCallback<SentMessage & { otid: string }>): Promise<SentMessage & { otid: string }>;
+  /** Shows the typing indicator; call the returned function to hide it again. */
+  sendTypingIndicator(threadID: ThreadID, callback?: NodeCallback<void>, isGroup?: boolean): (callback?: NodeCallback<void>) => void;
+  sendTypingIndicatorV2(sendTyping: boolean, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  setMessageReaction(reaction: string, messageID: string, callback?: NodeCallback<void>, forceCustomReaction?: boolean): Promise<void>;
+  setMessageReactionMqtt(reaction: string, messageID: string, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  setOptions(options: LoginOptions): Promise<void>;
+  setPostReaction(postID: ThreadID, type?: string | number, callback?: NodeCallback): Promise<any>;
+  setProfileGuard(guard: boolean, callback?: NodeCallback): Promise<any>;
+  setStoryReaction(storyID: ThreadID, react?: string | number, callback?: NodeCallback): Promise<any>;
+  setTitle(newTitle: string, threadID: ThreadID, callback?: NodeCallback<void>): Promise<void>;
+  shareContact(text: string | undefined, senderID: ThreadID, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  shareLink(text: string | undefined, url: string | undefined, threadID: ThreadID, callback?: NodeCallback): Promise<any>;
+  sharePost(postUrl: string, cookie: string, shareAmount?: number, intervalSeconds?: number): Promise<any>;
+  stopListenMqtt(): void;
+  /** Colors `changeThreadColor` accepts, by name. */
+  threadColors: Record<string, string>;
+  unfriend(userID: ThreadID, callback?: NodeCallback): Promise<any>;
+  unsendMessage(messageID: string, callback?: NodeCallback<void>): Promise<void>;
+  uploadAttachment(attachments: AttachmentInput | AttachmentInput[], callback?: NodeCallback<UploadMetadata[]>): Promise<UploadMetadata[]>;
+  /** Functions added with `addExternalModule`. */
   [key: string]: any;
 }
 
-type LoginCallback = (error: Error | null, api: API | null) => void;
+/** Lets the namespace below re-export these under their own names (`import type { API } from "fbvibex"`). */
+interface PublicTypes {
+  API: API;
+  LoginCredentials: LoginCredentials;
+  LoginOptions: LoginOptions;
+  Cookie: Cookie;
+  ThreadID: ThreadID;
+  SentMessage: SentMessage;
+  SendMessageOptions: SendMessageOptions;
+  MessageBuilder: MessageBuilder;
+  ListenEvent: ListenEvent;
+  ListenEmitter: ListenEmitter;
+  Attachment: Attachment;
+  MessageEvent: MessageEvent;
+  MessageReplyEvent: MessageReplyEvent;
+  MessageReactionEvent: MessageReactionEvent;
+  MessageUnsendEvent: MessageUnsendEvent;
+  MessageEditEvent: MessageEditEvent;
+  ThreadEvent: ThreadEvent;
+  ChangeThreadImageEvent: ChangeThreadImageEvent;
+  TypingEvent: TypingEvent;
+  PresenceEvent: PresenceEvent;
+  ReadReceiptEvent: ReadReceiptEvent;
+  ReadEvent: ReadEvent;
+  DeliveryReceiptEvent: DeliveryReceiptEvent;
+  ThreadMuteEvent: ThreadMuteEvent;
+  ThreadDeleteEvent: ThreadDeleteEvent;
+  ThreadFolderEvent: ThreadFolderEvent;
+  ApprovalQueueEvent: ApprovalQueueEvent;
+  ChangeViewerStatusEvent: ChangeViewerStatusEvent;
+  ScheduledMessageEvent: ScheduledMessageEvent;
+  ReadyEvent: ReadyEvent;
+  RawDeltaEvent: RawDeltaEvent;
+  UserInfo: UserInfo;
+  ThreadInfo: ThreadInfo;
+  FriendInfo: FriendInfo;
+  ScheduledMessage: ScheduledMessage;
+  ScheduleTime: ScheduleTime;
+  CommandOptions: CommandOptions;
+  CommandDefinition: CommandDefinition;
+  CommandContext: CommandContext;
+  CommandRouter: CommandRouter;
+  CommandErrorEvent: CommandErrorEvent;
+  Transport: Transport;
+  TransportRequest: TransportRequest;
+  TransportResponse: TransportResponse;
+  Interceptor: Interceptor;
+  InterceptorChain: InterceptorChain;
+  InterceptedRequest: InterceptedRequest;
+  InterceptedResponse: InterceptedResponse;
+  CannedResponse: CannedResponse;
+  RetryOptions: RetryOptions;
+  ProxyPool: ProxyPool;
+  ProxyPoolOptions: ProxyPoolOptions;
+  ProxyHealthCheck: ProxyHealthCheck;
+  ProxyStatus: ProxyStatus;
+  DeviceProfile: DeviceProfile;
+  ScreenProfile: ScreenProfile;
+}
+
+type LoginCallback = (error: login.FBError | null, api: API | null) => void;
 
 declare function login(
   loginData: LoginCredentials,
@@ -72,4 +1245,131 @@ declare function login(
   callback?: LoginCallback
 ): Promise<API> | undefined;
 
+declare namespace login {
+  type API = PublicTypes["API"];
+  type LoginCredentials = PublicTypes["LoginCredentials"];
+  type LoginOptions = PublicTypes["LoginOptions"];
+  type Cookie = PublicTypes["Cookie"];
+  type ThreadID = PublicTypes["ThreadID"];
+  type SentMessage = PublicTypes["SentMessage"];
+  type SendMessageOptions = PublicTypes["SendMessageOptions"];
+  type MessageBuilder = PublicTypes["MessageBuilder"];
+  type ListenEvent = PublicTypes["ListenEvent"];
+  type ListenEmitter = PublicTypes["ListenEmitter"];
+  type Attachment = PublicTypes["Attachment"];
+  type MessageEvent = PublicTypes["MessageEvent"];
+  type MessageReplyEvent = PublicTypes["MessageReplyEvent"];
+  type MessageReactionEvent = PublicTypes["MessageReactionEvent"];
+  type MessageUnsendEvent = PublicTypes["MessageUnsendEvent"];
+  type MessageEditEvent = PublicTypes["MessageEditEvent"];
+  type ThreadEvent = PublicTypes["ThreadEvent"];
+  type ChangeThreadImageEvent = PublicTypes["ChangeThreadImageEvent"];
+  type TypingEvent = PublicTypes["TypingEvent"];
+  type PresenceEvent = PublicTypes["PresenceEvent"];
+  type ReadReceiptEvent = PublicTypes["ReadReceiptEvent"];
+  type ReadEvent = PublicTypes["ReadEvent"];
+  type DeliveryReceiptEvent = PublicTypes["DeliveryReceiptEvent"];
+  type ThreadMuteEvent = PublicTypes["ThreadMuteEvent"];
+  type ThreadDeleteEvent = PublicTypes["ThreadDeleteEvent"];
+  type ThreadFolderEvent = PublicTypes["ThreadFolderEvent"];
+  type ApprovalQueueEvent = PublicTypes["ApprovalQueueEvent"];
+  type ChangeViewerStatusEvent = PublicTypes["ChangeViewerStatusEvent"];
+  type ScheduledMessageEvent = PublicTypes["ScheduledMessageEvent"];
+  type ReadyEvent = PublicTypes["ReadyEvent"];
+  type RawDeltaEvent = PublicTypes["RawDeltaEvent"];
+  type UserInfo = PublicTypes["UserInfo"];
+  type ThreadInfo = PublicTypes["ThreadInfo"];
+  type FriendInfo = PublicTypes["FriendInfo"];
+  type ScheduledMessage = PublicTypes["ScheduledMessage"];
+  type ScheduleTime = PublicTypes["ScheduleTime"];
+  type CommandOptions = PublicTypes["CommandOptions"];
+  type CommandDefinition = PublicTypes["CommandDefinition"];
+  type CommandContext = PublicTypes["CommandContext"];
+  type CommandRouter = PublicTypes["CommandRouter"];
+  type CommandErrorEvent = PublicTypes["CommandErrorEvent"];
+  type Transport = PublicTypes["Transport"];
+  type TransportRequest = PublicTypes["TransportRequest"];
+  type TransportResponse = PublicTypes["TransportResponse"];
+  type Interceptor = PublicTypes["Interceptor"];
+  type InterceptorChain = PublicTypes["InterceptorChain"];
+  type InterceptedRequest = PublicTypes["InterceptedRequest"];
+  type InterceptedResponse = PublicTypes["InterceptedResponse"];
+  type CannedResponse = PublicTypes["CannedResponse"];
+  type RetryOptions = PublicTypes["RetryOptions"];
+  type ProxyPool = PublicTypes["ProxyPool"];
+  type ProxyPoolOptions = PublicTypes["ProxyPoolOptions"];
+  type ProxyHealthCheck = PublicTypes["ProxyHealthCheck"];
+  type ProxyStatus = PublicTypes["ProxyStatus"];
+  type DeviceProfile = PublicTypes["DeviceProfile"];
+  type ScreenProfile = PublicTypes["ScreenProfile"];
+
+  function createMemoryStore(): SessionStore;
+  function createFileStore(filePath: string): SessionStore;
+  function createEncryptedFileStore(filePath: string, secret: string | Buffer): SessionStore;
+  function createProxyPool(options: string[] | ProxyPoolOptions): ProxyPool;
+
+  type ErrorCode =
+    | "FB_ERROR"
+    | "NOT_LOGGED_IN"
+    | "CHECKPOINT"
+    | "ACCOUNT_SUSPENDED"
+    | "ACCOUNT_LOCKED"
+    | "RATE_LIMITED"
+    | "INVALID_ARGUMENT"
+    | "GRAPHQL_ERROR"
+    | "TRANSPORT_ERROR";
+
+  /** Base of every error the API reports; branch on `code` or `instanceof`. */
+  class FBError extends Error {
+    constructor(message?: string | Record<string, any>, props?: Record<string, any>);
+    static readonly code: ErrorCode;
+    readonly code: ErrorCode;
+    /** Same as `message`, kept for callers that read `err.error`. */
+    error: any;
+    /** Facebook's numeric error code, when the reply had one. */
+    errorCode?: number;
+    errorSummary?: string;
+    errorDescription?: string;
+    /** The parsed reply that carried the error. */
+    res?: any;
+    [key: string]: any;
+  }
+  class NotLoggedInError extends FBError {
+    readonly code: "NOT_LOGGED_IN";
+  }
+  class CheckpointError extends FBError {
+    readonly code: "CHECKPOINT" | "ACCOUNT_SUSPENDED" | "ACCOUNT_LOCKED";
+    checkpointURL?: string;
+  }
+  class AccountSuspendedError extends CheckpointError {
+    readonly code: "ACCOUNT_SUSPENDED";
+    suspended: true;
+    suspendReasons: { durationInfo?: string; longReason?: string; shortReason?: string };
+  }
+  class AccountLockedError extends CheckpointError {
+    readonly code: "ACCOUNT_LOCKED";
+    locked: true;
+    lockedReasons: { reason?: string };
+  }
+  class RateLimitedError extends FBError {
+    readonly code: "RATE_LIMITED";
+    /** How long Facebook asked to wait, in ms, when it said. */
+    retryAfter?: number;
+  }
+  class InvalidArgumentError extends FBError {
+    readonly code: "INVALID_ARGUMENT";
+    /** Name of the offending argument. */
+    argument?: string;
+  }
+  class GraphQLError extends FBError {
+    readonly code: "GRAPHQL_ERROR";
+    errors?: any[];
+  }
+  class TransportError extends FBError {
+    readonly code: "TRANSPORT_ERROR";
+    statusCode?: number;
+    cause?: any;
+  }
+}
+
 export = login;
\ No newline at end of file
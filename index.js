@@ -5,11 +5,13 @@
 /** @typedef {{ key: string, value: string, domain?: string, path?: string, expires?: number }} Cookie */
 /** @typedef {{ code: string, name: string, location: string }} Region */
 /** @typedef {{ av: string, fb_api_caller_class: string, fb_api_req_friendly_name: string, variables: string, server_timestamps: boolean, doc_id: string, fb_dtsg: string, jazoest: string, lsd: string }} FormBypass */
-/** @typedef {{ userID: string, jar: any, clientID: string, globalOptions: LoginOptions, loggedIn: boolean, access_token: string, clientMutationId: number, mqttClient: any, lastSeqId: number | undefined, syncToken: string | undefined, mqttEndpoint: string, region: string, firstListen: boolean, req_ID: number, callback_Task: Record<string, any>, fb_dtsg: string }} APIContext */
-/** @typedef {{ selfListen?: boolean, selfListenEvent?: boolean | string, listenEvents?: boolean, listenTyping?: boolean, updatePresence?: boolean, forceLogin?: boolean, autoMarkDelivery?: boolean, autoMarkRead?: boolean, autoReconnect?: boolean, online?: boolean, emitReady?: boolean, randomUserAgent?: boolean, userAgent?: string, proxy?: string, bypassRegion?: string, pageID?: string, OnAutoLoginProcess?: boolean, refresh_dtsg?: boolean }} LoginOptions */
+/** @typedef {{ userID: string, jar: any, clientID: string, globalOptions: LoginOptions, loggedIn: boolean, access_token: string, clientMutationId: number, mqttClient: any, mqttConnection: ReturnType<typeof import("./lib/connectionManager").createConnectionManager> | undefined, lastSeqId: number | undefined, syncToken: string | undefined, mqttEndpoint: string, region: string, firstListen: boolean, lsTasks: ReturnType<typeof createTaskDispatcher>, sendQueue: ReturnType<typeof createSendQueue>, uploadCache: ReturnType<typeof createUploadCache>, scheduler: ReturnType<typeof createScheduler>, messageCache: ReturnType<typeof createMessageCache>, commands: ReturnType<typeof createCommandRouter>, interceptors: ReturnType<typeof getInterceptors>, dispatchEvent: ((event: Object) => void) | undefined, refreshTask: any, sessionStore: SessionStore, appStateWatcher: ReturnType<typeof watchAppState>, endpoints: import("./lib/endpoints").Endpoints, docIds: import("./lib/docIds").DocIds, fb_dtsg: string }} APIContext */
+/** @typedef {{ selfListen?: boolean, selfListenEvent?: boolean | string, listenEvents?: boolean, listenTyping?: boolean, updatePresence?: boolean, forceLogin?: boolean, autoMarkDelivery?: boolean, autoMarkRead?: boolean, autoReconnect?: boolean, online?: boolean, emitReady?: boolean, randomUserAgent?: boolean, userAgent?: string, deviceProfile?: boolean | Partial<import("./lib/deviceProfile").DeviceProfile>, proxy?: string, proxyPool?: string[] | import("./lib/proxyPool").ProxyPoolOptions | ReturnType<typeof import("./lib/proxyPool").createProxyPool>, transport?: import("./lib/transport").Transport, interceptors?: import("./lib/interceptors").Interceptor[], retry?: boolean | import("./lib/retryPolicy").RetryOptions, bypassRegion?: string, pageID?: string, OnAutoLoginProcess?: boolean, refresh_dtsg?: boolean, mqttTaskTimeout?: number, resumeSync?: boolean, syncStore?: string | import("./lib/syncCheckpoint").SyncStore, sessionStore?: string | SessionStore, onAppStateChange?: (appState: Cookie[]) => void | Promise<void>, persistAppState?: boolean | string, baseURL?: string, endpoints?: Partial<Record<keyof typeof import("./lib/endpoints").DEFAULT_ENDPOINTS, string>>, docIds?: Partial<Record<keyof typeof import("./lib/docIds").DEFAULT_DOC_IDS, string>>, sendQueue?: boolean | import("./lib/sendQueue").SendQueueOptions, maxAttachmentSize?: number, uploadCache?: boolean | import("./lib/uploadCache").UploadCacheOptions, messageCache?: boolean | { max?: number } | import("./lib/messageCache").MessageStore, commands?: import("./lib/commandRouter").CommandOptions }} LoginOptions */
 /** @typedef {{ setOptions: (options: LoginOptions) => Promise<void>, getAppState: () => Cookie[], getCookie: () => string, [key: string]: any }} API */
 /** @typedef {(error: Error | null, api: API | null) => void} LoginCallback */
-/** @typedef {{ appState?: Cookie[] | string | { cookies: Cookie[] }, email?: string, password?: string }} LoginCredentials */
+/** @typedef {import("./lib/sessionStore").SessionStore} SessionStore */
+/** @typedef {{ globalOptions: LoginOptions, behaviorDetected: boolean, store: SessionStore | undefined }} Session */
+/** @typedef {{ appState?: Cookie[] | string | { cookies: Cookie[] }, email?: string, password?: string, userID?: string }} LoginCredentials */
 
 const utils = require("./utils");
 const fs = require("fs");
@@ -18,6 +20,22 @@ const cron = require("node-cron");
 const cheerio = require("cheerio");
 const readline = require("readline/promises");
 const { logger } = require("./logger");
+const { createTaskDispatcher } = require("./lib/taskDispatcher");
+const sessionStores = require("./lib/sessionStore");
+const { watchAppState } = require("./lib/appStateWatcher");
+const { getEndpoints } = require("./lib/endpoints");
+const { getDocIds } = require("./lib/docIds");
+const { createSendQueue } = require("./lib/sendQueue");
+const { createUploadCache } = require("./lib/uploadCache");
+const { createScheduler } = require("./lib/scheduler");
+const { createMessageCache } = require("./lib/messageCache");
+const { createCommandRouter } = require("./lib/commandRouter");
+const { getInterceptors } = require("./lib/interceptors");
+const { createProxyPool, isProxyPool, bindProxyAccount } = require("./lib/proxyPool");
+const { createDeviceProfile, loginFields } = require("./lib/deviceProfile");
+const { createMethod } = require("./lib/apiMethod");
+const { SIGNATURES } = require("./lib/signatures");
+const errors = require("./lib/errors");
 
 
 const config = {
@@ -36,43 +54,49 @@ const config = {
   ],
 };
 
-// Initialize state with default globalOptions
-const state = {
-  checkVerified: null,
-  globalOptions: {
-    selfListen: false,
-    selfListenEvent: false,
-    listenEvents: true,
-    listenTyping: false,
-    updatePresence: false,
-    forceLogin: false,
-    autoMarkDelivery: false,
-    autoMarkRead: true,
-    autoReconnect: true,
-    online: true,
-    emitReady: false,
-    randomUserAgent: false,
-    refresh_dtsg: true,
-  },
-  behaviorDetected: false,
-};
+/**
+ * Creates the state of one login. Nothing is shared between sessions, so several accounts
+ * can log in from the same process without clobbering each other's options.
+ * @returns {Session} Fresh session state with default options.
+ */
+function createSession() {
+  return {
+    globalOptions: {
+      selfListen: false,
+      selfListenEvent: false,
+      listenEvents: true,
+      listenTyping: false,
+      updatePresence: false,
+      forceLogin: false,
+      autoMarkDelivery: false,
+      autoMarkRead: true,
+      autoReconnect: true,
+      online: true,
+      emitReady: false,
+      randomUserAgent: false,
+      refresh_dtsg: true,
+    },
+    behaviorDetected: false,
+    store: undefined,
+  };
+}
 
 /**
  * Validates a region code against supported regions.
  * @param {string} regionCode - The region code to validate.
  * @returns {Region} The region object if valid.
- * @throws {Error} If the region code is invalid or empty.
+ * @throws {errors.InvalidArgumentError} If the region code is invalid or empty.
  */
 function validateRegion(regionCode) {
   if (!regionCode || typeof regionCode !== "string" || regionCode.trim() === "") {
     const supportedRegions = config.defaultRegions.map((r) => r.code).join(", ");
-    throw new Error(`Region code must be a non-empty string. Supported regions: ${supportedRegions}`);
+    throw new errors.InvalidArgumentError(`Region code must be a non-empty string. Supported regions: ${supportedRegions}`);
   }
   const code = regionCode.trim().toUpperCase();
   const region = config.defaultRegions.find((r) => r.code.toUpperCase() === code);
   if (!region) {
     const supportedRegions = config.defaultRegions.map((r) => r.code).join(", ");
-    throw new Error(`Invalid region code: ${regionCode}. Supported regions: ${supportedRegions}`);
+    throw new errors.InvalidArgumentError(`Invalid region code: ${regionCode}. Supported regions: ${supportedRegions}`);
   }
   return region;
 }
@@ -90,7 +114,7 @@ function getRandomRegion() {
  * Normalizes appState input into a standard array format.
  * @param {Cookie[] | string | { cookies: Cookie[] }} appState - The appState input.
  * @returns {Cookie[]} Normalized array of cookie objects.
- * @throws {Error} If the input format is invalid.
+ * @throws {errors.InvalidArgumentError} If the input format is invalid.
  */
 function normalizeAppState(appState) {
   if (!appState) return [];
@@ -102,7 +126,7 @@ function normalizeAppState(appState) {
         .filter((c) => c.trim())
         .map((c) => {
           const [key, value] = c.split("=");
-          if (!key || !value) throw new Error("Invalid cookie string format");
+          if (!key || !value) throw new errors.InvalidArgumentError("Invalid cookie string format", { argument: "appState" });
           return {
             key: key.trim(),
             value: value.trim(),
@@ -112,14 +136,14 @@ function normalizeAppState(appState) {
           };
         });
     } catch (error) {
-      throw new Error(`Failed to parse appState string: ${error.message}`);
+      throw new errors.InvalidArgumentError(`Failed to parse appState string: ${error.message}`, { argument: "appState" });
     }
   }
 
   if (Array.isArray(appState)) {
     return appState.map((c) => {
       const key = c.key || c.name;
-      if (!key || !c.value) throw new Error("Invalid cookie object in array");
+      if (!key || !c.value) throw new errors.InvalidArgumentError("Invalid cookie object in array", { argument: "appState" });
       return {
         key: key.trim(),
         value: c.value.trim(),
@@ -134,88 +158,180 @@ function normalizeAppState(appState) {
     return normalizeAppState(appState.cookies);
   }
 
-  throw new Error("Unsupported appState format");
+  throw new errors.InvalidArgumentError("Unsupported appState format", { argument: "appState" });
 }
 
 /**
- * Sets global configuration options for the application.
+ * Applies configuration options to a session.
+ * @param {LoginOptions} globalOptions - The session's options, updated in place.
  * @param {LoginOptions} [options={}] - Configuration options to apply.
  * @returns {Promise<void>}
  */
-async function setOptions(options = {}) {
+async function setOptions(globalOptions, options = {}) {
   for (const [key, value] of Object.entries(options)) {
     switch (key) {
       case "refresh_dtsg":
-        state.globalOptions.refresh_dtsg = Boolean(value);
+        globalOptions.refresh_dtsg = Boolean(value);
         break;
       case "online":
-        state.globalOptions.online = Boolean(value);
+        globalOptions.online = Boolean(value);
         break;
       case "selfListen":
-        state.globalOptions.selfListen = Boolean(value);
+        globalOptions.selfListen = Boolean(value);
         break;
       case "selfListenEvent":
-        state.globalOptions.selfListenEvent = value;
+        globalOptions.selfListenEvent = value;
         break;
       case "listenEvents":
-        state.globalOptions.listenEvents = Boolean(value);
+        globalOptions.listenEvents = Boolean(value);
         break;
       case "pageID":
-        state.globalOptions.pageID = String(value);
+        globalOptions.pageID = String(value);
         break;
       case "updatePresence":
-        state.globalOptions.updatePresence = Boolean(value);
+        globalOptions.updatePresence = Boolean(value);
         break;
       case "forceLogin":
-        state.globalOptions.forceLogin = Boolean(value);
+        globalOptions.forceLogin = Boolean(value);
         break;
       case "userAgent":
-        state.globalOptions.userAgent = value;
+        globalOptions.userAgent = value;
+        break;
+      case "deviceProfile":
+        // `true` (the default) leaves it to login, which loads the account's saved profile or generates one.
+        if (value === false) {
+          globalOptions.deviceProfile = false;
+        } else if (value && typeof value === "object") {
+          globalOptions.deviceProfile = createDeviceProfile(value);
+        } else if (!globalOptions.deviceProfile) {
+          delete globalOptions.deviceProfile;
+        }
         break;
       case "autoMarkDelivery":
-        state.globalOptions.autoMarkDelivery = Boolean(value);
+        globalOptions.autoMarkDelivery = Boolean(value);
         break;
       case "autoMarkRead":
-        state.globalOptions.autoMarkRead = Boolean(value);
+        globalOptions.autoMarkRead = Boolean(value);
         break;
       case "listenTyping":
-        state.globalOptions.listenTyping = Boolean(value);
+        globalOptions.listenTyping = Boolean(value);
         break;
       case "proxy":
+        // Applied per request by utils, so each session keeps its own proxy.
         if (typeof value !== "string") {
-          delete state.globalOptions.proxy;
-          utils.setProxy();
+          delete globalOptions.proxy;
+        } else {
+          globalOptions.proxy = value;
+        }
+        break;
+      case "proxyPool":
+        // Takes precedence over `proxy`. A pool object can be shared by many sessions; a list or options make one for this session.
+        if (!value) {
+          delete globalOptions.proxyPool;
+        } else {
+          globalOptions.proxyPool = isProxyPool(value) ? value : createProxyPool(value);
+        }
+        break;
+      case "transport":
+        // Applied per request by utils, like the proxy.
+        if (value && typeof value.request === "function") {
+          globalOptions.transport = value;
+        } else {
+          delete globalOptions.transport;
+        }
+        break;
+      case "retry":
+        globalOptions.retry = value && typeof value === "object" ? Object.assign({}, value) : value === false ? false : undefined;
+        break;
+      case "interceptors":
+        // The chain is kept beside the options, so it also sees the requests made while logging in.
+        getInterceptors(globalOptions).reset(value);
+        break;
+      case "baseURL":
+        // Sends Facebook traffic to another host instead, e.g. the offline stand-in in test/mock.
+        if (typeof value !== "string" || !value) {
+          delete globalOptions.baseURL;
         } else {
-          state.globalOptions.proxy = value;
-          utils.setProxy(value);
+          globalOptions.baseURL = value;
         }
         break;
+      case "endpoints":
+        if (value && typeof value === "object") {
+          globalOptions.endpoints = Object.assign({}, value);
+        } else {
+          delete globalOptions.endpoints;
+        }
+        break;
+      case "docIds":
+        if (value && typeof value === "object") {
+          globalOptions.docIds = Object.assign({}, value);
+        } else {
+          delete globalOptions.docIds;
+        }
+        break;
+      case "mqttTaskTimeout":
+        globalOptions.mqttTaskTimeout = Number(value) || undefined;
+        break;
+      case "sendQueue":
+        globalOptions.sendQueue = value && typeof value === "object" ? Object.assign({}, value) : Boolean(value);
+        break;
+      case "uploadCache":
+        globalOptions.uploadCache = value && typeof value === "object" ? Object.assign({}, value) : Boolean(value);
+        break;
+      case "messageCache":
+        globalOptions.messageCache = value;
+        break;
+      case "commands":
+        globalOptions.commands = value && typeof value === "object" ? Object.assign({}, value) : undefined;
+        break;
+      case "maxAttachmentSize":
+        globalOptions.maxAttachmentSize = Number(value) > 0 ? Number(value) : undefined;
+        break;
+      case "resumeSync":
+        globalOptions.resumeSync = Boolean(value);
+        break;
+      case "syncStore":
+        globalOptions.syncStore = value;
+        break;
+      case "sessionStore":
+        globalOptions.sessionStore = value;
+        break;
+      case "onAppStateChange":
+        if (typeof value === "function") {
+          globalOptions.onAppStateChange = value;
+        } else {
+          delete globalOptions.onAppStateChange;
+        }
+        break;
+      case "persistAppState":
+        globalOptions.persistAppState = typeof value === "string" ? value : Boolean(value);
+        break;
       case "autoReconnect":
-        state.globalOptions.autoReconnect = Boolean(value);
+        globalOptions.autoReconnect = Boolean(value);
         break;
       case "emitReady":
-        state.globalOptions.emitReady = Boolean(value);
+        globalOptions.emitReady = Boolean(value);
         break;
       case "randomUserAgent":
-        state.globalOptions.randomUserAgent = Boolean(value);
+        globalOptions.randomUserAgent = Boolean(value);
         if (value) {
-          state.globalOptions.userAgent = utils.generateUserAgent();
+          globalOptions.userAgent = utils.generateUserAgent();
           logger.warn("CONFIG", "Random user agent enabled. Use at your own risk.");
-          logger.warn("randomUserAgent", `UA selected: ${state.globalOptions.userAgent}`);
+          logger.warn("randomUserAgent", `UA selected: ${globalOptions.userAgent}`);
         }
         break;
       case "bypassRegion":
         if (value) {
           try {
             const region = validateRegion(value);
-            state.globalOptions.bypassRegion = region.code;
+            globalOptions.bypassRegion = region.code;
             logger.info("CONFIG", `bypassRegion set to: ${region.code} (${region.name})`);
           } catch (error) {
             logger.error("CONFIG", `Invalid bypassRegion: ${error.message}`);
-            delete state.globalOptions.bypassRegion;
+            delete globalOptions.bypassRegion;
           }
         } else {
-          delete state.globalOptions.bypassRegion;
+          delete globalOptions.bypassRegion;
         }
         break;
     }
@@ -223,17 +339,17 @@ async function setOptions(options = {}) {
 }
 
 /**
- * Updates Facebook DTSG token and saves it to a file.
+ * Reads the fb_dtsg and jazoest tokens from a response and saves them to the session store.
  * @param {{ body: string, headers: Record<string, string> }} res - HTTP response object.
  * @param {Cookie[]} appstate - Normalized application state.
  * @param {any} jar - Cookie jar object.
+ * @param {SessionStore} store - Session store of the login in progress.
  * @param {string} [ID] - User ID.
- * @returns {{ body: string, headers: Record<string, string> } | null} Updated response or null if an error occurs.
+ * @returns {Promise<{ body: string, headers: Record<string, string> } | null>} Updated response or null if an error occurs.
  */
-function updateDTSG(res, appstate, jar, ID) {
+async function updateDTSG(res, appstate, jar, store, ID) {
+  let UID = ID;
   try {
-    let UID = ID;
-
     if (!UID) {
       const appstateCUser = appstate.find((i) => i.key === "i_user" || i.key === "c_user");
       if (!appstateCUser) {
@@ -246,19 +362,15 @@ function updateDTSG(res, appstate, jar, ID) {
     }
 
     if (!res?.body) {
-      throw new Error("Invalid response: Response body is missing.");
+      throw new errors.TransportError("Invalid response: Response body is missing.");
     }
 
     const fb_dtsg = utils.getFrom(res.body, '["DTSGInitData",[],{"token":"', '","');
     const jazoest = utils.getFrom(res.body, "jazoest=", '",');
 
-    if (fb_dtsg && jazoest) {
-      const filePath = path.join(__dirname, "fb_dtsg_data.json");
-      const existingData = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
-
-      existingData[UID] = { fb_dtsg, jazoest };
-      fs.writeFileSync(filePath, JSON.stringify(existingData, null, 2), "utf8");
-      logger.info("updateDTSG", "fb_dtsg_data.json updated successfully.");
+    if (fb_dtsg && jazoest && UID) {
+      await store.set(sessionStores.keys.dtsg(UID), { fb_dtsg, jazoest });
+      logger.info("updateDTSG", `fb_dtsg saved to the session store for user ${UID}.`);
     }
 
     return res;
@@ -273,10 +385,11 @@ function updateDTSG(res, appstate, jar, ID) {
  * @param {{ body: string, headers: Record<string, string>, request: { uri: { href: string } } }} resp - HTTP response object.
  * @param {any} jar - Cookie jar object.
  * @param {Cookie[]} appstate - Normalized application state.
+ * @param {Session} session - State of the login in progress.
  * @param {string} [ID] - User ID.
  * @returns {Promise<{ body: string, headers: Record<string, string>, request: { uri: { href: string } } } | undefined>} Response object or undefined on error.
  */
-async function bypassAutoBehavior(resp, jar, appstate, ID) {
+async function bypassAutoBehavior(resp, jar, appstate, session, ID) {
   try {
     let UID = ID;
 
@@ -303,16 +416,16 @@ async function bypassAutoBehavior(resp, jar, appstate, ID) {
           fb_api_req_friendly_name: "FBScrapingWarningMutation",
           variables: JSON.stringify({}),
           server_timestamps: true,
-          doc_id: "6339492849481770",
+          doc_id: getDocIds(session.globalOptions).FBScrapingWarningMutation,
           fb_dtsg,
           jazoest,
           lsd,
         };
 
         logger.warn("bypassAutoBehavior", `Automated behavior detected for user ${UID}.`);
-        state.behaviorDetected = true;
+        session.behaviorDetected = true;
         return utils
-          .post("https://www.facebook.com/api/graphql/", jar, formBypass, state.globalOptions)
+          .post(`${getEndpoints(session.globalOptions).www}/api/graphql/`, jar, formBypass, session.globalOptions)
           .then(utils.saveCookies(jar));
       }
     }
@@ -328,7 +441,7 @@ async function bypassAutoBehavior(resp, jar, appstate, ID) {
  * @param {Cookie[]} appstate - Normalized application state.
  * @param {any} jar - Cookie jar object.
  * @param {string} [ID] - User ID.
- * @returns {Promise<{ suspended: boolean, suspendReasons: { durationInfo?: string, longReason?: string, shortReason?: string } } | undefined>} Suspension details or undefined if not suspended.
+ * @returns {Promise<errors.AccountSuspendedError | undefined>} Error carrying `suspendReasons`, or undefined if not suspended.
  */
 async function checkIfSuspended(resp, appstate, jar, ID) {
   try {
@@ -366,7 +479,10 @@ async function checkIfSuspended(resp, appstate, jar, ID) {
           logger.error(`Reason on suspension:`, suspendReasons.shortReason);
         }
 
-        return { suspended: true, suspendReasons };
+        return new errors.AccountSuspendedError(
+          suspendReasons.shortReason ? `Account has been suspended: ${suspendReasons.shortReason}` : errors.AccountSuspendedError.defaultMessage,
+          { checkpointURL: resp.request.uri.href, suspendReasons }
+        );
       }
     }
   } catch (error) {
@@ -380,7 +496,7 @@ async function checkIfSuspended(resp, appstate, jar, ID) {
  * @param {Cookie[]} appstate - Normalized application state.
  * @param {any} jar - Cookie jar object.
  * @param {string} [ID] - User ID.
- * @returns {Promise<{ locked: boolean, lockedReasons: { reason?: string } } | undefined>} Lock details or undefined if not locked.
+ * @returns {Promise<errors.AccountLockedError | undefined>} Error carrying `lockedReasons`, or undefined if not locked.
  */
 async function checkIfLocked(resp, appstate, jar, ID) {
   try {
@@ -405,7 +521,10 @@ async function checkIfLocked(resp, appstate, jar, ID) {
           lockedReasons.reason = lockDesc[1];
           logger.error(`Alert on ${UID}:`, lockedReasons.reason);
         }
-        return { locked: true, lockedReasons };
+        return new errors.AccountLockedError(lockedReasons.reason || errors.AccountLockedError.defaultMessage, {
+          checkpointURL: resp.request.uri.href,
+          lockedReasons,
+        });
       }
     }
   } catch (error) {
@@ -417,9 +536,10 @@ async function checkIfLocked(resp, appstate, jar, ID) {
  * Builds the API object with context and default functions.
  * @param {string} html - HTML response from Facebook.
  * @param {any} jar - Cookie jar object.
+ * @param {Session} session - State of the login in progress.
  * @returns {{ ctx: APIContext, api: API }} API context and functions.
  */
-function buildAPI(html, jar) {
+function buildAPI(html, jar, session) {
   let fb_dtsg = html.match(/DTSGInitialData.*?token":"(.*?)"/)?.[1];
 
   let userID;
@@ -428,12 +548,12 @@ function buildAPI(html, jar) {
   const secondary_profile = cookies.find((val) => val.key === "i_user");
 
   if (!primary_profile && !secondary_profile) {
-    throw new Error("Error retrieving userID. Try logging in with a browser to verify.");
+    throw new errors.NotLoggedInError("Error retrieving userID. Try logging in with a browser to verify.");
   }
 
   if (html.includes("/checkpoint/block/?next")) {
     logger.warn("FCA LOGIN", "Checkpoint detected. Please log in with a browser to verify.");
-    throw new Error("Checkpoint detected.");
+    throw new errors.CheckpointError("Checkpoint detected.");
   }
 
   userID = secondary_profile?.value?.toString() || primary_profile?.value?.toString();
@@ -443,10 +563,6 @@ function buildAPI(html, jar) {
 
   logger.info("FCA LOGIN", `Logged in as ${userID}`);
 
-  try {
-    clearInterval(state.checkVerified);
-  } catch (_) {}
-
   const clientID = (Math.random() * 2147483648 | 0).toString(16);
 
   let mqttEndpoint, region;
@@ -455,7 +571,7 @@ function buildAPI(html, jar) {
     userID,
     jar,
     clientID,
-    globalOptions: state.globalOptions,
+    globalOptions: session.globalOptions,
     loggedIn: true,
     access_token: "NONE",
     clientMutationId: 0,
@@ -465,10 +581,24 @@ function buildAPI(html, jar) {
     mqttEndpoint,
     region,
     firstListen: true,
-    req_ID: 0,
-    callback_Task: {},
+    lsTasks: undefined,
+    sendQueue: undefined,
+    uploadCache: undefined,
+    scheduler: undefined,
+    messageCache: createMessageCache(session.globalOptions.messageCache),
+    commands: undefined,
+    interceptors: getInterceptors(session.globalOptions),
+    dispatchEvent: undefined,
+    refreshTask: undefined,
+    sessionStore: session.store,
+    appStateWatcher: undefined,
+    endpoints: getEndpoints(session.globalOptions),
+    docIds: getDocIds(session.globalOptions),
     fb_dtsg,
   };
+  ctx.lsTasks = createTaskDispatcher(ctx);
+  ctx.sendQueue = createSendQueue(ctx);
+  ctx.uploadCache = createUploadCache(ctx);
 
   const api = {
     /**
@@ -476,7 +606,18 @@ function buildAPI(html, jar) {
      * @param {LoginOptions} options - Options to set.
      */
     setOptions: async (options) => {
-      await setOptions(options);
+      await setOptions(ctx.globalOptions, options);
+      if ("sessionStore" in options) {
+        ctx.sessionStore = sessionStores.resolveSessionStore(ctx.globalOptions.sessionStore);
+      }
+      if ("messageCache" in options) {
+        ctx.messageCache = createMessageCache(ctx.globalOptions.messageCache);
+      }
+      if ("deviceProfile" in options && ctx.globalOptions.deviceProfile) {
+        await ctx.sessionStore.set(sessionStores.keys.deviceProfile(ctx.userID), ctx.globalOptions.deviceProfile);
+      }
+      ctx.endpoints = getEndpoints(ctx.globalOptions);
+      ctx.docIds = getDocIds(ctx.globalOptions);
       if (options.bypassRegion && options.bypassRegion !== ctx.region) {
         try {
           const regionObj = validateRegion(options.bypassRegion);
@@ -489,10 +630,18 @@ function buildAPI(html, jar) {
           const fallbackRegion = getRandomRegion();
           ctx.region = fallbackRegion.code;
       }
-      ctx.mqttEndpoint = `wss://edge-chat.facebook.com/chat?region=${ctx.region}&sid=${userID}`;
+      ctx.mqttEndpoint = `${ctx.endpoints.mqtt}?region=${ctx.region}&sid=${userID}`;
       logger.info("FCA LOGIN", `MQTT endpoint set to: ${ctx.mqttEndpoint}`);
     },
 
+    /**
+     * The browser and machine this session presents itself as.
+     * @returns {import("./lib/deviceProfile").DeviceProfile | null} Null when the `deviceProfile` option is off.
+     */
+    getDeviceProfile() {
+      return ctx.globalOptions.deviceProfile ? JSON.parse(JSON.stringify(ctx.globalOptions.deviceProfile)) : null;
+    },
+
     /**
      * Retrieves the application state.
      * @returns {Cookie[]} Filtered application state.
@@ -554,32 +703,38 @@ function buildAPI(html, jar) {
     .filter((file) => file.endsWith(".js"))
     .forEach((file) => {
       const functionName = file.replace(".js", "");
-      api[functionName] = require(`./src/${file}`)(defaultFuncs, api, ctx);
+      const impl = require(`./src/${file}`)(defaultFuncs, api, ctx);
+      const signature = SIGNATURES[functionName];
+      if (!signature) {
+        api[functionName] = impl;
+        return;
+      }
+      // Sends are paced and ordered per thread when the `sendQueue` option is on; direct otherwise.
+      api[functionName] = createMethod(functionName, signature.queued ? ctx.sendQueue.wrap(impl) : impl, signature);
     });
 
+  ctx.appStateWatcher = watchAppState(ctx, () => api.getAppState());
+  // Scheduled messages of an earlier run go out through this session's sendMessage.
+  ctx.scheduler = createScheduler(ctx, api);
+  ctx.scheduler.load();
+  // Commands run from the listener; `api.commands` registers them.
+  ctx.commands = createCommandRouter(ctx, api);
+  ctx.commands.load();
+  api.commands = ctx.commands;
+  api.interceptors = ctx.interceptors;
+
     /**
-     * Refreshes the Facebook DTSG token.
+     * Fetches fresh fb_dtsg and jazoest tokens; `refreshFb_dtsg` saves them to the session store.
      */
     function refreshAction() {
-      try {
-        const filePath = path.join(__dirname, "fb_dtsg_data.json");
-        const fbDtsgData = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-        if (fbDtsgData?.[userID]) {
-          api
-            .refreshFb_dtsg(fbDtsgData[userID])
-            .then(() => logger.info("refreshAction", `Fb_dtsg refreshed successfully for user ${userID}`))
-            .catch((err) => logger.error("refreshAction", `Error during Fb_dtsg refresh for user ${userID}: ${err.message}`));
-        } else {
-          logger.error("refreshAction", `No fb_dtsg data found for user ${userID}`);
-        }
-      } catch (err) {
-        logger.error("refreshAction", `Error reading fb_dtsg_data.json: ${err.message}`);
-      }
+      api
+        .refreshFb_dtsg()
+        .then(() => logger.info("refreshAction", `Fb_dtsg refreshed successfully for user ${userID}`))
+        .catch((err) => logger.error("refreshAction", `Error during Fb_dtsg refresh for user ${userID}: ${err.message || err.error}`));
     }
 
     if (ctx.globalOptions.refresh_dtsg) {
-      cron.schedule("0 0 * * *", refreshAction, { timezone: "Asia/Manila" });
+      ctx.refreshTask = cron.schedule("0 0 * * *", refreshAction, { timezone: "Asia/Manila" });
     } else {
       logger.info("FCA LOGIN", "DTSG refresh disabled by configuration.");
     }
@@ -591,9 +746,10 @@ function buildAPI(html, jar) {
  * Initiates the login process to Facebook.
  * @param {any} jar - Cookie jar object.
  * @param {{ email?: string, password?: string }} credentials - Login credentials.
+ * @param {LoginOptions} globalOptions - Options of the login in progress.
  * @returns {(res: { body: string, headers: Record<string, string> }) => Promise<{ body: string, headers: Record<string, string> }>} Function to handle login response.
  */
-function makeLogin(jar, { email, password } = {}) {
+function makeLogin(jar, { email, password } = {}, globalOptions) {
   return async (res) => {
     const html = res.body;
     const $ = cheerio.load(html);
@@ -604,12 +760,15 @@ function makeLogin(jar, { email, password } = {}) {
 
     const form = utils.arrToForm(arr);
     form.lsd = utils.getFrom(html, '["LSD",[],{"token":"', '"]');
-    form.lgndim = Buffer.from('{"w":1440,"h":900,"aw":1440,"ah":834,"c":24}').toString("base64");
+    const device = globalOptions.deviceProfile
+      ? loginFields(globalOptions.deviceProfile)
+      : { lgndim: Buffer.from('{"w":1440,"h":900,"aw":1440,"ah":834,"c":24}').toString("base64"), locale: "en_US", timezone: "0" };
+    form.lgndim = device.lgndim;
     if (email) form.email = email;
     if (password) form.pass = password;
     form.default_persistent = email ? "1" : "0";
-    form.locale = "en_US";
-    form.timezone = "0";
+    form.locale = device.locale;
+    form.timezone = device.timezone;
     form.lgnjs = ~~(Date.now() / 1000);
 
     html
@@ -624,21 +783,21 @@ function makeLogin(jar, { email, password } = {}) {
 
     return utils
       .post(
-        "https://www.facebook.com/login/device-based/regular/login/?login_attempt=1",
+        `${getEndpoints(globalOptions).www}/login/device-based/regular/login/?login_attempt=1`,
         jar,
         form,
-        state.globalOptions
+        globalOptions
       )
       .then(utils.saveCookies(jar))
       .then(async (resData) => {
         const headers = resData.headers;
-        if (!headers.location) throw new Error("Invalid credentials.");
+        if (!headers.location) throw new errors.NotLoggedInError("Invalid credentials.");
 
         if (headers.location.includes("https://www.facebook.com/checkpoint/")) {
-          return handle2FA(headers, jar, form);
+          return handle2FA(headers, jar, form, globalOptions);
         }
         return utils
-          .get("https://www.facebook.com/", jar, null, state.globalOptions)
+          .get(`${getEndpoints(globalOptions).www}/`, jar, null, globalOptions)
           .then(utils.saveCookies(jar));
       });
   };
@@ -649,13 +808,14 @@ function makeLogin(jar, { email, password } = {}) {
  * @param {Record<string, string>} headers - HTTP response headers.
  * @param {any} jar - Cookie jar object.
  * @param {Record<string, string>} form - Login form data.
+ * @param {LoginOptions} globalOptions - Options of the login in progress.
  * @returns {Promise<{ body: string, headers: Record<string, string> }>} Response after handling 2FA.
  */
-async function handle2FA(headers, jar, form) {
-  const nextURL = "https://www.facebook.com/checkpoint/?next=https%3A%2F%2Fwww.facebook.com%2Fhome.php";
+async function handle2FA(headers, jar, form, globalOptions) {
+  const nextURL = `${getEndpoints(globalOptions).www}/checkpoint/?next=https%3A%2F%2Fwww.facebook.com%2Fhome.php`;
 
   const res = await utils
-    .get(headers.location, jar, null, state.globalOptions)
+    .get(headers.location, jar, null, globalOptions)
     .then(utils.saveCookies(jar));
   const html = res.body;
   const $ = cheerio.load(html);
@@ -667,7 +827,7 @@ async function handle2FA(headers, jar, form) {
 
   if (html.includes("checkpoint/?next")) {
     const code = await promptFor2FACode();
-    return submit2FACode(code, form, jar, nextURL);
+    return submit2FACode(code, form, jar, nextURL, globalOptions);
   }
   return res;
 }
@@ -699,14 +859,15 @@ async function promptFor2FACode() {
  * @param {Record<string, string>} form - Form data.
  * @param {any} jar - Cookie jar object.
  * @param {string} nextURL - Next URL to post to.
+ * @param {LoginOptions} globalOptions - Options of the login in progress.
  * @returns {Promise<{ body: string, headers: Record<string, string> }>} Response after 2FA submission.
  */
-async function submit2FACode(code, form, jar, nextURL) {
+async function submit2FACode(code, form, jar, nextURL, globalOptions) {
   form.approvals_code = code;
   form["submit[Continue]"] = "Continue";
 
   const res = await utils
-    .post(nextURL, jar, form, state.globalOptions)
+    .post(nextURL, jar, form, globalOptions)
     .then(utils.saveCookies(jar));
 
   delete form.no_fido;
@@ -714,30 +875,30 @@ async function submit2FACode(code, form, jar, nextURL) {
   form.name_action_selected = "save_device";
 
   const secondRes = await utils
-    .post(nextURL, jar, form, state.globalOptions)
+    .post(nextURL, jar, form, globalOptions)
     .then(utils.saveCookies(jar));
 
   if (!secondRes.headers?.location && secondRes.headers?.["set-cookie"]?.[0]?.includes("checkpoint")) {
-    throw new Error("Failed to verify 2FA code.");
+    throw new errors.CheckpointError("Failed to verify 2FA code.", { checkpointURL: nextURL });
   }
 
   return utils
-    .get("https://www.facebook.com/", jar, null, state.globalOptions)
+    .get(`${getEndpoints(globalOptions).www}/`, jar, null, globalOptions)
     .then(utils.saveCookies(jar));
 }
 
 /**
  * Validates and normalizes login credentials.
  * @param {LoginCredentials} loginData - Login credentials.
- * @returns {{ appState?: Cookie[], email?: string, password?: string }} Normalized credentials.
- * @throws {Error} If credentials are invalid.
+ * @returns {{ appState?: Cookie[], email?: string, password?: string, userID?: string }} Normalized credentials.
+ * @throws {errors.InvalidArgumentError} If credentials are invalid.
  */
 function normalizeLoginCredentials(loginData) {
   if (!loginData || typeof loginData !== "object") {
-    throw new Error("Invalid loginData: must be an object");
+    throw new errors.InvalidArgumentError("Invalid loginData: must be an object", { argument: "loginData" });
   }
 
-  const { appState, email, password } = loginData;
+  const { appState, email, password, userID } = loginData;
 
   if (appState) {
     return { appState: normalizeAppState(appState) };
@@ -745,26 +906,49 @@ function normalizeLoginCredentials(loginData) {
 
   if (email && password) {
     if (typeof email !== "string" || typeof password !== "string") {
-      throw new Error("Invalid email or password: must be strings");
+      throw new errors.InvalidArgumentError("Invalid email or password: must be strings", { argument: "loginData" });
     }
     return { email: email.trim(), password };
   }
 
-  throw new Error("Invalid credentials: provide appState, email/password");
+  if (userID) {
+    return { userID: String(userID) };
+  }
+
+  throw new errors.InvalidArgumentError("Invalid credentials: provide appState, email/password or the userID of a stored session", {
+    argument: "loginData",
+  });
 }
 
 /**
  * Helper function for login process.
- * @param {{ appState?: Cookie[], email?: string, password?: string }} credentials - Normalized credentials.
+ * @param {{ appState?: Cookie[], email?: string, password?: string, userID?: string }} credentials - Normalized credentials.
+ * @param {Session} session - State of this login.
  * @param {LoginCallback} callback - Callback function.
  * @returns {Promise<void>}
  */
-async function loginHelper(credentials, callback) {
+async function loginHelper(credentials, session, callback) {
   const jar = utils.getJar();
+  const globalOptions = session.globalOptions;
+  const endpoints = getEndpoints(globalOptions);
   let mainPromise;
 
   try {
+    if (!credentials.appState && credentials.userID) {
+      const stored = await session.store.get(sessionStores.keys.appState(credentials.userID));
+      if (!stored) throw new errors.NotLoggedInError(`No appState saved in the session store for user ${credentials.userID}`);
+      credentials = { appState: normalizeAppState(stored) };
+    }
+
     const { appState, email, password } = credentials;
+    // Before the first request, so an account leaves from the same proxy of a pool every time it logs in.
+    const savedUserID = (appState || []).find((c) => c.key === "c_user")?.value;
+    bindProxyAccount(globalOptions, savedUserID || email);
+    // One device per account: the profile saved at its last login, else a new one, saved once logged in.
+    if (globalOptions.deviceProfile === undefined) {
+      const saved = savedUserID ? await session.store.get(sessionStores.keys.deviceProfile(savedUserID)) : null;
+      globalOptions.deviceProfile = createDeviceProfile(saved || undefined);
+    }
 
     if (appState?.length) {
       appState.forEach((c) => {
@@ -772,15 +956,15 @@ async function loginHelper(credentials, callback) {
         jar.setCookie(str, `http://${c.domain}`);
       });
       mainPromise = utils
-        .get("https://www.facebook.com/", jar, null, state.globalOptions, { noRef: true })
+        .get(`${endpoints.www}/`, jar, null, globalOptions, { noRef: true })
         .then(utils.saveCookies(jar));
     } else if (email && password) {
       mainPromise = utils
-        .get("https://www.facebook.com/", jar, null, state.globalOptions)
+        .get(`${endpoints.www}/`, jar, null, globalOptions)
         .then(utils.saveCookies(jar))
-        .then(makeLogin(jar, { email, password }));
+        .then(makeLogin(jar, { email, password }, globalOptions));
     } else {
-      throw new Error("Unsupported credential type");
+      throw new errors.InvalidArgumentError("Unsupported credential type", { argument: "loginData" });
     }
 
     /**
@@ -797,12 +981,12 @@ async function loginHelper(credentials, callback) {
         if (!dtCheck) return res;
         const fid = dtCheck.split("\\")[0];
         if (!fid) return res;
-        const redirectLink = `https://m.facebook.com/a/preferences.php?basic_site_devices=m_basic&uri=${encodeURIComponent(
+        const redirectLink = `${endpoints.m}/a/preferences.php?basic_site_devices=m_basic&uri=${encodeURIComponent(
           "https://m.facebook.com/home.php"
         )}&gfid=${fid}`;
         logger.info("checkAndFixErr", `Attempting to bypass region error with redirect: ${redirectLink}`);
         return utils
-          .get(redirectLink, jar, null, state.globalOptions)
+          .get(redirectLink, jar, null, globalOptions)
           .then(utils.saveCookies(jar));
       }
       return res;
@@ -820,7 +1004,7 @@ async function loginHelper(credentials, callback) {
       const redirectMatch = reg.exec(res.body);
       if (redirectMatch?.[1]) {
         logger.info("redirect", `Following redirect to: ${redirectMatch[1]}`);
-        return utils.get(redirectMatch[1], jar, null, state.globalOptions);
+        return utils.get(redirectMatch[1], jar, null, globalOptions);
       }
       return res;
     }
@@ -830,36 +1014,36 @@ async function loginHelper(credentials, callback) {
       .then((res) => redirect(res))
       .then((res) => checkAndFixErr(res))
       .then((res) => {
-        if (state.globalOptions.OnAutoLoginProcess) return res;
+        if (globalOptions.OnAutoLoginProcess) return res;
         if (!/MPageLoadClientMetrics/.test(res.body)) {
-          return utils.get("https://www.facebook.com/", jar, null, state.globalOptions, { noRef: true });
+          return utils.get(`${endpoints.www}/`, jar, null, globalOptions, { noRef: true });
         }
         return res;
       })
-      .then((res) => bypassAutoBehavior(res, jar, credentials.appState || []))
-      .then((res) => updateDTSG(res, credentials.appState || [], jar))
+      .then((res) => bypassAutoBehavior(res, jar, credentials.appState || [], session))
+      .then((res) => updateDTSG(res, credentials.appState || [], jar, session.store))
       .then(async (res) => {
-        const url = "https://www.facebook.com/home.php";
-        return utils.get(url, jar, null, state.globalOptions);
+        const url = `${endpoints.www}/home.php`;
+        return utils.get(url, jar, null, globalOptions);
       })
-      .then((res) => redirect(res, state.globalOptions.OnAutoLoginProcess))
-      .then((res) => checkAndFixErr(res, state.globalOptions.OnAutoLoginProcess))
+      .then((res) => redirect(res, globalOptions.OnAutoLoginProcess))
+      .then((res) => checkAndFixErr(res, globalOptions.OnAutoLoginProcess))
       .then(async (res) => {
         const html = res.body;
-        const obj = buildAPI(html, jar);
+        const obj = buildAPI(html, jar, session);
         ctx = obj.ctx;
         api = obj.api;
         return res;
       });
 
-    if (state.globalOptions.pageID) {
+    if (globalOptions.pageID) {
       mainPromise = mainPromise
         .then(() =>
           utils.get(
-            `https://www.facebook.com/${ctx.globalOptions.pageID}/messages/?section=messages&subsection=inbox`,
+            `${ctx.endpoints.www}/${ctx.globalOptions.pageID}/messages/?section=messages&subsection=inbox`,
             ctx.jar,
             null,
-            state.globalOptions
+            globalOptions
           )
         )
         .then((resData) => {
@@ -868,10 +1052,10 @@ async function loginHelper(credentials, callback) {
             .split("\\")
             .join("");
           return utils.get(
-            `https://www.facebook.com${url.substring(0, url.length - 1)}`,
+            `${ctx.endpoints.www}${url.substring(0, url.length - 1)}`,
             ctx.jar,
             null,
-            state.globalOptions
+            globalOptions
           );
         });
     }
@@ -882,6 +1066,14 @@ async function loginHelper(credentials, callback) {
         if (detectLocked) throw detectLocked;
         const detectSuspension = await checkIfSuspended(res, credentials.appState || [], jar);
         if (detectSuspension) throw detectSuspension;
+        try {
+          await ctx.sessionStore.set(sessionStores.keys.appState(ctx.userID), api.getAppState());
+          if (ctx.globalOptions.deviceProfile) {
+            await ctx.sessionStore.set(sessionStores.keys.deviceProfile(ctx.userID), ctx.globalOptions.deviceProfile);
+          }
+        } catch (error) {
+          logger.warn("FCA LOGIN", `Could not save the session to the session store: ${error.message}`);
+        }
         logger.info("FCA LOGIN", `Login successful.`);
         callback(null, api);
       })
@@ -905,26 +1097,12 @@ async function login(loginData, options = {}, callback) {
     options = {};
   }
 
-  state.globalOptions = {
-    selfListen: false,
-    selfListenEvent: false,
-    listenEvents: true,
-    listenTyping: false,
-    updatePresence: false,
-    forceLogin: false,
-    autoMarkDelivery: false,
-    autoMarkRead: true,
-    autoReconnect: true,
-    online: true,
-    emitReady: false,
-    randomUserAgent: false,
-    refresh_dtsg: true,
-  };
-
-  await setOptions(options);
+  const session = createSession();
+  await setOptions(session.globalOptions, options);
 
   let credentials;
   try {
+    session.store = sessionStores.resolveSessionStore(session.globalOptions.sessionStore);
     credentials = normalizeLoginCredentials(loginData);
   } catch (error) {
     if (callback) {
@@ -937,11 +1115,11 @@ async function login(loginData, options = {}, callback) {
   if (callback) {
     const loginBox = async () => {
       try {
-        await loginHelper(credentials, (error, api) => {
+        await loginHelper(credentials, session, (error, api) => {
           if (error) {
-            if (state.behaviorDetected) {
+            if (session.behaviorDetected) {
               logger.warn("login", "Failed after behavior detection, retrying...");
-              state.behaviorDetected = false;
+              session.behaviorDetected = false;
               loginBox();
             } else {
               logger.error("login", error);
@@ -960,11 +1138,27 @@ async function login(loginData, options = {}, callback) {
   }
 
   return new Promise((resolve, reject) => {
-    loginHelper(credentials, (error, api) => {
+    loginHelper(credentials, session, (error, api) => {
       if (error) reject(error);
       else resolve(api);
     });
   });
 }
 
+login.createMemoryStore = sessionStores.createMemoryStore;
+login.createFileStore = sessionStores.createFileStore;
+login.createEncryptedFileStore = sessionStores.createEncryptedFileStore;
+login.createProxyPool = createProxyPool;
+
+// Error classes, for `err instanceof login.NotLoggedInError` checks. Each also has a stable `code`.
+login.FBError = errors.FBError;
+login.NotLoggedInError = errors.NotLoggedInError;
+login.CheckpointError = errors.CheckpointError;
+login.AccountSuspendedError = errors.AccountSuspendedError;
+login.AccountLockedError = errors.AccountLockedError;
+login.RateLimitedError = errors.RateLimitedError;
+login.InvalidArgumentError = errors.InvalidArgumentError;
+login.GraphQLError = errors.GraphQLError;
+login.TransportError = errors.TransportError;
+
 module.exports = login;
\ No newline at end of file
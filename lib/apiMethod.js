@@ -0,0 +1,182 @@
+"use strict";
+
+const utils = require("../utils");
+const { isAttachmentInput } = require("./attachments");
+
+/**
+ * @typedef {Object} Signature
+ * @property {string[]} params - Parameters in positional order, written `"name: type"` or `"name?: type"` when
+ *   optional. Types are `any`, `string`, `number`, `boolean`, `object`, `array`, `function`, `stream`,
+ *   `attachment` (anything `lib/attachments.js` resolves), `id` (string or number) and `ids` (an id or an
+ *   array of ids), joined with `|` when several are accepted.
+ * @property {number | false} [callback] - Where the implementation takes its node-style callback. Defaults to
+ *   after the last parameter; `false` when it returns a promise instead.
+ * @property {Record<string, string>} [aliases] - Extra keys accepted in the options-object form, e.g. `{ replyTo: "replyToMessage" }`.
+ * @property {string} [rest] - Parameter that collects the unknown keys of the options-object form, e.g. `sendMessage`'s `msg`.
+ * @property {boolean} [queued] - Send through the session's send queue (`sendQueue` option).
+ */
+
+const TYPE_CHECKS = {
+  any: () => true,
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !isNaN(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => utils.getType(value) === "Object",
+  array: (value) => Array.isArray(value),
+  function: (value) => typeof value === "function",
+  stream: (value) => utils.isReadableStream(value),
+  attachment: (value) => isAttachmentInput(value),
+  id: (value) => (typeof value === "string" && value !== "") || (typeof value === "number" && isFinite(value)),
+  ids: (value) => TYPE_CHECKS.id(value) || (Array.isArray(value) && value.every(TYPE_CHECKS.id)),
+};
+
+function parseParam(spec) {
+  const match = /^(\w+)(\?)?\s*:\s*(.+)$/.exec(spec);
+  if (!match) throw new TypeError(`Malformed parameter "${spec}"`);
+  const types = match[3].split("|").map((type) => type.trim());
+  types.forEach((type) => {
+    if (!TYPE_CHECKS[type]) throw new TypeError(`Unknown type "${type}" in parameter "${spec}"`);
+  });
+  return { name: match[1], optional: Boolean(match[2]), types };
+}
+
+/**
+ * Gives an API function the common calling convention: it always returns a promise, also calls a
+ * node-style callback when one is passed, checks argument types before anything is sent, and accepts
+ * either positional arguments or one options object, e.g. `sendMessage({ threadID, body, replyTo })`.
+ *
+ * The callback may be passed last or where the implementation historically took it, so
+ * `sendMessage(msg, threadID, callback, replyTo)` and `sendMessage(msg, threadID, replyTo, callback)`
+ * both work. The implementation always receives a callback in its own position.
+ * @param {string} name - Function name, used in error messages.
+ * @param {Function} impl - The implementation from `src/`.
+ * @param {Signature} signature - How the function is called.
+ * @returns {Function}
+ */
+function createMethod(name, impl, signature) {
+  const params = signature.params.map(parseParam);
+  const names = new Set(params.map((param) => param.name));
+  const aliases = signature.aliases || {};
+  const callbackIndex = signature.callback === false ? -1 : signature.callback === undefined ? params.length : signature.callback;
+
+  function isOptionsObject(value) {
+    if (params.length === 0 || utils.getType(value) !== "Object" || utils.isReadableStream(value)) return false;
+    const keys = Object.keys(value)
+      .map((key) => aliases[key] || key)
+      .filter((key) => names.has(key));
+    if (keys.length === 0) return false;
+    // `sendMessage({ body })` is a message, `sendMessage({ body, threadID })` is an options object.
+    const first = params[0];
+    const firstTakesObjects = first.types.includes("object") || first.types.includes("any");
+    return !firstTakesObjects || keys.some((key) => key !== first.name);
+  }
+
+  function fromOptions(options) {
+    const values = {};
+    const rest = {};
+    Object.keys(options).forEach((key) => {
+      const target = aliases[key] || key;
+      if (names.has(target)) {
+        values[target] = options[key];
+      } else {
+        rest[key] = options[key];
+      }
+    });
+    if (signature.rest && values[signature.rest] === undefined && Object.keys(rest).length > 0) {
+      values[signature.rest] = rest;
+    }
+    return params.map((param) => values[param.name]);
+  }
+
+  function validate(args) {
+    for (let i = 0; i < params.length; i++) {
+      const param = params[i];
+      const value = args[i];
+      if (value === undefined || value === null) {
+        if (param.optional) continue;
+        return new utils.InvalidArgumentError(`${name}: ${param.name} is required.`, { argument: param.name });
+      }
+      if (!param.types.some((type) => TYPE_CHECKS[type](value))) {
+        return new utils.InvalidArgumentError(
+          `${name}: ${param.name} should be ${param.types.join(" or ")}, not ${utils.getType(value)}.`,
+          { argument: param.name }
+        );
+      }
+    }
+    return null;
+  }
+
+  const method = function () {
+    let args = Array.prototype.slice.call(arguments);
+    let callback = null;
+
+    if (callbackIndex >= 0 && args.length > callbackIndex) {
+      const slot = args[callbackIndex];
+      if (typeof slot === "function" || slot === undefined || slot === null) {
+        args.splice(callbackIndex, 1);
+        callback = slot || null;
+      }
+    }
+    if (!callback && typeof args[args.length - 1] === "function") {
+      callback = args.pop();
+    }
+
+    if (args.length === 1 && isOptionsObject(args[0])) {
+      args = fromOptions(args[0]);
+    } else {
+      args = params.map((param, i) => args[i]);
+    }
+
+    let resolveFunc = function () {};
+    let rejectFunc = function () {};
+    const returnPromise = new Promise(function (resolve, reject) {
+      resolveFunc = resolve;
+      rejectFunc = reject;
+    });
+    // Callback users may never look at the promise; don't report its rejection as unhandled.
+    if (callback) returnPromise.catch(() => {});
+
+    let settled = false;
+    function done(err, data) {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        rejectFunc(err);
+      } else {
+        resolveFunc(data);
+      }
+      if (callback) {
+        err ? callback(err) : callback(null, data);
+      }
+    }
+
+    const invalid = validate(args);
+    if (invalid) {
+      done(invalid);
+      return returnPromise;
+    }
+
+    if (callbackIndex >= 0) args.splice(callbackIndex, 0, done);
+    try {
+      const result = impl.apply(this, args);
+      if (result && typeof result.then === "function") {
+        result.then(
+          (value) => callbackIndex < 0 && done(null, value),
+          (err) => done(err)
+        );
+      } else if (callbackIndex < 0) {
+        done(null, result);
+      }
+    } catch (err) {
+      done(err);
+    }
+    return returnPromise;
+  };
+
+  Object.defineProperty(method, "name", { value: name });
+  return method;
+}
+
+module.exports = {
+  createMethod,
+};
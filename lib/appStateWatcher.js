@@ -0,0 +1,107 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const log = require("npmlog");
+const { keys } = require("./sessionStore");
+
+/** Cookies that make up the login. Changes to anything else (locale, pixel ratio, ...) are ignored. */
+const SESSION_COOKIES = new Set(["c_user", "i_user", "xs", "fr", "datr", "sb"]);
+const NOTIFY_DELAY = 2000;
+
+/**
+ * Writes the appState to a JSON file without ever leaving a half-written file behind.
+ * @param {string} filePath - Destination file.
+ * @param {any[]} appState - Cookies to write.
+ */
+function writeAppStateFile(filePath, appState) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(appState, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Watches the cookie jar of a session and reports when Facebook rotates its session cookies.
+ * Every cookie reaches the jar through `jar.setCookie` (responses, `saveCookies`,
+ * `parseAndCheckLogin`), so wrapping it is enough to see all of them.
+ * @param {Object} ctx - Session context.
+ * @param {() => any[]} getAppState - Returns the current appState, i.e. `api.getAppState`.
+ * @returns {{ check: () => Promise<void>, stop: () => void }}
+ */
+function watchAppState(ctx, getAppState) {
+  const jar = ctx.jar;
+  const setCookie = jar.setCookie;
+  let timer = null;
+  let stopped = false;
+  let fingerprint = fingerprintOf(getAppState());
+
+  function fingerprintOf(appState) {
+    return appState
+      .filter((c) => SESSION_COOKIES.has(c.key))
+      .map((c) => `${c.key}=${c.value}`)
+      .sort()
+      .join("; ");
+  }
+
+  function cookieName(cookie) {
+    if (typeof cookie === "string") return cookie.split("=")[0].trim();
+    return cookie && cookie.key;
+  }
+
+  /** Compares the jar with the last reported state and notifies if a session cookie changed. */
+  async function check() {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped) return;
+
+    const appState = getAppState();
+    const next = fingerprintOf(appState);
+    if (next === fingerprint) return;
+    fingerprint = next;
+
+    const { onAppStateChange, persistAppState } = ctx.globalOptions;
+    try {
+      if (typeof persistAppState === "string") {
+        writeAppStateFile(persistAppState, appState);
+      } else if (persistAppState) {
+        await ctx.sessionStore.set(keys.appState(ctx.userID), appState);
+      }
+    } catch (err) {
+      log.error("appState", `Could not save appState: ${err.message}`);
+    }
+
+    if (typeof onAppStateChange === "function") {
+      try {
+        await onAppStateChange(appState);
+      } catch (err) {
+        log.error("appState", `onAppStateChange failed: ${err && err.message ? err.message : err}`);
+      }
+    }
+  }
+
+  jar.setCookie = function (cookie) {
+    const result = setCookie.apply(this, arguments);
+    // Rotations arrive as several Set-Cookie headers at once; report them together.
+    if (!stopped && !timer && SESSION_COOKIES.has(cookieName(cookie))) {
+      timer = setTimeout(check, NOTIFY_DELAY);
+    }
+    return result;
+  };
+
+  return {
+    check,
+    /** Stops reporting changes and hands the jar back untouched. */
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      jar.setCookie = setCookie;
+    },
+  };
+}
+
+module.exports = {
+  SESSION_COOKIES,
+  watchAppState,
+};
@@ -0,0 +1,256 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const utils = require("../utils");
+
+/** Largest file Messenger accepts; override with the `maxAttachmentSize` option. */
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".wav": "audio/wav",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".txt": "text/plain",
+};
+
+const EXTENSIONS = Object.keys(MIME_TYPES).reduce((map, ext) => {
+  if (!map[MIME_TYPES[ext]]) map[MIME_TYPES[ext]] = ext;
+  return map;
+}, {});
+
+const GENERIC_TYPE = "application/octet-stream";
+
+/**
+ * Guesses the MIME type from the first bytes of a file.
+ * @param {Buffer} head
+ * @returns {string | null}
+ */
+function sniff(head) {
+  const ascii = (start, end) => head.toString("latin1", start, end);
+  if (head.length < 4) return null;
+  if (head[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+  if (ascii(0, 2) === "BM") return "image/bmp";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (ascii(0, 3) === "ID3" || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "M4A " || brand === "M4B ") return "audio/mp4";
+    if (brand === "qt  ") return "video/quicktime";
+    return "video/mp4";
+  }
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return "video/webm";
+  if (ascii(0, 4) === "%PDF") return "application/pdf";
+  if (ascii(0, 4) === "PK\u0003\u0004") return "application/zip";
+  return null;
+}
+
+function typeFromName(name) {
+  return (name && MIME_TYPES[path.extname(name).toLowerCase()]) || null;
+}
+
+function nameFor(contentType, name) {
+  if (name) return path.basename(name);
+  return "attachment" + (EXTENSIONS[contentType] || "");
+}
+
+function isURL(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+/**
+ * Whether a value can be resolved by `resolveAttachment`.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isAttachmentInput(value) {
+  if (utils.isReadableStream(value) || Buffer.isBuffer(value)) return true;
+  if (typeof value === "string") return value !== "";
+  return utils.getType(value) === "Object" && value.data !== undefined && isAttachmentInput(value.data);
+}
+
+function tooLarge(size, maxSize, argument) {
+  return new utils.InvalidArgumentError(`Attachment is ${size} bytes, more than the ${maxSize} allowed.`, { argument });
+}
+
+function download(url, maxSize, globalOptions) {
+  // Uncompressed, so that content-length is the size of what gets uploaded.
+  const op = { url, headers: { "Accept-Encoding": "identity" }, responseType: "stream", maxRedirects: 5, throwHttpErrors: true };
+  return utils
+    .request(op, globalOptions)
+    .then((res) => {
+      const length = Number(res.headers["content-length"]);
+      if (length > maxSize) {
+        res.body.destroy();
+        throw tooLarge(length, maxSize, "url");
+      }
+
+      let received = 0;
+      const limited = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > maxSize) return callback(tooLarge(received, maxSize, "url"));
+          callback(null, chunk);
+        },
+      });
+      res.body.on("error", (err) => limited.destroy(err));
+      res.body.pipe(limited);
+
+      const contentType = String(res.headers["content-type"] || "").split(";")[0].trim();
+      const name = decodeURIComponent(path.basename(new URL(url).pathname));
+      const part = {
+        value: limited,
+        contentType: contentType && contentType !== GENERIC_TYPE ? contentType : typeFromName(name),
+        filename: name,
+      };
+      if (res.headers["content-length"] !== undefined && length >= 0) {
+        part.knownLength = length;
+        return part;
+      }
+      // Multipart uploads need a length up front; without one, read the (capped) body first.
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        limited.on("data", (chunk) => chunks.push(chunk));
+        limited.on("error", reject);
+        limited.on("end", () => resolve(Object.assign(part, { value: Buffer.concat(chunks) })));
+      });
+    });
+}
+
+function fromPath(file, maxSize) {
+  return fs.promises.stat(file).then(
+    (stat) => {
+      if (!stat.isFile()) throw new utils.InvalidArgumentError(`Attachment ${file} is not a file.`, { argument: "attachment" });
+      if (stat.size > maxSize) throw tooLarge(stat.size, maxSize, "attachment");
+      return fs.promises
+        .open(file, "r")
+        .then((handle) =>
+          handle
+            .read(Buffer.alloc(16), 0, 16, 0)
+            .then(({ buffer, bytesRead }) => sniff(buffer.subarray(0, bytesRead)))
+            .finally(() => handle.close())
+        )
+        .then((sniffed) => ({
+          value: fs.createReadStream(file),
+          contentType: sniffed || typeFromName(file),
+          filename: file,
+          knownLength: stat.size,
+        }));
+    },
+    () => {
+      throw new utils.InvalidArgumentError(`Attachment ${file} is neither a readable file nor an http(s) URL.`, {
+        argument: "attachment",
+      });
+    }
+  );
+}
+
+/**
+ * Turns an attachment input into a part for a multipart upload, with the right filename and MIME type.
+ * Accepts a readable stream, a Buffer, a file path, an http(s) URL (streamed, at most `maxSize` bytes)
+ * or `{ data, filename?, contentType? }` wrapping any of those.
+ * @param {import("stream").Readable | Buffer | string | { data: any, filename?: string, contentType?: string }} input
+ * @param {{ maxSize?: number, globalOptions?: Object }} [options] - `globalOptions` of the session, whose transport and proxy fetch URLs.
+ * @returns {Promise<{ value: import("stream").Readable | Buffer, options: { filename: string, contentType: string, knownLength?: number } }>}
+ */
+function resolveAttachment(input, options = {}) {
+  const maxSize = options.maxSize > 0 ? options.maxSize : DEFAULT_MAX_SIZE;
+  const overrides = {};
+  if (utils.getType(input) === "Object" && !utils.isReadableStream(input)) {
+    overrides.filename = input.filename;
+    overrides.contentType = input.contentType;
+    input = input.data;
+  }
+
+  let resolved;
+  if (Buffer.isBuffer(input)) {
+    resolved = input.length > maxSize
+      ? Promise.reject(tooLarge(input.length, maxSize, "attachment"))
+      : Promise.resolve({ value: input, contentType: sniff(input), knownLength: input.length });
+  } else if (utils.isReadableStream(input)) {
+    // fs streams, http responses and request streams carry their name; anything else is sniffed by Facebook.
+    const name = typeof input.path === "string" ? input.path : null;
+    resolved = Promise.resolve({ value: input, contentType: typeFromName(name), filename: name });
+  } else if (typeof input === "string" && input !== "") {
+    resolved = isURL(input) ? download(input, maxSize, options.globalOptions) : fromPath(input, maxSize);
+  } else {
+    resolved = Promise.reject(
+      new utils.InvalidArgumentError(
+        `Attachment should be a stream, Buffer, file path, URL or { data } object, not ${utils.getType(input)}.`,
+        { argument: "attachment" }
+      )
+    );
+  }
+
+  return resolved.then((part) => {
+    const contentType = overrides.contentType || part.contentType || typeFromName(overrides.filename) || GENERIC_TYPE;
+    const partOptions = { filename: nameFor(contentType, overrides.filename || part.filename), contentType };
+    if (part.knownLength !== undefined) partOptions.knownLength = part.knownLength;
+    return { value: part.value, options: partOptions };
+  });
+}
+
+/**
+ * Reads a resolved attachment into memory, at most `maxSize` bytes.
+ * @param {{ value: import("stream").Readable | Buffer, options: Object }} part - From `resolveAttachment`.
+ * @param {{ maxSize?: number }} [options]
+ * @returns {Promise<Buffer>}
+ */
+function readAttachment(part, options = {}) {
+  if (Buffer.isBuffer(part.value)) return Promise.resolve(part.value);
+  const maxSize = options.maxSize > 0 ? options.maxSize : DEFAULT_MAX_SIZE;
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    part.value.on("data", (chunk) => {
+      received += chunk.length;
+      if (received > maxSize) {
+        part.value.destroy();
+        return reject(tooLarge(received, maxSize, "attachment"));
+      }
+      chunks.push(chunk);
+    });
+    part.value.on("error", reject);
+    part.value.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Resolves one or several attachment inputs with the session's `maxAttachmentSize`.
+ * @param {any | any[]} inputs
+ * @param {Object} ctx - Session context.
+ * @returns {Promise<Array<{ value: any, options: Object }>>}
+ */
+function resolveAttachments(inputs, ctx) {
+  const options = { maxSize: ctx.globalOptions.maxAttachmentSize, globalOptions: ctx.globalOptions };
+  return Promise.all([].concat(inputs).map((input) => resolveAttachment(input, options)));
+}
+
+module.exports = {
+  DEFAULT_MAX_SIZE,
+  isAttachmentInput,
+  readAttachment,
+  resolveAttachment,
+  resolveAttachments,
+  sniff,
+};
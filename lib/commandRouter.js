@@ -0,0 +1,477 @@
+"use strict";
+
+const log = require("npmlog");
+const utils = require("../utils");
+const { keys } = require("./sessionStore");
+
+/**
+ * @typedef {Object} CommandOptions
+ * @property {string | string[]} [prefix] - What a command starts with. Defaults to `/`.
+ * @property {string[]} [owners] - User IDs allowed to run `owner` commands; they pass `admin` checks too.
+ * @property {string | false} [help] - Name of the generated help command, `false` for none. Defaults to `help`.
+ */
+
+/**
+ * @typedef {Object} CommandArgument
+ * @property {string} name
+ * @property {"string" | "number" | "integer" | "boolean" | "user" | "rest"} [type] - `user` takes a mention or a user ID,
+ *   `rest` the remaining text. Defaults to `string`.
+ * @property {boolean} [optional]
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {Object} api - The session API.
+ * @property {Object} event - The `message` or `message_reply` event that ran the command.
+ * @property {Record<string, any>} args - Parsed arguments by name; missing optional ones are undefined.
+ * @property {string} text - Everything after the command name.
+ * @property {string} prefix - The prefix that was used.
+ * @property {string} name - The name or alias that was used.
+ * @property {(msg: string | Object) => Promise<Object>} reply - Sends a reply to the command's message.
+ */
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name
+ * @property {string[]} [aliases]
+ * @property {string} [description]
+ * @property {CommandArgument[]} [args]
+ * @property {number} [cooldown] - Ms a user waits between two runs of the command.
+ * @property {"everyone" | "admin" | "owner"} [permission] - `admin` means a thread admin or an owner. Defaults to `everyone`.
+ * @property {(context: CommandContext) => any} run - What it returns (or resolves to), if anything, is sent as the reply.
+ */
+
+const DEFAULTS = Object.freeze({ prefix: "/", owners: [], help: "help" });
+const ARG_TYPES = ["string", "number", "integer", "boolean", "user", "rest"];
+const PERMISSIONS = ["everyone", "admin", "owner"];
+const TRUE = /^(true|yes|on|1)$/i;
+const FALSE = /^(false|no|off|0)$/i;
+/** Cooldowns kept before ended ones are swept. */
+const COOLDOWN_SWEEP_AT = 1000;
+
+function invalid(message, argument) {
+  return new utils.InvalidArgumentError(`commands: ${message}`, { argument });
+}
+
+/**
+ * Reads the `commands` option.
+ * @param {CommandOptions} [value] - Value of `globalOptions.commands`.
+ * @returns {{ prefixes: string[], owners: Set<string>, help: string | null }}
+ */
+function resolveOptions(value) {
+  const options = Object.assign({}, DEFAULTS, utils.getType(value) === "Object" ? value : {});
+  const prefixes = [].concat(options.prefix).filter((prefix) => typeof prefix === "string" && prefix !== "");
+  return {
+    // Longest first, so "!!" wins over "!".
+    prefixes: (prefixes.length ? prefixes : [DEFAULTS.prefix]).sort((a, b) => b.length - a.length),
+    owners: new Set([].concat(options.owners || []).map(String)),
+    help: options.help ? String(options.help).toLowerCase() : null,
+  };
+}
+
+function checkName(name, argument) {
+  if (typeof name !== "string" || !/^\S+$/.test(name)) throw invalid(`${argument} should be a word without spaces.`, argument);
+  return name.toLowerCase();
+}
+
+/**
+ * Checks a command definition and fills in the defaults.
+ * @param {CommandDefinition} definition
+ * @returns {Required<CommandDefinition>}
+ */
+function toCommand(definition) {
+  if (utils.getType(definition) !== "Object") throw invalid("a command should be an object.", "command");
+  if (typeof definition.run !== "function") throw invalid("a command needs a run function.", "run");
+  const permission = definition.permission || "everyone";
+  if (!PERMISSIONS.includes(permission)) throw invalid(`permission should be one of ${PERMISSIONS.join(", ")}.`, "permission");
+  const cooldown = definition.cooldown === undefined ? 0 : Number(definition.cooldown);
+  if (!(cooldown >= 0)) throw invalid("cooldown should be a number of ms.", "cooldown");
+
+  const args = (definition.args || []).map((arg, i, all) => {
+    if (utils.getType(arg) !== "Object") throw invalid("each argument should be an object.", "args");
+    const type = arg.type || "string";
+    if (!ARG_TYPES.includes(type)) throw invalid(`argument types are ${ARG_TYPES.join(", ")}.`, "args");
+    if (type === "rest" && i !== all.length - 1) throw invalid("only the last argument can take the rest of the text.", "args");
+    return { name: checkName(arg.name, "args"), type, optional: !!arg.optional, description: arg.description || "" };
+  });
+
+  return {
+    name: checkName(definition.name, "name"),
+    aliases: [].concat(definition.aliases || []).map((alias) => checkName(alias, "aliases")),
+    description: definition.description || "",
+    args,
+    cooldown,
+    permission,
+    run: definition.run,
+  };
+}
+
+/**
+ * How to call a command, e.g. `/kick <user> [reason...]`.
+ * @param {Object} command
+ * @param {string} prefix
+ * @returns {string}
+ */
+function usage(command, prefix) {
+  const args = command.args.map((arg) => {
+    const label = arg.type === "rest" ? `${arg.name}...` : arg.name;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+  });
+  return [prefix + command.name].concat(args).join(" ");
+}
+
+/**
+ * Reads the arguments of a command from the text after its name. A `user` argument takes a mention
+ * of the message (all of its words) or a user ID.
+ * @param {Object} command
+ * @param {string} text
+ * @param {Record<string, string>} mentions - The event's mentions, ID to text.
+ * @returns {Record<string, any>}
+ * @throws {Error} With a message for the user when an argument is missing or malformed.
+ */
+function parseArgs(command, text, mentions) {
+  const args = {};
+  let rest = text;
+  command.args.forEach((arg) => {
+    rest = rest.replace(/^\s+/, "");
+    if (rest === "") {
+      if (!arg.optional) throw new Error(`${arg.name} is missing.`);
+      return;
+    }
+    if (arg.type === "rest") {
+      args[arg.name] = rest.trim();
+      rest = "";
+      return;
+    }
+    if (arg.type === "user") {
+      const mentioned = Object.keys(mentions || {}).find((id) => mentions[id] && rest.startsWith(mentions[id]));
+      if (mentioned) {
+        args[arg.name] = mentioned;
+        rest = rest.slice(mentions[mentioned].length);
+        return;
+      }
+    }
+    const word = /^\S+/.exec(rest)[0];
+    rest = rest.slice(word.length);
+    switch (arg.type) {
+      case "number":
+      case "integer": {
+        const value = Number(word);
+        if (!isFinite(value) || (arg.type === "integer" && !Number.isInteger(value))) {
+          throw new Error(`${arg.name} should be ${arg.type === "integer" ? "a whole number" : "a number"}.`);
+        }
+        args[arg.name] = value;
+        break;
+      }
+      case "boolean":
+        if (!TRUE.test(word) && !FALSE.test(word)) throw new Error(`${arg.name} should be yes or no.`);
+        args[arg.name] = TRUE.test(word);
+        break;
+      case "user":
+        if (!/^\d+$/.test(word)) throw new Error(`${arg.name} should be a mention or a user ID.`);
+        args[arg.name] = word;
+        break;
+      default:
+        args[arg.name] = word;
+    }
+  });
+  return args;
+}
+
+/**
+ * Creates the command router of a session. The listener hands it every `message` and
+ * `message_reply`; one that starts with a prefix and a known command name runs that command, unless
+ * the command is disabled in the thread, the sender lacks its permission or is cooling down.
+ * Threads a command is disabled in are kept in the session store under `commands:<userID>`.
+ * Failures of a command are logged and reported to the listener as a `command_error` event.
+ * @param {Object} ctx - Session context; the options are read from `ctx.globalOptions.commands` on every message.
+ * @param {Object} api - The session API.
+ */
+function createCommandRouter(ctx, api) {
+  /** @type {Map<string, Object>} */
+  const commands = new Map();
+  /** @type {Map<string, string>} Alias to command name. */
+  const aliases = new Map();
+  /** @type {Map<string, Set<string>>} Thread ID to the commands disabled in it. */
+  const disabled = new Map();
+  /** @type {Map<string, number>} `<command>:<userID>` to when its cooldown ends. Ended ones are dropped. */
+  const cooldowns = new Map();
+  let ready = Promise.resolve();
+  let saving = Promise.resolve();
+
+  function save() {
+    const snapshot = {};
+    disabled.forEach((names, threadID) => {
+      if (names.size) snapshot[threadID] = Array.from(names);
+    });
+    saving = saving
+      .then(() => ctx.sessionStore.set(keys.commands(ctx.userID), snapshot))
+      .catch((err) => log.error("commands", `Could not save disabled commands: ${err.message || err}`));
+    return saving;
+  }
+
+  function emit(event) {
+    if (typeof ctx.dispatchEvent === "function") ctx.dispatchEvent(event);
+  }
+
+  /** Ms left on a cooldown, 0 once it ended. */
+  function cooldownLeft(runKey) {
+    const left = (cooldowns.get(runKey) || 0) - Date.now();
+    if (left > 0) return left;
+    cooldowns.delete(runKey);
+    return 0;
+  }
+
+  function startCooldown(runKey, ms) {
+    // Users who never run the command again would otherwise stay in the map for good.
+    if (cooldowns.size >= COOLDOWN_SWEEP_AT) {
+      const now = Date.now();
+      cooldowns.forEach((endsAt, key) => {
+        if (endsAt <= now) cooldowns.delete(key);
+      });
+    }
+    cooldowns.set(runKey, Date.now() + ms);
+  }
+
+  function helpCommand(options) {
+    return {
+      name: options.help,
+      aliases: [],
+      description: "Lists the commands, or explains one.",
+      args: [{ name: "command", type: "string", optional: true, description: "" }],
+      cooldown: 0,
+      permission: "everyone",
+      run: ({ args, event, prefix }) => help(event.threadID, args.command, prefix),
+    };
+  }
+
+  function lookup(name, options) {
+    const command = commands.get(name) || commands.get(aliases.get(name));
+    if (command) return command;
+    return options && options.help === name ? helpCommand(options) : null;
+  }
+
+  function canonical(name) {
+    const lower = checkName(name, "name");
+    return aliases.get(lower) || lower;
+  }
+
+  /**
+   * Reads the threads commands were disabled in by an earlier run of this account.
+   * @returns {Promise<void>}
+   */
+  function load() {
+    ready = Promise.resolve(ctx.sessionStore.get(keys.commands(ctx.userID)))
+      .then((saved) => {
+        Object.keys(saved || {}).forEach((threadID) => {
+          const names = disabled.get(threadID) || new Set();
+          [].concat(saved[threadID]).forEach((name) => names.add(name));
+          disabled.set(threadID, names);
+        });
+      })
+      .catch((err) => log.error("commands", `Could not load disabled commands: ${err.message || err}`));
+    return ready;
+  }
+
+  /**
+   * Registers a command, replacing one of the same name.
+   * @param {CommandDefinition} definition
+   * @returns {Object} The router, so calls chain.
+   * @throws {utils.InvalidArgumentError} When the definition is malformed or an alias is taken.
+   */
+  function add(definition) {
+    const command = toCommand(definition);
+    command.aliases.forEach((alias) => {
+      const owner = commands.has(alias) ? alias : aliases.get(alias);
+      if (owner && owner !== command.name) throw invalid(`${alias} is already used by ${owner}.`, "aliases");
+    });
+    remove(command.name);
+    commands.set(command.name, command);
+    command.aliases.forEach((alias) => aliases.set(alias, command.name));
+    return router;
+  }
+
+  /**
+   * @param {string} name - Name or alias.
+   * @returns {boolean} Whether a command was removed.
+   */
+  function remove(name) {
+    const command = commands.get(canonical(name));
+    if (!command) return false;
+    commands.delete(command.name);
+    command.aliases.forEach((alias) => aliases.delete(alias));
+    return true;
+  }
+
+  /**
+   * @returns {Array<{ name: string, aliases: string[], description: string, usage: string, permission: string, cooldown: number }>}
+   */
+  function list() {
+    const prefix = resolveOptions(ctx.globalOptions.commands).prefixes[0];
+    return Array.from(commands.values()).map((command) => ({
+      name: command.name,
+      aliases: command.aliases.slice(),
+      description: command.description,
+      usage: usage(command, prefix),
+      permission: command.permission,
+      cooldown: command.cooldown,
+    }));
+  }
+
+  /**
+   * Turns a command off in one thread. Its messages there are then passed on like any other.
+   * @param {string} name - Name or alias; commands registered later count too.
+   * @param {string} threadID
+   * @returns {Promise<void>}
+   */
+  function disable(name, threadID) {
+    const command = canonical(name);
+    return ready.then(() => {
+      const names = disabled.get(String(threadID)) || new Set();
+      names.add(command);
+      disabled.set(String(threadID), names);
+      return save();
+    });
+  }
+
+  /**
+   * Turns a command back on in a thread.
+   * @param {string} name - Name or alias.
+   * @param {string} threadID
+   * @returns {Promise<void>}
+   */
+  function enable(name, threadID) {
+    const command = canonical(name);
+    return ready.then(() => {
+      const names = disabled.get(String(threadID));
+      if (!names || !names.delete(command)) return;
+      if (!names.size) disabled.delete(String(threadID));
+      return save();
+    });
+  }
+
+  /**
+   * @param {string} name - Name or alias.
+   * @param {string} threadID
+   * @returns {boolean}
+   */
+  function isEnabled(name, threadID) {
+    const names = disabled.get(String(threadID));
+    return !names || !names.has(canonical(name));
+  }
+
+  /**
+   * The generated help: every command enabled in the thread, or the details of one.
+   * @param {string} [threadID]
+   * @param {string} [name] - Only explain this command.
+   * @param {string} [prefix] - Prefix to show; the first configured one by default.
+   * @returns {string}
+   */
+  function help(threadID, name, prefix) {
+    const options = resolveOptions(ctx.globalOptions.commands);
+    prefix = prefix || options.prefixes[0];
+    const visible = (command) => threadID === undefined || threadID === null || isEnabled(command.name, threadID);
+
+    if (name) {
+      const wanted = name.toLowerCase();
+      const command = lookup(wanted.startsWith(prefix) ? wanted.slice(prefix.length) : wanted, options);
+      if (!command || !visible(command)) return `There is no ${prefix}${name} command.`;
+      const lines = [usage(command, prefix)];
+      if (command.description) lines.push(command.description);
+      command.args.filter((arg) => arg.description).forEach((arg) => lines.push(`  ${arg.name}: ${arg.description}`));
+      if (command.aliases.length) lines.push(`Aliases: ${command.aliases.map((alias) => prefix + alias).join(", ")}`);
+      if (command.permission !== "everyone") lines.push(`Only for ${command.permission === "admin" ? "thread admins" : "the bot owners"}.`);
+      if (command.cooldown) lines.push(`Cooldown: ${Math.ceil(command.cooldown / 1000)}s`);
+      return lines.join("\n");
+    }
+
+    const shown = Array.from(commands.values()).filter(visible);
+    const lines = ["Commands:"].concat(
+      shown.map((command) => {
+        const limit = command.permission === "everyone" ? "" : ` (${command.permission})`;
+        return `${usage(command, prefix)}${limit}${command.description ? ` - ${command.description}` : ""}`;
+      })
+    );
+    if (options.help && !commands.has(options.help)) lines.push(`${prefix}${options.help} <command> explains one of them.`);
+    return lines.join("\n");
+  }
+
+  function isAllowed(command, event, options) {
+    const senderID = String(event.senderID);
+    if (command.permission === "everyone" || options.owners.has(senderID)) return Promise.resolve(true);
+    if (command.permission === "owner") return Promise.resolve(false);
+    return api.getThreadInfo(event.threadID).then(
+      (info) => (info.adminIDs || []).some((admin) => String(admin.id || admin) === senderID),
+      (err) => {
+        log.error("commands", `Could not read the admins of ${event.threadID}: ${err.message || err}`);
+        return false;
+      }
+    );
+  }
+
+  /**
+   * Runs the command a message calls, if any. Never rejects; failures go to the listener.
+   * @param {Object} event - Any listener event; only `message` and `message_reply` are looked at.
+   * @returns {Promise<boolean>} Whether the message called a command.
+   */
+  function handle(event) {
+    if (!event || (event.type !== "message" && event.type !== "message_reply")) return Promise.resolve(false);
+    // The bot's own replies never run commands, so a reply that starts with a prefix cannot loop.
+    if (!commands.size || String(event.senderID) === String(ctx.userID)) return Promise.resolve(false);
+
+    const options = resolveOptions(ctx.globalOptions.commands);
+    const body = (event.body || "").trim();
+    const prefix = options.prefixes.find((candidate) => body.startsWith(candidate));
+    if (prefix === undefined) return Promise.resolve(false);
+    const called = /^\S+/.exec(body.slice(prefix.length));
+    const command = called && lookup(called[0].toLowerCase(), options);
+    if (!command) return Promise.resolve(false);
+
+    const text = body.slice(prefix.length + called[0].length).trim();
+    const reply = (msg) => api.sendMessage(msg, event.threadID, null, event.messageID);
+    const fail = (err) => {
+      log.error("commands", err);
+      emit({ type: "command_error", command: command.name, threadID: event.threadID, messageID: event.messageID, senderID: event.senderID, error: err });
+    };
+
+    return ready
+      .then(() => {
+        if (!isEnabled(command.name, event.threadID)) return false;
+        return isAllowed(command, event, options).then((allowed) => {
+          if (!allowed) return reply(`${prefix}${command.name} is not available to you here.`).then(() => true);
+
+          const runKey = `${command.name}:${event.senderID}`;
+          const wait = cooldownLeft(runKey);
+          if (wait > 0) {
+            return reply(`Wait ${Math.ceil(wait / 1000)}s before using ${prefix}${command.name} again.`).then(() => true);
+          }
+
+          let args;
+          try {
+            args = parseArgs(command, text, event.mentions);
+          } catch (err) {
+            return reply(`${err.message}\nUsage: ${usage(command, prefix)}`).then(() => true);
+          }
+          if (command.cooldown) startCooldown(runKey, command.cooldown);
+          return Promise.resolve()
+            .then(() => command.run({ api, event, args, text, prefix, name: called[0].toLowerCase(), reply }))
+            .then((result) => (result === undefined || result === null || result === "" ? null : reply(result)))
+            .then(() => true);
+        });
+      })
+      .catch((err) => {
+        fail(err);
+        return true;
+      });
+  }
+
+  const router = { add, remove, list, enable, disable, isEnabled, help, handle, load };
+  return router;
+}
+
+module.exports = {
+  resolveOptions,
+  parseArgs,
+  createCommandRouter,
+};
@@ -0,0 +1,134 @@
+"use strict";
+
+const log = require("npmlog");
+
+/** @typedef {"connecting" | "syncing" | "live" | "backoff" | "stopped"} ConnectionState */
+
+const STATES = {
+  CONNECTING: "connecting",
+  SYNCING: "syncing",
+  LIVE: "live",
+  BACKOFF: "backoff",
+  STOPPED: "stopped",
+};
+
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60000;
+
+/**
+ * Exponential backoff with jitter: the delay doubles on every attempt up to `maxDelay`,
+ * and a random half of it is dropped so several sessions don't reconnect in lockstep.
+ * @param {number} attempt - 1-based reconnect attempt.
+ * @param {number} [baseDelay] - Delay of the first attempt, in ms.
+ * @param {number} [maxDelay] - Upper bound, in ms.
+ * @returns {number} Delay in ms.
+ */
+function computeBackoff(attempt, baseDelay = DEFAULT_BASE_DELAY, maxDelay = DEFAULT_MAX_DELAY) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
+
+/**
+ * Owns the lifecycle of a single MQTT connection. Only one client exists at a time: every
+ * drop tears the current client down before a new one is scheduled.
+ * @param {{ emitter: import("events").EventEmitter, connect: () => void, teardown: (done?: () => void) => void, shouldReconnect: () => boolean, onGiveUp?: (reason: any) => void, baseDelay?: number, maxDelay?: number }} hooks
+ * - `connect` starts a new attempt, `teardown` ends the current client without side effects: at once,
+ * or gracefully when given `done`, which it calls once the client has closed.
+ * @returns {{ start: () => void, syncing: () => void, live: () => void, drop: (reason: any) => void, stop: (reason?: any, done?: () => void) => void, getState: () => ConnectionState, isCurrent: (generation: number) => boolean, generation: () => number }}
+ */
+function createConnectionManager(hooks) {
+  let state = STATES.STOPPED;
+  let attempt = 0;
+  let generation = 0;
+  let timer = null;
+  let reconnecting = false;
+
+  function setState(next, info) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    hooks.emitter.emit("state", Object.assign({ state: next, previous }, info));
+  }
+
+  /** Starts a connection attempt. */
+  function start() {
+    clearTimeout(timer);
+    timer = null;
+    generation++;
+    setState(STATES.CONNECTING, { attempt });
+    hooks.connect();
+  }
+
+  /** The transport is up and the sync queue was requested. */
+  function syncing() {
+    if (state === STATES.CONNECTING) setState(STATES.SYNCING);
+  }
+
+  /** The first `/t_ms` arrived: the connection is usable. */
+  function live() {
+    if (state !== STATES.SYNCING && state !== STATES.CONNECTING) return;
+    setState(STATES.LIVE);
+    if (reconnecting) {
+      hooks.emitter.emit("reconnected", { attempts: attempt });
+      log.info("listenMqtt", `Reconnected after ${attempt} attempt(s).`);
+    }
+    reconnecting = false;
+    attempt = 0;
+  }
+
+  /**
+   * Reports that the current connection is gone. Extra reports for the same drop are ignored.
+   * @param {any} reason - Error or description of the drop.
+   */
+  function drop(reason) {
+    if (state === STATES.BACKOFF || state === STATES.STOPPED) return;
+    hooks.teardown();
+
+    if (!hooks.shouldReconnect()) {
+      stop(reason);
+      if (hooks.onGiveUp) hooks.onGiveUp(reason);
+      return;
+    }
+
+    attempt++;
+    reconnecting = true;
+    const delay = computeBackoff(attempt, hooks.baseDelay, hooks.maxDelay);
+    setState(STATES.BACKOFF, { attempt, delay });
+    hooks.emitter.emit("reconnecting", { attempt, delay, reason });
+    log.warn("listenMqtt", `Connection lost (${reason && reason.message ? reason.message : reason}), reconnecting in ${delay}ms...`);
+    timer = setTimeout(start, delay);
+  }
+
+  /**
+   * Stops for good: no further reconnects are scheduled.
+   * @param {any} [reason] - Why the connection was stopped.
+   * @param {() => void} [done] - Closes the client gracefully and is called once it has closed.
+   */
+  function stop(reason, done) {
+    clearTimeout(timer);
+    timer = null;
+    generation++;
+    if (state !== STATES.STOPPED) hooks.teardown(done);
+    else if (done) done();
+    reconnecting = false;
+    attempt = 0;
+    setState(STATES.STOPPED, reason ? { reason } : undefined);
+  }
+
+  return {
+    start,
+    syncing,
+    live,
+    drop,
+    stop,
+    getState: () => state,
+    generation: () => generation,
+    isCurrent: (gen) => gen === generation && state !== STATES.STOPPED,
+  };
+}
+
+module.exports = {
+  STATES,
+  computeBackoff,
+  createConnectionManager,
+};
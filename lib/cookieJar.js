@@ -0,0 +1,35 @@
+"use strict";
+
+const { CookieJar } = require("tough-cookie");
+
+/**
+ * @typedef {Object} Jar
+ * @property {(cookie: string | import("tough-cookie").Cookie, url: string, options?: Object) => void} setCookie - Stores a cookie for a URL; throws on a malformed one unless `options.ignoreError` is set.
+ * @property {(url: string) => string} getCookieString - The `Cookie` header to send to a URL.
+ * @property {(url: string) => import("tough-cookie").Cookie[]} getCookies - The cookies sent to a URL.
+ */
+
+/**
+ * Creates the cookie jar of a session, with the methods the rest of the library calls on it.
+ * Cookies are parsed loosely, as browsers do, so `key=value` strings without attributes are kept.
+ * @returns {Jar}
+ */
+function createCookieJar() {
+  const jar = new CookieJar(undefined, { looseMode: true });
+  return {
+    setCookie(cookie, url, options) {
+      return jar.setCookieSync(cookie, url, options || {});
+    },
+    getCookieString(url) {
+      return jar.getCookieStringSync(url);
+    },
+    getCookies(url) {
+      return jar.getCookiesSync(url);
+    },
+    _jar: jar,
+  };
+}
+
+module.exports = {
+  createCookieJar,
+};
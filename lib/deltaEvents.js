@@ -0,0 +1,148 @@
+"use strict";
+
+const utils = require("../utils");
+
+/**
+ * Formatters for the `/t_ms` delta classes `parseDelta` has no dedicated branch for. Each returns
+ * the events a delta stands for; deltas about several threads give one event per thread.
+ *
+ * | class                | event                                                                  |
+ * | -------------------- | ---------------------------------------------------------------------- |
+ * | `MarkRead`           | `read` `{ threadID, time }`                                            |
+ * | `MarkUnread`         | `unread` `{ threadID, time }`                                          |
+ * | `DeliveryReceipt`    | `delivery_receipt` `{ threadID, userID, messageIDs, time }`            |
+ * | `ThreadMuteSettings` | `thread_mute` `{ threadID, muted, mutedUntil }` (`-1` = until unmuted)  |
+ * | `ThreadDelete`       | `thread_delete` `{ threadID }`                                         |
+ * | `ThreadFolder`       | `thread_folder` `{ threadID, folder }`                                 |
+ * | `ApprovalQueue`      | `approval_queue` `{ threadID, action, userID, requesterID, timestamp }` |
+ */
+
+function threadIDOf(threadKey) {
+  if (!threadKey) return null;
+  const id = threadKey.threadFbId || threadKey.otherUserFbId;
+  return id === undefined || id === null ? null : utils.formatID(id.toString());
+}
+
+function toNumber(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+const FORMATTERS = {
+  MarkRead: (delta) =>
+    (delta.threadKeys || []).map((threadKey) => ({
+      type: "read",
+      threadID: threadIDOf(threadKey),
+      time: toNumber(delta.actionTimestampMs || delta.actionTimestamp),
+    })),
+
+  MarkUnread: (delta) =>
+    (delta.threadKeys || []).map((threadKey) => ({
+      type: "unread",
+      threadID: threadIDOf(threadKey),
+      time: toNumber(delta.actionTimestampMs || delta.actionTimestamp),
+    })),
+
+  DeliveryReceipt: (delta) => [
+    {
+      type: "delivery_receipt",
+      threadID: threadIDOf(delta.threadKey),
+      // In a 1-1 chat the other user is both the thread and whoever got the message.
+      userID: String(delta.actorFbId || delta.threadKey.otherUserFbId),
+      messageIDs: delta.messageIds || [],
+      time: toNumber(delta.deliveredWatermarkTimestampMs),
+    },
+  ],
+
+  ThreadMuteSettings: (delta) => {
+    const mutedUntil = toNumber(delta.expireTime) || 0;
+    return [{ type: "thread_mute", threadID: threadIDOf(delta.threadKey), muted: mutedUntil !== 0, mutedUntil }];
+  },
+
+  ThreadDelete: (delta) =>
+    (delta.threadKeys || []).map((threadKey) => ({ type: "thread_delete", threadID: threadIDOf(threadKey) })),
+
+  ThreadFolder: (delta) => [{ type: "thread_folder", threadID: threadIDOf(delta.threadKey), folder: delta.folder }],
+
+  ApprovalQueue: (delta) => [
+    {
+      type: "approval_queue",
+      threadID: threadIDOf(delta.messageMetadata.threadKey),
+      action: delta.action,
+      userID: String(delta.recipientFbId),
+      requesterID: String(delta.messageMetadata.actorFbId),
+      requestSource: delta.requestSource,
+      timestamp: toNumber(delta.messageMetadata.timestamp),
+    },
+  ],
+};
+
+/**
+ * Formats a delta `parseDelta` does not handle itself.
+ * @param {Object} delta - One entry of a `/t_ms` `deltas` array.
+ * @returns {Object[] | null} The events, or null when the class is unknown.
+ */
+function formatDelta(delta) {
+  const format = FORMATTERS[delta.class];
+  return format ? format(delta) : null;
+}
+
+/**
+ * Formats a `ClientPayload` sub-delta other than reactions, unsends and replies. Thread changes
+ * (nickname, theme, ...) come in the same shape as an `AdminTextMessage` and become `event`s;
+ * edits become the same `message_edit` an `/ls_resp` `editMessage` update gives.
+ * @param {Object} delta - One entry of the decoded client payload's `deltas`, e.g. `{ deltaChangeViewerStatus: {...} }`.
+ * @returns {Object[] | null} The events, or null when the sub-delta is unknown.
+ */
+function formatClientPayloadDelta(delta) {
+  const key = Object.keys(delta)[0];
+  const body = delta[key];
+  if (!body || typeof body !== "object") return null;
+
+  if (key === "deltaChangeViewerStatus") {
+    return [
+      {
+        type: "change_viewer_status",
+        threadID: threadIDOf(body.threadKey),
+        actorID: String(body.actorFbid || body.actorFbId),
+        canReply: body.canViewerReply,
+        reason: body.reason,
+      },
+    ];
+  }
+  if (key === "deltaMessageEdit") {
+    return [
+      {
+        type: "message_edit",
+        threadID: threadIDOf(body.threadKey),
+        messageID: body.messageID || body.messageId,
+        senderID: body.senderID ? String(body.senderID) : null,
+        oldBody: null,
+        newBody: body.text || "",
+        editCount: Number(body.editCount) || 1,
+        timestamp: toNumber(body.timestamp) || Date.now(),
+      },
+    ];
+  }
+  if (body.messageMetadata && body.type && body.untypedData) {
+    return [utils.formatDeltaEvent(Object.assign({}, body, { class: "AdminTextMessage" }))];
+  }
+  return null;
+}
+
+/**
+ * Wraps a delta nothing formats, so it still reaches the listener.
+ * @param {Object} delta
+ * @param {string} [key] - Sub-delta key, for `ClientPayload` deltas.
+ * @returns {{ type: "raw_delta", class: string, key?: string, delta: Object }}
+ */
+function rawDelta(delta, key) {
+  const event = { type: "raw_delta", class: key ? "ClientPayload" : delta.class, delta };
+  if (key) event.key = key;
+  return event;
+}
+
+module.exports = {
+  formatDelta,
+  formatClientPayloadDelta,
+  rawDelta,
+};
@@ -0,0 +1,205 @@
+"use strict";
+
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * @typedef {Object} ScreenProfile
+ * @property {number} width
+ * @property {number} height
+ * @property {number} availWidth - Without the taskbar or menu bar.
+ * @property {number} availHeight
+ * @property {number} colorDepth
+ * @property {number} pixelRatio
+ */
+
+/**
+ * What a session looks like to Facebook: one browser on one machine. Generated once per account and saved
+ * with the session, so it is the same at every login, on every HTTP request, in the login form and on MQTT.
+ * @typedef {Object} DeviceProfile
+ * @property {string} userAgent
+ * @property {Record<string, string> | null} clientHints - `sec-ch-ua*` headers; null for browsers that send none.
+ * @property {string} platform - `Windows`, `macOS` or `Linux`.
+ * @property {string} browser - `Chrome`, `Edge`, `Firefox` or `Safari`.
+ * @property {ScreenProfile} screen
+ * @property {string} locale - Facebook locale, e.g. `en_US`.
+ * @property {string} acceptLanguage - `Accept-Language` header.
+ * @property {string} timezone - IANA time zone, e.g. `Asia/Manila`.
+ */
+
+// Desktop only: www.facebook.com sends mobile browsers elsewhere.
+const TEMPLATES = [
+  { platform: "Windows", browser: "Chrome", weight: 5 },
+  { platform: "Windows", browser: "Edge", weight: 2 },
+  { platform: "Windows", browser: "Firefox", weight: 1 },
+  { platform: "macOS", browser: "Chrome", weight: 2 },
+  { platform: "macOS", browser: "Safari", weight: 2 },
+  { platform: "Linux", browser: "Chrome", weight: 1 },
+];
+const SCREENS = {
+  Windows: { sizes: [[1920, 1080], [1366, 768], [1536, 864], [2560, 1440], [1600, 900]], bar: [0, 40], pixelRatios: [1, 1.25, 1.5] },
+  macOS: { sizes: [[1440, 900], [1512, 982], [1728, 1117], [1680, 1050], [1920, 1080]], bar: [0, 25], pixelRatios: [2] },
+  Linux: { sizes: [[1920, 1080], [1366, 768], [2560, 1440]], bar: [0, 27], pixelRatios: [1] },
+};
+const OS_TOKENS = {
+  Windows: "Windows NT 10.0; Win64; x64",
+  macOS: "Macintosh; Intel Mac OS X 10_15_7",
+  Linux: "X11; Linux x86_64",
+};
+const CHROME_VERSIONS = [128, 129, 130, 131];
+const FIREFOX_VERSIONS = [130, 131, 132];
+const SAFARI_VERSIONS = ["17.6", "18.0", "18.1"];
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function pickTemplate() {
+  let roll = Math.random() * TEMPLATES.reduce((sum, template) => sum + template.weight, 0);
+  return TEMPLATES.find((template) => (roll -= template.weight) < 0) || TEMPLATES[0];
+}
+
+function browserIdentity(platform, browser) {
+  const os = OS_TOKENS[platform];
+  if (browser === "Firefox") {
+    const version = pick(FIREFOX_VERSIONS);
+    return { userAgent: `Mozilla/5.0 (${os}; rv:${version}.0) Gecko/20100101 Firefox/${version}.0`, clientHints: null };
+  }
+  if (browser === "Safari") {
+    const version = pick(SAFARI_VERSIONS);
+    return {
+      userAgent: `Mozilla/5.0 (${os}) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Safari/605.1.15`,
+      clientHints: null,
+    };
+  }
+  const major = pick(CHROME_VERSIONS);
+  const brand = browser === "Edge" ? "Microsoft Edge" : "Google Chrome";
+  return {
+    userAgent: `Mozilla/5.0 (${os}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36${
+      browser === "Edge" ? ` Edg/${major}.0.0.0` : ""
+    }`,
+    clientHints: {
+      "sec-ch-ua": `"Chromium";v="${major}", "${brand}";v="${major}", "Not?A_Brand";v="99"`,
+      "sec-ch-ua-mobile": "?0",
+      "sec-ch-ua-platform": `"${platform}"`,
+    },
+  };
+}
+
+function randomScreen(platform) {
+  const { sizes, bar, pixelRatios } = SCREENS[platform] || SCREENS.Windows;
+  const [width, height] = pick(sizes);
+  return { width, height, availWidth: width, availHeight: height - pick(bar), colorDepth: 24, pixelRatio: pick(pixelRatios) };
+}
+
+function hostTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch (e) {
+    return "UTC";
+  }
+}
+
+// `en_US` -> `en-US,en;q=0.9`
+function acceptLanguageFor(locale) {
+  const [language, region] = String(locale).split(/[_-]/);
+  return region ? `${language}-${region.toUpperCase()},${language};q=0.9` : language;
+}
+
+/**
+ * Minutes to add to the profile's local time to get UTC, as `Date#getTimezoneOffset` gives them
+ * (-480 for Asia/Manila). This is what Facebook's login form sends as `timezone`.
+ * @param {string} timezone
+ * @param {Date} [date]
+ * @returns {number}
+ */
+function timezoneOffset(timezone, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(date)
+    .forEach((part) => (parts[part.type] = Number(part.value)));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((Math.floor(date.getTime() / 1000) * 1000 - local) / 60000);
+}
+
+/**
+ * Generates a device profile, keeping what `overrides` sets. A `userAgent` without `clientHints` sends none,
+ * since they could contradict it; a `locale` without `acceptLanguage` gets a matching one.
+ * @param {Partial<DeviceProfile>} [overrides] - E.g. a profile saved earlier, or `{ locale: "vi_VN", timezone: "Asia/Ho_Chi_Minh" }`.
+ * @returns {DeviceProfile}
+ */
+function createDeviceProfile(overrides) {
+  const given = overrides && typeof overrides === "object" ? overrides : {};
+  const template = pickTemplate();
+  const platform = given.platform || template.platform;
+  const browser = given.browser || template.browser;
+  const identity = browserIdentity(OS_TOKENS[platform] ? platform : "Windows", browser);
+  const locale = given.locale || "en_US";
+  let clientHints = given.userAgent ? null : identity.clientHints;
+  if ("clientHints" in given) clientHints = given.clientHints ? Object.assign({}, given.clientHints) : null;
+  const profile = {
+    userAgent: given.userAgent || identity.userAgent,
+    clientHints,
+    platform,
+    browser,
+    screen: Object.assign(randomScreen(platform), given.screen),
+    locale,
+    acceptLanguage: given.acceptLanguage || acceptLanguageFor(locale),
+    timezone: given.timezone || hostTimeZone(),
+  };
+
+  try {
+    timezoneOffset(profile.timezone);
+  } catch (e) {
+    throw new InvalidArgumentError(`deviceProfile: unknown time zone "${profile.timezone}".`, { argument: "deviceProfile" });
+  }
+  return profile;
+}
+
+/**
+ * The headers that make a request look like it comes from the session's device: `User-Agent` (the
+ * `userAgent` option wins over the profile), `Accept-Language` and, when the user agent is the profile's,
+ * its client hints.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @param {string} [userAgent] - The user agent the request already has, if any.
+ * @returns {Record<string, string>}
+ */
+function profileHeaders(options, userAgent) {
+  const profile = options && options.deviceProfile ? options.deviceProfile : null;
+  const agent = userAgent || (options && options.userAgent) || (profile && profile.userAgent);
+  const headers = {};
+  if (agent) headers["User-Agent"] = agent;
+  if (!profile) return headers;
+  headers["Accept-Language"] = profile.acceptLanguage;
+  if (profile.clientHints && agent === profile.userAgent) Object.assign(headers, profile.clientHints);
+  return headers;
+}
+
+/**
+ * The login form's `lgndim`, `locale` and `timezone` fields for a profile.
+ * @param {DeviceProfile} profile
+ * @returns {{ lgndim: string, locale: string, timezone: string }}
+ */
+function loginFields(profile) {
+  const { width, height, availWidth, availHeight, colorDepth } = profile.screen;
+  return {
+    lgndim: Buffer.from(JSON.stringify({ w: width, h: height, aw: availWidth, ah: availHeight, c: colorDepth })).toString("base64"),
+    locale: profile.locale,
+    timezone: String(timezoneOffset(profile.timezone)),
+  };
+}
+
+module.exports = {
+  createDeviceProfile,
+  profileHeaders,
+  loginFields,
+  timezoneOffset,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+const log = require("npmlog");
+
+/**
+ * Persisted GraphQL query ids by friendly name. Facebook rotates these without notice; when one
+ * stops working, override it with `setOptions({ docIds })` and use `api.checkDocIds()` to find which.
+ * Names follow `fb_api_req_friendly_name` where Facebook exposes one.
+ */
+const DEFAULT_DOC_IDS = Object.freeze({
+  // Profile and social
+  FriendingCometFriendRequestConfirmMutation: "26226851996930142",
+  FriendingCometFriendRequestSendMutation: "7607575099364225",
+  CometUserFollowMutation: "25472099855769847",
+  CometUserUnfollowMutation: "25472099855769847",
+  ProfileCometProfilePictureSetMutation: "5066134240065849",
+  ProfileCometCoverPhotoUpdateMutation: "8247793861913071",
+  ProfileCometSetBioMutation: "2725043627607610",
+  useFXIMUpdateNameMutation: "5763510853763960",
+  useFXIMUpdateUsernameMutation: "5737739449613305",
+  IsShieldedSetMutation: "1477043292367183",
+  FBScrapingWarningMutation: "6339492849481770",
+
+  // Feed, stories and notifications
+  ComposerLinkAttachmentPreviewQuery: "6549975235094234",
+  ComposerStoryCreateMutation: "6255089511280268",
+  useCometUFICreateCommentMutation: "6993516810709754",
+  CometUFIFeedbackReactMutation: "4769042373179384",
+  useStoriesSendReplyMutation: "4826141330837571",
+  CometNotificationsRootQuery: "6663491207045267",
+  StickersFlyoutTagSelectorQuery: "4642836929159953",
+
+  // Messenger
+  MessengerGroupCreateMutation: "577041672419534",
+  MessengerThreadThemeUpdateMutation: "1727493033983591",
+  MessengerMessageReactionMutation: "1491398900900362",
+  MessengerGraphQLThreadFetcher: "3449967031715030",
+  MessengerGraphQLThreadlistFetcher: "3426149104143726",
+  MessengerThreadHistoryQuery: "1498317363570230",
+  MessengerMessageQuery: "1768656253222505",
+  MessengerForcedFetchQuery: "2848441488556444",
+  MessengerSyncSequenceIDQuery: "3336396659757871",
+});
+
+/** @typedef {{ [K in keyof typeof DEFAULT_DOC_IDS]: string }} DocIds */
+
+// One registry per options object, rebuilt only when `docIds` changes.
+const cache = new WeakMap();
+
+/**
+ * Builds a doc_id registry.
+ * @param {Partial<Record<keyof typeof DEFAULT_DOC_IDS, string | number>>} [overrides] - Replacement doc_ids by name.
+ * @returns {DocIds}
+ */
+function createDocIds(overrides) {
+  const docIds = Object.assign({}, DEFAULT_DOC_IDS);
+
+  Object.keys(overrides || {}).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_DOC_IDS, name)) {
+      log.warn("docIds", `Unknown query "${name}" ignored. Known queries: ${Object.keys(DEFAULT_DOC_IDS).join(", ")}`);
+      return;
+    }
+    if (overrides[name]) docIds[name] = String(overrides[name]);
+  });
+
+  return Object.freeze(docIds);
+}
+
+const defaultDocIds = createDocIds();
+
+/**
+ * Returns the doc_id registry of a session, built from its `docIds` option.
+ * @param {{ docIds?: Object }} [options] - Session options (`ctx.globalOptions`).
+ * @returns {DocIds}
+ */
+function getDocIds(options) {
+  if (!options || typeof options !== "object" || !options.docIds) return defaultDocIds;
+  const key = JSON.stringify(options.docIds);
+  let entry = cache.get(options);
+  if (!entry || entry.key !== key) {
+    entry = { key, docIds: createDocIds(options.docIds) };
+    cache.set(options, entry);
+  }
+  return entry.docIds;
+}
+
+module.exports = {
+  DEFAULT_DOC_IDS,
+  createDocIds,
+  getDocIds,
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+const log = require("npmlog");
+
+/** Where each part of Facebook lives by default. Values have no trailing slash. */
+const DEFAULT_ENDPOINTS = Object.freeze({
+  www: "https://www.facebook.com",
+  m: "https://m.facebook.com",
+  upload: "https://upload.facebook.com",
+  graph: "https://graph.facebook.com",
+  graphVideo: "https://graph-video.facebook.com",
+  business: "https://business.facebook.com",
+  accountsCenter: "https://accountscenter.facebook.com",
+  messenger: "https://www.messenger.com",
+  mqtt: "wss://edge-chat.facebook.com/chat",
+});
+
+/** @typedef {{ [K in keyof typeof DEFAULT_ENDPOINTS]: string } & { canonical: (url: string) => string }} Endpoints */
+
+// One registry per options object, rebuilt only when `endpoints` or `baseURL` change.
+const cache = new WeakMap();
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, "");
+}
+
+/**
+ * Builds an endpoint registry.
+ * @param {Partial<Record<keyof typeof DEFAULT_ENDPOINTS, string>>} [overrides] - Replacement base URLs by name.
+ * @param {string} [baseURL] - Sends every endpoint to one host, e.g. a local mock; `mqtt` becomes `ws(s)://host/chat`.
+ * @returns {Endpoints}
+ */
+function createEndpoints(overrides, baseURL) {
+  const endpoints = Object.assign({}, DEFAULT_ENDPOINTS);
+
+  if (baseURL) {
+    const base = trimSlash(baseURL);
+    Object.keys(endpoints).forEach((name) => {
+      endpoints[name] = name === "mqtt" ? `${base.replace(/^http/i, "ws")}/chat` : base;
+    });
+  }
+
+  Object.keys(overrides || {}).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_ENDPOINTS, name)) {
+      log.warn("endpoints", `Unknown endpoint "${name}" ignored. Known endpoints: ${Object.keys(DEFAULT_ENDPOINTS).join(", ")}`);
+      return;
+    }
+    if (overrides[name]) endpoints[name] = trimSlash(overrides[name]);
+  });
+
+  const moved = Object.keys(endpoints).filter((name) => endpoints[name] !== DEFAULT_ENDPOINTS[name]);
+
+  /**
+   * Maps a URL built from this registry back to the Facebook URL it stands for. Cookies are
+   * always keyed to the real Facebook domains, whatever host the request actually goes to.
+   * @param {string} url - Request URL.
+   * @returns {string} The matching Facebook URL, or `url` itself if no endpoint was moved.
+   */
+  Object.defineProperty(endpoints, "canonical", {
+    enumerable: false,
+    value: (url) => {
+      if (typeof url !== "string") return url;
+      for (const name of moved) {
+        const base = endpoints[name];
+        const rest = url.slice(base.length);
+        if (url.startsWith(base) && (rest === "" || /^[/?#]/.test(rest))) return DEFAULT_ENDPOINTS[name] + rest;
+      }
+      return url;
+    },
+  });
+
+  return Object.freeze(endpoints);
+}
+
+const defaultEndpoints = createEndpoints();
+
+/**
+ * Returns the endpoint registry of a session, built from its `endpoints` and `baseURL` options.
+ * @param {{ endpoints?: Object, baseURL?: string }} [options] - Session options (`ctx.globalOptions`).
+ * @returns {Endpoints}
+ */
+function getEndpoints(options) {
+  if (!options || typeof options !== "object") return defaultEndpoints;
+  if (!options.endpoints && !options.baseURL) return defaultEndpoints;
+  const key = JSON.stringify([options.endpoints, options.baseURL]);
+  let entry = cache.get(options);
+  if (!entry || entry.key !== key) {
+    entry = { key, endpoints: createEndpoints(options.endpoints, options.baseURL) };
+    cache.set(options, entry);
+  }
+  return entry.endpoints;
+}
+
+module.exports = {
+  DEFAULT_ENDPOINTS,
+  createEndpoints,
+  getEndpoints,
+};
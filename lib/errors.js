@@ -0,0 +1,180 @@
+"use strict";
+
+class CustomError extends Error {
+  constructor(obj) {
+    if (typeof obj === "string") obj = { message: obj };
+    if (typeof obj !== "object" || obj === null) throw new TypeError("Object required");
+    obj.message ? super(obj.message) : super();
+    Object.assign(this, obj);
+  }
+}
+
+/**
+ * Base of every error the API reports. `code` is stable and safe to branch on; `error` mirrors
+ * the message for callers that still read `err.error`. Also used as is for Facebook replies that
+ * carry an error no subclass describes (`errorCode`, `errorSummary`, `errorDescription`).
+ */
+class FBError extends CustomError {
+  /**
+   * @param {string | Object} message - Message, or an object of properties that includes it.
+   * @param {Object} [props] - Extra properties copied onto the error.
+   */
+  constructor(message, props) {
+    const obj = Object.assign(
+      {},
+      message && typeof message === "object" ? message : { message },
+      props
+    );
+    if (!obj.message) obj.message = typeof obj.error === "string" ? obj.error : new.target.defaultMessage;
+    if (obj.error === undefined) obj.error = obj.message;
+    delete obj.name;
+    delete obj.code;
+    super(obj);
+    Object.defineProperty(this, "name", { value: new.target.name, configurable: true, writable: true });
+    this.code = new.target.code;
+  }
+}
+FBError.code = "FB_ERROR";
+FBError.defaultMessage = "Facebook returned an error.";
+
+/** The session is gone: cookies expired, were revoked, or Facebook logged the account out. */
+class NotLoggedInError extends FBError {}
+NotLoggedInError.code = "NOT_LOGGED_IN";
+NotLoggedInError.defaultMessage = "Not logged in.";
+
+/** Facebook wants the account owner to go through a checkpoint in a browser (`checkpointURL`). */
+class CheckpointError extends FBError {}
+CheckpointError.code = "CHECKPOINT";
+CheckpointError.defaultMessage = "Checkpoint detected. Please log in with a browser to verify.";
+
+/** The account is suspended; details are in `suspendReasons`. */
+class AccountSuspendedError extends CheckpointError {
+  constructor(message, props) {
+    super(message, Object.assign({ suspended: true, suspendReasons: {} }, props));
+  }
+}
+AccountSuspendedError.code = "ACCOUNT_SUSPENDED";
+AccountSuspendedError.defaultMessage = "Account has been suspended.";
+
+/** The account is locked until its owner confirms their identity; details are in `lockedReasons`. */
+class AccountLockedError extends CheckpointError {
+  constructor(message, props) {
+    super(message, Object.assign({ locked: true, lockedReasons: {} }, props));
+  }
+}
+AccountLockedError.code = "ACCOUNT_LOCKED";
+AccountLockedError.defaultMessage = "Account has been locked.";
+
+/** Facebook is throttling this account or feature. `retryAfter` is in ms when Facebook says. */
+class RateLimitedError extends FBError {}
+RateLimitedError.code = "RATE_LIMITED";
+RateLimitedError.defaultMessage = "Rate limited by Facebook. Slow down and try again later.";
+
+/** A function was called with missing or malformed arguments; nothing was sent. `argument` names it. */
+class InvalidArgumentError extends FBError {}
+InvalidArgumentError.code = "INVALID_ARGUMENT";
+InvalidArgumentError.defaultMessage = "Invalid argument.";
+
+/** A GraphQL query answered with `errors`. The raw list is in `errors`. */
+class GraphQLError extends FBError {}
+GraphQLError.code = "GRAPHQL_ERROR";
+GraphQLError.defaultMessage = "GraphQL query failed.";
+
+/** The request never got a usable answer: network failure, bad status code, unparsable body, MQTT down. */
+class TransportError extends FBError {}
+TransportError.code = "TRANSPORT_ERROR";
+TransportError.defaultMessage = "Request failed.";
+
+// 368: temporarily blocked, 1390008: feature unavailable for now, 3252001: blocked from
+// sending for a while, 1675004: GraphQL rate limit exceeded.
+const RATE_LIMIT_CODES = new Set([368, 1390008, 3252001, 1675004]);
+// Graph API (graph.facebook.com): 4, 17, 32, 613 are throttling, 190 is an invalid or expired token.
+const GRAPH_RATE_LIMIT_CODES = new Set([4, 17, 32, 613]);
+const GRAPH_INVALID_TOKEN = 190;
+
+function graphQLMessage(errors) {
+  const first = errors.find((e) => e && (e.message || e.summary || e.description)) || {};
+  return first.message || first.summary || first.description || GraphQLError.defaultMessage;
+}
+
+/**
+ * Turns a Facebook reply that reports a failure into the matching typed error.
+ * @param {Object | Object[]} res - Parsed reply: `{ error, errorSummary, ... }`, `{ errors: [...] }` or a graphqlbatch array.
+ * @param {Object} [props] - Extra properties for the error.
+ * @returns {FBError} The error to throw. Replies without a recognisable error give a generic `FBError`.
+ */
+function fromResponse(res, props) {
+  if (res instanceof FBError) return res;
+  if (Array.isArray(res)) {
+    const failed = res.find((r) => r && r.o0 && r.o0.errors) || res.find((r) => r && (r.error || r.errors));
+    return fromResponse(failed ? failed.o0 || failed : {}, Object.assign({ res }, props));
+  }
+  res = res || {};
+  props = Object.assign({ res }, props);
+
+  if (Array.isArray(res.errors) && res.errors.length > 0) {
+    const message = graphQLMessage(res.errors);
+    if (res.errors.some((e) => e && RATE_LIMIT_CODES.has(e.code))) {
+      return new RateLimitedError(message, Object.assign({ errors: res.errors }, props));
+    }
+    return new GraphQLError(message, Object.assign({ errors: res.errors }, props));
+  }
+
+  const details = {
+    errorCode: res.error,
+    errorSummary: res.errorSummary,
+    errorDescription: res.errorDescription,
+  };
+  const message =
+    [res.errorSummary, res.errorDescription].filter(Boolean).join(": ") ||
+    (typeof res.error === "string" ? res.error : undefined);
+
+  if (res.error === 1357001) {
+    return new NotLoggedInError(message || NotLoggedInError.defaultMessage, Object.assign(details, props));
+  }
+  if (RATE_LIMIT_CODES.has(res.error)) {
+    return new RateLimitedError(message || RateLimitedError.defaultMessage, Object.assign(details, props));
+  }
+  return new FBError(message || FBError.defaultMessage, Object.assign(details, props));
+}
+
+/**
+ * Wraps a low-level failure (socket error, HTTP error status, ...) in a `TransportError`. Typed errors pass
+ * through, and Graph API error bodies (`{ error: { code, message } }`) get their matching class.
+ * @param {any} err - What was caught.
+ * @param {Object} [props] - Extra properties for the error.
+ * @returns {FBError}
+ */
+function toTransportError(err, props) {
+  if (err instanceof FBError) return err;
+  const status = err && err.response && err.response.status;
+  props = Object.assign({ cause: err, statusCode: status }, props);
+
+  const graphError = err && err.response && err.response.data && err.response.data.error;
+  if (graphError && typeof graphError === "object") {
+    Object.assign(props, { errorCode: graphError.code, errorSubcode: graphError.error_subcode, res: err.response.data });
+    const message = graphError.message || err.message;
+    if (graphError.code === GRAPH_INVALID_TOKEN) return new NotLoggedInError(message, props);
+    if (GRAPH_RATE_LIMIT_CODES.has(graphError.code)) return new RateLimitedError(message, props);
+    return new FBError(message, props);
+  }
+
+  const ErrorClass = status === 429 ? RateLimitedError : TransportError;
+  return new ErrorClass((err && err.message) || String(err), props);
+}
+
+module.exports = {
+  CustomError,
+  FBError,
+  NotLoggedInError,
+  CheckpointError,
+  AccountSuspendedError,
+  AccountLockedError,
+  RateLimitedError,
+  InvalidArgumentError,
+  GraphQLError,
+  TransportError,
+  RATE_LIMIT_CODES,
+  fromResponse,
+  toTransportError,
+};
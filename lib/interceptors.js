@@ -0,0 +1,184 @@
+"use strict";
+
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * @typedef {Object} InterceptedRequest
+ * @property {string} method
+ * @property {string} url - Without `qs`.
+ * @property {Record<string, string>} headers
+ * @property {Object} [qs]
+ * @property {Object} [form]
+ * @property {Object} [formData]
+ * @property {any} [json]
+ */
+
+/**
+ * @typedef {Object} InterceptedResponse
+ * @property {InterceptedRequest & { uri: URL }} request - What was sent, after the request hooks; `uri` is the URL of the last hop.
+ * @property {number} statusCode
+ * @property {Record<string, string | string[]>} headers
+ * @property {string | Buffer | import("stream").Readable | any} body
+ * @property {number} duration - Ms from the first byte sent to the last one received, redirects included.
+ */
+
+/**
+ * @typedef {Object} CannedResponse
+ * @property {number} [statusCode] - Defaults to 200.
+ * @property {Record<string, string | string[]>} [headers]
+ * @property {any} [body] - Objects are sent as JSON.
+ */
+
+/**
+ * Hooks into every HTTP request of a session. Each hook may be async; one that throws fails the request.
+ * Request hooks run in the order the interceptors were added, response and parsed hooks in reverse,
+ * so the first interceptor sees the request first and the response last.
+ * @typedef {Object} Interceptor
+ * @property {string} [name] - For `remove(name)`.
+ * @property {(req: InterceptedRequest) => void | CannedResponse | Promise<void | CannedResponse>} [request] -
+ *   Before the request is sent; change `req` in place. Returning a response answers the request without sending it,
+ *   and the remaining request hooks are skipped.
+ * @property {(res: InterceptedResponse) => void | InterceptedResponse | Promise<void | InterceptedResponse>} [response] -
+ *   Every response, whatever its status; returning one replaces it.
+ * @property {(data: any, res: InterceptedResponse) => any} [parsed] - Bodies `parseAndCheckLogin` parsed, before it
+ *   checks them for errors; returning something replaces the body.
+ */
+
+const HOOKS = ["request", "response", "parsed"];
+const chains = new WeakMap();
+
+function isInterceptor(value) {
+  return Boolean(value) && typeof value === "object" && HOOKS.some((hook) => typeof value[hook] === "function");
+}
+
+/**
+ * Creates an interceptor chain.
+ * @param {Interceptor[]} [initial]
+ */
+function createInterceptorChain(initial) {
+  /** @type {Interceptor[]} */
+  let interceptors = [];
+
+  /**
+   * Adds an interceptor after the others.
+   * @param {Interceptor} interceptor
+   * @returns {() => boolean} Removes it again.
+   */
+  function use(interceptor) {
+    if (!isInterceptor(interceptor)) {
+      throw new InvalidArgumentError("interceptors: an interceptor needs a request, response or parsed function.", {
+        argument: "interceptor",
+      });
+    }
+    interceptors.push(interceptor);
+    return () => remove(interceptor);
+  }
+
+  /**
+   * @param {Interceptor | string} interceptor - The interceptor or its name.
+   * @returns {boolean} Whether it was there.
+   */
+  function remove(interceptor) {
+    const before = interceptors.length;
+    interceptors = interceptors.filter((i) => i !== interceptor && !(typeof interceptor === "string" && i.name === interceptor));
+    return interceptors.length !== before;
+  }
+
+  /**
+   * Replaces all interceptors.
+   * @param {Interceptor[]} [list]
+   */
+  function reset(list) {
+    const next = [].concat(list || []);
+    next.forEach((interceptor, i) => {
+      if (!isInterceptor(interceptor)) {
+        throw new InvalidArgumentError(`interceptors: entry ${i} needs a request, response or parsed function.`, {
+          argument: "interceptors",
+        });
+      }
+    });
+    interceptors = next;
+  }
+
+  // Response-side hooks, last added first; each gets what the previous one returned.
+  function runBackwards(hook, value, extra) {
+    return interceptors
+      .slice()
+      .reverse()
+      .filter((interceptor) => typeof interceptor[hook] === "function")
+      .reduce(
+        (promise, interceptor) =>
+          promise.then((current) =>
+            Promise.resolve(interceptor[hook](current, extra)).then((next) => (next === undefined ? current : next))
+          ),
+        Promise.resolve(value)
+      );
+  }
+
+  /**
+   * Runs the request hooks.
+   * @param {InterceptedRequest} req
+   * @returns {Promise<CannedResponse | null>} The response one of them answered with, if any.
+   */
+  function runRequest(req) {
+    return interceptors
+      .filter((interceptor) => typeof interceptor.request === "function")
+      .reduce(
+        (promise, interceptor) =>
+          promise.then((canned) => canned || Promise.resolve(interceptor.request(req)).then((answer) => answer || null)),
+        Promise.resolve(null)
+      );
+  }
+
+  /**
+   * Runs the response hooks.
+   * @param {InterceptedResponse} res
+   * @returns {Promise<InterceptedResponse>}
+   */
+  function runResponse(res) {
+    return runBackwards("response", res);
+  }
+
+  /**
+   * Runs the parsed hooks.
+   * @param {any} data - The parsed body.
+   * @param {InterceptedResponse} res
+   * @returns {Promise<any>}
+   */
+  function runParsed(data, res) {
+    return runBackwards("parsed", data, res);
+  }
+
+  reset(initial);
+
+  return {
+    use,
+    remove,
+    reset,
+    list: () => interceptors.slice(),
+    runRequest,
+    runResponse,
+    runParsed,
+  };
+}
+
+/**
+ * The interceptor chain of a session, created on first use. It is keyed to the session's options object,
+ * which is what every request carries, so requests made during login are intercepted too.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @returns {ReturnType<typeof createInterceptorChain> | null} Null without options.
+ */
+function getInterceptors(options) {
+  if (!options || typeof options !== "object") return null;
+  let chain = chains.get(options);
+  if (!chain) {
+    chain = createInterceptorChain();
+    chains.set(options, chain);
+  }
+  return chain;
+}
+
+module.exports = {
+  createInterceptorChain,
+  getInterceptors,
+};
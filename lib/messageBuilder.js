@@ -0,0 +1,243 @@
+"use strict";
+
+const utils = require("../utils");
+const { createMethod } = require("./apiMethod");
+const { isAttachmentInput } = require("./attachments");
+
+const MENTION_PLACEHOLDER = /@\{(\d+)\}/g;
+const TRANSPORTS = ["http", "mqtt"];
+const EMOJI_SIZES = ["small", "medium", "large"];
+
+// Pairs Facebook cannot deliver in one message: it keeps one part and silently drops the other.
+const CONFLICTS = [
+  ["sticker", "body"],
+  ["sticker", "attachment"],
+  ["sticker", "url"],
+  ["sticker", "emoji"],
+  ["sticker", "location"],
+  ["emoji", "body"],
+  ["emoji", "attachment"],
+  ["emoji", "url"],
+  ["emoji", "location"],
+  ["url", "attachment"],
+  ["url", "location"],
+  ["location", "attachment"],
+];
+
+function invalid(message, argument) {
+  return new utils.InvalidArgumentError(`message: ${message}`, { argument });
+}
+
+/**
+ * Checks that the parts of a message can be sent together over a transport.
+ * @param {Object} msg - Message in `sendMessage` form.
+ * @param {"http" | "mqtt"} transport
+ * @returns {utils.InvalidArgumentError | null}
+ */
+function checkMessage(msg, transport) {
+  const has = (key) => msg[key] !== undefined && msg[key] !== null && msg[key] !== "";
+  if (!["body", "attachment", "url", "sticker", "emoji", "location"].some(has)) {
+    return invalid("nothing to send.", "body");
+  }
+  for (const [a, b] of CONFLICTS) {
+    if (has(a) && has(b)) return invalid(`${a} cannot be combined with ${b}.`, a);
+  }
+  if (transport === "mqtt" && has("url")) {
+    return invalid("url previews can only be sent over http.", "url");
+  }
+  return null;
+}
+
+/**
+ * Collects the parts of one message and sends them with `sendMessage` or `sendMessageMqtt`.
+ * Every setter returns the builder, so calls chain: `api.message(threadID).text("hi").send()`.
+ */
+class MessageBuilder {
+  /**
+   * @param {Object} api - The session API.
+   * @param {string | string[]} threadID - Thread, or users to start a group with (http only).
+   */
+  constructor(api, threadID) {
+    this.api = api;
+    this.threadID = threadID;
+    this.parts = {};
+    this.names = {};
+    this.replyToMessage = null;
+    this.isGroup = null;
+    this.transport = "http";
+  }
+
+  /**
+   * Sets the text. `@{userID}` placeholders become mentions of that user.
+   * @param {string} body
+   */
+  text(body) {
+    if (typeof body !== "string") throw invalid("text should be a string.", "body");
+    this.parts.body = body;
+    return this;
+  }
+
+  /**
+   * Names the user of an `@{userID}` placeholder. Placeholders without a name are looked up with `getUserInfo`.
+   * @param {string} userID
+   * @param {string} name - Shown as `@name`.
+   */
+  mention(userID, name) {
+    if (typeof name !== "string" || name === "") throw invalid("mention name should be a non-empty string.", "mentions");
+    this.names[String(userID)] = name;
+    return this;
+  }
+
+  /**
+   * Adds one or more files: streams, Buffers, file paths, URLs or `{ data, filename, contentType }`.
+   * @param {...any} inputs
+   */
+  attach(...inputs) {
+    const files = [].concat(...inputs);
+    if (files.length === 0 || !files.every(isAttachmentInput)) {
+      throw invalid("attachments should be streams, Buffers, file paths, URLs or { data } objects.", "attachment");
+    }
+    this.parts.attachment = (this.parts.attachment || []).concat(files);
+    return this;
+  }
+
+  /**
+   * Shares a link with its preview.
+   * @param {string} url
+   */
+  url(url) {
+    if (typeof url !== "string") throw invalid("url should be a string.", "url");
+    this.parts.url = url;
+    return this;
+  }
+
+  /**
+   * @param {string | number} stickerID
+   */
+  sticker(stickerID) {
+    this.parts.sticker = stickerID;
+    return this;
+  }
+
+  /**
+   * Sends a single emoji, like the thread's quick reaction button.
+   * @param {string} emoji
+   * @param {"small" | "medium" | "large"} [size]
+   */
+  emoji(emoji, size) {
+    if (typeof emoji !== "string" || emoji === "") throw invalid("emoji should be a non-empty string.", "emoji");
+    if (size !== undefined && !EMOJI_SIZES.includes(size)) throw invalid("emoji size should be small, medium or large.", "emojiSize");
+    this.parts.emoji = emoji;
+    if (size) this.parts.emojiSize = size;
+    return this;
+  }
+
+  /**
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {boolean} [current] - Marks it as the sender's current location.
+   */
+  location(latitude, longitude, current) {
+    if (typeof latitude !== "number" || typeof longitude !== "number") {
+      throw invalid("location needs a numeric latitude and longitude.", "location");
+    }
+    this.parts.location = { latitude, longitude, current: Boolean(current) };
+    return this;
+  }
+
+  /**
+   * @param {string} messageID - Message this one replies to.
+   */
+  replyTo(messageID) {
+    this.replyToMessage = messageID;
+    return this;
+  }
+
+  /**
+   * Tells the http transport whether the thread is a group, instead of guessing from the ID length.
+   * @param {boolean} [isGroup]
+   */
+  group(isGroup = true) {
+    this.isGroup = Boolean(isGroup);
+    return this;
+  }
+
+  /**
+   * Picks the transport. `http` (default) uses `sendMessage`, `mqtt` uses `sendMessageMqtt` and needs `listenMqtt`.
+   * @param {"http" | "mqtt"} transport
+   */
+  via(transport) {
+    if (!TRANSPORTS.includes(transport)) throw invalid("transport should be http or mqtt.", "transport");
+    this.transport = transport;
+    return this;
+  }
+
+  /**
+   * Resolves mention placeholders and returns the message in `sendMessage` form.
+   * @returns {Promise<Object>}
+   */
+  build() {
+    const body = this.parts.body;
+    const ids = body ? Array.from(body.matchAll(MENTION_PLACEHOLDER), (match) => match[1]) : [];
+    const unnamed = ids.filter((id) => !this.names[id]);
+    const lookup = unnamed.length > 0 ? this.api.getUserInfo(Array.from(new Set(unnamed))) : Promise.resolve({});
+
+    return lookup.then((profiles) => {
+      const msg = Object.assign({}, this.parts);
+      if (ids.length === 0) return msg;
+
+      const mentions = [];
+      let text = "";
+      let last = 0;
+      for (const match of body.matchAll(MENTION_PLACEHOLDER)) {
+        const id = match[1];
+        const name = this.names[id] || (profiles[id] && profiles[id].name);
+        if (!name) throw invalid(`no name found for mention @{${id}}.`, "mentions");
+        text += body.slice(last, match.index);
+        const tag = "@" + name;
+        // `fromIndex` pins the tag to this spot even when the same text appears earlier.
+        mentions.push({ id, tag, fromIndex: text.length });
+        text += tag;
+        last = match.index + match[0].length;
+      }
+      msg.body = text + body.slice(last);
+      msg.mentions = mentions;
+      return msg;
+    });
+  }
+
+  /** @private */
+  deliver(callback) {
+    this.build()
+      .then((msg) => {
+        const invalidMessage = checkMessage(msg, this.transport);
+        if (invalidMessage) throw invalidMessage;
+        if (this.transport === "mqtt") {
+          return this.api.sendMessageMqtt(msg, this.threadID, null, this.replyToMessage);
+        }
+        return this.api.sendMessage(msg, this.threadID, null, this.replyToMessage, this.isGroup);
+      })
+      .then((info) => callback(null, { threadID: String(info.threadID), messageID: info.messageID, timestamp: info.timestamp }))
+      .catch((err) => callback(err));
+  }
+}
+
+/**
+ * Sends the message. Resolves to `{ threadID, messageID, timestamp }`; also takes a node-style callback.
+ * @function send
+ * @memberof MessageBuilder
+ * @param {Function} [callback]
+ * @returns {Promise<{ threadID: string, messageID: string, timestamp: number }>}
+ */
+MessageBuilder.prototype.send = createMethod(
+  "message.send",
+  function (callback) {
+    this.deliver(callback);
+  },
+  { params: [] }
+);
+
+module.exports = {
+  MessageBuilder,
+  checkMessage,
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+const log = require("npmlog");
+
+/**
+ * @typedef {Object} CachedMessage
+ * @property {string} messageID
+ * @property {string} threadID
+ * @property {string} senderID
+ * @property {string} body - Latest text, edits included.
+ * @property {any[]} attachments
+ * @property {Record<string, string>} mentions
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} MessageStore
+ * @property {(messageID: string) => CachedMessage | null | Promise<CachedMessage | null>} get - Returns the message or `null`.
+ * @property {(messageID: string, message: CachedMessage) => void | Promise<void>} set
+ */
+
+const DEFAULT_MAX = 1000;
+
+/**
+ * Keeps the last `max` messages in memory; the oldest go first.
+ * @param {number} [max]
+ * @returns {MessageStore}
+ */
+function createMemoryMessageStore(max = DEFAULT_MAX) {
+  const messages = new Map();
+  return {
+    get: (messageID) => (messages.has(messageID) ? messages.get(messageID) : null),
+    set: (messageID, message) => {
+      messages.delete(messageID);
+      messages.set(messageID, message);
+      while (messages.size > max) messages.delete(messages.keys().next().value);
+    },
+  };
+}
+
+/**
+ * Resolves the `messageCache` option: `true` or `{ max }` for the in-memory store, or a store of your own.
+ * @param {boolean | { max?: number } | MessageStore} [option] - Value of `globalOptions.messageCache`.
+ * @returns {MessageStore | null} Null when the cache is off.
+ */
+function resolveMessageStore(option) {
+  if (!option) return null;
+  if (typeof option.get === "function" && typeof option.set === "function") return option;
+  const max = Number(option.max) > 0 ? Math.floor(Number(option.max)) : DEFAULT_MAX;
+  return createMemoryMessageStore(max);
+}
+
+/**
+ * Creates the message cache of a session. The listener feeds it every message it delivers so that
+ * later unsends and edits can say what was removed or changed.
+ * @param {boolean | { max?: number } | MessageStore} [option] - Value of `globalOptions.messageCache`.
+ * @returns {{ remember: Function, withOriginal: Function, applyEdit: Function } | null} Null when the cache is off.
+ */
+function createMessageCache(option) {
+  const store = resolveMessageStore(option);
+  if (!store) return null;
+
+  function recall(messageID) {
+    return Promise.resolve()
+      .then(() => store.get(messageID))
+      .catch((err) => {
+        log.error("messageCache", `Could not read message ${messageID}: ${err.message || err}`);
+        return null;
+      });
+  }
+
+  function save(message) {
+    Promise.resolve()
+      .then(() => store.set(message.messageID, message))
+      .catch((err) => log.error("messageCache", `Could not save message ${message.messageID}: ${err.message || err}`));
+  }
+
+  /**
+   * Remembers a `message` or `message_reply` event.
+   * @param {Object} event
+   */
+  function remember(event) {
+    if (!event || (event.type !== "message" && event.type !== "message_reply") || !event.messageID) return;
+    save({
+      messageID: event.messageID,
+      threadID: event.threadID,
+      senderID: event.senderID,
+      body: event.body || "",
+      attachments: event.attachments || [],
+      mentions: event.mentions || {},
+      timestamp: event.timestamp,
+    });
+  }
+
+  /**
+   * Adds the removed message to a `message_unsend` event as `original`, `null` when it was never seen.
+   * @param {Object} event
+   * @returns {Promise<Object>}
+   */
+  function withOriginal(event) {
+    return recall(event.messageID).then((message) => {
+      event.original = message
+        ? { body: message.body, attachments: message.attachments, mentions: message.mentions, timestamp: message.timestamp }
+        : null;
+      return event;
+    });
+  }
+
+  /**
+   * Fills in the thread, sender and previous text of a `message_edit` event and keeps the new text.
+   * @param {Object} event
+   * @returns {Promise<Object>}
+   */
+  function applyEdit(event) {
+    return recall(event.messageID).then((message) => {
+      if (!message) return event;
+      event.threadID = message.threadID;
+      event.senderID = message.senderID;
+      event.oldBody = message.body;
+      save(Object.assign({}, message, { body: event.newBody }));
+      return event;
+    });
+  }
+
+  return { remember, withOriginal, applyEdit };
+}
+
+module.exports = {
+  createMemoryMessageStore,
+  resolveMessageStore,
+  createMessageCache,
+};
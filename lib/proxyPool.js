@@ -0,0 +1,274 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const log = require("npmlog");
+const { InvalidArgumentError } = require("./errors");
+const { isSupportedProxy, getProxyAgent } = require("./proxyAgent");
+
+/**
+ * @typedef {Object} ProxyHealthCheck
+ * @property {string} [url] - Fetched through each proxy. Defaults to `https://www.facebook.com/favicon.ico`.
+ * @property {number} [interval] - Ms between two checks; they run when a request needs a proxy, never on a timer.
+ *   Defaults to 300000.
+ * @property {number} [timeout] - Ms a proxy has to answer. Defaults to 10000.
+ */
+
+/**
+ * @typedef {Object} ProxyPoolOptions
+ * @property {string[]} proxies - `http://`, `https://` or `socks5://` URLs, credentials included.
+ * @property {number} [cooldown] - Ms a proxy that failed is left out. Defaults to 60000.
+ * @property {boolean | ProxyHealthCheck} [healthCheck] - Checks every proxy now and then, including those cooling down,
+ *   so dead ones are found before a request needs them and revived ones come back early. Defaults to `false`.
+ */
+
+/**
+ * @typedef {Object} ProxyStatus
+ * @property {string} proxy
+ * @property {boolean} healthy
+ * @property {number} failures - In a row.
+ * @property {number | null} downUntil - When a proxy that failed is tried again.
+ * @property {string | null} lastError
+ * @property {string[]} accounts - Accounts that go through it.
+ */
+
+const DEFAULT_COOLDOWN = 60000;
+const DEFAULT_HEALTH_CHECK = Object.freeze({
+  url: "https://www.facebook.com/favicon.ico",
+  interval: 300000,
+  timeout: 10000,
+});
+// Errors that say the proxy, rather than Facebook, let a request down.
+const PROXY_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ESOCKS",
+]);
+
+const bindings = new WeakMap();
+
+function rank(account, proxy) {
+  return crypto.createHash("sha1").update(`${account}\n${proxy}`).digest("hex");
+}
+
+function errorCode(err) {
+  const cause = err && err.cause ? err.cause : err;
+  return cause && typeof cause.code === "string" ? cause.code : null;
+}
+
+/**
+ * Creates a pool of proxies shared by any number of sessions. Each account sticks to one proxy, picked by
+ * hashing the account so the pick survives restarts, and only moves when that proxy fails. When all of them
+ * are down, the one that comes back first is used: traffic never falls back to going direct.
+ * @param {string[] | ProxyPoolOptions} options
+ */
+function createProxyPool(options) {
+  const settings = Array.isArray(options) ? { proxies: options } : options || {};
+  const proxies = [].concat(settings.proxies || []);
+  if (!proxies.length) {
+    throw new InvalidArgumentError("proxyPool: needs at least one proxy URL.", { argument: "proxies" });
+  }
+  proxies.forEach((proxy, i) => {
+    if (!isSupportedProxy(proxy)) {
+      throw new InvalidArgumentError(`proxyPool: entry ${i} is not an http, https or socks5 URL.`, { argument: "proxies" });
+    }
+  });
+  const cooldown = Number(settings.cooldown) >= 0 ? Number(settings.cooldown) : DEFAULT_COOLDOWN;
+  const healthCheck = settings.healthCheck
+    ? Object.assign({}, DEFAULT_HEALTH_CHECK, typeof settings.healthCheck === "object" ? settings.healthCheck : {})
+    : null;
+
+  /** @type {Map<string, { failures: number, downUntil: number, lastError: string | null }>} */
+  const states = new Map(proxies.map((proxy) => [proxy, { failures: 0, downUntil: 0, lastError: null }]));
+  /** @type {Map<string, string>} */
+  const assignments = new Map();
+  let lastCheck = Date.now();
+  let checking = null;
+
+  function isUp(proxy) {
+    return states.get(proxy).downUntil <= Date.now();
+  }
+
+  function pick(account) {
+    const up = proxies.filter(isUp);
+    if (!up.length) {
+      return proxies.reduce((first, proxy) => (states.get(proxy).downUntil < states.get(first).downUntil ? proxy : first));
+    }
+    return up.reduce((best, proxy) => (rank(account, proxy) > rank(account, best) ? proxy : best));
+  }
+
+  /**
+   * The proxy an account goes through: the one it had, unless that one is down.
+   * @param {string} account
+   * @returns {string}
+   */
+  function acquire(account) {
+    account = String(account);
+    if (healthCheck && !checking && Date.now() - lastCheck >= healthCheck.interval) check();
+    const current = assignments.get(account);
+    if (current && isUp(current)) return current;
+    const next = pick(account);
+    if (current && current !== next) log.warn("proxyPool", `Moving ${account} from ${current} to ${next}.`);
+    assignments.set(account, next);
+    return next;
+  }
+
+  /**
+   * Forgets an account's proxy, e.g. after it logged out.
+   * @param {string} account
+   */
+  function release(account) {
+    assignments.delete(String(account));
+  }
+
+  /**
+   * Takes a proxy out for `cooldown` ms; the accounts on it move at their next request.
+   * @param {string} proxy
+   * @param {any} [err]
+   */
+  function markFailed(proxy, err) {
+    const state = states.get(proxy);
+    if (!state) return;
+    if (isUp(proxy)) log.warn("proxyPool", `${proxy} failed${err ? ` (${err.message || err})` : ""}; left out for ${cooldown} ms.`);
+    state.failures++;
+    state.downUntil = Date.now() + cooldown;
+    state.lastError = err ? String(err.message || err) : null;
+  }
+
+  /**
+   * Puts a proxy back in.
+   * @param {string} proxy
+   */
+  function markHealthy(proxy) {
+    const state = states.get(proxy);
+    if (!state) return;
+    state.failures = 0;
+    state.downUntil = 0;
+    state.lastError = null;
+  }
+
+  function probe(proxy) {
+    const target = new URL(healthCheck ? healthCheck.url : DEFAULT_HEALTH_CHECK.url);
+    const timeout = healthCheck ? healthCheck.timeout : DEFAULT_HEALTH_CHECK.timeout;
+    const client = target.protocol === "http:" ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = client.request(target, { method: "GET", agent: getProxyAgent(proxy, target.protocol === "https:") });
+      req.setTimeout(timeout, () => {
+        const err = new Error(`No answer through ${proxy} for ${timeout} ms`);
+        err.code = "ETIMEDOUT";
+        req.destroy(err);
+      });
+      req.on("error", reject);
+      req.on("response", (res) => {
+        res.resume();
+        if (res.statusCode >= 500) reject(new Error(`${target.host} answered ${res.statusCode} through ${proxy}`));
+        else resolve();
+      });
+      req.end();
+    });
+  }
+
+  /**
+   * Checks every proxy now.
+   * @returns {Promise<ProxyStatus[]>}
+   */
+  function check() {
+    if (checking) return checking;
+    lastCheck = Date.now();
+    checking = Promise.all(
+      proxies.map((proxy) =>
+        probe(proxy).then(
+          () => markHealthy(proxy),
+          (err) => markFailed(proxy, err)
+        )
+      )
+    ).then(() => {
+      checking = null;
+      return status();
+    });
+    return checking;
+  }
+
+  /**
+   * @returns {ProxyStatus[]}
+   */
+  function status() {
+    return proxies.map((proxy) => {
+      const state = states.get(proxy);
+      const up = isUp(proxy);
+      return {
+        proxy,
+        healthy: up,
+        failures: state.failures,
+        downUntil: up ? null : state.downUntil,
+        lastError: state.lastError,
+        accounts: Array.from(assignments).filter(([, assigned]) => assigned === proxy).map(([account]) => account),
+      };
+    });
+  }
+
+  return {
+    acquire,
+    release,
+    markFailed,
+    markHealthy,
+    check,
+    status,
+  };
+}
+
+function isProxyPool(value) {
+  return Boolean(value) && typeof value.acquire === "function" && typeof value.markFailed === "function";
+}
+
+/**
+ * Names the account a session's requests are made for, so it keeps the same proxy of its `proxyPool`
+ * across restarts. Sessions that are never bound stick to a proxy of their own for as long as they run.
+ * @param {Object} options - `globalOptions` of the session.
+ * @param {string} account - User ID, or the email before it is known.
+ */
+function bindProxyAccount(options, account) {
+  if (options && typeof options === "object" && account) bindings.set(options, String(account));
+}
+
+/**
+ * The proxy of a session's next request or MQTT connection: from its `proxyPool`, else its `proxy` option,
+ * else the process-wide one.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @param {string} [fallback] - The process-wide proxy.
+ * @returns {string | undefined}
+ */
+function resolveProxy(options, fallback) {
+  if (!options || !isProxyPool(options.proxyPool)) return (options && options.proxy) || fallback;
+  if (!bindings.has(options)) bindings.set(options, `session-${crypto.randomBytes(6).toString("hex")}`);
+  return options.proxyPool.acquire(bindings.get(options));
+}
+
+/**
+ * Tells a session's pool that a request through `proxy` failed, when the error looks like the proxy's doing.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @param {string} [proxy]
+ * @param {any} err
+ * @returns {boolean} Whether the proxy was taken out.
+ */
+function reportProxyFailure(options, proxy, err) {
+  if (!proxy || !options || !isProxyPool(options.proxyPool) || !PROXY_ERROR_CODES.has(errorCode(err))) return false;
+  options.proxyPool.markFailed(proxy, err);
+  return true;
+}
+
+module.exports = {
+  createProxyPool,
+  isProxyPool,
+  bindProxyAccount,
+  resolveProxy,
+  reportProxyFailure,
+};
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries] - Retries after the first attempt. Defaults to 3; 0 turns retrying off.
+ * @property {number} [minDelay] - Ms before the first retry. Defaults to 500.
+ * @property {number} [maxDelay] - Longest wait between two attempts, in ms. A `Retry-After` asking for more
+ *   is not waited for: the response is handed back as is. Defaults to 30000.
+ * @property {number} [factor] - Growth of the delay per retry. Defaults to 2.
+ * @property {boolean} [jitter] - Wait a random 50–100 % of each delay, so sessions don't retry in step. Defaults to true.
+ * @property {number[]} [statusCodes] - Statuses worth another try. Defaults to 408, 429, 500, 502, 503 and 504.
+ */
+
+const DEFAULTS = Object.freeze({
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [408, 429, 500, 502, 503, 504],
+});
+
+// Methods that can be repeated without doing twice what they do.
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+// The connection never opened, so the server saw nothing: safe to repeat any request.
+const NOT_SENT_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "ESOCKS"]);
+// The request may or may not have arrived.
+const NETWORK_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "ECONNABORTED"]);
+
+function toCount(value, fallback) {
+  return Number(value) >= 0 ? Math.floor(Number(value)) : fallback;
+}
+
+/**
+ * Reads the `retry` option.
+ * @param {boolean | RetryOptions} [value] - Value of `globalOptions.retry`; `false` never retries.
+ * @returns {Required<RetryOptions> & { statusCodes: Set<number> }}
+ */
+function resolveRetryPolicy(value) {
+  const options = value && typeof value === "object" ? value : {};
+  return {
+    retries: value === false ? 0 : toCount(options.retries, DEFAULTS.retries),
+    minDelay: toCount(options.minDelay, DEFAULTS.minDelay),
+    maxDelay: toCount(options.maxDelay, DEFAULTS.maxDelay),
+    factor: Number(options.factor) >= 1 ? Number(options.factor) : DEFAULTS.factor,
+    jitter: options.jitter === undefined ? DEFAULTS.jitter : Boolean(options.jitter),
+    statusCodes: new Set(Array.isArray(options.statusCodes) ? options.statusCodes.map(Number) : DEFAULTS.statusCodes),
+  };
+}
+
+/**
+ * Reads a `Retry-After` header: seconds or an HTTP date.
+ * @param {string | string[] | undefined} header
+ * @returns {number | null} Ms to wait, or null when there is none.
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === "") return null;
+  const value = String([].concat(header)[0]).trim();
+  if (/^\d+(\.\d+)?$/.test(value)) return Math.round(Number(value) * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a request may be sent again after it possibly reached the server.
+ * @param {{ method?: string, idempotent?: boolean }} op
+ * @returns {boolean}
+ */
+function isIdempotent(op) {
+  if (typeof op.idempotent === "boolean") return op.idempotent;
+  return IDEMPOTENT_METHODS.has(String(op.method || "GET").toUpperCase());
+}
+
+// Socket error code behind a TransportError.
+function errorCode(err) {
+  const cause = err && err.cause ? err.cause : err;
+  return cause && typeof cause.code === "string" ? cause.code : null;
+}
+
+/**
+ * How long to wait before retrying a request, if at all.
+ * @param {ReturnType<typeof resolveRetryPolicy>} policy
+ * @param {number} attempt - Retries done so far.
+ * @param {{ idempotent: boolean, statusCode?: number, headers?: Object, error?: any }} outcome - A response or an error.
+ * @returns {number | null} Ms to wait, or null to give up.
+ */
+function retryDelay(policy, attempt, outcome) {
+  if (attempt >= policy.retries) return null;
+
+  if (outcome.error) {
+    const code = errorCode(outcome.error);
+    if (!NOT_SENT_CODES.has(code) && !(outcome.idempotent && NETWORK_CODES.has(code))) return null;
+  } else if (!outcome.idempotent || !policy.statusCodes.has(outcome.statusCode)) {
+    return null;
+  }
+
+  const retryAfter = outcome.headers ? parseRetryAfter(outcome.headers["retry-after"]) : null;
+  if (retryAfter !== null) return retryAfter > policy.maxDelay ? null : retryAfter;
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+  return Math.round(policy.jitter ? delay / 2 + (Math.random() * delay) / 2 : delay);
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  parseRetryAfter,
+  isIdempotent,
+  retryDelay,
+};
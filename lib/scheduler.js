@@ -0,0 +1,250 @@
+"use strict";
+
+const crypto = require("crypto");
+const cron = require("node-cron");
+const log = require("npmlog");
+const utils = require("../utils");
+const { keys } = require("./sessionStore");
+
+// setTimeout fires at once past ~24.8 days; longer waits are taken in steps.
+const MAX_TIMEOUT = 2 ** 31 - 1;
+// One-off messages whose time passed while the session was down go out on load, flagged `late`.
+const LATE_AFTER = 60 * 1000;
+
+/**
+ * @typedef {Object} ScheduledMessage
+ * @property {string} id - Schedule ID, used to cancel or reschedule.
+ * @property {string | string[]} threadID - Where the message goes.
+ * @property {Object} msg - The message, in `sendMessage` form.
+ * @property {number} [at] - When a one-off message goes out, in ms since the epoch.
+ * @property {string} [cron] - Cron expression of a repeating message.
+ * @property {string} [timezone] - Time zone the cron expression is read in.
+ * @property {number} createdAt
+ * @property {number} [lastRun] - Last time a repeating message went out.
+ */
+
+/** @typedef {Date | number | string | { cron: string, timezone?: string }} ScheduleTime */
+
+function invalid(message, argument = "when") {
+  return new utils.InvalidArgumentError(`scheduleMessage: ${message}`, { argument });
+}
+
+/**
+ * Reads when a message should go out: a Date or date string (once, then), a number (once, after
+ * that many ms), or a cron expression, optionally as `{ cron, timezone }` (repeating).
+ * @param {ScheduleTime} when
+ * @returns {{ at: number } | { cron: string, timezone?: string }}
+ */
+function parseWhen(when) {
+  if (when instanceof Date) {
+    if (isNaN(when.getTime())) throw invalid("when is an invalid Date.");
+    return { at: when.getTime() };
+  }
+  if (typeof when === "number") {
+    if (!isFinite(when) || when < 0) throw invalid("a delay should be a positive number of ms.");
+    return { at: Date.now() + when };
+  }
+  if (utils.getType(when) === "Object" && typeof when.cron === "string") {
+    if (!cron.validate(when.cron)) throw invalid(`"${when.cron}" is not a cron expression.`);
+    return when.timezone ? { cron: when.cron, timezone: String(when.timezone) } : { cron: when.cron };
+  }
+  if (typeof when === "string") {
+    if (cron.validate(when)) return { cron: when };
+    const at = Date.parse(when);
+    if (!isNaN(at)) return { at };
+  }
+  throw invalid("when should be a Date, a delay in ms, a date string or a cron expression.");
+}
+
+/**
+ * Turns a message into the JSON that is stored. Attachments are read when the message goes out,
+ * so only file paths and URLs can wait; streams and Buffers would not survive a restart.
+ * @param {string | Object} msg
+ * @returns {Object}
+ */
+function toStoredMessage(msg) {
+  if (typeof msg === "string") return { body: msg };
+  const files = msg.attachment === undefined || msg.attachment === null ? [] : [].concat(msg.attachment);
+  files.forEach((file) => {
+    const data = utils.getType(file) === "Object" && !utils.isReadableStream(file) ? file.data : file;
+    if (typeof data !== "string") {
+      throw invalid("attachments of scheduled messages should be file paths or URLs so they can be stored.", "attachment");
+    }
+  });
+  return JSON.parse(JSON.stringify(msg));
+}
+
+function describe(job) {
+  return JSON.parse(JSON.stringify(job));
+}
+
+/**
+ * Creates the scheduled messages of a session. Jobs are kept in the session store under
+ * `scheduled:<userID>` and armed again by `load` after a restart. Each one goes out through
+ * `api.sendMessage` and is reported to the `listenMqtt` callback as a `scheduled_sent` or
+ * `scheduled_failed` event.
+ * @param {Object} ctx - Session context.
+ * @param {Object} api - The session API.
+ */
+function createScheduler(ctx, api) {
+  /** @type {Map<string, ScheduledMessage>} */
+  const jobs = new Map();
+  /** @type {Map<string, () => void>} */
+  const timers = new Map();
+  let ready = Promise.resolve();
+  let saving = Promise.resolve();
+  let stopped = false;
+
+  function save() {
+    const snapshot = Array.from(jobs.values()).map(describe);
+    saving = saving
+      .then(() => ctx.sessionStore.set(keys.scheduled(ctx.userID), snapshot))
+      .catch((err) => log.error("scheduleMessage", `Could not save scheduled messages: ${err.message || err}`));
+    return saving;
+  }
+
+  function emit(event) {
+    if (typeof ctx.dispatchEvent === "function") ctx.dispatchEvent(event);
+  }
+
+  function disarm(id) {
+    const stop = timers.get(id);
+    if (stop) stop();
+    timers.delete(id);
+  }
+
+  function arm(job) {
+    disarm(job.id);
+    if (stopped) return;
+    if (job.cron) {
+      const task = cron.schedule(job.cron, () => fire(job.id), job.timezone ? { timezone: job.timezone } : {});
+      timers.set(job.id, () => task.stop());
+      return;
+    }
+    let timer = null;
+    const wait = () => {
+      const left = job.at - Date.now();
+      timer = left > MAX_TIMEOUT ? setTimeout(wait, MAX_TIMEOUT) : setTimeout(() => fire(job.id), Math.max(0, left));
+    };
+    wait();
+    timers.set(job.id, () => clearTimeout(timer));
+  }
+
+  function fire(id) {
+    const job = jobs.get(id);
+    if (!job) return;
+    const event = { scheduleID: job.id, threadID: job.threadID };
+    if (job.cron) {
+      job.lastRun = Date.now();
+    } else {
+      if (Date.now() - job.at > LATE_AFTER) event.late = true;
+      jobs.delete(id);
+      disarm(id);
+    }
+    save();
+
+    // sendMessage fills in attachments and mentions on the object it gets; keep the stored one clean.
+    api
+      .sendMessage(describe(job.msg), job.threadID)
+      .then((info) => emit(Object.assign({ type: "scheduled_sent" }, event, { messageID: info.messageID, timestamp: info.timestamp })))
+      .catch((err) => {
+        log.error("scheduleMessage", err);
+        emit(Object.assign({ type: "scheduled_failed" }, event, { error: err }));
+      });
+  }
+
+  /**
+   * Reads the jobs saved by an earlier run of this account and arms them.
+   * @returns {Promise<void>}
+   */
+  function load() {
+    ready = Promise.resolve(ctx.sessionStore.get(keys.scheduled(ctx.userID)))
+      .then((saved) => {
+        (Array.isArray(saved) ? saved : []).forEach((job) => {
+          if (jobs.has(job.id)) return;
+          jobs.set(job.id, job);
+          arm(job);
+        });
+      })
+      .catch((err) => log.error("scheduleMessage", `Could not load scheduled messages: ${err.message || err}`));
+    return ready;
+  }
+
+  /**
+   * @param {string | Object} msg - Message in `sendMessage` form.
+   * @param {string | string[]} threadID
+   * @param {ScheduleTime} when
+   * @returns {Promise<ScheduledMessage>}
+   */
+  function schedule(msg, threadID, when) {
+    const job = Object.assign(
+      { id: crypto.randomBytes(8).toString("hex"), threadID, msg: toStoredMessage(msg) },
+      parseWhen(when),
+      { createdAt: Date.now() }
+    );
+    return ready.then(() => {
+      jobs.set(job.id, job);
+      arm(job);
+      return save().then(() => describe(job));
+    });
+  }
+
+  /**
+   * @param {string | string[]} [threadID] - Only list the messages for this thread.
+   * @returns {Promise<ScheduledMessage[]>} Soonest first; repeating messages last.
+   */
+  function list(threadID) {
+    return ready.then(() =>
+      Array.from(jobs.values())
+        .filter((job) => threadID === undefined || threadID === null || String(job.threadID) === String(threadID))
+        .sort((a, b) => (a.at === undefined ? Infinity : a.at) - (b.at === undefined ? Infinity : b.at) || a.createdAt - b.createdAt)
+        .map(describe)
+    );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a scheduled message was removed.
+   */
+  function cancel(id) {
+    return ready.then(() => {
+      if (!jobs.has(id)) return false;
+      disarm(id);
+      jobs.delete(id);
+      return save().then(() => true);
+    });
+  }
+
+  /**
+   * Moves a scheduled message to another time, keeping its ID.
+   * @param {string} id
+   * @param {ScheduleTime} when
+   * @returns {Promise<ScheduledMessage>}
+   */
+  function reschedule(id, when) {
+    const next = parseWhen(when);
+    return ready.then(() => {
+      const job = jobs.get(id);
+      if (!job) throw invalid(`there is no scheduled message ${id}.`, "scheduleID");
+      delete job.at;
+      delete job.cron;
+      delete job.timezone;
+      Object.assign(job, next);
+      arm(job);
+      return save().then(() => describe(job));
+    });
+  }
+
+  /** Disarms every job of the session (on logout). They stay stored for the next login. */
+  function stop() {
+    stopped = true;
+    Array.from(timers.keys()).forEach(disarm);
+  }
+
+  return { load, schedule, list, cancel, reschedule, stop };
+}
+
+module.exports = {
+  parseWhen,
+  createScheduler,
+};
@@ -0,0 +1,172 @@
+"use strict";
+
+const log = require("npmlog");
+
+/** @typedef {{ rate?: number, burst?: number, jitter?: number }} SendQueueOptions */
+
+const DEFAULTS = Object.freeze({ rate: 1, burst: 5, jitter: 500 });
+
+/**
+ * Reads the `sendQueue` option. `true` means the defaults, an object overrides some of them.
+ * @param {boolean | SendQueueOptions} [value] - Value of `globalOptions.sendQueue`.
+ * @returns {{ rate: number, burst: number, jitter: number } | null} Null when the queue is off.
+ */
+function resolveOptions(value) {
+  if (!value) return null;
+  const options = Object.assign({}, DEFAULTS, typeof value === "object" ? value : {});
+  return {
+    rate: Number(options.rate) > 0 ? Number(options.rate) : DEFAULTS.rate,
+    burst: Math.max(1, Math.floor(Number(options.burst)) || DEFAULTS.burst),
+    jitter: Math.max(0, Number(options.jitter) || 0),
+  };
+}
+
+function threadKey(threadID) {
+  return Array.isArray(threadID) ? threadID.map(String).sort().join(",") : String(threadID);
+}
+
+/**
+ * Creates the outbound send scheduler of a session. Sends share one token bucket (`rate` per
+ * second, up to `burst` at once), wait a random `0..jitter` ms, and go out one at a time per
+ * thread: the next message to a thread starts only after Facebook answered the previous one.
+ * Threads are served in the order their waiting message was queued.
+ * @param {Object} ctx - Session context; the options are read from `ctx.globalOptions.sendQueue` on every send.
+ */
+function createSendQueue(ctx) {
+  /** @type {Map<string, { jobs: { seq: number, run: (done: () => void) => void }[], busy: boolean }>} */
+  const threads = new Map();
+  let tokens = null;
+  let refilledAt = Date.now();
+  let timer = null;
+  let seq = 0;
+
+  function currentOptions() {
+    // Messages queued before the queue was switched off still drain at the default pace.
+    return resolveOptions(ctx.globalOptions.sendQueue) || resolveOptions(true);
+  }
+
+  function refill(options) {
+    const now = Date.now();
+    tokens = tokens === null ? options.burst : Math.min(options.burst, tokens + ((now - refilledAt) / 1000) * options.rate);
+    refilledAt = now;
+  }
+
+  function nextThread() {
+    let next = null;
+    threads.forEach((thread, key) => {
+      if (thread.busy || thread.jobs.length === 0) return;
+      if (!next || thread.jobs[0].seq < next.thread.jobs[0].seq) next = { key, thread };
+    });
+    return next;
+  }
+
+  function pump() {
+    if (timer) return;
+    for (let next = nextThread(); next; next = nextThread()) {
+      const options = currentOptions();
+      refill(options);
+      if (tokens < 1) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, Math.ceil(((1 - tokens) / options.rate) * 1000));
+        return;
+      }
+      tokens -= 1;
+      run(next.key, next.thread, options.jitter);
+    }
+  }
+
+  function run(key, thread, jitter) {
+    thread.busy = true;
+    const job = thread.jobs[0];
+    let settled = false;
+
+    function done() {
+      if (settled) return;
+      settled = true;
+      thread.jobs.shift();
+      thread.busy = false;
+      if (thread.jobs.length === 0) threads.delete(key);
+      pump();
+    }
+
+    setTimeout(() => {
+      try {
+        job.run(done);
+      } catch (err) {
+        log.error("sendQueue", err);
+        done();
+      }
+    }, jitter ? Math.floor(Math.random() * jitter) : 0);
+  }
+
+  /**
+   * Queues a send for a thread.
+   * @param {string | string[]} threadID - Thread the message goes to.
+   * @param {(done: () => void) => void} task - Performs the send and calls `done` once Facebook answered.
+   */
+  function schedule(threadID, task) {
+    const key = threadKey(threadID);
+    if (!threads.has(key)) threads.set(key, { jobs: [], busy: false });
+    threads.get(key).jobs.push({ seq: ++seq, run: task });
+    pump();
+  }
+
+  /**
+   * Number of messages waiting in the queue or being sent.
+   * @param {string | string[]} [threadID] - Only count this thread.
+   * @returns {number}
+   */
+  function depth(threadID) {
+    if (threadID !== undefined && threadID !== null) {
+      const thread = threads.get(threadKey(threadID));
+      return thread ? thread.jobs.length : 0;
+    }
+    let total = 0;
+    threads.forEach((thread) => (total += thread.jobs.length));
+    return total;
+  }
+
+  /**
+   * Routes a `sendMessage`-style implementation (`msg, threadID, callback, replyToMessage?, isGroup?`)
+   * through the queue while the `sendQueue` option is on. Arguments were already checked by
+   * `createMethod`, which also supplies the callback.
+   * @param {Function} send - The function to wrap.
+   * @returns {Function} Same signature; calls back once the message was actually sent.
+   */
+  function wrap(send) {
+    return function queuedSend(msg, threadID, callback, replyToMessage, isGroup) {
+      // Keep ordering for messages queued before the option was switched off.
+      if (!ctx.globalOptions.sendQueue && !threads.has(threadKey(threadID))) {
+        return send.apply(this, arguments);
+      }
+
+      const self = this;
+      schedule(threadID, function (done) {
+        let answered = false;
+        function reply(err, info) {
+          if (answered) return;
+          answered = true;
+          done();
+          callback(err, info);
+        }
+
+        try {
+          send.call(self, msg, threadID, reply, replyToMessage, isGroup);
+        } catch (err) {
+          // A send that throws never calls back; its caller would wait forever and the thread stay blocked.
+          reply(err);
+        }
+      });
+    };
+  }
+
+  return { schedule, depth, wrap };
+}
+
+module.exports = {
+  DEFAULT_SEND_QUEUE: DEFAULTS,
+  resolveOptions,
+  createSendQueue,
+};
@@ -0,0 +1,219 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {(key: string) => any | Promise<any>} get - Returns the stored value or `null`.
+ * @property {(key: string, value: any) => void | Promise<void>} set - Stores a JSON-serializable value.
+ * @property {(key: string) => void | Promise<void>} delete - Removes a value.
+ */
+
+/** Keys under which a session keeps its data. One store can hold several accounts. */
+const keys = {
+  appState: (userID) => `appState:${userID}`,
+  dtsg: (userID) => `dtsg:${userID}`,
+  sync: (userID) => `sync:${userID}`,
+  scheduled: (userID) => `scheduled:${userID}`,
+  commands: (userID) => `commands:${userID}`,
+  deviceProfile: (userID) => `deviceProfile:${userID}`,
+};
+
+/**
+ * Keeps everything in memory. Nothing survives a restart.
+ * @returns {SessionStore}
+ */
+function createMemoryStore() {
+  const data = new Map();
+  return {
+    get: (key) => (data.has(key) ? data.get(key) : null),
+    set: (key, value) => {
+      data.set(key, value);
+    },
+    delete: (key) => {
+      data.delete(key);
+    },
+  };
+}
+
+/** Reads a store file, `null` when there is none yet. */
+function readStoreFile(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+/** Replaces a store file, readable by the owner only. */
+function writeStoreFile(filePath, raw) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write to a temp file first so a crash mid-write never leaves a truncated store behind.
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, raw, { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Builds a store that keeps all keys in one file, read and written through `codec`.
+ * @param {string} filePath - File holding the data.
+ * @param {{ decode: (raw: string) => Record<string, any>, encode: (data: Record<string, any>) => string }} codec
+ * @returns {SessionStore}
+ */
+function createFileBackedStore(filePath, codec) {
+  const read = () => {
+    const raw = readStoreFile(filePath);
+    return raw === null ? {} : codec.decode(raw);
+  };
+  const write = (data) => writeStoreFile(filePath, codec.encode(data));
+
+  return {
+    get: (key) => {
+      const data = read();
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    set: (key, value) => {
+      const data = read();
+      data[key] = value;
+      write(data);
+    },
+    delete: (key) => {
+      const data = read();
+      if (!Object.prototype.hasOwnProperty.call(data, key)) return;
+      delete data[key];
+      write(data);
+    },
+  };
+}
+
+/**
+ * Keeps everything in a plain JSON file.
+ * @param {string} filePath - File holding the data.
+ * @returns {SessionStore}
+ */
+function createFileStore(filePath) {
+  return createFileBackedStore(filePath, {
+    decode: (raw) => JSON.parse(raw),
+    encode: (data) => JSON.stringify(data, null, 2),
+  });
+}
+
+/**
+ * Keeps everything in a file encrypted with AES-256-GCM. The key is derived from `secret`.
+ * Every method returns a promise.
+ * @param {string} filePath - File holding the data.
+ * @param {string | Buffer} secret - Passphrase; the same one must be used to read the file back.
+ * @returns {SessionStore}
+ */
+function createEncryptedFileStore(filePath, secret) {
+  if (!secret) throw new InvalidArgumentError("createEncryptedFileStore needs a secret.", { argument: "secret" });
+
+  // scrypt is slow on purpose, so the file keeps its salt across writes and the key is only
+  // derived again when the salt changes; each write still gets a fresh IV.
+  let derived = null;
+  const keyFor = (salt) => {
+    if (!derived || !derived.salt.equals(salt)) {
+      derived = {
+        salt,
+        key: new Promise((resolve, reject) => {
+          crypto.scrypt(secret, salt, 32, (err, key) => (err ? reject(err) : resolve(key)));
+        }),
+      };
+    }
+    return derived.key;
+  };
+
+  const decode = async (raw) => {
+    const box = JSON.parse(raw);
+    const key = await keyFor(Buffer.from(box.salt, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(box.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]);
+    return JSON.parse(plain.toString("utf8"));
+  };
+  const encode = async (data) => {
+    const salt = derived ? derived.salt : crypto.randomBytes(16);
+    const key = await keyFor(salt);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+    return JSON.stringify({
+      v: 1,
+      salt: salt.toString("base64"),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: encrypted.toString("base64"),
+    });
+  };
+
+  const read = async () => {
+    const raw = readStoreFile(filePath);
+    return raw === null ? {} : decode(raw);
+  };
+  const write = async (data) => writeStoreFile(filePath, await encode(data));
+
+  // Calls run one after another so a read-modify-write never interleaves with another.
+  let queue = Promise.resolve();
+  const serial = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    get: (key) =>
+      serial(async () => {
+        const data = await read();
+        return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+      }),
+    set: (key, value) =>
+      serial(async () => {
+        const data = await read();
+        data[key] = value;
+        await write(data);
+      }),
+    delete: (key) =>
+      serial(async () => {
+        const data = await read();
+        if (!Object.prototype.hasOwnProperty.call(data, key)) return;
+        delete data[key];
+        await write(data);
+      }),
+  };
+}
+
+/**
+ * Resolves the `sessionStore` option: a store object, a file path, or nothing (in-memory).
+ * @param {SessionStore | string | undefined} option - Value of `globalOptions.sessionStore`.
+ * @returns {SessionStore}
+ */
+function resolveSessionStore(option) {
+  if (typeof option === "string") return createFileStore(option);
+  if (option && ["get", "set", "delete"].every((fn) => typeof option[fn] === "function")) return option;
+  if (option) {
+    throw new InvalidArgumentError("sessionStore must be a file path or an object with get, set and delete.", {
+      argument: "sessionStore",
+    });
+  }
+  return createMemoryStore();
+}
+
+/**
+ * Exposes the sync checkpoints of a session store with the interface `resumeSync` expects.
+ * @param {SessionStore} store - Session store.
+ * @returns {import("./syncCheckpoint").SyncStore}
+ */
+function toSyncStore(store) {
+  return {
+    get: (userID) => store.get(keys.sync(userID)),
+    set: (userID, checkpoint) => store.set(keys.sync(userID), checkpoint),
+  };
+}
+
+module.exports = {
+  keys,
+  createMemoryStore,
+  createFileStore,
+  createEncryptedFileStore,
+  resolveSessionStore,
+  toSyncStore,
+};
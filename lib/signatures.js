@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * How each API function is called, keyed by its `src/` file name. Functions listed here go through
+ * `createMethod` (lib/apiMethod.js): they return a promise, take an optional node-style callback,
+ * have their arguments checked up front and also accept one options object named after `params`.
+ * The `src/` implementation behind each one only sees the checked arguments in `params` order and a
+ * callback it must call once; what it returns is ignored. Its public promise type lives in index.d.ts.
+ * Functions that return something synchronously (`getCurrentUserID`, `listenMqtt`,
+ * `sendTypingIndicator`, ...) are not listed and keep their own signature.
+ * @type {Record<string, import("./apiMethod").Signature>}
+ */
+const SIGNATURES = Object.freeze({
+  acpFriend: { params: ["userID: id"] },
+  addFriend: { params: ["userID: id"] },
+  addUserToGroup: { params: ["userID: ids", "threadID: id"] },
+  cancelScheduledMessage: { params: ["scheduleID: string"] },
+  changeAdminStatus: { params: ["threadID: id", "adminIDs: ids", "adminStatus: boolean"] },
+  changeArchivedStatus: { params: ["threadOrThreads: ids", "archive: boolean"] },
+  changeAvatar: { params: ["image: attachment", "caption?: string", "timestamp?: number"] },
+  changeAvatarV2: { params: ["link: string", "caption?: string"] },
+  changeBio: { params: ["bio?: string", "publish?: boolean"] },
+  changeBlockedStatus: { params: ["userID: id", "block: boolean"] },
+  changeBlockedStatusMqtt: { params: ["userID: id", "status: boolean", "type: string"] },
+  changeCover: { params: ["image: attachment"] },
+  changeGroupImage: { params: ["image: attachment", "threadID: id"] },
+  changeName: { params: ["input: object", "format?: string"] },
+  changeNickname: { params: ["nickname: string", "threadID: id", "participantID: id"] },
+  changeThreadColor: { params: ["color?: string | number", "threadID: id"] },
+  changeThreadEmoji: { params: ["emoji: string", "threadID: id"] },
+  changeUsername: { params: ["username: string"] },
+  checkDocIds: { params: ["names?: string | array"] },
+  createCommentPost: { params: ["msg: string | object", "postID: string", "replyCommentID?: string"], callback: 2 },
+  createNewGroup: { params: ["participantIDs: array", "groupTitle?: string"] },
+  createPoll: { params: ["title: string", "threadID: id", "options?: object"] },
+  createPost: { params: ["msg: string | object"] },
+  deleteMessage: { params: ["messageOrMessages: ids"] },
+  deleteThread: { params: ["threadOrThreads: ids"] },
+  editMessage: { params: ["text: string", "messageID: string"] },
+  follow: { params: ["senderID: id", "boolean: boolean"] },
+  forwardAttachment: { params: ["attachmentID: id", "userOrUsers: ids"] },
+  getAccess: { params: ["cookie: string"] },
+  getAvatarUser: { params: ["userIDs: ids", "size?: array | string | number"] },
+  getBotInfo: { params: [] },
+  getFriendsList: { params: [] },
+  getInfo: { params: ["id?: id"] },
+  getMessage: { params: ["threadID: id", "messageID: string"] },
+  getThreadHistory: { params: ["threadID: id", "amount: number", "timestamp?: number"] },
+  getThreadHistoryDeprecated: { params: ["threadID: id", "amount: number", "timestamp?: number"] },
+  getThreadInfo: { params: ["threadID: ids"] },
+  getThreadInfoDeprecated: { params: ["threadID: id"] },
+  getThreadList: { params: ["limit: number", "timestamp?: number", "tags?: string | array"] },
+  getThreadListDeprecated: { params: ["start: number", "end: number", "type?: string"] },
+  getThreadPictures: { params: ["threadID: id", "offset: number", "limit: number"] },
+  getUID: { params: ["link: string"] },
+  getUserID: { params: ["name: string"] },
+  getUserInfo: { params: ["id: ids"] },
+  handleFriendRequest: { params: ["userID: id", "accept: boolean"] },
+  handleMessageRequest: { params: ["threadID: ids", "accept: boolean"] },
+  httpGet: { params: ["url: string", "form?: any", "customHeader?: object", "notAPI?: boolean"], callback: 3 },
+  httpPost: { params: ["url: string", "form?: any", "customHeader?: object", "notAPI?: boolean"], callback: 3 },
+  httpPostFormData: { params: ["url: string", "form?: any", "customHeader?: object", "notAPI?: boolean"], callback: 3 },
+  listScheduledMessages: { params: ["threadID?: ids"] },
+  logout: { params: [] },
+  markAsDelivered: { params: ["threadID: id", "messageID: string"] },
+  markAsRead: { params: ["threadID: id", "read?: boolean"] },
+  markAsReadAll: { params: [] },
+  markAsSeen: { params: ["seen_timestamp?: number"] },
+  muteThread: { params: ["threadID: id", "muteSeconds: number"] },
+  pinMessage: { params: ["pinMode: boolean", "messageID: string", "threadID: id"] },
+  postVideo: { params: ["videoUrl: string", "caption: string", "cookieorToken: string"], callback: false },
+  refreshFb_dtsg: { params: ["obj?: object"] },
+  removeUserFromGroup: { params: ["userID: id", "threadID: id"] },
+  rescheduleMessage: { params: ["scheduleID: string", "when: any"] },
+  resolvePhotoUrl: { params: ["photoID: id"] },
+  scheduleMessage: { params: ["msg: string | object", "threadID: ids", "when: any"], rest: "msg" },
+  searchForThread: { params: ["name: string"] },
+  searchStickers: { params: ["query?: string"] },
+  sendMessage: { params: ["msg: string | object", "threadID: ids", "replyToMessage?: string", "isGroup?: boolean"], callback: 2, aliases: { replyTo: "replyToMessage" }, rest: "msg", queued: true },
+  sendMessageMqtt: { params: ["msg: string | object", "threadID: id", "replyToMessage?: string"], callback: 2, aliases: { replyTo: "replyToMessage" }, rest: "msg", queued: true },
+  sendTypingIndicatorV2: { params: ["sendTyping: boolean", "threadID: id"] },
+  setMessageReaction: { params: ["reaction: string", "messageID: string", "forceCustomReaction?: boolean"], callback: 2 },
+  setMessageReactionMqtt: { params: ["reaction: string", "messageID: string", "threadID: id"] },
+  setPostReaction: { params: ["postID: id", "type?: string | number"] },
+  setProfileGuard: { params: ["guard: boolean"] },
+  setStoryReaction: { params: ["storyID: id", "react?: number | string"] },
+  setTitle: { params: ["newTitle: string", "threadID: id"] },
+  shareContact: { params: ["text?: string", "senderID: id", "threadID: id"] },
+  shareLink: { params: ["text?: string", "url?: string", "threadID: id"] },
+  sharePost: { params: ["postUrl: string", "cookie: string", "shareAmount?: number", "intervalSeconds?: number"], callback: false },
+  unfriend: { params: ["userID: id"] },
+  unsendMessage: { params: ["messageID: string"] },
+  uploadAttachment: { params: ["attachments: attachment | array"] },
+});
+
+module.exports = {
+  SIGNATURES,
+};
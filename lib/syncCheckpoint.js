@@ -0,0 +1,118 @@
+"use strict";
+
+const log = require("npmlog");
+const { createFileStore, toSyncStore } = require("./sessionStore");
+
+/** @typedef {{ lastSeqId: number | null, syncToken: string | null, seenMessageIDs: string[], updatedAt: number }} SyncCheckpoint */
+/** @typedef {{ get: (userID: string) => SyncCheckpoint | null | Promise<SyncCheckpoint | null>, set: (userID: string, checkpoint: SyncCheckpoint) => void | Promise<void> }} SyncStore */
+
+const MAX_SEEN_IDS = 500;
+const SAVE_DELAY = 1000;
+
+/**
+ * Keeps checkpoints in memory. Survives reconnects, not restarts.
+ * @returns {SyncStore}
+ */
+function createMemorySyncStore() {
+  const data = new Map();
+  return {
+    get: (userID) => data.get(userID) || null,
+    set: (userID, checkpoint) => {
+      data.set(userID, checkpoint);
+    },
+  };
+}
+
+/**
+ * Resolves the `syncStore` option: a store object, a file path, or nothing (in-memory).
+ * A path is a session file store holding only the checkpoints of every account.
+ * @param {SyncStore | string | undefined} option - Value of `globalOptions.syncStore`.
+ * @returns {SyncStore}
+ */
+function resolveSyncStore(option) {
+  if (typeof option === "string") return toSyncStore(createFileStore(option));
+  if (option && typeof option.get === "function" && typeof option.set === "function") return option;
+  return createMemorySyncStore();
+}
+
+/**
+ * Tracks the MQTT sync position of one session and persists it so a restart can ask the
+ * server for every delta after the last one we processed.
+ * @param {Object} ctx - Session context.
+ * @param {SyncStore} store - Where checkpoints are persisted.
+ * @returns {{ load: () => Promise<void>, update: () => void, seen: (messageID: string) => boolean, reset: () => void, flush: () => Promise<void> }}
+ */
+function createSyncTracker(ctx, store) {
+  const seenIDs = new Set();
+  let timer = null;
+
+  function snapshot() {
+    return {
+      lastSeqId: ctx.lastSeqId || null,
+      syncToken: ctx.syncToken || null,
+      seenMessageIDs: Array.from(seenIDs),
+      updatedAt: Date.now(),
+    };
+  }
+
+  /** Writes the current position right away. */
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!ctx.lastSeqId) return;
+    try {
+      await store.set(ctx.userID, snapshot());
+    } catch (err) {
+      log.error("syncCheckpoint", `Could not save sync checkpoint: ${err.message}`);
+    }
+  }
+
+  return {
+    /** Restores the last saved position into `ctx`. */
+    async load() {
+      let checkpoint = null;
+      try {
+        checkpoint = await store.get(ctx.userID);
+      } catch (err) {
+        log.error("syncCheckpoint", `Could not read sync checkpoint: ${err.message}`);
+      }
+      if (!checkpoint || !checkpoint.lastSeqId) return;
+      ctx.lastSeqId = checkpoint.lastSeqId;
+      ctx.syncToken = checkpoint.syncToken || undefined;
+      (checkpoint.seenMessageIDs || []).forEach((id) => seenIDs.add(id));
+      log.info("syncCheckpoint", `Resuming sync from seq ${ctx.lastSeqId}.`);
+    },
+
+    /** Schedules a save of the current position; bursts of deltas are written once. */
+    update() {
+      if (!timer) timer = setTimeout(flush, SAVE_DELAY);
+    },
+
+    /**
+     * Records a message ID and reports whether it was delivered before.
+     * @param {string} messageID - ID of an incoming message.
+     * @returns {boolean} `true` if the message is a replayed duplicate.
+     */
+    seen(messageID) {
+      if (!messageID) return false;
+      if (seenIDs.has(messageID)) return true;
+      seenIDs.add(messageID);
+      if (seenIDs.size > MAX_SEEN_IDS) seenIDs.delete(seenIDs.values().next().value);
+      return false;
+    },
+
+    /** Forgets the sync token after the server rejected it; the sequence ID is kept. */
+    reset() {
+      ctx.syncToken = undefined;
+      this.update();
+    },
+
+    flush,
+  };
+}
+
+module.exports = {
+  createMemorySyncStore,
+  resolveSyncStore,
+  createSyncTracker,
+};
@@ -0,0 +1,235 @@
+"use strict";
+
+const utils = require("../utils");
+
+/** @typedef {{ name: string, args: any[] }} LsCall */
+/** @typedef {{ label: string | number, payload: Record<string, any> | string, queue_name: string }} LsTask */
+/** @typedef {{ tasks?: LsTask[], payload?: Record<string, any>, versionID: string, type?: number, awaitResponse?: boolean, timeout?: number, parse?: (calls: LsCall[], raw: any) => any }} LsRequest */
+
+const APP_ID = "2220391788200892";
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Normalizes a Lightspeed argument. Int64 values arrive as `[19, "123"]` and nulls as `[9]`.
+ * @param {any} arg - Raw argument from the step tree.
+ * @returns {any} Plain value.
+ */
+function normalizeArg(arg) {
+  if (Array.isArray(arg)) {
+    if (arg[0] === 19 && arg.length === 2) return String(arg[1]);
+    if (arg[0] === 9 && arg.length === 1) return null;
+  }
+  return arg;
+}
+
+/**
+ * Collects every stored procedure call (`[5, "name", ...args]`) from a `/ls_resp` step tree.
+ * @param {any} step - The `step` array of a parsed `/ls_resp` payload.
+ * @param {LsCall[]} [calls=[]] - Accumulator.
+ * @returns {LsCall[]} Calls in the order the server issued them.
+ */
+function collectCalls(step, calls = []) {
+  if (!Array.isArray(step)) return calls;
+  if (step[0] === 5 && typeof step[1] === "string") {
+    calls.push({ name: step[1], args: step.slice(2).map(normalizeArg) });
+    return calls;
+  }
+  for (const node of step) collectCalls(node, calls);
+  return calls;
+}
+
+/**
+ * Finds the first call that reports a failed task, if any.
+ * @param {LsCall[]} calls - Calls from the response.
+ * @returns {LsCall | undefined} The failure call.
+ */
+function findFailure(calls) {
+  return calls.find((call) => /fail|error/i.test(call.name) && !/^mciTraceLog$/.test(call.name));
+}
+
+/**
+ * Extracts the most useful error code from a failure call.
+ * @param {LsCall} call - Failure call.
+ * @returns {string | number} Numeric code when the server sent one, otherwise the procedure name.
+ */
+function getFailureCode(call) {
+  const code = call.args.find((arg) => typeof arg === "number" || (typeof arg === "string" && /^\d+$/.test(arg)));
+  return code !== undefined ? code : call.name;
+}
+
+/**
+ * Reads the server-assigned message ID of an optimistic send out of its response calls.
+ * @param {LsCall[]} calls - Calls from the response.
+ * @param {string} otid - Offline threading ID the message was sent with.
+ * @param {string} threadID - Target thread.
+ * @returns {{ threadID: string, messageID: string, otid: string, timestamp: number }} Send result.
+ */
+function getSentMessage(calls, otid, threadID) {
+  const isMessageID = (arg) => typeof arg === "string" && arg.startsWith("mid.");
+  const replaced = calls.filter((call) => /^replaceOptimi[a-z]*Message$/i.test(call.name));
+  const match = replaced.find((call) => call.args[0] === String(otid)) || replaced[0];
+  const fallback = calls.find((call) => call.args.some(isMessageID));
+  const messageID = match ? match.args[1] : fallback && fallback.args.find(isMessageID);
+
+  if (!messageID) throw new utils.FBError("No message ID in response.", { calls });
+  return { threadID: String(threadID), messageID, otid: String(otid), timestamp: Date.now() };
+}
+
+/**
+ * Creates the per-session dispatcher for `/ls_req` tasks. Every request gets a unique
+ * `request_id` and every task a unique `task_id`; the returned promise settles when the
+ * matching `/ls_resp` arrives or the timeout expires.
+ * @param {Object} ctx - Session context.
+ * @returns {{ publish: (request: LsRequest) => Promise<any>, handleResponse: (message: any) => boolean, rejectAll: (reason: string) => void, pending: () => number }}
+ */
+function createTaskDispatcher(ctx) {
+  const makeError = (message, extra) => new utils.TransportError(message, extra);
+  const pending = new Map();
+  let requestID = 0;
+  let taskID = 0;
+
+  function settle(id, error, result) {
+    const entry = pending.get(id);
+    if (!entry) return false;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    if (error) entry.reject(error);
+    else entry.resolve(result);
+    return true;
+  }
+
+  /**
+   * Publishes a request to `/ls_req`.
+   * @param {LsRequest} request - Tasks (type 3) or a single ephemeral payload (type 4).
+   * @returns {Promise<any>} Resolves with `parse(calls)` or `{ requestID, calls }`; rejects when the server reports
+   *   a failure, `parse` throws, the timeout expires or the connection drops first.
+   */
+  function publish(request) {
+    const mqttClient = ctx.mqttClient;
+    if (!mqttClient) {
+      return Promise.reject(makeError("Not connected to MQTT"));
+    }
+
+    const type = request.type || 3;
+    const id = ++requestID;
+    let payload;
+
+    if (type === 3) {
+      payload = {
+        epoch_id: parseInt(utils.generateOfflineThreadingID()),
+        tasks: request.tasks.map((task) => ({
+          failure_count: null,
+          label: String(task.label),
+          payload: typeof task.payload === "string" ? task.payload : JSON.stringify(task.payload),
+          queue_name: task.queue_name,
+          task_id: ++taskID,
+        })),
+        version_id: request.versionID,
+        data_trace_id: null,
+      };
+    } else {
+      payload = Object.assign({}, request.payload, { version: request.versionID });
+    }
+
+    const content = {
+      app_id: APP_ID,
+      payload: JSON.stringify(payload),
+      request_id: id,
+      type,
+    };
+
+    const awaitResponse = request.awaitResponse !== false;
+    const timeout = request.timeout || ctx.globalOptions.mqttTaskTimeout || DEFAULT_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+      if (awaitResponse) {
+        pending.set(id, {
+          resolve,
+          reject,
+          parse: request.parse,
+          timer: setTimeout(() => {
+            settle(id, makeError(`Timed out after ${timeout}ms waiting for /ls_resp of request ${id}.`, { requestID: id }));
+          }, timeout),
+        });
+      }
+
+      mqttClient.publish("/ls_req", JSON.stringify(content), { qos: 1, retain: false }, (err) => {
+        if (err) {
+          err = utils.toTransportError(err, { requestID: id });
+          if (!settle(id, err)) reject(err);
+          return;
+        }
+        if (!awaitResponse) resolve({ requestID: id });
+      });
+    });
+  }
+
+  /**
+   * Routes a parsed `/ls_resp` message to the request waiting for it.
+   * @param {{ request_id: number, payload: string }} message - Parsed MQTT message.
+   * @returns {boolean} Whether a pending request was settled.
+   */
+  function handleResponse(message) {
+    const id = message && message.request_id;
+    const entry = pending.get(id);
+    if (!entry) return false;
+
+    let calls;
+    let body;
+    try {
+      body = typeof message.payload === "string" ? JSON.parse(message.payload) : message.payload;
+      calls = collectCalls(body && body.step);
+    } catch (err) {
+      return settle(id, makeError("Could not parse /ls_resp payload.", { detail: err, res: message }));
+    }
+
+    const failure = findFailure(calls);
+    if (failure) {
+      return settle(
+        id,
+        new utils.FBError(`Task failed on the server: ${failure.name}`, {
+          failureCode: getFailureCode(failure),
+          requestID: id,
+          calls,
+        })
+      );
+    }
+
+    let result = { requestID: id, calls };
+    if (entry.parse) {
+      // A response the caller cannot read is a failure too, not a result with fields missing.
+      try {
+        result = Object.assign(result, entry.parse(calls, body));
+      } catch (err) {
+        return settle(
+          id,
+          new utils.FBError(`Could not read the response of request ${id}: ${err.message}`, { requestID: id, calls, detail: err })
+        );
+      }
+    }
+    return settle(id, null, result);
+  }
+
+  /**
+   * Rejects every request still waiting for a response, e.g. when the connection drops.
+   * @param {string} reason - Error message given to the callers.
+   */
+  function rejectAll(reason) {
+    for (const id of Array.from(pending.keys())) {
+      settle(id, makeError(reason, { requestID: id }));
+    }
+  }
+
+  return {
+    publish,
+    handleResponse,
+    rejectAll,
+    pending: () => pending.size,
+  };
+}
+
+module.exports = {
+  createTaskDispatcher,
+  collectCalls,
+  getSentMessage,
+};
@@ -0,0 +1,415 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+const { pipeline, Readable } = require("stream");
+const FormData = require("form-data");
+const log = require("npmlog");
+const { getEndpoints } = require("./endpoints");
+const { toTransportError } = require("./errors");
+const { getInterceptors } = require("./interceptors");
+const { resolveRetryPolicy, isIdempotent, retryDelay } = require("./retryPolicy");
+const { getProxyAgent } = require("./proxyAgent");
+const { resolveProxy, reportProxyFailure } = require("./proxyPool");
+const { profileHeaders } = require("./deviceProfile");
+
+/**
+ * @typedef {Object} TransportRequest
+ * @property {string} method
+ * @property {string} url - Absolute, query string included.
+ * @property {Record<string, string>} headers
+ * @property {string | Buffer | import("stream").Readable} [body]
+ * @property {number} [timeout] - Ms the socket may stay idle.
+ * @property {string} [proxy] - Proxy URL to go through: `http://`, `https://` or `socks5://`.
+ * @property {"text" | "buffer" | "stream"} [responseType] - How to hand back the (decompressed) body. Defaults to `text`.
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number} statusCode
+ * @property {Record<string, string | string[]>} headers - Lower-cased names, `set-cookie` as an array.
+ * @property {string | Buffer | import("stream").Readable} body
+ */
+
+/**
+ * Sends one HTTP request, without following redirects or touching cookies; `send` does both.
+ * Rejects only when no response came back.
+ * @typedef {{ request(req: TransportRequest): Promise<TransportResponse> }} Transport
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} url
+ * @property {string} [method] - Defaults to `GET`.
+ * @property {Record<string, string>} [headers]
+ * @property {Object} [qs] - Added to the URL's query string.
+ * @property {Object} [form] - URL-encoded body.
+ * @property {Object} [formData] - Multipart body. Values are strings, Buffers, streams or
+ *   `{ value, options: { filename, contentType, knownLength } }`; arrays repeat the field.
+ * @property {any} [json] - JSON body.
+ * @property {string | Buffer | import("stream").Readable} [body] - Raw body.
+ * @property {import("./cookieJar").Jar | null} [jar] - Cookies to send and to update from the response.
+ * @property {number} [timeout] - Defaults to 60 s.
+ * @property {"text" | "buffer" | "stream" | "json"} [responseType] - `json` parses the body, leaving it a string when it is not JSON.
+ * @property {boolean} [followRedirect] - Follow redirects of GET requests. Defaults to true.
+ * @property {number} [maxRedirects] - Defaults to 10.
+ * @property {boolean} [throwHttpErrors] - Reject with a typed error on a 4xx/5xx status instead of resolving.
+ * @property {boolean} [idempotent] - Whether sending it twice is harmless, so it may be retried after reaching
+ *   the server. Defaults to true for GET, HEAD and OPTIONS only.
+ */
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_REDIRECTS = 10;
+const REDIRECTS = new Set([301, 302, 303, 307, 308]);
+const SYNC_FLUSH = { flush: zlib.constants.Z_SYNC_FLUSH, finishFlush: zlib.constants.Z_SYNC_FLUSH };
+
+// Proxy of sessions without their own `proxy` option; see `utils.setProxy`.
+let defaultProxy = process.env.FB_PROXY;
+
+function decompress(res) {
+  const encoding = String(res.headers["content-encoding"] || "").trim().toLowerCase();
+  let decoder = null;
+  if (encoding === "gzip" || encoding === "x-gzip") decoder = zlib.createGunzip(SYNC_FLUSH);
+  else if (encoding === "deflate") decoder = zlib.createInflate(SYNC_FLUSH);
+  else if (encoding === "br") decoder = zlib.createBrotliDecompress();
+  return decoder ? pipeline(res, decoder, () => {}) : res;
+}
+
+/**
+ * The default transport, on Node's http and https modules. Proxies go through the agents of `./proxyAgent`.
+ * @returns {Transport}
+ */
+function createNodeTransport() {
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(req.url);
+      if (target.protocol !== "http:" && target.protocol !== "https:") {
+        return reject(new Error(`Unsupported protocol ${target.protocol}`));
+      }
+      const client = target.protocol === "http:" ? http : https;
+      const timeout = req.timeout || DEFAULT_TIMEOUT;
+      const outgoing = client.request(target, { method: req.method, headers: req.headers, agent: getProxyAgent(req.proxy, target.protocol === "https:") });
+
+      outgoing.setTimeout(timeout, () => {
+        const err = new Error(`No answer from ${target.host} for ${timeout} ms`);
+        err.code = "ETIMEDOUT";
+        outgoing.destroy(err);
+      });
+      outgoing.on("error", reject);
+      outgoing.on("response", (res) => {
+        const body = decompress(res);
+        const response = { statusCode: res.statusCode, headers: res.headers };
+        if (req.responseType === "stream") return resolve(Object.assign(response, { body }));
+
+        const chunks = [];
+        body.on("data", (chunk) => chunks.push(chunk));
+        body.on("error", reject);
+        body.on("end", () => {
+          const buffer = Buffer.concat(chunks);
+          resolve(Object.assign(response, { body: req.responseType === "buffer" ? buffer : buffer.toString("utf8") }));
+        });
+      });
+
+      if (req.body && typeof req.body.pipe === "function") {
+        req.body.on("error", (err) => outgoing.destroy(err));
+        req.body.pipe(outgoing);
+      } else {
+        outgoing.end(req.body);
+      }
+    });
+  }
+
+  return { request };
+}
+
+const defaultTransport = createNodeTransport();
+
+/**
+ * The transport a session sends through: the `transport` option, or the default one.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @returns {Transport}
+ */
+function getTransport(options) {
+  const transport = options && options.transport;
+  return transport && typeof transport.request === "function" ? transport : defaultTransport;
+}
+
+/**
+ * Sets the proxy of sessions that have no `proxy` option of their own.
+ * @param {string} [url] - Nothing to go direct.
+ */
+function setDefaultProxy(url) {
+  defaultProxy = url;
+}
+
+function escape(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * URL-encodes a form or query string. Nested objects and arrays get bracketed keys
+ * (`a[b]=1&list[0]=x`); undefined values are left out and null ones sent empty.
+ * @param {Object} data
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+function encodeForm(data, prefix) {
+  const pairs = [];
+  Object.keys(data || {}).forEach((key) => {
+    const value = data[key];
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === undefined) return;
+    if (value !== null && typeof value === "object" && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+      const nested = encodeForm(value, name);
+      if (nested) pairs.push(nested);
+      return;
+    }
+    const text = value === null ? "" : value instanceof Date ? value.toISOString() : String(value);
+    pairs.push(`${escape(name)}=${escape(text)}`);
+  });
+  return pairs.join("&");
+}
+
+function withQuery(url, qs) {
+  const query = qs ? encodeForm(qs) : "";
+  if (!query) return url;
+  return url + (url.includes("?") ? "&" : "?") + query;
+}
+
+function headerName(headers, name) {
+  return Object.keys(headers).find((key) => key.toLowerCase() === name) || null;
+}
+
+function setHeader(headers, name, value) {
+  headers[headerName(headers, name.toLowerCase()) || name] = value;
+}
+
+function toMultipart(formData) {
+  const form = new FormData();
+  Object.keys(formData).forEach((key) => {
+    [].concat(formData[key]).forEach((value) => {
+      if (value === undefined || value === null) return;
+      if (typeof value === "object" && "value" in value && "options" in value) form.append(key, value.value, value.options);
+      else form.append(key, value);
+    });
+  });
+  return form;
+}
+
+/**
+ * Encodes the body of a request and sets its content headers.
+ * @param {RequestOptions} op
+ * @param {Record<string, string>} headers - Updated in place.
+ * @returns {Promise<string | Buffer | import("stream").Readable | undefined>}
+ */
+function prepareBody(op, headers) {
+  if (op.formData) {
+    const form = toMultipart(op.formData);
+    setHeader(headers, "Content-Type", form.getHeaders()["content-type"]);
+    // Facebook wants a length up front; a stream whose length is unknown goes chunked.
+    return new Promise((resolve) => {
+      form.getLength((err, length) => {
+        if (!err && isFinite(length)) setHeader(headers, "Content-Length", String(length));
+        resolve(form);
+      });
+    });
+  }
+  let body = op.body;
+  if (op.form) {
+    body = encodeForm(op.form);
+    if (!headerName(headers, "content-type")) headers["Content-Type"] = "application/x-www-form-urlencoded";
+  } else if (op.json !== undefined) {
+    body = JSON.stringify(op.json);
+    setHeader(headers, "Content-Type", "application/json");
+  }
+  if (typeof body === "string" || Buffer.isBuffer(body)) setHeader(headers, "Content-Length", String(Buffer.byteLength(body)));
+  return Promise.resolve(body);
+}
+
+function statusError(res, url) {
+  const err = new Error(`Request failed with status code ${res.statusCode}`);
+  err.response = { status: res.statusCode, headers: res.headers, data: res.body };
+  return toTransportError(err, { url });
+}
+
+function cannedResponse(canned, responseType) {
+  let body = canned.body === undefined ? "" : canned.body;
+  const isStream = body && typeof body.pipe === "function";
+  if (!isStream && typeof body !== "string" && !Buffer.isBuffer(body)) body = JSON.stringify(body);
+  if (responseType === "stream" && !isStream) body = Readable.from([Buffer.from(body)]);
+  else if (responseType === "buffer" && typeof body === "string") body = Buffer.from(body);
+  else if (responseType !== "stream" && responseType !== "buffer" && Buffer.isBuffer(body)) body = body.toString("utf8");
+  return { statusCode: canned.statusCode || 200, headers: Object.assign({}, canned.headers), body };
+}
+
+function copy(value) {
+  return value && typeof value === "object" ? Object.assign({}, value) : value;
+}
+
+function hasStream(op) {
+  const values = op.formData ? Object.keys(op.formData).reduce((all, key) => all.concat(op.formData[key]), []) : [];
+  return [op.body].concat(values.map((value) => (value && value.options && "value" in value ? value.value : value)))
+    .some((value) => Boolean(value) && typeof value.pipe === "function");
+}
+
+// One attempt: interceptors, then the transport, following redirects.
+function sendOnce(op, options) {
+  const transport = getTransport(options);
+  const interceptors = getInterceptors(options);
+  const responseType = op.responseType === "json" ? "text" : op.responseType || "text";
+  const started = Date.now();
+
+  /** @type {import("./interceptors").InterceptedRequest} */
+  const req = {
+    method: (op.method || "GET").toUpperCase(),
+    url: op.url,
+    headers: {},
+    qs: copy(op.qs),
+    form: copy(op.form),
+    formData: copy(op.formData),
+    json: op.json,
+  };
+  Object.keys(op.headers || {}).forEach((name) => {
+    if (op.headers[name] !== undefined && op.headers[name] !== null) req.headers[name] = op.headers[name];
+  });
+  // The session's device profile fills in what the caller left out, so every request comes from the same browser.
+  const givenAgent = headerName(req.headers, "user-agent");
+  const deviceHeaders = profileHeaders(options, givenAgent ? req.headers[givenAgent] : undefined);
+  Object.keys(deviceHeaders).forEach((name) => {
+    if (!headerName(req.headers, name.toLowerCase())) req.headers[name] = deviceHeaders[name];
+  });
+
+  function exchange() {
+    const method = req.method.toUpperCase();
+    const maxRedirects = op.followRedirect === false || (method !== "GET" && method !== "HEAD")
+      ? 0
+      : op.maxRedirects === undefined ? DEFAULT_MAX_REDIRECTS : op.maxRedirects;
+    const baseHeaders = Object.assign({}, req.headers);
+    const cookieHeader = headerName(baseHeaders, "cookie");
+    const givenCookies = cookieHeader ? baseHeaders[cookieHeader] : "";
+    if (!headerName(baseHeaders, "accept-encoding")) baseHeaders["Accept-Encoding"] = "gzip, deflate, br";
+
+    function hop(url, body, redirects) {
+      const cookieURL = getEndpoints(options).canonical(url);
+      const headers = Object.assign({}, baseHeaders);
+      if (headerName(headers, "host")) setHeader(headers, "Host", new URL(url).host);
+      if (op.jar) {
+        const cookies = [givenCookies, op.jar.getCookieString(cookieURL)].filter(Boolean).join("; ");
+        if (cookies) setHeader(headers, "Cookie", cookies);
+      }
+
+      const proxy = resolveProxy(options, defaultProxy);
+      return transport
+        .request({ method, url, headers, body, timeout: op.timeout || DEFAULT_TIMEOUT, proxy, responseType })
+        .catch((err) => {
+          // The next attempt goes through another proxy of the pool.
+          reportProxyFailure(options, proxy, err);
+          throw toTransportError(err, { url });
+        })
+        .then((res) => {
+          if (op.jar) {
+            [].concat(res.headers["set-cookie"] || []).forEach((cookie) => op.jar.setCookie(cookie, cookieURL, { ignoreError: true }));
+          }
+          const location = res.headers.location;
+          if (REDIRECTS.has(res.statusCode) && location && redirects < maxRedirects) {
+            if (res.body && typeof res.body.resume === "function") res.body.resume();
+            return hop(new URL(location, url).href, undefined, redirects + 1);
+          }
+          res.request = Object.assign({}, req, { method, uri: new URL(url), headers });
+          return res;
+        });
+    }
+
+    const source = { form: req.form, formData: req.formData, json: req.json, body: op.body };
+    return prepareBody(source, baseHeaders).then((body) => hop(withQuery(req.url, req.qs), body, 0));
+  }
+
+  return interceptors
+    .runRequest(req)
+    .then((canned) => {
+      if (!canned) return exchange();
+      const res = cannedResponse(canned, responseType);
+      res.request = Object.assign({}, req, { uri: new URL(withQuery(req.url, req.qs)) });
+      return res;
+    })
+    .then((res) => {
+      res.duration = Date.now() - started;
+      if (op.responseType === "json" && typeof res.body === "string") {
+        try {
+          res.body = JSON.parse(res.body);
+        } catch (e) {
+          // Not JSON; left as text.
+        }
+      }
+      return interceptors.runResponse(res);
+    });
+}
+
+/**
+ * Sends a request through the session's interceptors and transport. Cookies come from and go back to
+ * `op.jar`, keyed to the Facebook URL even when the endpoint was moved to another host; GET redirects
+ * are followed; the session's `proxyPool` or `proxy` is used. Failures become `TransportError`s (or `RateLimitedError`s).
+ *
+ * Failed attempts are retried as the session's `retry` option says, but only when that cannot do
+ * something twice: requests that never reached the server always, others only when idempotent
+ * (GET, HEAD, OPTIONS or `op.idempotent`). Streamed bodies cannot be sent again and are never retried.
+ * @param {RequestOptions} op
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @returns {Promise<import("./interceptors").InterceptedResponse>}
+ */
+function send(op, options) {
+  options = options || {};
+  const policy = resolveRetryPolicy(options.retry);
+  const idempotent = isIdempotent(op);
+  const replayable = !hasStream(op);
+
+  function retry(attempt, outcome, describe) {
+    const delay = replayable ? retryDelay(policy, attempt, Object.assign({ idempotent }, outcome)) : null;
+    if (delay === null) return null;
+    log.warn("transport", `${(op.method || "GET").toUpperCase()} ${op.url} ${describe}; retry ${attempt + 1}/${policy.retries} in ${delay} ms.`);
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => attempt + 1);
+  }
+
+  function attempt(n) {
+    return sendOnce(op, options).then(
+      (res) => {
+        const next = retry(n, { statusCode: res.statusCode, headers: res.headers }, `got status ${res.statusCode}`);
+        if (!next) return res;
+        if (res.body && typeof res.body.resume === "function") res.body.resume();
+        return next.then(attempt);
+      },
+      (err) => {
+        const next = retry(n, { error: err }, `failed (${err.message})`);
+        if (!next) throw err;
+        return next.then(attempt);
+      }
+    );
+  }
+
+  return attempt(0).then((res) => {
+    if (op.throwHttpErrors && res.statusCode >= 400) {
+      if (res.body && typeof res.body.resume === "function") res.body.resume();
+      throw statusError(res, res.request.uri.href);
+    }
+    return res;
+  });
+}
+
+/**
+ * The proxy a session goes through right now; MQTT uses it too, so both leave from the same address.
+ * @param {Object} [options] - `globalOptions` of the session.
+ * @returns {string | undefined}
+ */
+function getSessionProxy(options) {
+  return resolveProxy(options, defaultProxy);
+}
+
+module.exports = {
+  createNodeTransport,
+  getTransport,
+  setDefaultProxy,
+  getSessionProxy,
+  encodeForm,
+  send,
+};
@@ -0,0 +1,163 @@
+"use strict";
+
+const crypto = require("crypto");
+const log = require("npmlog");
+const { resolveAttachments, readAttachment } = require("./attachments");
+
+/** @typedef {{ ttl?: number, max?: number }} UploadCacheOptions */
+
+const DEFAULTS = Object.freeze({ ttl: 60 * 60 * 1000, max: 500 });
+
+/**
+ * Reads the `uploadCache` option. `true` means the defaults, an object overrides some of them.
+ * @param {boolean | UploadCacheOptions} [value] - Value of `globalOptions.uploadCache`.
+ * @returns {{ ttl: number, max: number } | null} Null when the cache is off.
+ */
+function resolveOptions(value) {
+  if (!value) return null;
+  const options = Object.assign({}, DEFAULTS, typeof value === "object" ? value : {});
+  return {
+    ttl: Number(options.ttl) > 0 ? Number(options.ttl) : DEFAULTS.ttl,
+    max: Math.max(1, Math.floor(Number(options.max)) || DEFAULTS.max),
+  };
+}
+
+/**
+ * @typedef {Object} UploadResult
+ * @property {Object} metadata - `payload.metadata[0]` of the upload, e.g. `{ image_id, filename, filetype }`.
+ * @property {string | null} key - Content hash the upload is cached under; null when the cache is off.
+ * @property {boolean} reused - The fbid comes from an earlier upload.
+ * @property {{ data: Buffer, filename: string, contentType: string } | null} input - The bytes, to upload again if the reused fbid fails.
+ */
+
+/**
+ * Creates the per-session cache of uploaded attachments. Entries are keyed by the SHA-256 of the
+ * bytes and their MIME type, and live `ttl` ms; the oldest go first past `max` entries. Uploads of
+ * the same bytes that overlap share one request.
+ * @param {Object} ctx - Session context; the options are read from `ctx.globalOptions.uploadCache` on every upload.
+ */
+function createUploadCache(ctx) {
+  /** @type {Map<string, { metadata: Object, expires: number }>} */
+  const entries = new Map();
+  /** @type {Map<string, Promise<Object>>} */
+  const inflight = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.metadata;
+  }
+
+  function set(key, metadata, options) {
+    entries.delete(key);
+    entries.set(key, { metadata, expires: Date.now() + options.ttl });
+    while (entries.size > options.max) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Uploads attachments with `uploadOne`, reusing earlier uploads of the same bytes while the
+   * `uploadCache` option is on.
+   * @param {any | any[]} inputs - Anything `resolveAttachment` accepts.
+   * @param {(part: { value: any, options: Object }) => Promise<Object>} uploadOne - Uploads one part, resolves to its metadata.
+   * @returns {Promise<UploadResult[]>}
+   */
+  function upload(inputs, uploadOne) {
+    const options = resolveOptions(ctx.globalOptions.uploadCache);
+    return resolveAttachments(inputs, ctx).then((parts) =>
+      Promise.all(
+        parts.map((part) => {
+          if (!options) {
+            return uploadOne(part).then((metadata) => ({ metadata, key: null, reused: false, input: null }));
+          }
+          return readAttachment(part, { maxSize: ctx.globalOptions.maxAttachmentSize }).then((buffer) => {
+            const { filename, contentType } = part.options;
+            const input = { data: buffer, filename, contentType };
+            const key = crypto.createHash("sha256").update(contentType).update("\0").update(buffer).digest("hex");
+            const cached = get(key);
+            if (cached) return { metadata: cached, key, reused: true, input };
+
+            if (!inflight.has(key)) {
+              const buffered = { value: buffer, options: Object.assign({}, part.options, { knownLength: buffer.length }) };
+              const pending = uploadOne(buffered)
+                .then((metadata) => {
+                  set(key, metadata, options);
+                  return metadata;
+                })
+                .finally(() => inflight.delete(key));
+              inflight.set(key, pending);
+            }
+            return inflight.get(key).then((metadata) => ({ metadata, key, reused: false, input }));
+          });
+        })
+      )
+    );
+  }
+
+  /**
+   * Uploads the attachments of a message and sends it with `sendWith`. Facebook may have expired
+   * fbids taken from the cache, so when the send fails after reusing some, they are forgotten and
+   * the files, kept at hand since the first upload, go up again for one more send.
+   * @param {any | any[]} inputs - Anything `resolveAttachment` accepts.
+   * @param {(part: { value: any, options: Object }) => Promise<Object>} uploadOne - Uploads one part, resolves to its metadata.
+   * @param {(metadata: Object[]) => Promise<any>} sendWith - Sends the message with these uploads.
+   * @returns {Promise<any>} What `sendWith` resolves to.
+   */
+  function uploadAndSend(inputs, uploadOne, sendWith) {
+    return upload(inputs, uploadOne).then((uploads) => {
+      const reused = uploads.filter((result) => result.reused);
+      return sendWith(uploads.map((result) => result.metadata)).catch((err) => {
+        if (reused.length === 0) throw err;
+        log.warn("uploadCache", "Send failed with cached attachment ids, uploading the files again.");
+        invalidate(reused.map((result) => result.key));
+        return upload(
+          uploads.map((result) => result.input),
+          uploadOne
+        ).then((again) => sendWith(again.map((result) => result.metadata)));
+      });
+    });
+  }
+
+  /**
+   * Forgets cached uploads, e.g. after Facebook refused a reused fbid.
+   * @param {string | string[]} [idsOrKeys] - Attachment fbids (`image_id`, `file_id`, ...) or cache keys; everything when omitted.
+   * @returns {number} How many entries were removed.
+   */
+  function invalidate(idsOrKeys) {
+    if (idsOrKeys === undefined || idsOrKeys === null) {
+      const count = entries.size;
+      entries.clear();
+      return count;
+    }
+    const wanted = new Set([].concat(idsOrKeys).map(String));
+    let count = 0;
+    entries.forEach((entry, key) => {
+      const ids = Object.keys(entry.metadata)
+        .filter((field) => /_id$/.test(field))
+        .map((field) => String(entry.metadata[field]));
+      if (wanted.has(key) || ids.some((id) => wanted.has(id))) {
+        entries.delete(key);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /** Number of cached uploads, expired ones included until they are looked up. */
+  function size() {
+    return entries.size;
+  }
+
+  return { upload, uploadAndSend, invalidate, size };
+}
+
+module.exports = {
+  DEFAULT_UPLOAD_CACHE: DEFAULTS,
+  resolveOptions,
+  createUploadCache,
+};
@@ -1,3 +1,5 @@
+const utils = require("../utils");
+
 module.exports = function (http, api, ctx) {
     return function acpFriend(userID, callback) {
       const form = {
@@ -16,18 +18,18 @@ module.exports = function (http, api, ctx) {
           refresh_num: 0
         }),
         server_timestamps: true,
-        doc_id: "26226851996930142"
+        doc_id: ctx.docIds.FriendingCometFriendRequestConfirmMutation
       };
   
-      http.post("https://www.facebook.com/api/graphql/", ctx.jar, form, null, null)
+      http.post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form, null, null)
         .then((res) => {
           if (res.errors) {
-            return callback({ error: res.errors });
+            return callback(utils.fromResponse(res));
           }
-          return callback(res.data || { success: true });
+          return callback(null, res.data || { success: true });
         })
         .catch((err) => {
-          return callback({ error: err.message || "Unknown Error!" });
+          return callback(utils.toTransportError(err));
         });
     };
   };
\ No newline at end of file
@@ -9,16 +9,18 @@ module.exports = function (defaultFuncs, api, ctx) {
         if (utils.getType(moduleObj[apiName]) == "Function") {
           api[apiName] = moduleObj[apiName](defaultFuncs, api, ctx);
         } else {
-          throw new Error(
+          throw new utils.InvalidArgumentError(
             `Item "${apiName}" in moduleObj must be a function, not ${utils.getType(
               moduleObj[apiName],
             )}!`,
+            { argument: "moduleObj" },
           );
         }
       }
     } else {
-      throw new Error(
+      throw new utils.InvalidArgumentError(
         `moduleObj must be an object, not ${utils.getType(moduleObj)}!`,
+        { argument: "moduleObj" },
       );
     }
   };
@@ -5,44 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function addUserToGroup(userID, threadID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (
-      !callback &&
-      (utils.getType(threadID) === "Function" ||
-        utils.getType(threadID) === "AsyncFunction")
-    ) {
-      throw new utils.CustomError({
-        error: "please pass a threadID as a second argument.",
-      });
-    }
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
-    if (
-      utils.getType(threadID) !== "Number" &&
-      utils.getType(threadID) !== "String"
-    ) {
-      throw new utils.CustomError({
-        error:
-          "ThreadID should be of type Number or String and not " +
-          utils.getType(threadID) +
-          ".",
-      });
-    }
-
     if (utils.getType(userID) !== "Array") {
       userID = [userID];
     }
@@ -76,31 +38,19 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     for (let i = 0; i < userID.length; i++) {
-      if (
-        utils.getType(userID[i]) !== "Number" &&
-        utils.getType(userID[i]) !== "String"
-      ) {
-        throw new utils.CustomError({
-          error:
-            "Elements of userID should be of type Number or String and not " +
-            utils.getType(userID[i]) +
-            ".",
-        });
-      }
-
       form["log_message_data[added_participants][" + i + "]"] =
         "fbid:" + userID[i];
     }
 
     defaultFuncs
-      .post("https://www.facebook.com/messaging/send/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/messaging/send/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (!resData) {
-          throw new utils.CustomError({ error: "Add to group failed." });
+          throw new utils.TransportError("Add to group failed.");
         }
         if (resData.error) {
-          throw new utils.CustomError(resData);
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -109,7 +59,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("addUserToGroup", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
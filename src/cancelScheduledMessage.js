@@ -0,0 +1,15 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Cancels a message scheduled with `scheduleMessage`.
+   * @param {string} scheduleID - `id` of the scheduled message.
+   * @param {Function} callback - Called with whether a message was cancelled.
+   */
+  return function cancelScheduledMessage(scheduleID, callback) {
+    ctx.scheduler
+      .cancel(scheduleID)
+      .then((cancelled) => callback(null, cancelled))
+      .catch((err) => callback(err));
+  };
+};
@@ -5,22 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeArchivedStatus(threadOrThreads, archive, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     const form = {};
 
     if (utils.getType(threadOrThreads) === "Array") {
@@ -33,14 +17,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/change_archived_status.php",
+        ctx.endpoints.www + "/ajax/mercury/change_archived_status.php",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -49,7 +33,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeArchivedStatus", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -2,39 +2,36 @@
 
 const utils = require("../utils");
 const log = require("npmlog");
+const { resolveAttachment } = require("../lib/attachments");
 
 module.exports = function (defaultFuncs, api, ctx) {
   function handleUpload(image, callback) {
-    const uploads = [];
+    resolveAttachment(image, { maxSize: ctx.globalOptions.maxAttachmentSize, globalOptions: ctx.globalOptions })
+      .then((file) => {
+        const form = {
+          profile_id: ctx.i_userID || ctx.userID,
+          photo_source: 57,
+          av: ctx.i_userID || ctx.userID,
+          file: file,
+        };
 
-    const form = {
-      profile_id: ctx.i_userID || ctx.userID,
-      photo_source: 57,
-      av: ctx.i_userID || ctx.userID,
-      file: image,
-    };
-
-    uploads.push(
-      defaultFuncs
-        .postFormData(
-          "https://www.facebook.com/profile/picture/upload/",
-          ctx.jar,
-          form,
-          {},
-        )
-        .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-        .then(function (resData) {
-          if (resData.error) {
-            throw resData;
-          }
-          return resData;
-        }),
-    );
-
-    // resolve all promises
-    Promise.all(uploads)
+        return defaultFuncs
+          .postFormData(
+            ctx.endpoints.www + "/profile/picture/upload/",
+            ctx.jar,
+            form,
+            {},
+          )
+          .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
+          .then(function (resData) {
+            if (resData.error) {
+              throw utils.fromResponse(resData);
+            }
+            return resData;
+          });
+      })
       .then(function (resData) {
-        callback(null, resData);
+        callback(null, [resData]);
       })
       .catch(function (err) {
         log.error("handleUpload", err);
@@ -48,40 +45,6 @@ module.exports = function (defaultFuncs, api, ctx) {
     timestamp = null,
     callback,
   ) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!timestamp && utils.getType(caption) === "Number") {
-      timestamp = caption;
-      caption = "";
-    }
-
-    if (
-      !timestamp &&
-      !callback &&
-      (utils.getType(caption) == "Function" ||
-        utils.getType(caption) == "AsyncFunction")
-    ) {
-      callback = caption;
-      caption = "";
-      timestamp = null;
-    }
-
-    if (!callback)
-      callback = function (err, data) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(data);
-      };
-
-    if (!utils.isReadableStream(image))
-      return callback("Image is not a readable stream");
-
     handleUpload(image, function (err, payload) {
       if (err) {
         return callback(err);
@@ -91,7 +54,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         av: ctx.i_userID || ctx.userID,
         fb_api_req_friendly_name: "ProfileCometProfilePictureSetMutation",
         fb_api_caller_class: "RelayModern",
-        doc_id: "5066134240065849",
+        doc_id: ctx.docIds.ProfileCometProfilePictureSetMutation,
         variables: JSON.stringify({
           input: {
             caption,
@@ -117,11 +80,11 @@ module.exports = function (defaultFuncs, api, ctx) {
       };
 
       defaultFuncs
-        .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
+        .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form)
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function (resData) {
           if (resData.errors) {
-            throw resData;
+            throw utils.fromResponse(resData);
           }
           return callback(null, resData[0].data.profile_picture_set);
         })
@@ -130,7 +93,5 @@ module.exports = function (defaultFuncs, api, ctx) {
           return callback(err);
         });
     });
-
-    return returnPromise;
   };
 };
@@ -3,45 +3,33 @@
 
 var utils = require("../utils");
 var log = require("npmlog");
+var { resolveAttachment } = require("../lib/attachments");
 /**
  * It posts an image to a Facebook profile
  * @param Api - The API object
  * @param BotID - The ID of the bot you want to post the image to.
  * @param form - The form data that you want to send.
+ * @param endpoints - The endpoint registry of the session (ctx.endpoints).
  * @returns The JSON.parse(Data.split("for (;;);")[1]); is returning the following:
  * {"__ar":1,"payload":null,"jsmods":{"require":[["ImageUploader","uploadPhoto",[{"__m":"__elem_0"},{"__m":"__elem_1"},{"__m":"__elem_2"},{"__m":"__
  */
-async function postImage(Api, BotID, form) {
-    var Data = await Api.httpPostFormData(`https://www.facebook.com/profile/picture/upload/?profile_id=${BotID}&photo_source=57&av=${BotID}`, form);
+async function postImage(Api, BotID, form, endpoints) {
+    var Data = await Api.httpPostFormData(`${endpoints.www}/profile/picture/upload/?profile_id=${BotID}&photo_source=57&av=${BotID}`, form);
     return JSON.parse(Data.split("for (;;);")[1]);
 }
 
 module.exports = function(defaultFuncs, api, ctx) {
 /* Changing the profile picture of the bot. */
     return function changeAvt(link, caption, callback) {
-        var resolveFunc = function() {};
-        var rejectFunc = function() {};
-        var returnPromise = new Promise(function(resolve, reject) {
-            resolveFunc = resolve;
-            rejectFunc = reject;
-        });
-
-        if (!callback) {
-            callback = function(err, data) {
-                if (err) return rejectFunc(err);
-                resolveFunc(data);
-            };
-        }
         try {
-            var Fetch = require('axios')
-            Fetch.get(link, { responseType: "stream" }).then(data => { 
-                postImage(api, ctx.userID, { file: data.data }).then(data => {
-                    if (data.error) throw new Error({ error: data.error, des: data.error.errorDescription });
+            resolveAttachment(link, { maxSize: ctx.globalOptions.maxAttachmentSize, globalOptions: ctx.globalOptions }).then(file => {
+                return postImage(api, ctx.userID, { file: file }, ctx.endpoints).then(data => {
+                    if (data.error) throw utils.fromResponse(data);
                     var form = {
                         av: ctx.userID,
                             fb_api_req_friendly_name: "ProfileCometProfilePictureSetMutation",
                             fb_api_caller_class: "RelayModern",
-                            doc_id: "5066134240065849",
+                            doc_id: ctx.docIds.ProfileCometProfilePictureSetMutation,
                             variables: JSON.stringify({
                                 input: {
                                     caption: (caption || ""),
@@ -66,21 +54,24 @@ module.exports = function(defaultFuncs, api, ctx) {
                         })
                     };
                     defaultFuncs
-                        .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
+                        .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form)
                         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
                         .then(function(resData) {
-                            if (resData.error) throw resData;
+                            if (resData.error) throw utils.fromResponse(resData);
                             else return callback(null,true)
                         })
                         .catch(function(err) {
                         return callback(err);
                     });
                 })
-            })  
+            })
+            .catch(function(err) {
+                log.error("changeAvatarV2", err);
+                return callback(utils.toTransportError(err));
+            });
         }
         catch (e) {
             throw e;
         }
-        return returnPromise;
     };
 };
@@ -5,29 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeBio(bio, publish, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      if (
-        utils.getType(publish) == "Function" ||
-        utils.getType(publish) == "AsyncFunction"
-      ) {
-        callback = publish;
-      } else {
-        callback = function (err) {
-          if (err) {
-            return rejectFunc(err);
-          }
-          resolveFunc();
-        };
-      }
-    }
-
     if (utils.getType(publish) != "Boolean") {
       publish = false;
     }
@@ -41,7 +18,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "ProfileCometSetBioMutation",
       // This doc_is is valid as of May 23, 2020
-      doc_id: "2725043627607610",
+      doc_id: ctx.docIds.ProfileCometSetBioMutation,
       variables: JSON.stringify({
         input: {
           bio: bio,
@@ -57,11 +34,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.errors) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -70,7 +47,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeBio", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
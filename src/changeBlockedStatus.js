@@ -5,25 +5,9 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeBlockedStatus(userID, block, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     defaultFuncs
       .post(
-        `https://www.facebook.com/messaging/${
+        `${ctx.endpoints.www}/messaging/${
           block ? "" : "un"
         }block_messages/`,
         ctx.jar,
@@ -35,7 +19,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -44,6 +28,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeBlockedStatus", err);
         return callback(err);
       });
-    return returnPromise;
   };
 };
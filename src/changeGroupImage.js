@@ -2,38 +2,35 @@
 
 const utils = require("../utils");
 const log = require("npmlog");
+const { resolveAttachment } = require("../lib/attachments");
 
 module.exports = function (defaultFuncs, api, ctx) {
   function handleUpload(image, callback) {
-    const uploads = [];
-
-    const form = {
-      images_only: "true",
-      "attachment[]": image,
-    };
-
-    uploads.push(
-      defaultFuncs
-        .postFormData(
-          "https://upload.facebook.com/ajax/mercury/upload.php",
-          ctx.jar,
-          form,
-          {},
-        )
-        .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-        .then(function (resData) {
-          if (resData.error) {
-            throw resData;
-          }
-
-          return resData.payload.metadata[0];
-        }),
-    );
-
-    // resolve all promises
-    Promise.all(uploads)
+    resolveAttachment(image, { maxSize: ctx.globalOptions.maxAttachmentSize, globalOptions: ctx.globalOptions })
+      .then((file) => {
+        const form = {
+          images_only: "true",
+          "attachment[]": file,
+        };
+
+        return defaultFuncs
+          .postFormData(
+            ctx.endpoints.upload + "/ajax/mercury/upload.php",
+            ctx.jar,
+            form,
+            {},
+          )
+          .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
+          .then(function (resData) {
+            if (resData.error) {
+              throw utils.fromResponse(resData);
+            }
+
+            return resData.payload.metadata[0];
+          });
+      })
       .then(function (resData) {
-        callback(null, resData);
+        callback(null, [resData]);
       })
       .catch(function (err) {
         log.error("handleUpload", err);
@@ -42,34 +39,6 @@ module.exports = function (defaultFuncs, api, ctx) {
   }
 
   return function changeGroupImage(image, threadID, callback) {
-    if (
-      !callback &&
-      (utils.getType(threadID) === "Function" ||
-        utils.getType(threadID) === "AsyncFunction")
-    ) {
-      throw { error: "please pass a threadID as a second argument." };
-    }
-
-    if (!utils.isReadableStream(image)) {
-      throw { error: "please pass a readable stream as a first argument." };
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     const messageAndOTID = utils.generateOfflineThreadingID();
     const form = {
       client: "mercury",
@@ -110,7 +79,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
       defaultFuncs
         .post(
-          "https://www.facebook.com/messaging/set_thread_image/",
+          ctx.endpoints.www + "/messaging/set_thread_image/",
           ctx.jar,
           form,
         )
@@ -119,7 +88,7 @@ module.exports = function (defaultFuncs, api, ctx) {
           // check for errors here
 
           if (resData.error) {
-            throw resData;
+            throw utils.fromResponse(resData);
           }
 
           return callback();
@@ -129,7 +98,5 @@ module.exports = function (defaultFuncs, api, ctx) {
           return callback(err);
         });
     });
-
-    return returnPromise;
   };
 };
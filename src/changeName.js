@@ -5,30 +5,9 @@ var log = require('npmlog');
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeName(input, format, callback) {
-    var cb;
-    var rt = new Promise(function (resolve, reject) {
-      cb = error => error ? reject(error) : resolve();
-    });
-
-    if (typeof input == 'function') {
-      callback = input;
-      input = null;
-    }
-    if (typeof format == 'function') {
-      callback = format;
-      format = 'complete';
-    }
-    if (typeof callback == 'function') cb = callback;
-    if (utils.getType(input) != 'Object') {
-      var error = 'name must be an object, not ' + utils.getType(input);
-      log('changeName', error);
-      return cb(error);
-    } 
-
     var { first_name, middle_name, last_name } = input;
     if (!first_name || !last_name) {
-      log.error('changeName', 'name is not be accepted');
-      return cb('name is not be accepted');
+      return callback(new utils.InvalidArgumentError('changeName: first_name and last_name are required.', { argument: 'input' }));
     }
 
     middle_name = middle_name || '';
@@ -53,27 +32,25 @@ module.exports = function (defaultFuncs, api, ctx) {
         interface: 'FB_WEB'
       }),
       server_timestamps: true,
-      doc_id: '5763510853763960'
+      doc_id: ctx.docIds.useFXIMUpdateNameMutation
     }
 
     defaultFuncs
-      .post('https://accountscenter.facebook.com/api/graphql/', ctx.jar, form, null, null, {
-        Origin: 'https://accountscenter.facebook.com',
-        Referer: `https://accountscenter.facebook.com/profiles/${ctx.userID}/name`
+      .post(ctx.endpoints.accountsCenter + '/api/graphql/', ctx.jar, form, null, {
+        Origin: ctx.endpoints.accountsCenter,
+        Referer: `${ctx.endpoints.accountsCenter}/profiles/${ctx.userID}/name`
       })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (res) {
         if (res.errors) 
-          throw res;
+          throw utils.fromResponse(res);
         else if (res.data.fxim_update_identity_name.error) 
-          throw res.data.fxim_update_identity_name.error;
-        return cb();
+          throw new utils.FBError(res.data.fxim_update_identity_name.error);
+        return callback();
       })
       .catch(function (err) {
         log.error('changeName', err);
-        return cb(err);
+        return callback(err);
       });
-
-    return rt;
   }
 }
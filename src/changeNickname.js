@@ -5,21 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeNickname(nickname, threadID, participantID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     const form = {
       nickname: nickname,
       participant_id: participantID,
@@ -28,23 +13,23 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/messaging/save_thread_nickname/?source=thread_settings&dpr=1",
+        ctx.endpoints.www + "/messaging/save_thread_nickname/?source=thread_settings&dpr=1",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error === 1545014) {
-          throw { error: "Trying to change nickname of user isn't in thread" };
+          throw utils.fromResponse(resData, { message: "Trying to change nickname of user isn't in thread" });
         }
         if (resData.error === 1357031) {
-          throw {
-            error:
+          throw utils.fromResponse(resData, {
+            message:
               "Trying to change user nickname of a thread that doesn't exist. Have at least one message in the thread before trying to change the user nickname.",
-          };
+          });
         }
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -53,7 +38,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeNickname", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,22 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeThreadColor(color, threadID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(err);
-      };
-    }
-
     if (!isNaN(color)) {
       color = color.toString();
     }
@@ -30,8 +14,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       dpr: 1,
       queries: JSON.stringify({
         o0: {
-          //This doc_id is valid as of January 31, 2020
-          doc_id: "1727493033983591",
+          doc_id: ctx.docIds.MessengerThreadThemeUpdateMutation,
           query_params: {
             data: {
               actor_id: ctx.i_userID || ctx.userID,
@@ -46,11 +29,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData[resData.length - 1].error_results > 0) {
-          throw new utils.CustomError(resData[0].o0.errors);
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -59,7 +42,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeThreadColor", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
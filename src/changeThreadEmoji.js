@@ -5,21 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeThreadEmoji(emoji, threadID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
     const form = {
       emoji_choice: emoji,
       thread_or_other_fbid: threadID,
@@ -27,20 +12,20 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/messaging/save_thread_emoji/?source=thread_settings&__pc=EXP1%3Amessengerdotcom_pkg",
+        ctx.endpoints.www + "/messaging/save_thread_emoji/?source=thread_settings&__pc=EXP1%3Amessengerdotcom_pkg",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error === 1357031) {
-          throw {
-            error:
+          throw utils.fromResponse(resData, {
+            message:
               "Trying to change emoji of a chat that doesn't exist. Have at least one message in the thread before trying to change the emoji.",
-          };
+          });
         }
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -49,7 +34,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("changeThreadEmoji", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
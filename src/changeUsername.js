@@ -5,23 +5,6 @@ var log = require('npmlog');
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function changeUsername(username, callback) {
-    var cb;
-    var rt = new Promise(function (resolve, reject) {
-      cb = (error, info) => info ? resolve(info) : reject(error);
-    });
-
-    if (typeof username == 'function') {
-     var error = 'username must be a string, and not ' + utils.getType(username);
-      log.error('changeUsername', error);
-      return username(error);
-    }
-    if (typeof callback == 'function') cb = callback;
-    if (typeof username != 'string') {
-      var error = 'username must be a string, and not ' + utils.getType(username);
-      log.error('changeUsername', error);
-      return cb(error);
-    }
-
     var form = {
       fb_api_caller_class: 'RelayModern',
       fb_api_req_friendly_name: 'useFXIMUpdateUsernameMutation',
@@ -33,27 +16,25 @@ module.exports = function (defaultFuncs, api, ctx) {
         interface: "FB_WEB"
       }),
       server_timestamps: true,
-      doc_id: 5737739449613305
+      doc_id: ctx.docIds.useFXIMUpdateUsernameMutation
     }
 
     defaultFuncs
-      .post('https://accountscenter.facebook.com/api/graphql/', ctx.jar, form, null, null, {
-        Origin: 'https://accountscenter.facebook.com',
-        Referer: `https://accountscenter.facebook.com/profiles/${ctx.userID}/username/?entrypoint=fb_account_center`
+      .post(ctx.endpoints.accountsCenter + '/api/graphql/', ctx.jar, form, null, {
+        Origin: ctx.endpoints.accountsCenter,
+        Referer: `${ctx.endpoints.accountsCenter}/profiles/${ctx.userID}/username/?entrypoint=fb_account_center`
       })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (res) {
         if (res.errors) 
-          throw res;
+          throw utils.fromResponse(res);
         else if (res.data.fxim_update_identity_username.error) 
-          throw res.data.fxim_update_identity_username.error;
-        return cb();
+          throw new utils.FBError(res.data.fxim_update_identity_username.error);
+        return callback();
       })
       .catch(function (err) {
         log.error('changeUsername', err);
-        return cb(err);
+        return callback(err);
       });
-    
-    return rt;
   }
 }
@@ -0,0 +1,95 @@
+"use strict";
+
+const utils = require("../utils");
+const log = require("npmlog");
+
+// How Facebook words it when a doc_id no longer maps to a persisted query.
+const MISSING_QUERY = /persisted.?query|(query|document) (was )?not found|(invalid|unknown) doc_?id/i;
+
+function collectErrors(resData) {
+  const errors = [];
+  (Array.isArray(resData) ? resData : [resData]).forEach(function (res) {
+    if (!res || typeof res !== "object") return;
+    if (Array.isArray(res.errors)) {
+      res.errors.forEach(function (e) {
+        errors.push((e && (e.message || e.summary || e.description)) || String(e));
+      });
+    }
+    if (res.error) {
+      errors.push([res.errorSummary, res.errorDescription].filter(Boolean).join(": ") || String(res.error));
+    }
+  });
+  return errors;
+}
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Probes each doc_id of the session registry (`ctx.docIds`) with empty variables and reports
+   * which ones Facebook no longer knows. Errors about missing variables mean the query exists.
+   * @param {string[]} [names] - Friendly names to check. Defaults to the whole registry.
+   * @param {(err: any, result?: { ok: string[], missing: { name: string, docID: string, message: string }[], failed: { name: string, docID: string, message: string }[] }) => void} callback
+   */
+  return function checkDocIds(names, callback) {
+    const docIds = ctx.docIds;
+    names = names ? [].concat(names) : Object.keys(docIds);
+    const unknown = names.filter((name) => !Object.prototype.hasOwnProperty.call(docIds, name));
+    if (unknown.length > 0) {
+      return callback(new utils.InvalidArgumentError("checkDocIds: unknown query names: " + unknown.join(", "), { argument: "names" }));
+    }
+
+    // Several names can share one doc_id; probe each id only once.
+    const probes = {};
+    function probe(name) {
+      const docID = docIds[name];
+      if (!probes[docID]) {
+        const form = {
+          av: ctx.i_userID || ctx.userID,
+          fb_api_caller_class: "RelayModern",
+          fb_api_req_friendly_name: name,
+          variables: JSON.stringify({}),
+          server_timestamps: true,
+          doc_id: docID,
+        };
+        probes[docID] = defaultFuncs
+          .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form, null, null, { idempotent: true })
+          .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
+          .then(function (resData) {
+            const missing = collectErrors(resData).find((message) => MISSING_QUERY.test(message));
+            return missing ? { status: "missing", message: missing } : { status: "ok" };
+          })
+          .catch(function (err) {
+            const message = (err && (err.message || err.error)) || String(err);
+            if (MISSING_QUERY.test(message)) {
+              return { status: "missing", message };
+            }
+            return { status: "failed", message };
+          });
+      }
+      return probes[docID];
+    }
+
+    const result = { ok: [], missing: [], failed: [] };
+    names
+      .reduce(function (chain, name) {
+        return chain.then(function () {
+          return probe(name).then(function (outcome) {
+            if (outcome.status === "ok") {
+              result.ok.push(name);
+            } else {
+              result[outcome.status].push({ name, docID: docIds[name], message: outcome.message });
+            }
+          });
+        });
+      }, Promise.resolve())
+      .then(function () {
+        result.missing.forEach(function (entry) {
+          log.warn("checkDocIds", `${entry.name} (doc_id ${entry.docID}) is no longer known to Facebook: ${entry.message}`);
+        });
+        callback(null, result);
+      })
+      .catch(function (err) {
+        log.error("checkDocIds", err);
+        callback(err);
+      });
+  };
+};
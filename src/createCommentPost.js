@@ -2,52 +2,36 @@
 
 var utils = require('../utils.js');
 var log = require('npmlog');
+var { resolveAttachments } = require('../lib/attachments');
 
 module.exports = function (defaultFuncs, api, ctx) {
   function handleUpload(msg, form) {
-    var cb;
-    var uploads = [];
-    var returnPromise = new Promise(function (resolve, reject) {
-      cb = error => error ? reject(error) : resolve();
-    });
-
-    for (let item of msg.attachments) {
-      if (!utils.isReadableStream(item))
-        return cb({ error: 'image should be a readable stream and not ' + utils.getType(image) });
-
-      var httpData = defaultFuncs
-        .postFormData('https://www.facebook.com/ajax/ufi/upload/', ctx.jar, {
-          profile_id: ctx.userID,
-          source: 19,
-          target_id: ctx.userID,
-          file: item
-        })
-        .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-        .then(function (res) {
-          if (res.errors || res.error || !res.payload) 
-            throw res;
-
-          return {
-            media: {
-              id: res.payload.fbid
-            }
-          }
-        })
-        .catch(cb);
-      
-      uploads.push(httpData);
-    }
-
-    Promise
-      .all(uploads)
+    return resolveAttachments(msg.attachments, ctx)
+      .then(function (files) {
+        return Promise.all(files.map(function (item) {
+          return defaultFuncs
+            .postFormData(ctx.endpoints.www + '/ajax/ufi/upload/', ctx.jar, {
+              profile_id: ctx.userID,
+              source: 19,
+              target_id: ctx.userID,
+              file: item
+            })
+            .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
+            .then(function (res) {
+              if (res.errors || res.error || !res.payload) 
+                throw utils.fromResponse(res);
+
+              return {
+                media: {
+                  id: res.payload.fbid
+                }
+              }
+            });
+        }));
+      })
       .then(function (main) {
         main.forEach(item => form.input.attachments.push(item));
-
-        return cb();
-      })
-      .catch(cb);
-
-    return returnPromise;
+      });
   }
 
   function handleURL(msg, form) {
@@ -69,12 +53,12 @@ module.exports = function (defaultFuncs, api, ctx) {
       var { tag, id, fromIndex } = item;
 
       if (typeof tag != 'string')
-        throw 'Mention tag must be string';
+        throw new utils.InvalidArgumentError('Mention tag must be string', { argument: 'mentions' });
       if (!id)
-        throw 'id must be string';
+        throw new utils.InvalidArgumentError('id must be string', { argument: 'mentions' });
       var offset = msg.body.indexOf(tag, fromIndex || 0);
       if (offset < 0)
-        throw 'Mention for "' + tag + '" not found in message string.';
+        throw new utils.InvalidArgumentError('Mention for "' + tag + '" not found in message string.', { argument: 'mentions' });
       form.input.message.ranges.push({
         entity: { id },
         length: tag.length,
@@ -102,17 +86,17 @@ module.exports = function (defaultFuncs, api, ctx) {
     });
 
     defaultFuncs
-      .post('https://www.facebook.com/api/graphql/', ctx.jar, {
+      .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, {
         fb_api_caller_class: 'RelayModern',
         fb_api_req_friendly_name: 'useCometUFICreateCommentMutation',
         variables: JSON.stringify(form),
         server_timestamps: !0,
-        doc_id: 6993516810709754
+        doc_id: ctx.docIds.useCometUFICreateCommentMutation
       })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (res) {
         if (res.errors) 
-          throw res;
+          throw utils.fromResponse(res);
         
         var res = res.data.comment_create;
         var info = {
@@ -128,28 +112,6 @@ module.exports = function (defaultFuncs, api, ctx) {
   }
   
   return function createCommentPost(msg, postID, callback, replyCommentID) {
-    var cb;
-    var returnPromise = new Promise(function (resolve, reject) {
-      cb = (error, info) => info ? resolve(info) : reject(error);
-    });
-
-    if (typeof msg == 'function') {
-      var error = 'Message must be a string or object!!';
-      log.error('createCommentPost', error);
-      return msg(error);
-    }
-    if (typeof postID == 'function') {
-      var error = 'postID must be a string!!';
-      log.error('createCommentPost', error);
-      return postID(error);
-    }
-    if (typeof callback == 'string') {
-      replyCommentID = callback;
-      callback = null;
-    }
-    if (typeof callback == 'function') 
-      cb = calback;
-
     var MessageType = utils.getType(msg);
 
     if (MessageType == 'String') 
@@ -165,15 +127,6 @@ module.exports = function (defaultFuncs, api, ctx) {
       msg.attachments ? !Array.isArray(msg.attachments) ? msg.attachments = [msg.attachments] : null : msg.attachments = [];
       isNaN(msg.sticker) ? msg.sticker = null : null;
       msg.body ? typeof msg.body == 'object' ? msg.body = JSON.stringify(msg.body) : null : msg.body = '';
-    } else {
-      var error = 'Message must be a string or object!!';
-      log.error('createCommentPost', error);
-      return cb(error);
-    }
-    if (typeof postID != 'string') {
-      var error = 'postID must be a string!!';
-      log.error('createCommentPost', error);
-      return cb(error);
     }
 
     if (typeof replyCommentID != 'string') 
@@ -219,12 +172,10 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(_ => handleMentions(msg, form))
       .then(_ => handleSticker(msg, form))
       .then(_ => createContent(form))
-      .then(info => cb(null, info))
+      .then(info => callback(null, info))
       .catch(function (err) {
         log.error('createCommentPost', err);
-        return cb(null, err);
+        return callback(err);
       })
-
-    return returnPromise;
   }
 }
@@ -5,35 +5,12 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function createNewGroup(participantIDs, groupTitle, callback) {
-    if (utils.getType(groupTitle) == "Function") {
-      callback = groupTitle;
-      groupTitle = null;
-    }
-
-    if (utils.getType(participantIDs) !== "Array") {
-      throw { error: "createNewGroup: participantIDs should be an array." };//
-    }
-
     if (participantIDs.length < 2) {
-      throw {
-        error: "createNewGroup: participantIDs should have at least 2 IDs.",
-      };
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, threadID) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(threadID);
-      };
+      return callback(
+        new utils.InvalidArgumentError("createNewGroup: participantIDs should have at least 2 IDs.", {
+          argument: "participantIDs",
+        }),
+      );
     }
 
     const pids = [];
@@ -48,8 +25,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "MessengerGroupCreateMutation",
       av: ctx.i_userID || ctx.userID,
-      //This doc_id is valid as of January 11th, 2020
-      doc_id: "577041672419534",
+      doc_id: ctx.docIds.MessengerGroupCreateMutation,
       variables: JSON.stringify({
         input: {
           entry_point: "jewel_new_group",
@@ -66,11 +42,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.errors) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         return callback(
           null,
@@ -82,7 +58,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("createNewGroup", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,26 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function createPoll(title, threadID, options, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      if (utils.getType(options) == "Function") {
-        callback = options;
-        options = null;
-      } else {
-        callback = function (err) {
-          if (err) {
-            return rejectFunc(err);
-          }
-          resolveFunc();
-        };
-      }
-    }
     if (!options) {
       options = {}; // Initial poll options are optional
     }
@@ -49,14 +29,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/messaging/group_polling/create_poll/?dpr=1",
+        ctx.endpoints.www + "/messaging/group_polling/create_poll/?dpr=1",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.payload.status != "success") {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -65,7 +45,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("createPoll", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -2,6 +2,7 @@
 
 var utils = require('../utils');
 var log = require('npmlog');
+var { resolveAttachments } = require('../lib/attachments');
 
 module.exports = function (defaultFuncs, api, ctx) {  
   function handleUpload(msg, form) {
@@ -12,34 +13,27 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     if (!msg.attachment) cb();
     else {
-      msg.attachment = Array.isArray(msg.attachment) ? msg.attachment : [msg.attachment];
-      let uploads = [];
-      for (let attachment of msg.attachment) {
-        if (!utils.isReadableStream(attachment))
-          cb('Attachment should be a readable stream, not ' + utils.getType(attachment));
-
-        var vari = {
-          source: 8,
-          profile_id: ctx.userID,
-          waterfallxapp: 'comet',
-          farr: attachment,
-          upload_id: 'jsc_c_6'
-        }
-        var main = defaultFuncs
-            .postFormData('https://upload.facebook.com/ajax/react_composer/attachments/photo/upload', ctx.jar, vari)
-            .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-            .then(function (res) {
-              if (res.error || res.errors) 
-                throw res;
-
-              return res.payload;
-            });
-        
-        uploads.push(main);
-      }
-
-      Promise
-        .all(uploads)
+      resolveAttachments(msg.attachment, ctx)
+        .then(function (files) {
+          return Promise.all(files.map(function (attachment) {
+            var vari = {
+              source: 8,
+              profile_id: ctx.userID,
+              waterfallxapp: 'comet',
+              farr: attachment,
+              upload_id: 'jsc_c_6'
+            }
+            return defaultFuncs
+              .postFormData(ctx.endpoints.upload + '/ajax/react_composer/attachments/photo/upload', ctx.jar, vari)
+              .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
+              .then(function (res) {
+                if (res.error || res.errors) 
+                  throw utils.fromResponse(res);
+
+                return res.payload;
+              });
+          }));
+        })
         .then(function (res) {
           for (let payload of res) {
           if (!payload) break;
@@ -86,17 +80,17 @@ module.exports = function (defaultFuncs, api, ctx) {
       }
       
       defaultFuncs
-        .post('https://www.facebook.com/api/graphql/', ctx.jar, {
+        .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, {
           fb_api_req_friendly_name: 'ComposerLinkAttachmentPreviewQuery',
           variables: JSON.stringify(vari),
           server_timestamps: true,
-          doc_id: 6549975235094234
+          doc_id: ctx.docIds.ComposerLinkAttachmentPreviewQuery
         })
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function (res) {
           var res = (res[0] || res).data.link_preview;
           if (JSON.parse(res.share_scrape_data).share_type == 400) 
-            throw { error: 'url is not accepted' }
+            throw new utils.InvalidArgumentError('url is not accepted', { argument: 'url', res });
         
           form.input.attachments.push({
             link: {
@@ -120,12 +114,12 @@ module.exports = function (defaultFuncs, api, ctx) {
       var { id, tag, fromIndex } = mention;
 
       if (typeof tag != 'string')
-        throw 'Mention tag must be string';
+        throw new utils.InvalidArgumentError('Mention tag must be string', { argument: 'mentions' });
       if (!id)
-        throw 'id must be string';
+        throw new utils.InvalidArgumentError('id must be string', { argument: 'mentions' });
       var offset = msg.body.indexOf(tag, fromIndex || 0);
       if (offset < 0)
-        throw 'Mention for "' + tag + '" not found in message string.';
+        throw new utils.InvalidArgumentError('Mention for "' + tag + '" not found in message string.', { argument: 'mentions' });
       form.input.message.ranges.push({
         entity: { id },
         length: tag.length,
@@ -144,11 +138,11 @@ module.exports = function (defaultFuncs, api, ctx) {
       fb_api_req_friendly_name: 'ComposerStoryCreateMutation',
       variables: JSON.stringify(vari),
       server_timestamps: true,
-      doc_id: 6255089511280268
+      doc_id: ctx.docIds.ComposerStoryCreateMutation
     }
 
     defaultFuncs
-      .post('https://www.facebook.com/api/graphql/', ctx.jar, form)
+      .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(res => cb(null, res))
       .catch(cb);
@@ -157,24 +151,7 @@ module.exports = function (defaultFuncs, api, ctx) {
   }
   
   return function createPost(msg, callback) {
-    var cb;
-    var rt = new Promise(function (resolve, reject) {
-      cb = (error, url) => url ? resolve(url) : reject(error);
-    });
-
-    if (typeof msg == 'function') {
-      var error = 'Msg must be a string or object and not function';
-      log.error('createPost', error);
-      return msg(error);
-    }
-    if (typeof callback == 'function') cb = callback;
-
-    var typeMsg = utils.getType(msg);
-    if (!['Object', 'String'].includes(typeMsg)) {
-      var error = 'Msg must be a string or object and not ' + typeMsg;
-      log.error('createPost', error);
-      return cb(error);
-    } else if (typeMsg == 'String') msg = { body: msg };
+    if (utils.getType(msg) == 'String') msg = { body: msg };
     msg.allowUserID = msg.allowUserID ? !Array.isArray(msg.allowUserID) ? [msg.allowUserID] : msg.allowUserID : null;
 
     var sessionID = utils.getGUID();
@@ -263,13 +240,11 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(_ => handleMention(msg, form))
       .then(_ => createContent(form))
       .then(function (res) {
-        return cb(null, (res[0] || res).data.story_create.story.url);
+        return callback(null, (res[0] || res).data.story_create.story.url);
       })
       .catch(function (err) {
      //   log.error('createPost', err);
-        return cb(err);
+        return callback(err);
       });
-
-    return rt;
   }
 }
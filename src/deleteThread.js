@@ -5,21 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function deleteThread(threadOrThreads, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     const form = {
       client: "mercury",
     };
@@ -34,14 +19,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/delete_thread.php",
+        ctx.endpoints.www + "/ajax/mercury/delete_thread.php",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -50,7 +35,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("deleteThread", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
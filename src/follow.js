@@ -1,5 +1,7 @@
 "use strict";
 
+const utils = require("../utils");
+
 /**
  * Author @YanMaglinte
  * https://github.com/YANDEVA
@@ -11,7 +13,7 @@
 module.exports = function (defaultFuncs, api, ctx) {
   return function follow(senderID, boolean, callback) {
     if (!ctx.mqttClient) {
-      throw new Error("Not connected to MQTT");
+      return callback(new utils.TransportError("Not connected to MQTT"));
     }
 
     let form;
@@ -21,7 +23,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         av: ctx.userID || ctx.i_userID,
         fb_api_req_friendly_name: "CometUserFollowMutation",
         fb_api_caller_class: "RelayModern",
-        doc_id: "25472099855769847",
+        doc_id: ctx.docIds.CometUserFollowMutation,
         variables: JSON.stringify({
           input: {
             attribution_id_v2:
@@ -41,7 +43,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         av: ctx.userID || ctx.i_userID,
         fb_api_req_friendly_name: "CometUserUnfollowMutation",
         fb_api_caller_class: "RelayModern",
-        doc_id: "25472099855769847",
+        doc_id: ctx.docIds.CometUserUnfollowMutation,
         variables: JSON.stringify({
           action_render_location: "WWW_COMET_FRIEND_MENU",
           input: {
@@ -59,16 +61,6 @@ module.exports = function (defaultFuncs, api, ctx) {
       };
     }
 
-    api.httpPost("https://www.facebook.com/api/graphql/", form, (err, data) => {
-      if (err) {
-        if (typeof callback === "function") {
-          callback(err);
-        }
-      } else {
-        if (typeof callback === "function") {
-          callback(null, data);
-        }
-      }
-    });
+    api.httpPost(ctx.endpoints.www + "/api/graphql/", form, callback);
   };
 };
\ No newline at end of file
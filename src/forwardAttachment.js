@@ -5,21 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function forwardAttachment(attachmentID, userOrUsers, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-    if (!callback) {
-      callback = function (err) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc();
-      };
-    }
-
     const form = {
       attachment_id: attachmentID,
     };
@@ -38,14 +23,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/mercury/attachments/forward/",
+        ctx.endpoints.www + "/mercury/attachments/forward/",
         ctx.jar,
         form,
       )
-      .then(utils.parseAndCheckLogin(ctx.jar, defaultFuncs))
+      .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -54,7 +39,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("forwardAttachment", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
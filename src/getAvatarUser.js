@@ -14,7 +14,7 @@ module.exports = function (defaultFuncs, api, ctx) {
     // Getting User Data From GraphAPI In The Loop
     userIDs.map(function (v) {
       var mainPromise = defaultFuncs
-        .get(`https://graph.facebook.com/${v}/picture?height=${height}&width=${width}&redirect=false&access_token=` + ctx.access_token || `6628568379%7Cc1e620fa708a1d5696fb991c1bde5662`, ctx.jar)
+        .get(`${ctx.endpoints.graph}/${v}/picture?height=${height}&width=${width}&redirect=false&access_token=` + ctx.access_token || `6628568379%7Cc1e620fa708a1d5696fb991c1bde5662`, ctx.jar)
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function (res) {
           return { 
@@ -45,34 +45,22 @@ module.exports = function (defaultFuncs, api, ctx) {
   }
   
   return function getAvatarUser(userIDs, size = [1500, 1500], callback) {
-    var cb;
-    var rtPromise = new Promise(function (resolve, reject) {
-      cb = (err, res) => res ? resolve(res) : reject(err);
-    });
-
     (typeof size == 'string' || typeof size == 'number') ? size = [size, size] : Array.isArray(size) && size.length == 1 ? size = [size[0], size[0]] : null;
 
-    if (typeof size == 'function') {
-      callback = size;
-      size = [1500, 1500];
-    }
-    if (typeof callback == 'function') cb = callback;
     if (!Array.isArray(userIDs)) userIDs = [userIDs];
     var [height, width] = size;
     if (!ctx.access_token) {
       log.error('getAvatarUser', 'Cant get access_token');
-      return cb('Cant get access_token');
+      return callback(new utils.NotLoggedInError('getAvatarUser: no access_token. Call api.getAccess first.'));
     };
     
     handleAvatar(userIDs, height, width)
       .then(function (res) {
-        return cb(null, res);
+        return callback(null, res);
       })
       .catch(function (err) {
         log.error('getAvatarUser', err);
-        return cb(err);
+        return callback(err);
       });
-
-    return rtPromise;
   }
 }
\ No newline at end of file
@@ -1,26 +1,14 @@
 "use strict";
 // @NethWs3Dev
 
+const utils = require("../utils");
+
 module.exports = (defaultFuncs, api, ctx) => {
-  return async (callback) => {
-  let resolveFunc = () => {};
-  let rejectFunc = () => {};
-  const returnPromise = new Promise((resolve, reject) => {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-  });
-  if (!callback) {
-      callback = (err, data) => {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(data);
-      };
-  }
-  api.httpGet(`https://www.facebook.com/profile.php?id=${ctx?.userID}`, null, {
+  return function getBotInfo(callback) {
+  api.httpGet(`${ctx.endpoints.www}/profile.php?id=${ctx?.userID}`, null, {
       defaultUserAgent: true
   }, (err, data) => {
-      if (err) throw err;
+      if (err) return callback(err);
       const profileMatch = data.match(/"CurrentUserInitialData",\[\],\{(.*?)\},(.*?)\]/);
       if (profileMatch && profileMatch[1]){
         const accountJson = JSON.parse(`{${profileMatch[1]}}`);
@@ -31,10 +19,7 @@ module.exports = (defaultFuncs, api, ctx) => {
         return callback(null, {
           ...accountJson
       });
-      } else return callback(null, { error: "Something went wrong. Maybe its possible that it has a limitation due to spam requests. You can try again later." });
+      } else return callback(new utils.FBError("Something went wrong. Maybe its possible that it has a limitation due to spam requests. You can try again later."));
   }, true);
-  return returnPromise;
   };
 };
- 
- 
\ No newline at end of file
@@ -40,36 +40,22 @@ function formatData(obj) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getFriendsList(callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     defaultFuncs
       .postFormData(
-        "https://www.facebook.com/chat/user_info_all",
+        ctx.endpoints.www + "/chat/user_info_all",
         ctx.jar,
         {},
         { viewer: ctx.i_userID || ctx.userID },
+        null,
+        { idempotent: true },
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (!resData) {
-          throw { error: "getFriendsList returned empty object." };
+          throw new utils.TransportError("getFriendsList returned empty object.");
         }
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         callback(null, formatData(resData.payload));
       })
@@ -77,7 +63,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("getFriendsList", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
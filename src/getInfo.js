@@ -1,6 +1,5 @@
 "use strict";
 
-const axios = require('axios');
 const log = require("npmlog");
 const utils = require('../utils');
 
@@ -22,26 +21,29 @@ function formatProfileData(data, userID) {
   };
 }
 
-function fetchProfileData(userID, retryCount, callback) {
-  axios
-    .get(`https://www.facebook.com/profile.php?id=${userID}`, {
+function fetchProfileData(ctx, userID, retryCount, callback) {
+  const endpoints = ctx.endpoints;
+  utils
+    .request({
+      url: `${endpoints.www}/profile.php?id=${userID}`,
       headers: {
         "Content-Type": "application/x-www-form-urlencoded",
-        "Referer": "https://www.facebook.com/",
-        "User-Agent": utils.generateUserAgent(),
+        "Referer": endpoints.www + "/",
+        "User-Agent": ctx.globalOptions.deviceProfile ? undefined : utils.generateUserAgent(),
         "Connection": "keep-alive",
-        "Host": "www.facebook.com",
-        "Origin": "https://www.facebook.com",
+        "Host": new URL(endpoints.www).host,
+        "Origin": endpoints.www,
         "sec-fetch-site": "same-origin",
         "Sec-Fetch-User": "?1",
       },
       maxRedirects: 5,
-    })
+      throwHttpErrors: true,
+    }, ctx.globalOptions)
     .then((response) => {
-      if (response.status === 302 || response.request.res.statusCode === 302) {
+      if (response.statusCode === 302) {
         if (retryCount < 3) {
           setTimeout(() => {
-            fetchProfileData(userID, retryCount + 1, callback);
+            fetchProfileData(ctx, userID, retryCount + 1, callback);
           }, 1000);
         } else {
           callback(null, null); // Return null after max retries
@@ -49,11 +51,11 @@ function fetchProfileData(userID, retryCount, callback) {
         return;
       }
 
-      const titleMatch = response.data.match(/<title>(.*?)<\/title>/);
+      const titleMatch = response.body.match(/<title>(.*?)<\/title>/);
       if (!titleMatch || titleMatch[1].includes("Redirecting...")) {
         if (retryCount < 3) {
           setTimeout(() => {
-            fetchProfileData(userID, retryCount + 1, callback);
+            fetchProfileData(ctx, userID, retryCount + 1, callback);
           }, 1000);
         } else {
           callback(null, null); // Return null after max retries
@@ -70,7 +72,7 @@ function fetchProfileData(userID, retryCount, callback) {
 
       if (profileData.name && profileData.name.includes("Facebook") && retryCount < 3) {
         setTimeout(() => {
-          fetchProfileData(userID, retryCount + 1, callback);
+          fetchProfileData(ctx, userID, retryCount + 1, callback);
         }, 1000);
         return;
       }
@@ -89,19 +91,6 @@ function fetchProfileData(userID, retryCount, callback) {
 module.exports = (defaultFuncs, api, ctx) => {
   return function getInfo(id, callback) {
     const userID = id || ctx.userID;
-
-    if (!callback) {
-      return new Promise((resolve, reject) => {
-        const finalCallback = (err, profileData) => {
-          if (err) {
-            return reject(err);
-          }
-          resolve(profileData);
-        };
-        fetchProfileData(userID, 0, finalCallback);
-      });
-    } else {
-      fetchProfileData(userID, 0, callback);
-    }
+    fetchProfileData(ctx, userID, 0, callback);
   };
 };
\ No newline at end of file
@@ -134,7 +134,7 @@ function formatMessage(threadID, data) {
             author: data.message_sender.id,
           };
         default:
-          throw new Error(
+          throw new utils.FBError(
             `Unknown admin text type: "${data.extensible_message_admin_text_type}", if this happens to you let me know when it happens. Please open an issue at https://github.com/ntkhang03/fb-chat-api/issues.`,
           );
       }
@@ -210,7 +210,7 @@ function formatMessage(threadID, data) {
         timestamp: data.timestamp_precise,
       };
     default:
-      throw new Error(
+      throw new utils.FBError(
         `Unknown message type: "${data.__typename}", if this happens to you let me know when it happens. Please open an issue at https://github.com/ntkhang03/fb-chat-api/issues.`,
       );
     // If this happens to you let me know when it happens
@@ -237,30 +237,11 @@ function parseDelta(threadID, delta) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getMessage(threadID, messageID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, info) {
-        if (err) return rejectFunc(err);
-        resolveFunc(info);
-      };
-    }
-
-    if (!threadID || !messageID) {
-      return callback({ error: "getMessage: need threadID and messageID" });
-    }
-
     const form = {
       av: ctx.globalOptions.pageID,
       queries: JSON.stringify({
         o0: {
-          //This doc_id is valid as of ? (prob January 18, 2020)
-          doc_id: "1768656253222505",
+          doc_id: ctx.docIds.MessengerMessageQuery,
           query_params: {
             thread_and_message_id: {
               thread_id: threadID,
@@ -272,33 +253,28 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then((resData) => {
         if (resData[resData.length - 1].error_results > 0) {
-          throw resData[0].o0.errors;
+          throw utils.fromResponse(resData);
         }
 
         if (resData[resData.length - 1].successful_results === 0) {
-          throw {
-            error: "getMessage: there was no successful_results",
-            res: resData,
-          };
+          throw new utils.GraphQLError("getMessage: there was no successful_results", { res: resData });
         }
 
         const fetchData = resData[0].o0.data.message;
         if (fetchData) {
           callback(null, parseDelta(threadID, fetchData));
         } else {
-          throw fetchData;
+          throw new utils.GraphQLError("getMessage: message not found", { res: resData });
         }
       })
       .catch((err) => {
         log.error("getMessage", err);
         callback(err);
       });
-
-    return returnPromise;
   };
 };
 
@@ -0,0 +1,12 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Counts the messages the send queue (`sendQueue` option) has not finished sending yet.
+   * @param {string | string[]} [threadID] - Only count this thread.
+   * @returns {number}
+   */
+  return function getSendQueueDepth(threadID) {
+    return ctx.sendQueue.depth(threadID);
+  };
+};
@@ -619,30 +619,13 @@ module.exports = function (defaultFuncs, api, ctx) {
     timestamp,
     callback,
   ) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, data) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(data);
-      };
-    }
-
     // `queries` has to be a string. I couldn't tell from the dev console. This
     // took me a really long time to figure out. I deserve a cookie for this.
     const form = {
       av: ctx.globalOptions.pageID,
       queries: JSON.stringify({
         o0: {
-          // This doc_id was valid on February 2nd 2017.
-          doc_id: "1498317363570230",
+          doc_id: ctx.docIds.MessengerThreadHistoryQuery,
           query_params: {
             id: threadID,
             message_limit: amount,
@@ -655,17 +638,17 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         // This returns us an array of things. The last one is the success /
         // failure one.
         // @TODO What do we do in this case?
         if (resData[resData.length - 1].error_results !== 0) {
-          throw new Error("There was an error_result.");
+          throw utils.fromResponse(resData, { message: "There was an error_result." });
         }
 
         callback(null, formatMessagesGraphQLResponse(resData[0]));
@@ -674,7 +657,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("getThreadHistoryGraphQL", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,26 +5,6 @@ var log = require("npmlog");
 
 module.exports = function(defaultFuncs, api, ctx) {
   return function getThreadHistory(threadID, amount, timestamp, callback) {
-    var resolveFunc = function(){};
-    var rejectFunc = function(){};
-    var returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
-    if (!callback) {
-      throw { error: "getThreadHistory: need callback" };
-    }
-
     var form = {
       client: "mercury"
     };
@@ -43,16 +23,19 @@ module.exports = function(defaultFuncs, api, ctx) {
 
       defaultFuncs
         .post(
-          "https://www.facebook.com/ajax/mercury/thread_info.php",
+          ctx.endpoints.www + "/ajax/mercury/thread_info.php",
           ctx.jar,
-          form
+          form,
+          null,
+          null,
+          { idempotent: true }
         )
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function(resData) {
           if (resData.error) {
-            throw resData;
+            throw utils.fromResponse(resData);
           } else if (!resData.payload) {
-            throw { error: "Could not retrieve thread history." };
+            throw new utils.FBError("Could not retrieve thread history.", { res: resData });
           }
 
           // Asking for message history from a thread with no message history
@@ -88,6 +71,5 @@ module.exports = function(defaultFuncs, api, ctx) {
           return callback(err);
         });
     });
-    return returnPromise;
   };
 };
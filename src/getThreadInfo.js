@@ -149,25 +149,6 @@ function formatThreadGraphQLResponse(data) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getThreadInfoGraphQL(threadID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (
-      utils.getType(callback) != "Function" &&
-      utils.getType(callback) != "AsyncFunction"
-    ) {
-      callback = function (err, data) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(data);
-      };
-    }
-
     if (utils.getType(threadID) !== "Array") {
       threadID = [threadID];
     }
@@ -175,7 +156,7 @@ module.exports = function (defaultFuncs, api, ctx) {
     let form = {};
     threadID.map(function (t, i) {
       form["o" + i] = {
-        doc_id: "3449967031715030",
+        doc_id: ctx.docIds.MessengerGraphQLThreadFetcher,
         query_params: {
           id: t,
           message_limit: 0,
@@ -192,11 +173,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         const threadInfos = {};
@@ -221,7 +202,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         // Do nothing on error
         callback(null, null);
       });
-
-    return returnPromise;
   };
 };
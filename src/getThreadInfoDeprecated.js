@@ -5,22 +5,6 @@ var log = require("npmlog");
 
 module.exports = function(defaultFuncs, api, ctx) {
   return function getThreadInfo(threadID, callback) {
-    var resolveFunc = function(){};
-    var rejectFunc = function(){};
-    var returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     var form = {
       client: "mercury"
     };
@@ -37,26 +21,25 @@ module.exports = function(defaultFuncs, api, ctx) {
 
       defaultFuncs
         .post(
-          "https://www.facebook.com/ajax/mercury/thread_info.php",
+          ctx.endpoints.www + "/ajax/mercury/thread_info.php",
           ctx.jar,
-          form
+          form,
+          null,
+          null,
+          { idempotent: true }
         )
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function(resData) {
           if (resData.error) {
-            throw resData;
+            throw utils.fromResponse(resData);
           } else if (!resData.payload) {
-            throw {
-              error: "Could not retrieve thread Info."
-            };
+            throw new utils.FBError("Could not retrieve thread Info.", { res: resData });
           }
           var threadData = resData.payload.threads[0];
           var userData = userRes[threadID];
 
           if (threadData == null) {
-            throw {
-              error: "ThreadData is null"
-            };
+            throw new utils.FBError("ThreadData is null", { res: resData });
           }
 
           threadData.name =
@@ -75,6 +58,5 @@ module.exports = function(defaultFuncs, api, ctx) {
           return callback(err);
         });
     });
-    return returnPromise;
   };
 };
@@ -158,67 +158,27 @@ function formatThreadList(data) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getThreadList(limit, timestamp, tags, callback) {
-    if (
-      !callback &&
-      (utils.getType(tags) === "Function" ||
-        utils.getType(tags) === "AsyncFunction")
-    ) {
-      callback = tags;
-      tags = [""];
-    }
-    if (
-      utils.getType(limit) !== "Number" ||
-      !Number.isInteger(limit) ||
-      limit <= 0
-    ) {
-      throw new utils.CustomError({
-        error: "getThreadList: limit must be a positive integer",
-      });
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return callback(new utils.InvalidArgumentError("getThreadList: limit must be a positive integer", { argument: "limit" }));
     }
-    if (
-      utils.getType(timestamp) !== "Null" &&
-      (utils.getType(timestamp) !== "Number" || !Number.isInteger(timestamp))
-    ) {
-      throw new utils.CustomError({
-        error: "getThreadList: timestamp must be an integer or null",
-      });
+    if (timestamp !== undefined && timestamp !== null && !Number.isInteger(timestamp)) {
+      return callback(
+        new utils.InvalidArgumentError("getThreadList: timestamp must be an integer or null", {
+          argument: "timestamp",
+        })
+      );
     }
-    if (utils.getType(tags) === "String") {
+    if (tags === undefined || tags === null) {
+      tags = [""];
+    } else if (utils.getType(tags) === "String") {
       tags = [tags];
     }
-    if (utils.getType(tags) !== "Array") {
-      throw new utils.CustomError({
-        error: "getThreadList: tags must be an array",
-        message: "getThreadList: tags must be an array",
-      });
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (
-      utils.getType(callback) !== "Function" &&
-      utils.getType(callback) !== "AsyncFunction"
-    ) {
-      callback = function (err, data) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(data);
-      };
-    }
 
     const form = {
       av: ctx.i_userID || ctx.userID,
       queries: JSON.stringify({
         o0: {
-          // This doc_id was valid on 2020-07-20
-          // "doc_id": "3336396659757871",
-          doc_id: "3426149104143726",
+          doc_id: ctx.docIds.MessengerGraphQLThreadlistFetcher,
           query_params: {
             limit: limit + (timestamp ? 1 : 0),
             before: timestamp,
@@ -232,18 +192,15 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then((resData) => {
         if (resData[resData.length - 1].error_results > 0) {
-          throw new utils.CustomError(resData[0].o0.errors);
+          throw utils.fromResponse(resData);
         }
 
         if (resData[resData.length - 1].successful_results === 0) {
-          throw new utils.CustomError({
-            error: "getThreadList: there was no successful_results",
-            res: resData,
-          });
+          throw new utils.GraphQLError("getThreadList: there was no successful_results", { res: resData });
         }
 
         // When we ask for threads using timestamp from the previous request,
@@ -264,7 +221,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("getThreadList", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,36 +5,15 @@ var log = require("npmlog");
 
 module.exports = function(defaultFuncs, api, ctx) {
   return function getThreadList(start, end, type, callback) {
-    if (utils.getType(callback) === "Undefined") {
-      if (utils.getType(end) !== "Number") {
-        throw {
-          error: "Please pass a number as a second argument."
-        };
-      } else if (
-        utils.getType(type) === "Function" ||
-        utils.getType(type) === "AsyncFunction"
-      ) {
-        callback = type;
-        type = "inbox"; //default to inbox
-      } else if (utils.getType(type) !== "String") {
-        throw {
-          error:
-            "Please pass a String as a third argument. Your options are: inbox, pending, and archived"
-        };
-      } else {
-        throw {
-          error: "getThreadList: need callback"
-        };
-      }
-    }
+    type = type || "inbox"; //default to inbox
 
     if (type === "archived") {
       type = "action:archived";
     } else if (type !== "inbox" && type !== "pending" && type !== "other") {
-      throw {
-        error:
-          "type can only be one of the following: inbox, pending, archived, other"
-      };
+      return callback(new utils.InvalidArgumentError(
+        "type can only be one of the following: inbox, pending, archived, other",
+        { argument: "type" }
+      ));
     }
 
     if (end <= start) end = start + 20;
@@ -52,14 +31,17 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/threadlist_info.php",
+        ctx.endpoints.www + "/ajax/mercury/threadlist_info.php",
         ctx.jar,
-        form
+        form,
+        null,
+        null,
+        { idempotent: true }
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function(resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         log.verbose("getThreadList", JSON.stringify(resData.payload.threads));
         return callback(
@@ -5,22 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getThreadPictures(threadID, offset, limit, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     let form = {
       thread_id: threadID,
       offset: offset,
@@ -29,14 +13,17 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/messaging/attachments/sharedphotos.php",
+        ctx.endpoints.www + "/ajax/messaging/attachments/sharedphotos.php",
         ctx.jar,
         form,
+        null,
+        null,
+        { idempotent: true },
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         return Promise.all(
           resData.payload.imagesData.map(function (image) {
@@ -46,14 +33,17 @@ module.exports = function (defaultFuncs, api, ctx) {
             };
             return defaultFuncs
               .post(
-                "https://www.facebook.com/ajax/messaging/attachments/sharedphotos.php",
+                ctx.endpoints.www + "/ajax/messaging/attachments/sharedphotos.php",
                 ctx.jar,
                 form,
+                null,
+                null,
+                { idempotent: true },
               )
               .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
               .then(function (resData) {
                 if (resData.error) {
-                  throw resData;
+                  throw utils.fromResponse(resData);
                 }
                 // the response is pretty messy
                 const queryThreadID =
@@ -74,6 +64,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("Error in getThreadPictures", err);
         callback(err);
       });
-    return returnPromise;
   };
 };
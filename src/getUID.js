@@ -1,47 +1,32 @@
 /* eslint-disable linebreak-style */
 "use strict";
 
-const axios = require('axios');
-const FormData = require('form-data');
 const { URL } = require('url');
 const log = require('npmlog');
+const utils = require('../utils');
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getUID(link, callback) {
-    let resolveFunc = function () { };
-    let rejectFunc = function () { };
-    let returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, uid) {
-        if (err) return rejectFunc(err);
-        resolveFunc(uid);
-      };
-    }
-
     async function getUIDFast(url) {
-      let Form = new FormData();
       let Url = new URL(url);
-      Form.append('link', Url.href);
       try {
-        let { data } = await axios.post('https://id.traodoisub.com/api.php', Form, {
-          headers: Form.getHeaders()
-        });
-        if (data.error) throw new Error(data.error);
+        let { body: data } = await utils.request({
+          url: 'https://id.traodoisub.com/api.php',
+          method: 'POST',
+          formData: { link: Url.href },
+          responseType: 'json',
+          throwHttpErrors: true
+        }, ctx.globalOptions);
+        if (data.error) throw new utils.FBError(data.error, { res: data });
         return data.id || "Not found";
       } catch (e) {
         log.error('getUID', "Error: " + e.message);
-        throw new Error(e.message);
+        throw utils.toTransportError(e);
       }
     }
 
     async function getUIDSlow(url) {
-      let Form = new FormData();
       let Url = new URL(url);
-      Form.append('username', Url.pathname.replace(/\//g, ""));
       try {
         const userAgentArray = [
           "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.3",
@@ -62,18 +47,20 @@ module.exports = function (defaultFuncs, api, ctx) {
         ];
         
         const randomUserAgent = userAgentArray[Math.floor(Math.random() * userAgentArray.length)];
-        let { data } = await axios.post('https://api.findids.net/api/get-uid-from-username', Form, {
-          headers: {
-            'User-Agent': randomUserAgent,
-            ...Form.getHeaders()
-          }
-        });
-        if (data.status !== 200) throw new Error('Error occurred!');
-        if (typeof data.error === 'string') throw new Error(data.error);
+        let { body: data } = await utils.request({
+          url: 'https://api.findids.net/api/get-uid-from-username',
+          method: 'POST',
+          headers: { 'User-Agent': randomUserAgent },
+          formData: { username: Url.pathname.replace(/\//g, "") },
+          responseType: 'json',
+          throwHttpErrors: true
+        }, ctx.globalOptions);
+        if (data.status !== 200) throw new utils.FBError('Error occurred!', { res: data });
+        if (typeof data.error === 'string') throw new utils.FBError(data.error, { res: data });
         return data.data.id || "Not found";
       } catch (e) {
         log.error('getUID', "Error: " + e.message);
-        throw new Error(e.message);
+        throw utils.toTransportError(e);
       }
     }
 
@@ -83,10 +70,10 @@ module.exports = function (defaultFuncs, api, ctx) {
         if (!isNaN(uid)) return uid;
         uid = await getUIDSlow(url);
         if (!isNaN(uid)) return uid;
-        throw new Error("Unable to retrieve UID");
+        throw new utils.FBError("Unable to retrieve UID");
       } catch (e) {
         log.error('getUID', "Error: " + e.message);
-        throw new Error(e.message);
+        throw utils.toTransportError(e);
       }
     }
 
@@ -96,7 +83,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         let LinkSplit = Link.split('/');
         if (LinkSplit.indexOf("https:") == 0) {
           if (!isNaN(LinkSplit[3]) && !Link.split('=')[1] && !isNaN(Link.split('=')[1])) {
-            throw new Error('Invalid link format. The correct format should be: facebook.com/username');
+            throw new utils.InvalidArgumentError('Invalid link format. The correct format should be: facebook.com/username', { argument: 'link' });
           } else if (!isNaN(Link.split('=')[1]) && Link.split('=')[1]) {
             let Format = `https://www.facebook.com/profile.php?id=${Link.split('=')[1]}`;
             getUID(Format).then(data => callback(null, data)).catch(err => callback(err));
@@ -108,13 +95,12 @@ module.exports = function (defaultFuncs, api, ctx) {
           getUID(Form).then(data => callback(null, data)).catch(err => callback(err));
         }
       } else {
-        throw new Error('Invalid link. The link should be a Facebook link.');
+        throw new utils.InvalidArgumentError('Invalid link. The link should be a Facebook link.', { argument: 'link' });
       }
     } catch (e) {
       log.error('getUID', "Error: " + e.message);
-      return callback(null, e);
+      callback(e);
     }
-    return returnPromise;
   };
 };
 
@@ -19,22 +19,6 @@ function formatData(data) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getUserID(name, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       value: name.toLowerCase(),
       viewer: ctx.i_userID || ctx.userID,
@@ -45,11 +29,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .get("https://www.facebook.com/ajax/typeahead/search.php", ctx.jar, form)
+      .get(ctx.endpoints.www + "/ajax/typeahead/search.php", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         const data = resData.payload.entries;
@@ -60,7 +44,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("getUserID", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -31,22 +31,6 @@ function formatData(data) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function getUserInfo(id, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     if (utils.getType(id) !== "Array") {
       id = [id];
     }
@@ -56,11 +40,11 @@ module.exports = function (defaultFuncs, api, ctx) {
       form["ids[" + i + "]"] = v;
     });
     defaultFuncs
-      .post("https://www.facebook.com/chat/user_info/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/chat/user_info/", ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         return callback(null, formatData(resData.payload.profiles));
       })
@@ -68,7 +52,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("getUserInfo", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,28 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function handleFriendRequest(userID, accept, callback) {
-    if (utils.getType(accept) !== "Boolean") {
-      throw {
-        error: "Please pass a boolean as a second argument.",
-      };
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       viewer_id: ctx.i_userID || ctx.userID,
       "frefs[0]": "jwl",
@@ -36,13 +14,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/requests/friends/ajax/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/requests/friends/ajax/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.payload.err) {
-          throw {
-            err: resData.payload.err,
-          };
+          throw new utils.FBError("handleFriendRequest failed.", { err: resData.payload.err, res: resData });
         }
 
         return callback();
@@ -51,7 +27,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("handleFriendRequest", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
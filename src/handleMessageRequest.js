@@ -5,28 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function handleMessageRequest(threadID, accept, callback) {
-    if (utils.getType(accept) !== "Boolean") {
-      throw {
-        error: "Please pass a boolean as a second argument.",
-      };
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       client: "mercury",
     };
@@ -43,14 +21,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/move_thread.php",
+        ctx.endpoints.www + "/ajax/mercury/move_thread.php",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -59,7 +37,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("handleMessageRequest", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
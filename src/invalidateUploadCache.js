@@ -0,0 +1,12 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Forgets attachments remembered by the upload cache (`uploadCache` option), so they are uploaded again.
+   * @param {string | string[]} [idsOrKeys] - Attachment ids (`image_id`, `file_id`, ...) or content hashes; everything when omitted.
+   * @returns {number} How many cached uploads were dropped.
+   */
+  return function invalidateUploadCache(idsOrKeys) {
+    return ctx.uploadCache.invalidate(idsOrKeys);
+  };
+};
@@ -0,0 +1,15 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Lists the messages waiting to be sent by `scheduleMessage`, soonest first.
+   * @param {string | string[]} [threadID] - Only list this thread.
+   * @param {Function} callback
+   */
+  return function listScheduledMessages(threadID, callback) {
+    ctx.scheduler
+      .list(threadID)
+      .then((jobs) => callback(null, jobs))
+      .catch((err) => callback(err));
+  };
+};
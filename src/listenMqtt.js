@@ -4,12 +4,20 @@ var utils = require("../utils");
 var log = require("npmlog");
 var mqtt = require('mqtt');
 var websocket = require('websocket-stream');
-var HttpsProxyAgent = require('https-proxy-agent');
 const EventEmitter = require('events');
+const { createConnectionManager } = require('../lib/connectionManager');
+const { getSessionProxy } = require('../lib/transport');
+const { getProxyAgent } = require('../lib/proxyAgent');
+const { reportProxyFailure } = require('../lib/proxyPool');
+const { profileHeaders } = require('../lib/deviceProfile');
+const { createSyncTracker, resolveSyncStore } = require('../lib/syncCheckpoint');
+const { toSyncStore } = require('../lib/sessionStore');
+const { collectCalls } = require('../lib/taskDispatcher');
+const { formatDelta, formatClientPayloadDelta, rawDelta } = require('../lib/deltaEvents');
 
 var identity = function () { };
-var form = {};
-var getSeqID = function () { };
+// How long a graceful close waits for the server to ack what is still in flight.
+var GRACEFUL_CLOSE_TIMEOUT = 5000;
 
 var topics = ["/legacy_web",
 	"/webrtc",
@@ -27,7 +35,8 @@ var topics = ["/legacy_web",
 	"/messaging_events",
 	"/orca_message_notifications",
 	"/pp",
-	"/webrtc_response"
+	"/webrtc_response",
+	"/ls_resp"
 ];
 
 /* [ Noti ? ]
@@ -48,6 +57,8 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 	var foreground = false;
 
 	const sessionID = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER) + 1;
+	// Same browser as the session's HTTP requests: user agent in the connect payload, headers on the websocket.
+	const device = profileHeaders(ctx.globalOptions);
 	const GUID = utils.getGUID()
 	const username = {
 		u: ctx.userID,
@@ -67,7 +78,7 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 		no_auto_fg: true,
 		gas: null,
 		pack: [],
-		a: ctx.globalOptions.userAgent,
+		a: device['User-Agent'],
 		p: null,
 		aids: null,
 		php_override: ""
@@ -79,9 +90,9 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 	if (ctx.mqttEndpoint) {
 		host = `${ctx.mqttEndpoint}&sid=${sessionID}`;
 	} else if (ctx.region) {
-		host = `wss://edge-chat.facebook.com/chat?region=${ctx.region.toLowerCase()}&sid=${sessionID}`;
+		host = `${ctx.endpoints.mqtt}?region=${ctx.region.toLowerCase()}&sid=${sessionID}`;
 	} else {
-		host = `wss://edge-chat.facebook.com/chat?sid=${sessionID}`;
+		host = `${ctx.endpoints.mqtt}?sid=${sessionID}`;
 	}
 
 	const options = {
@@ -91,57 +102,54 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 		username: JSON.stringify(username),
 		clean: true,
 		wsOptions: {
-			headers: {
+			headers: Object.assign({}, device, {
 				Cookie: cookies,
-				Origin: 'https://www.facebook.com',
-				'User-Agent': ctx.globalOptions.userAgent || atob("ZmFjZWJvb2tleHRlcm5hbGhpdC8xLjEgKCtodHRwOi8vd3d3LmZhY2Vib29rLmNvbS9leHRlcm5hbGhpdF91YXRleHQucGhwKQ=="),
-				Referer: 'https://www.facebook.com/',
+				Origin: ctx.endpoints.www,
+				'User-Agent': device['User-Agent'] || atob("ZmFjZWJvb2tleHRlcm5hbGhpdC8xLjEgKCtodHRwOi8vd3d3LmZhY2Vib29rLmNvbS9leHRlcm5hbGhpdF91YXRleHQucGhwKQ=="),
+				Referer: ctx.endpoints.www + '/',
 				Host: new URL(host).hostname,
-			},
-			origin: 'https://www.facebook.com',
+			}),
+			origin: ctx.endpoints.www,
 			protocolVersion: 13,
 			binaryType: 'arraybuffer',
 		},
 		keepalive: 15,
 		reschedulePings: true,
 		connectTimeout: 30000,
-		reconnectPeriod: 3000 + Math.random() * 100,
+		// Reconnects are driven by the connection manager, not by mqtt.js.
+		reconnectPeriod: 0,
 	};
 
-	if (typeof ctx.globalOptions.proxy != "undefined") {
-		var agent = new HttpsProxyAgent(ctx.globalOptions.proxy);
-		options.wsOptions.agent = agent;
+	// Same proxy as the session's HTTP requests; with a pool, a reconnect after it failed takes the next one.
+	var proxy = getSessionProxy(ctx.globalOptions);
+	if (proxy) {
+		options.wsOptions.agent = getProxyAgent(proxy, new URL(host).protocol !== "ws:");
 	}
 
-	ctx.mqttClient = new mqtt.Client(_ => websocket(host, options.wsOptions), options);
+	var connection = ctx.mqttConnection;
+	var mqttClient = ctx.mqttClient = new mqtt.Client(_ => websocket(host, options.wsOptions), options);
+	var isStale = function () { return ctx.mqttClient !== mqttClient; };
+	var syncTimeout;
 
-	var mqttClient = ctx.mqttClient;
-    
-    let reconnectDelay = 1000;
-  mqttClient.on('close', function () {
-    log.info("listenMqtt", "Connection closed, attempting to reconnect...");
-    setTimeout(() => {
-      listenMqtt(defaultFuncs, api, ctx, globalCallback);
-      reconnectDelay = Math.min(reconnectDelay * 2, 60000);
-    }, reconnectDelay);
-  });
+	mqttClient.on('close', function () {
+		if (isStale()) return;
+		connection.drop("Connection closed");
+	});
 
 	mqttClient.on('error', function (err) {
-    log.error("listenMqtt", `MQTT error: ${err}`);
-    mqttClient.end();
-    if (ctx.globalOptions.autoReconnect) {
-      setTimeout(() => listenMqtt(defaultFuncs, api, ctx, globalCallback), reconnectDelay);
-    } else {
-      globalCallback({ type: "stop_listen", error: "Connection refused: Server unavailable" }, null);
-    }
-  });
-  
-  mqttClient.on('disconnect', function () {
-    log.warn("listenMqtt", "Disconnected, attempting to reconnect...");
-    setTimeout(() => listenMqtt(defaultFuncs, api, ctx, globalCallback), reconnectDelay);
-  });
+		if (isStale()) return;
+		log.error("listenMqtt", `MQTT error: ${err}`);
+		reportProxyFailure(ctx.globalOptions, proxy, err);
+		connection.drop(err);
+	});
+
+	mqttClient.on('disconnect', function () {
+		if (isStale()) return;
+		connection.drop("Disconnected by server");
+	});
 
 	mqttClient.on('connect', function () {
+		if (isStale()) return;
 		topics.forEach(topicsub => mqttClient.subscribe(topicsub));
 
 		var topic;
@@ -163,20 +171,22 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 			queue.device_params = null;
 		}
 
-        mqttClient.publish(topic, JSON.stringify(queue), { qos: 1, retain: false });
+		mqttClient.publish(topic, JSON.stringify(queue), { qos: 1, retain: false });
 		// set status online
 		// fix by NTKhang
 		mqttClient.publish("/foreground_state", JSON.stringify({ foreground: chatOn }), { qos: 1 });
 		mqttClient.publish("/set_client_settings", JSON.stringify({ make_user_available_when_in_foreground: true }), { qos: 1 });
+		connection.syncing();
 
-		const rTimeout = setTimeout(function () {
-			mqttClient.end();
-			listenMqtt(defaultFuncs, api, ctx, globalCallback);
+		syncTimeout = setTimeout(function () {
+			if (isStale()) return;
+			connection.drop("Timed out waiting for /t_ms");
 		}, 3000);
 
 		ctx.tmsWait = function () {
-			clearTimeout(rTimeout);
-			ctx.globalOptions.emitReady ? globalCallback({
+			clearTimeout(syncTimeout);
+			connection.live();
+			ctx.globalOptions.emitReady ? globalCallback(null, {
 				type: "ready",
 				error: null
 			}) : "";
@@ -184,7 +194,8 @@ function listenMqtt(defaultFuncs, api, ctx, globalCallback) {
 		};
 	});
 
-mqttClient.on('message', function (topic, message, _packet) {
+	mqttClient.on('message', function (topic, message, _packet) {
+		if (isStale()) return;
 		let jsonMessage = Buffer.isBuffer(message) ? Buffer.from(message).toString() : message;
 		try {
 			jsonMessage = JSON.parse(jsonMessage);
@@ -192,8 +203,17 @@ mqttClient.on('message', function (topic, message, _packet) {
 		catch (e) {
 			jsonMessage = {};
 		}
-		
+
 		if (topic === "/t_ms") {
+			// The server refused our sync token (expired or unknown queue). Keep the sequence ID and
+			// create a new queue from it so nothing between the two is skipped.
+			if (jsonMessage.errorCode) {
+				log.warn("listenMqtt", `Sync error ${jsonMessage.errorCode}, recreating the sync queue.`);
+				ctx.syncToken = undefined;
+				if (ctx.syncTracker) ctx.syncTracker.reset();
+				return connection.drop(`Sync error: ${jsonMessage.errorCode}`);
+			}
+
 			if (ctx.tmsWait && typeof ctx.tmsWait == "function") ctx.tmsWait();
 
 			if (jsonMessage.firstDeltaSeqId && jsonMessage.syncToken) {
@@ -202,12 +222,16 @@ mqttClient.on('message', function (topic, message, _packet) {
 			}
 
 			if (jsonMessage.lastIssuedSeqId) ctx.lastSeqId = parseInt(jsonMessage.lastIssuedSeqId);
+			if (ctx.syncTracker) ctx.syncTracker.update();
 
 			//If it contains more than 1 delta
 			for (var i in jsonMessage.deltas) {
 				var delta = jsonMessage.deltas[i];
 				parseDelta(defaultFuncs, api, ctx, globalCallback, { "delta": delta });
 			}
+		} else if (topic === "/ls_resp") {
+			// Answers to our own tasks settle them; anything else is an update pushed by the server.
+			if (!ctx.lsTasks.handleResponse(jsonMessage)) parseLsUpdate(ctx, globalCallback, jsonMessage);
 		} else if (topic === "/thread_typing" || topic === "/orca_typing_notifications") {
 			var typ = {
 				type: "typ",
@@ -235,21 +259,28 @@ mqttClient.on('message', function (topic, message, _packet) {
 		}
 
 	});
+}
 
-	process.on('SIGINT', function () {
-		process.kill(process.pid);
-	});
-
-	process.on('exit', (code) => {
-		
-	});
-	
-	mqttClient.on('close', function () {
-
-	});
-
-	mqttClient.on('disconnect',function () {
-		process.exit(7378278);
+/**
+ * Ends the current MQTT client without triggering the reconnect handlers.
+ * @param {Object} ctx - Session context.
+ * @param {Function} [done] - Sends DISCONNECT and waits for the socket to close instead of cutting it, then is called.
+ */
+function teardownClient(ctx, done) {
+	var mqttClient = ctx.mqttClient;
+	ctx.mqttClient = undefined;
+	delete ctx.tmsWait;
+	ctx.lsTasks.rejectAll("MQTT connection closed before the server answered.");
+	if (!mqttClient) return done && done();
+	// A dying socket may still emit errors; keep one handler so they don't crash the process.
+	mqttClient.removeAllListeners();
+	mqttClient.on('error', identity);
+	if (!done) return mqttClient.end(true);
+	// A server that never acks would keep the client open forever; cut the socket after a while.
+	var timer = setTimeout(function () { mqttClient.stream.destroy(); }, GRACEFUL_CLOSE_TIMEOUT);
+	mqttClient.end(false, function () {
+		clearTimeout(timer);
+		done();
 	});
 }
 
@@ -257,6 +288,8 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 	if (v.delta.class == "NewMessage") {
 		//Not tested for pages
 		if (ctx.globalOptions.pageID && ctx.globalOptions.pageID != v.queue) return;
+		//Already delivered before a restart, the server is replaying it
+		if (ctx.syncTracker && ctx.syncTracker.seen(v.delta.messageMetadata && v.delta.messageMetadata.messageId)) return;
 
 		(function resolveAttachmentUrl(i) {
 			if (v.delta.attachments && (i == v.delta.attachments.length)) {
@@ -264,12 +297,11 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 				try {
 					fmtMsg = utils.formatDeltaMessage(v);
 				} catch (err) {
-					return globalCallback({
-						error: "Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.",
+					return globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
 						detail: err,
 						res: v,
 						type: "parse_error"
-					});
+					}));
 				}
 				if (fmtMsg)
 					if (ctx.globalOptions.autoMarkDelivery) markDelivery(ctx, api, fmtMsg.threadID, fmtMsg.messageID);
@@ -304,16 +336,23 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 					})();
 				} else if (delta.deltaRecallMessageData && !!ctx.globalOptions.listenEvents) {
 					(function () {
-						globalCallback(null, {
+						var unsend = {
 							type: "message_unsend",
 							threadID: (delta.deltaRecallMessageData.threadKey.threadFbId ? delta.deltaRecallMessageData.threadKey.threadFbId : delta.deltaRecallMessageData.threadKey.otherUserFbId).toString(),
 							messageID: delta.deltaRecallMessageData.messageID,
 							senderID: delta.deltaRecallMessageData.senderID.toString(),
 							deletionTimestamp: delta.deltaRecallMessageData.deletionTimestamp,
 							timestamp: delta.deltaRecallMessageData.timestamp
+						};
+						if (!ctx.messageCache) return globalCallback(null, unsend);
+						// A failed lookup only costs the event its original message, not the event itself.
+						ctx.messageCache.withOriginal(unsend).then(function (event) { globalCallback(null, event); }, function (err) {
+							log.error("listenMqtt", "Could not look up the unsent message: " + (err && err.message || err));
+							globalCallback(null, unsend);
 						});
 					})();
 				} else if (delta.deltaMessageReply) {
+					if (ctx.syncTracker && ctx.syncTracker.seen(delta.deltaMessageReply.message.messageMetadata.messageId)) continue;
 					//Mention block - #1
 					var mdata =
 						delta.deltaMessageReply.message === undefined ? [] :
@@ -399,12 +438,11 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 						};
 					} else if (delta.deltaMessageReply.replyToMessageId) {
 						return defaultFuncs
-							.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, {
+							.post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, {
 								"av": ctx.globalOptions.pageID,
 								"queries": JSON.stringify({
 									"o0": {
-										//Using the same doc_id as forcedFetch
-										"doc_id": "2848441488556444",
+										"doc_id": ctx.docIds.MessengerForcedFetchQuery,
 										"query_params": {
 											"thread_and_message_id": {
 												"thread_id": callbackToReturn.threadID,
@@ -413,11 +451,11 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 										}
 									}
 								})
-							})
+							}, null, null, { idempotent: true })
 							.then(utils.parseAndCheckLogin(ctx, defaultFuncs))
 							.then((resData) => {
-								if (resData[resData.length - 1].error_results > 0) throw resData[0].o0.errors;
-								if (resData[resData.length - 1].successful_results === 0) throw { error: "forcedFetch: there was no successful_results", res: resData };
+								if (resData[resData.length - 1].error_results > 0) throw utils.fromResponse(resData);
+								if (resData[resData.length - 1].successful_results === 0) throw new utils.GraphQLError("forcedFetch: there was no successful_results", { res: resData });
 								var fetchData = resData[0].o0.data.message;
 								var mobj = {};
 								for (var n in fetchData.message.ranges) mobj[fetchData.message.ranges[n].entity.id] = (fetchData.message.text || "").substr(fetchData.message.ranges[n].offset, fetchData.message.ranges[n].length);
@@ -454,6 +492,22 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 					if (ctx.globalOptions.autoMarkDelivery) markDelivery(ctx, api, callbackToReturn.threadID, callbackToReturn.messageID);
 
 					return !ctx.globalOptions.selfListen && callbackToReturn.senderID === ctx.userID ? undefined : (function () { globalCallback(null, callbackToReturn); })();
+				} else if (!!ctx.globalOptions.listenEvents) {
+					var payloadEvents;
+					try {
+						payloadEvents = formatClientPayloadDelta(delta);
+					} catch (err) {
+						globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
+							detail: err,
+							res: delta,
+							type: "parse_error"
+						}));
+						continue;
+					}
+					(payloadEvents || [rawDelta(delta, Object.keys(delta)[0])]).forEach(function (event) {
+						if (event.type === "message_edit") deliverEdit(ctx, globalCallback, event);
+						else globalCallback(null, event);
+					});
 				}
 			}
 			return;
@@ -467,12 +521,11 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 			try {
 				fmtMsg = utils.formatDeltaReadReceipt(v.delta);
 			} catch (err) {
-				return globalCallback({
-					error: "Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.",
+				return globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
 					detail: err,
 					res: v.delta,
 					type: "parse_error"
-				});
+				}));
 			}
 			return (function () { globalCallback(null, fmtMsg); })();
 		case "AdminTextMessage":
@@ -488,20 +541,22 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 				case "magic_words":
 				case "messenger_call_log":
 				case "participant_joined_group_call":
+				case "change_thread_quick_reaction":
+				case "pin_messages_v2":
+				case "unpin_messages_v2":
 					var fmtMsg;
 					try {
 						fmtMsg = utils.formatDeltaEvent(v.delta);
 					} catch (err) {
-						return globalCallback({
-							error: "Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.",
+						return globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
 							detail: err,
 							res: v.delta,
 							type: "parse_error"
-						});
+						}));
 					}
 					return (function () { globalCallback(null, fmtMsg); })();
 				default:
-					return;
+					return globalCallback(null, rawDelta(v.delta));
 			}
 			break;
 		//For group images
@@ -514,8 +569,7 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 					"av": ctx.globalOptions.pageID,
 					"queries": JSON.stringify({
 						"o0": {
-							//This doc_id is valid as of March 25, 2020
-							"doc_id": "2848441488556444",
+							"doc_id": ctx.docIds.MessengerForcedFetchQuery,
 							"query_params": {
 								"thread_and_message_id": {
 									"thread_id": tid.toString(),
@@ -527,12 +581,12 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 				};
 
 				defaultFuncs
-					.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+					.post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
 					.then(utils.parseAndCheckLogin(ctx, defaultFuncs))
 					.then((resData) => {
-						if (resData[resData.length - 1].error_results > 0) throw resData[0].o0.errors;
+						if (resData[resData.length - 1].error_results > 0) throw utils.fromResponse(resData);
 
-						if (resData[resData.length - 1].successful_results === 0) throw { error: "forcedFetch: there was no successful_results", res: resData };
+						if (resData[resData.length - 1].successful_results === 0) throw new utils.GraphQLError("forcedFetch: there was no successful_results", { res: resData });
 
 						var fetchData = resData[0].o0.data.message;
 
@@ -630,17 +684,80 @@ function parseDelta(defaultFuncs, api, ctx, globalCallback, v) {
 			try {
 				formattedEvent = utils.formatDeltaEvent(v.delta);
 			} catch (err) {
-				return globalCallback({
-					error: "Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.",
+				return globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
 					detail: err,
 					res: v.delta,
 					type: "parse_error"
-				});
+				}));
 			}
 			return (!ctx.globalOptions.selfListen && formattedEvent.author.toString() === ctx.userID) || !ctx.loggedIn ? undefined : (function () { globalCallback(null, formattedEvent); })();
+		// Handled above; NoOp deltas are sync heartbeats with nothing to report.
+		case "NewMessage":
+		case "NoOp":
+			return;
+		default:
+			var events;
+			try {
+				events = formatDelta(v.delta);
+			} catch (err) {
+				return globalCallback(new utils.FBError("Problem parsing message object. Please open an issue at https://github.com/Schmavery/facebook-chat-api/issues.", {
+					detail: err,
+					res: v.delta,
+					type: "parse_error"
+				}));
+			}
+			// Unknown classes still reach the listener, untouched.
+			return (events || [rawDelta(v.delta)]).forEach(function (event) { globalCallback(null, event); });
 	}
 }
 
+/**
+ * Reads the updates the server pushes on `/ls_resp` outside of our own requests. Only edits
+ * (`editMessage(messageID, text, editCount, ...)`) are reported so far, as `message_edit` events,
+ * like the `deltaMessageEdit` ones that arrive in a `ClientPayload`.
+ */
+function parseLsUpdate(ctx, globalCallback, message) {
+	if (!ctx.globalOptions.listenEvents) return;
+	var calls;
+	try {
+		var body = typeof message.payload === "string" ? JSON.parse(message.payload) : message.payload;
+		calls = collectCalls(body && body.step);
+	} catch (err) {
+		return log.warn("listenMqtt", "Could not parse /ls_resp update: " + err.message);
+	}
+
+	calls.forEach(function (call) {
+		if (call.name !== "editMessage") return;
+		var edit = {
+			type: "message_edit",
+			threadID: null,
+			messageID: call.args[0],
+			senderID: null,
+			oldBody: null,
+			newBody: call.args[1] || "",
+			editCount: Number(call.args[2]) || 1,
+			timestamp: Date.now()
+		};
+		deliverEdit(ctx, globalCallback, edit);
+	});
+}
+
+/**
+ * Fills a `message_edit` event in from the message cache and hands it to the listener.
+ */
+function deliverEdit(ctx, globalCallback, edit) {
+	// Without the message cache the old text is unknown, and so are the thread and sender of /ls_resp edits.
+	var ready = ctx.messageCache ? ctx.messageCache.applyEdit(edit) : Promise.resolve(edit);
+	ready.then(function (event) {
+		if (!ctx.globalOptions.selfListen && event.senderID === ctx.userID) return;
+		globalCallback(null, event);
+	}, function (err) {
+		log.error("listenMqtt", "Could not look up the edited message: " + (err && err.message || err));
+		if (!ctx.globalOptions.selfListen && edit.senderID === ctx.userID) return;
+		globalCallback(null, edit);
+	});
+}
+
 function markDelivery(ctx, api, threadID, messageID) {
 	if (threadID && messageID) {
 		api.markAsDelivered(threadID, messageID, (err) => {
@@ -658,62 +775,95 @@ function markDelivery(ctx, api, threadID, messageID) {
 
 module.exports = function (defaultFuncs, api, ctx) {
 	var globalCallback = identity;
-	getSeqID = function getSeqID() {
+	// Lets other parts of the session (scheduled messages, ...) report events to the listener.
+	ctx.dispatchEvent = function (event) {
+		globalCallback(null, event);
+	};
+
+	function getSeqID(form, generation) {
 		ctx.t_mqttCalled = false;
 		defaultFuncs
-			.post("https://www.facebook.com/api/graphqlbatch/", ctx.jar, form)
+			.post(ctx.endpoints.www + "/api/graphqlbatch/", ctx.jar, form, null, null, { idempotent: true })
 			.then(utils.parseAndCheckLogin(ctx, defaultFuncs))
 			.then((resData) => {
-				if (utils.getType(resData) != "Array") throw { error: "Not logged in", res: resData };
-				if (resData && resData[resData.length - 1].error_results > 0) throw resData[0].o0.errors;
-				if (resData[resData.length - 1].successful_results === 0) throw { error: "getSeqId: there was no successful_results", res: resData };
+				if (utils.getType(resData) != "Array") throw new utils.NotLoggedInError("Not logged in", { res: resData });
+				if (resData && resData[resData.length - 1].error_results > 0) throw utils.fromResponse(resData);
+				if (resData[resData.length - 1].successful_results === 0) throw new utils.GraphQLError("getSeqId: there was no successful_results", { res: resData });
 				if (resData[0].o0.data.viewer.message_threads.sync_sequence_id) {
+					if (!ctx.mqttConnection.isCurrent(generation)) return;
 					ctx.lastSeqId = resData[0].o0.data.viewer.message_threads.sync_sequence_id;
 					listenMqtt(defaultFuncs, api, ctx, globalCallback);
-				} else throw { error: "getSeqId: no sync_sequence_id found.", res: resData };
+				} else throw new utils.GraphQLError("getSeqId: no sync_sequence_id found.", { res: resData });
 			})
 			.catch((err) => {
 				log.error("getSeqId", err);
-				if (utils.getType(err) == "Object" && err.error === "Not logged in") ctx.loggedIn = false;
-				return globalCallback(err);
+				if (!ctx.mqttConnection.isCurrent(generation)) return;
+				if (err instanceof utils.NotLoggedInError) {
+					ctx.loggedIn = false;
+					ctx.mqttConnection.stop(err);
+					return globalCallback(err);
+				}
+				ctx.mqttConnection.drop(err);
 			});
-	};
+	}
 
 	return async function (callback) {
+		var stopped = false;
 		class MessageEmitter extends EventEmitter {
 			stopListening(callback) {
 				callback = callback || (() => { });
+				stopped = true;
 				globalCallback = identity;
 				if (ctx.mqttClient) {
 					ctx.mqttClient.unsubscribe("/webrtc");
 					ctx.mqttClient.unsubscribe("/rtc_multi");
 					ctx.mqttClient.unsubscribe("/onevc");
 					ctx.mqttClient.publish("/browser_close", "{}");
-					ctx.mqttClient.end(false, function (...data) {
-						callback(data);
-						ctx.mqttClient = undefined;
-					});
 				}
+				if (ctx.syncTracker) ctx.syncTracker.flush();
+				// A stop the user asked for lets /browser_close go out before the socket closes.
+				connection.stop(undefined, function () { callback(); });
 			}
 		}
 
 		var msgEmitter = new MessageEmitter();
-		globalCallback = (callback || function (error, message) {
+		var deliver = callback || function (error, message) {
 			if (error) return msgEmitter.emit("error", error);
 			msgEmitter.emit("message", message);
-		});
+		};
+		globalCallback = function (error, message) {
+			// Remember what was said so later unsends and edits can tell what changed.
+			if (!error && ctx.messageCache) ctx.messageCache.remember(message);
+			deliver(error, message);
+			if (!error && ctx.commands) ctx.commands.handle(message);
+		};
 
-		//Reset some stuff
-		if (!ctx.firstListen) ctx.lastSeqId = null;
-		ctx.syncToken = undefined;
+		// A new listen replaces the previous one instead of running next to it.
+		if (ctx.mqttConnection) ctx.mqttConnection.stop();
+
+		var resume = !!ctx.globalOptions.resumeSync;
+		var ready = Promise.resolve();
+		if (resume) {
+			// Keep lastSeqId/syncToken so the server replays whatever arrived while we were away.
+			if (!ctx.syncTracker) {
+				var syncStore = ctx.globalOptions.syncStore ? resolveSyncStore(ctx.globalOptions.syncStore) : toSyncStore(ctx.sessionStore);
+				ctx.syncTracker = createSyncTracker(ctx, syncStore);
+				ready = ctx.syncTracker.load();
+			}
+		} else {
+			//Reset some stuff
+			ctx.syncTracker = undefined;
+			if (!ctx.firstListen) ctx.lastSeqId = null;
+			ctx.syncToken = undefined;
+		}
 		ctx.t_mqttCalled = false;
 
 		//Same request as getThreadList
-		form = {
+		var form = {
 			"av": ctx.globalOptions.pageID,
 			"queries": JSON.stringify({
 				"o0": {
-					"doc_id": "3336396659757871",
+					"doc_id": ctx.docIds.MessengerSyncSequenceIDQuery,
 					"query_params": {
 						"limit": 1,
 						"before": null,
@@ -725,14 +875,31 @@ module.exports = function (defaultFuncs, api, ctx) {
 			})
 		};
 
-		if (!ctx.firstListen || !ctx.lastSeqId) {
-			getSeqID(defaultFuncs, api, ctx, globalCallback);
-		} else {
-			listenMqtt(defaultFuncs, api, ctx, globalCallback);
-		}
+		var connection = ctx.mqttConnection = createConnectionManager({
+			emitter: msgEmitter,
+			connect: function () {
+				// Without a sequence ID there is nothing to resume from, so fetch a fresh one.
+				if (!ctx.lastSeqId) getSeqID(form, connection.generation());
+				else listenMqtt(defaultFuncs, api, ctx, globalCallback);
+			},
+			teardown: function (done) {
+				teardownClient(ctx, done);
+			},
+			shouldReconnect: function () {
+				return !!ctx.globalOptions.autoReconnect;
+			},
+			onGiveUp: function () {
+				globalCallback(new utils.TransportError("Connection refused: Server unavailable", { type: "stop_listen" }), null);
+			}
+		});
+
+		// Start on the next turn so callers can attach `state` listeners to the returned emitter.
+		setImmediate(function () {
+			ready.then(function () {
+				if (!stopped && ctx.mqttConnection === connection) connection.start();
+			});
+		});
 
-	/*	api.stopListening = msgEmitter.stopListening;
-		api.stopListeningAsync = msgEmitter.stopListeningAsync;*/
 		return msgEmitter;
 	};
 };
@@ -32,9 +32,9 @@ module.exports = function (defaultFuncs, api, ctx) {
   function MessageRepeat() {
     interval = setInterval(function () {
       return defaultFuncs
-        .post('https://www.facebook.com/api/graphql/', ctx.jar, {
+        .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, {
           fb_api_req_friendly_name: 'CometNotificationsRootQuery',
-          doc_id: 6663491207045267,
+          doc_id: ctx.docIds.CometNotificationsRootQuery,
           variables: JSON.stringify({
             count: 5,
             environment: 'MAIN_SURFACE',
@@ -42,11 +42,11 @@ module.exports = function (defaultFuncs, api, ctx) {
             scale: 1
           }),
           server_timestamps: !0
-        })
+        }, null, null, { idempotent: true })
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function (res) {
           if (res.error || res.errors) 
-            throw res;
+            throw utils.fromResponse(res);
 
           return format(res.data.viewer, globalCallback);
         })
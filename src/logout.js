@@ -2,32 +2,17 @@
 
 const utils = require("../utils");
 const log = require("npmlog");
+const { keys } = require("../lib/sessionStore");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function logout(callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       pmid: "0",
     };
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/bluebar/modern_settings_menu/?help_type=364455653583099&show_contextual_help=1",
+        ctx.endpoints.www + "/bluebar/modern_settings_menu/?help_type=364455653583099&show_contextual_help=1",
         ctx.jar,
         form,
       )
@@ -48,12 +33,12 @@ module.exports = function (defaultFuncs, api, ctx) {
         };
 
         return defaultFuncs
-          .post("https://www.facebook.com/logout.php", ctx.jar, form)
+          .post(ctx.endpoints.www + "/logout.php", ctx.jar, form)
           .then(utils.saveCookies(ctx.jar));
       })
       .then(function (res) {
         if (!res.headers) {
-          throw { error: "An error occurred when logging out." };
+          throw new utils.TransportError("An error occurred when logging out.");
         }
 
         return defaultFuncs
@@ -62,6 +47,18 @@ module.exports = function (defaultFuncs, api, ctx) {
       })
       .then(function () {
         ctx.loggedIn = false;
+        // Release everything this session scheduled so other accounts in the process keep running alone.
+        if (ctx.refreshTask) ctx.refreshTask.stop();
+        if (ctx.mqttConnection) ctx.mqttConnection.stop();
+        if (ctx.appStateWatcher) ctx.appStateWatcher.stop();
+        if (ctx.scheduler) ctx.scheduler.stop();
+        // The cookies and tokens are dead now; don't let a later login pick them up.
+        return Promise.all([
+          ctx.sessionStore.delete(keys.appState(ctx.userID)),
+          ctx.sessionStore.delete(keys.dtsg(ctx.userID)),
+        ]);
+      })
+      .then(function () {
         log.info("logout", "Logged out successfully.");
         callback();
       })
@@ -69,7 +66,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("logout", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
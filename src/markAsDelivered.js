@@ -5,26 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function markAsDelivered(threadID, messageID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
-    if (!threadID || !messageID) {
-      return callback("Error: messageID or threadID is not defined");
-    }
-
     const form = {};
 
     form["message_ids[0]"] = messageID;
@@ -32,7 +12,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/delivery_receipts.php",
+        ctx.endpoints.www + "/ajax/mercury/delivery_receipts.php",
         ctx.jar,
         form,
       )
@@ -40,7 +20,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -52,7 +32,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         }
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,21 +5,10 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return async function markAsRead(threadID, read, callback) {
-    if (
-      utils.getType(read) === "Function" ||
-      utils.getType(read) === "AsyncFunction"
-    ) {
-      callback = read;
-      read = true;
-    }
     if (read == undefined) {
       read = true;
     }
 
-    if (!callback) {
-      callback = () => {};
-    }
-
     const form = {};
 
     if (typeof ctx.globalOptions.pageID !== "undefined") {
@@ -35,7 +24,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       try {
         resData = await defaultFuncs
           .post(
-            "https://www.facebook.com/ajax/mercury/change_read_status.php",
+            ctx.endpoints.www + "/ajax/mercury/change_read_status.php",
             ctx.jar,
             form,
           )
@@ -73,11 +62,9 @@ module.exports = function (defaultFuncs, api, ctx) {
               r,
             ),
           );
-          if (err) throw err;
+          if (err) throw utils.toTransportError(err);
         } else {
-          throw {
-            error: "You can only use this function after you start listening.",
-          };
+          throw new utils.TransportError("You can only use this function after you start listening.");
         }
       } catch (e) {
         callback(e);
@@ -5,29 +5,13 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function markAsReadAll(callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       folder: "inbox",
     };
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/mark_folder_as_read.php",
+        ctx.endpoints.www + "/ajax/mercury/mark_folder_as_read.php",
         ctx.jar,
         form,
       )
@@ -35,7 +19,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -44,7 +28,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("markAsReadAll", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,37 +5,17 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function markAsRead(seen_timestamp, callback) {
-    if (
-      utils.getType(seen_timestamp) == "Function" ||
-      utils.getType(seen_timestamp) == "AsyncFunction"
-    ) {
-      callback = seen_timestamp;
+    if (seen_timestamp == undefined) {
       seen_timestamp = Date.now();
     }
 
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       seen_timestamp: seen_timestamp,
     };
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/mark_seen.php",
+        ctx.endpoints.www + "/ajax/mercury/mark_seen.php",
         ctx.jar,
         form,
       )
@@ -43,7 +23,7 @@ module.exports = function (defaultFuncs, api, ctx) {
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -55,7 +35,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         }
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
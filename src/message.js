@@ -0,0 +1,15 @@
+"use strict";
+
+const { MessageBuilder } = require("../lib/messageBuilder");
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Starts a message to a thread. Chain the parts and finish with `send()`:
+   * `api.message(threadID).text("Hi @{100001}!").mention("100001", "Ann").attach(stream).send()`.
+   * @param {string | string[]} threadID - Thread, or users to start a group with.
+   * @returns {MessageBuilder}
+   */
+  return function message(threadID) {
+    return new MessageBuilder(api, threadID);
+  };
+};
@@ -1,10 +1,13 @@
 'use strict';
 
-const axios = require('axios');
 const log = require('npmlog');
+const utils = require('../utils');
 
 const agent = atob("ZmFjZWJvb2tleHRlcm5hbGhpdC8xLjEgKCtodHRwOi8vd3d3LmZhY2Vib29rLmNvbS9leHRlcm5hbGhpdF91YXRleHQucGhwKQ==");
 
+// Sessions with a device profile send its user agent instead.
+const userAgent = (ctx) => (ctx.globalOptions.deviceProfile ? undefined : agent);
+
 // Credits: Kenneth Panio
 // If the original credits are changed or removed, this module will no longer receive future updates.
 
@@ -12,29 +15,31 @@ const agent = atob("ZmFjZWJvb2tleHRlcm5hbGhpdC8xLjEgKCtodHRwOi8vd3d3LmZhY2Vib29r
  * Extracts an access token from a Facebook cookie.
  *
  * @param {string} cookie - The Facebook cookie.
+ * @param {Object} ctx - Session context, for its endpoints and transport.
  * @returns {Promise<string>} - The extracted access token.
- * @throws {Error} - If the token extraction fails.
+ * @throws {utils.NotLoggedInError | utils.TransportError} - If the token extraction fails.
  */
 
-async function extractAccessToken(cookie) {
+async function extractAccessToken(cookie, ctx) {
     try {
-        const tokenResponse = await axios.get(
-            "https://business.facebook.com/business_locations",
-            {
-                headers: {
-                    "user-agent": agent,
-                    "cookie": cookie
-                }
-            }
-        );
-
-        const tokenMatch = tokenResponse.data.match(/EAAG\w+/);
+        const tokenResponse = await utils.request({
+            url: ctx.endpoints.business + "/business_locations",
+            headers: {
+                "user-agent": userAgent(ctx),
+                "cookie": cookie
+            },
+            throwHttpErrors: true
+        }, ctx.globalOptions);
+
+        const tokenMatch = tokenResponse.body.match(/EAAG\w+/);
         if (!tokenMatch) {
-            throw new Error('Failed to retrieve access token. Invalid or expired cookie.');
+            throw new utils.NotLoggedInError('Failed to retrieve access token. Invalid or expired cookie.');
         }
         return tokenMatch[0];
     } catch (error) {
-        throw new Error(`Token extraction failed: ${error.message}`);
+        const err = utils.toTransportError(error);
+        err.message = `Token extraction failed: ${err.message}`;
+        throw err;
     }
 }
 
@@ -43,60 +48,60 @@ module.exports = function (defaultFuncs, api, ctx) {
         try {
       
             if (!videoUrl || !caption || !cookieorToken) {
-                throw new Error('Missing required parameters: videoUrl, caption, or cookie/token.');
+                throw new utils.InvalidArgumentError('Missing required parameters: videoUrl, caption, or cookie/token.');
             }
 
             let accessToken = cookieorToken;
 
     
             if (!cookieorToken.startsWith('EAAG')) {
-                accessToken = await extractAccessToken(cookieorToken);
+                accessToken = await extractAccessToken(cookieorToken, ctx);
             }
 
-            const uploadResponse = await axios.post(
-                'https://graph-video.facebook.com/me/videos',
-                {
+            const uploadResponse = await utils.request({
+                url: ctx.endpoints.graphVideo + '/me/videos',
+                method: "POST",
+                json: {
                     access_token: accessToken,
                     file_url: videoUrl,
                     description: caption,
                 },
-                {
-                    headers: {
-                        "User-Agent": agent,
-                        "Content-Type": "application/json",
-                        "cookie": accessToken.startsWith('EAAG') ? '' : accessToken
-                    },
-                }
-            );
-
-            if (!uploadResponse.data.id) {
-                throw new Error('Failed to upload video: No video ID returned.');
+                headers: {
+                    "User-Agent": userAgent(ctx),
+                    "cookie": accessToken.startsWith('EAAG') ? '' : accessToken
+                },
+                responseType: "json",
+                throwHttpErrors: true
+            }, ctx.globalOptions);
+
+            if (!uploadResponse.body.id) {
+                throw new utils.FBError('Failed to upload video: No video ID returned.', { res: uploadResponse.body });
             }
 
-            const videoId = uploadResponse.data.id;
+            const videoId = uploadResponse.body.id;
             log.info('postVideo', `Video uploaded successfully. Video ID: ${videoId}`);
 
             // Post the video to the timeline
-            const postResponse = await axios.post(
-                'https://graph.facebook.com/me/feed',
-                {
+            const postResponse = await utils.request({
+                url: ctx.endpoints.graph + '/me/feed',
+                method: "POST",
+                json: {
                     access_token: accessToken,
                     attached_media: [{ media_fbid: videoId }],
                 },
-                {
-                    headers: {
-                        "User-Agent": agent,
-                        "Content-Type": "application/json",
-                        "cookie": accessToken.startsWith('EAAG') ? '' : accessToken
-                    },
-                }
-            );
-
-            if (!postResponse.data.id) {
-                throw new Error('Failed to post video to timeline: No post ID returned.');
+                headers: {
+                    "User-Agent": userAgent(ctx),
+                    "cookie": accessToken.startsWith('EAAG') ? '' : accessToken
+                },
+                responseType: "json",
+                throwHttpErrors: true
+            }, ctx.globalOptions);
+
+            if (!postResponse.body.id) {
+                throw new utils.FBError('Failed to post video to timeline: No post ID returned.', { res: postResponse.body });
             }
 
-            const postId = postResponse.data.id;
+            const postId = postResponse.body.id;
             log.info('postVideo', `Video posted to timeline successfully. Post ID: ${postId}`);
 
             return {
@@ -106,10 +111,12 @@ module.exports = function (defaultFuncs, api, ctx) {
             };
         } catch (error) {
             log.error('postVideo', error.response?.data || error.message || error);
+            const err = utils.toTransportError(error);
 
             return {
                 success: false,
-                error: error.response?.data?.error?.message || error.message || 'An unknown error occurred',
+                error: err.message || 'An unknown error occurred',
+                code: err.code,
             };
         }
     };
@@ -2,53 +2,32 @@
 
 const utils = require("../utils");
 const log = require("npmlog");
+const { keys } = require("../lib/sessionStore");
 
 module.exports = function (defaultFuncs, api, ctx) {
   /**
    * Refreshes the fb_dtsg and jazoest values.
-   * @param {Function} callback
-   * @returns {Promise}
-   * @description if you don't update the value of fb_dtsg and jazoest for a long time an error "Please try closing and re-opening your browser window" will appear
-   * @description you should refresh it every 48h or less
+   * @param {{ fb_dtsg?: string, jazoest?: string }} [obj] - Values to use instead of fetching new ones.
+   * @param {Function} callback - Called with `{ data, message }` once the values are saved.
    */
   return function refreshFb_dtsg(obj, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (
-      utils.getType(obj) === "Function" ||
-      utils.getType(obj) === "AsyncFunction"
-    ) {
-      callback = obj;
-      obj = {};
-    }
-
     if (!obj) {
       obj = {};
     }
 
-    if (utils.getType(obj) !== "Object") {
-      throw new utils.CustomError(
-        "the first parameter must be an object or a callback function",
+    // Keeps the stored tokens in step with ctx so the next login or restart picks them up.
+    function saveTokens() {
+      return Promise.resolve(
+        ctx.sessionStore.set(keys.dtsg(ctx.userID), {
+          fb_dtsg: ctx.fb_dtsg,
+          jazoest: ctx.jazoest,
+        }),
       );
     }
 
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     if (Object.keys(obj).length == 0) {
       utils
-        .get("https://m.facebook.com/", ctx.jar, null, ctx.globalOptions, {
+        .get(ctx.endpoints.m + "/", ctx.jar, null, ctx.globalOptions, {
           noRef: true,
         })
         .then(function (resData) {
@@ -56,16 +35,19 @@ module.exports = function (defaultFuncs, api, ctx) {
           const fb_dtsg = utils.getFrom(html, 'name="fb_dtsg" value="', '"');
           const jazoest = utils.getFrom(html, 'name="jazoest" value="', '"');
           if (!fb_dtsg) {
-            throw new utils.CustomError(
-              "Could not find fb_dtsg in HTML after requesting https://www.facebook.com/",
+            throw new utils.NotLoggedInError(
+              "Could not find fb_dtsg in HTML after requesting " + ctx.endpoints.m + "/",
             );
           }
           ctx.fb_dtsg = fb_dtsg;
           ctx.jazoest = jazoest;
+          return saveTokens();
+        })
+        .then(function () {
           callback(null, {
             data: {
-              fb_dtsg: fb_dtsg,
-              jazoest: jazoest,
+              fb_dtsg: ctx.fb_dtsg,
+              jazoest: ctx.jazoest,
             },
             message: "refreshed fb_dtsg and jazoest",
           });
@@ -78,12 +60,17 @@ module.exports = function (defaultFuncs, api, ctx) {
       Object.keys(obj).forEach(function (key) {
         ctx[key] = obj[key];
       });
-      callback(null, {
-        data: obj,
-        message: "refreshed " + Object.keys(obj).join(", "),
-      });
+      saveTokens()
+        .then(function () {
+          callback(null, {
+            data: obj,
+            message: "refreshed " + Object.keys(obj).join(", "),
+          });
+        })
+        .catch(function (err) {
+          log.error("refreshFb_dtsg", err);
+          return callback(err);
+        });
     }
-
-    return returnPromise;
   };
 };
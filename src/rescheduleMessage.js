@@ -0,0 +1,16 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Moves a message scheduled with `scheduleMessage` to another time; `when` takes the same forms.
+   * @param {string} scheduleID - `id` of the scheduled message.
+   * @param {Date | number | string | { cron: string, timezone?: string }} when
+   * @param {Function} callback - Called with the updated scheduled message.
+   */
+  return function rescheduleMessage(scheduleID, when, callback) {
+    ctx.scheduler
+      .reschedule(scheduleID, when)
+      .then((job) => callback(null, job))
+      .catch((err) => callback(err));
+  };
+};
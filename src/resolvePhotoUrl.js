@@ -5,30 +5,14 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function resolvePhotoUrl(photoID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     defaultFuncs
-      .get("https://www.facebook.com/mercury/attachments/photo", ctx.jar, {
+      .get(ctx.endpoints.www + "/mercury/attachments/photo", ctx.jar, {
         photo_id: photoID,
       })
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then((resData) => {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         const photoUrl = resData.jsmods.require[0][3][0];
@@ -39,7 +23,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("resolvePhotoUrl", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -0,0 +1,20 @@
+"use strict";
+
+module.exports = function (defaultFuncs, api, ctx) {
+  /**
+   * Sends a message later, through `sendMessage`. `when` is a Date or date string (once), a delay
+   * in ms (once) or a cron expression, optionally `{ cron, timezone }` (repeating). The job is kept
+   * in the session store and survives restarts; each send is reported to the `listenMqtt`
+   * callback as a `scheduled_sent` or `scheduled_failed` event.
+   * @param {string | Object} msg - Message in `sendMessage` form; attachments must be file paths or URLs.
+   * @param {string | string[]} threadID
+   * @param {Date | number | string | { cron: string, timezone?: string }} when
+   * @param {Function} callback - Called with the scheduled message, whose `id` cancels or moves it.
+   */
+  return function scheduleMessage(msg, threadID, when, callback) {
+    ctx.scheduler
+      .schedule(msg, threadID, when)
+      .then((job) => callback(null, job))
+      .catch((err) => callback(err));
+  };
+};
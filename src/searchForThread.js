@@ -1,25 +1,10 @@
 "use strict";
 
 const utils = require("../utils");
+const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function searchForThread(name, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const tmpForm = {
       client: "web_messenger",
       query: name,
@@ -30,24 +15,29 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/mercury/search_threads.php",
+        ctx.endpoints.www + "/ajax/mercury/search_threads.php",
         ctx.jar,
         tmpForm,
+        null,
+        null,
+        { idempotent: true },
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         if (!resData.payload.mercury_payload.threads) {
-          return callback({ error: "Could not find thread `" + name + "`." });
+          return callback(new utils.FBError("Could not find thread `" + name + "`.", { res: resData }));
         }
         return callback(
           null,
           resData.payload.mercury_payload.threads.map(utils.formatThread),
         );
+      })
+      .catch(function (err) {
+        log.error("searchForThread", err);
+        return callback(err);
       });
-
-    return returnPromise;
   };
 };
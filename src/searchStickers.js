@@ -18,15 +18,6 @@ module.exports = function (http, api, ctx) {
   }
   
   return function searchStickers(query = '', callback) {
-    var cb;
-    var returnPromise = new Promise(function (resolve, reject) {
-      cb = function (error, data) {
-        data ? resolve(data) : reject(error);
-      }
-    });
-
-    if (typeof callback == 'function') cb = callback;
-
     var form = {
       fb_api_req_friendly_name: 'StickersFlyoutTagSelectorQuery',
       variables: JSON.stringify({
@@ -35,19 +26,18 @@ module.exports = function (http, api, ctx) {
         stickerInterface: 'messages',
         query
       }),
-      doc_id: '4642836929159953'
+      doc_id: ctx.docIds.StickersFlyoutTagSelectorQuery
     }
     http
-      .post('https://www.facebook.com/api/graphql/', ctx.jar, form)
+      .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, form, null, null, { idempotent: true })
       .then(utils.parseAndCheckLogin(ctx, http))
       .then(function (res) {
-        return cb(null, res.data.sticker_search.sticker_results.edges.map(formatData));
+        return callback(null, res.data.sticker_search.sticker_results.edges.map(formatData));
       })
       .catch(function (err) {
         log.error('searchStickers', err);
-        return cb(err);
+        return callback(err);
       });
-    return returnPromise;
   }
 }
 
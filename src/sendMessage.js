@@ -2,7 +2,6 @@
 
 var utils = require("../utils");
 var log = require("npmlog");
-var bluebird = require("bluebird");
 
 var allowedProperties = {
   attachment: true,
@@ -16,55 +15,32 @@ var allowedProperties = {
 };
 
 module.exports = function (defaultFuncs, api, ctx) {
-  function uploadAttachment(attachments, callback) {
-    var uploads = [];
-
-    // create an array of promises
-    for (var i = 0; i < attachments.length; i++) {
-      if (!utils.isReadableStream(attachments[i])) {
-        throw {
-          error:
-            "Attachment should be a readable stream and not " +
-            utils.getType(attachments[i]) +
-            "."
-        };
-      }
-
-      var form = {
-        upload_1024: attachments[i],
-        voice_clip: "true"
-      };
-
-      uploads.push(
-        defaultFuncs
-          .postFormData(
-            "https://upload.facebook.com/ajax/mercury/upload.php",
-            ctx.jar,
-            form,
-            {}
-          )
-          .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-          .then(function (resData) {
-            if (resData.error) {
-              throw resData;
-            }
-
-            // We have to return the data unformatted unless we want to change it
-            // back in sendMessage.
-            return resData.payload.metadata[0];
-          })
-      );
-    }
+  function uploadAttachment(file) {
+    var form = {
+      upload_1024: file,
+      voice_clip: "true"
+    };
 
-    // resolve all promises
-    bluebird
-      .all(uploads)
+    return defaultFuncs
+      .postFormData(
+        ctx.endpoints.upload + "/ajax/mercury/upload.php",
+        ctx.jar,
+        form,
+        {}
+      )
+      .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
-        callback(null, resData);
+        if (resData.error) {
+          throw utils.fromResponse(resData);
+        }
+
+        // We have to return the data unformatted unless we want to change it
+        // back in sendMessage.
+        return resData.payload.metadata[0];
       })
       .catch(function (err) {
         log.error("uploadAttachment", err);
-        return callback(err);
+        throw err;
       });
   }
 
@@ -77,18 +53,18 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/message_share_attachment/fromURI/",
+        ctx.endpoints.www + "/message_share_attachment/fromURI/",
         ctx.jar,
         form
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error) {
-          return callback(resData);
+          return callback(utils.fromResponse(resData));
         }
 
         if (!resData.payload) {
-          return callback({ error: "Invalid url" });
+          return callback(new utils.InvalidArgumentError("Invalid url", { argument: "url", res: resData }));
         }
 
         callback(null, resData.payload.share_data.share_params);
@@ -137,11 +113,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     }
 
     defaultFuncs
-      .post("https://www.facebook.com/messaging/send/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/messaging/send/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (!resData) {
-          return callback({ error: "Send message failed." });
+          return callback(new utils.TransportError("Send message failed."));
         }
 
         if (resData.error) {
@@ -159,7 +135,7 @@ module.exports = function (defaultFuncs, api, ctx) {
               threadID
             );
           }
-          return callback(resData);
+          return callback(utils.fromResponse(resData));
         }
 
         var messageInfo = resData.payload.actions.reduce(function (p, v) {
@@ -216,7 +192,7 @@ module.exports = function (defaultFuncs, api, ctx) {
   function handleLocation(msg, form, callback, cb) {
     if (msg.location) {
       if (msg.location.latitude == null || msg.location.longitude == null) {
-        return callback({ error: "location property needs both latitude and longitude" });
+        return callback(new utils.InvalidArgumentError("location property needs both latitude and longitude", { argument: "location" }));
       }
 
       form["location_attachment[coordinates][latitude]"] = msg.location.latitude;
@@ -236,7 +212,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
   function handleEmoji(msg, form, callback, cb) {
     if (msg.emojiSize != null && msg.emoji == null) {
-      return callback({ error: "emoji property is empty" });
+      return callback(new utils.InvalidArgumentError("emoji property is empty", { argument: "emoji" }));
     }
     if (msg.emoji) {
       if (msg.emojiSize == null) {
@@ -247,10 +223,10 @@ module.exports = function (defaultFuncs, api, ctx) {
         msg.emojiSize != "medium" &&
         msg.emojiSize != "large"
       ) {
-        return callback({ error: "emojiSize property is invalid" });
+        return callback(new utils.InvalidArgumentError("emojiSize property is invalid", { argument: "emojiSize" }));
       }
       if (form["body"] != null && form["body"] != "") {
-        return callback({ error: "body is not empty" });
+        return callback(new utils.InvalidArgumentError("body is not empty", { argument: "body" }));
       }
       form["body"] = msg.emoji;
       form["tags[0]"] = "hot_emoji_size:" + msg.emojiSize;
@@ -258,33 +234,41 @@ module.exports = function (defaultFuncs, api, ctx) {
     cb();
   }
 
-  function handleAttachment(msg, form, callback, cb) {
-    if (msg.attachment) {
-      form["image_ids"] = [];
-      form["gif_ids"] = [];
-      form["file_ids"] = [];
-      form["video_ids"] = [];
-      form["audio_ids"] = [];
+  // Comes last: a send refused over cached attachment ids goes through `sendForm` once more.
+  function handleAttachment(msg, form, callback, sendForm) {
+    if (!msg.attachment) {
+      return sendForm(callback);
+    }
 
-      if (utils.getType(msg.attachment) !== "Array") {
-        msg.attachment = [msg.attachment];
-      }
+    if (utils.getType(msg.attachment) !== "Array") {
+      msg.attachment = [msg.attachment];
+    }
 
-      uploadAttachment(msg.attachment, function (err, files) {
-        if (err) {
-          return callback(err);
-        }
+    ctx.uploadCache
+      .uploadAndSend(msg.attachment, uploadAttachment, function (files) {
+        form["image_ids"] = [];
+        form["gif_ids"] = [];
+        form["file_ids"] = [];
+        form["video_ids"] = [];
+        form["audio_ids"] = [];
 
         files.forEach(function (file) {
           var key = Object.keys(file);
           var type = key[0]; // image_id, file_id, etc
           form["" + type + "s"].push(file[type]); // push the id
         });
-        cb();
+        return new Promise(function (resolve, reject) {
+          sendForm(function (err, info) {
+            if (err) return reject(err);
+            resolve(info);
+          });
+        });
+      })
+      .then(function (info) {
+        callback(null, info);
+      }, function (err) {
+        callback(err);
       });
-    } else {
-      cb();
-    }
   }
 
   function handleMention(msg, form, callback, cb) {
@@ -294,7 +278,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
         const tag = mention.tag;
         if (typeof tag !== "string") {
-          return callback({ error: "Mention tags must be strings." });
+          return callback(new utils.InvalidArgumentError("Mention tags must be strings.", { argument: "mentions" }));
         }
 
         const offset = msg.body.indexOf(tag, mention.fromIndex || 0);
@@ -324,70 +308,8 @@ module.exports = function (defaultFuncs, api, ctx) {
 
   return function sendMessage(msg, threadID, callback, replyToMessage, isGroup) {
     typeof isGroup == "undefined" ? isGroup = null : "";
-    if (
-      !callback &&
-      (utils.getType(threadID) === "Function" ||
-        utils.getType(threadID) === "AsyncFunction")
-    ) {
-      return threadID({ error: "Pass a threadID as a second argument." });
-    }
-    if (
-      !replyToMessage &&
-      utils.getType(callback) === "String"
-    ) {
-      replyToMessage = callback;
-      callback = undefined;
-    }
 
-    var resolveFunc = function () { };
-    var rejectFunc = function () { };
-    var returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, data) {
-        if (err) return rejectFunc(err);
-        resolveFunc(data);
-      };
-    }
-
-    var msgType = utils.getType(msg);
-    var threadIDType = utils.getType(threadID);
-    var messageIDType = utils.getType(replyToMessage);
-
-    if (msgType !== "String" && msgType !== "Object") {
-      return callback({
-        error:
-          "Message should be of type string or object and not " + msgType + "."
-      });
-    }
-
-    // Changing this to accomodate an array of users
-    if (
-      threadIDType !== "Array" &&
-      threadIDType !== "Number" &&
-      threadIDType !== "String"
-    ) {
-      return callback({
-        error:
-          "ThreadID should be of type number, string, or array and not " +
-          threadIDType +
-          "."
-      });
-    }
-
-    if (replyToMessage && messageIDType !== 'String') {
-      return callback({
-        error:
-          "MessageID should be of type string and not " +
-          threadIDType +
-          "."
-      });
-    }
-
-    if (msgType === "String") {
+    if (typeof msg === "string") {
       msg = { body: msg };
     }
 
@@ -395,9 +317,9 @@ module.exports = function (defaultFuncs, api, ctx) {
       prop => !allowedProperties[prop]
     );
     if (disallowedProperties.length > 0) {
-      return callback({
-        error: "Dissallowed props: `" + disallowedProperties.join(", ") + "`"
-      });
+      return callback(
+        new utils.InvalidArgumentError("Dissallowed props: `" + disallowedProperties.join(", ") + "`", { argument: "msg" })
+      );
     }
 
     var messageAndOTID = utils.generateOfflineThreadingID();
@@ -437,18 +359,16 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     handleLocation(msg, form, callback, () =>
       handleSticker(msg, form, callback, () =>
-        handleAttachment(msg, form, callback, () =>
-          handleUrl(msg, form, callback, () =>
-            handleEmoji(msg, form, callback, () =>
-              handleMention(msg, form, callback, () =>
-                send(form, threadID, messageAndOTID, callback, isGroup)
+        handleUrl(msg, form, callback, () =>
+          handleEmoji(msg, form, callback, () =>
+            handleMention(msg, form, callback, () =>
+              handleAttachment(msg, form, callback, (done) =>
+                send(form, threadID, messageAndOTID, done, isGroup)
               )
             )
           )
         )
       )
     );
-
-    return returnPromise;
   };
 };
\ No newline at end of file
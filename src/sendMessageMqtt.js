@@ -1,64 +1,37 @@
 var utils = require("../utils");
 var log = require("npmlog");
-var bluebird = require("bluebird");
+var { getSentMessage } = require("../lib/taskDispatcher");
 
 module.exports = function (defaultFuncs, api, ctx) {
-  function uploadAttachment(attachments, callback) {
-    callback = callback || function () {};
-    var uploads = [];
-
-    // create an array of promises
-    for (var i = 0; i < attachments.length; i++) {
-      if (!utils.isReadableStream(attachments[i])) {
-        throw {
-          error:
-            "Attachment should be a readable stream and not " +
-            utils.getType(attachments[i]) +
-            ".",
-        };
-      }
-
-      var form = {
-        upload_1024: attachments[i],
-        voice_clip: "true",
-      };
-
-      uploads.push(
-        defaultFuncs
-          .postFormData(
-            "https://upload.facebook.com/ajax/mercury/upload.php",
-            ctx.jar,
-            form,
-            {},
-          )
-          .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
-          .then(function (resData) {
-            if (resData.error) {
-              throw resData;
-            }
-
-            // We have to return the data unformatted unless we want to change it
-            // back in sendMessage.
-            return resData.payload.metadata[0];
-          }),
-      );
-    }
+  function uploadAttachment(file) {
+    var form = {
+      upload_1024: file,
+      voice_clip: "true",
+    };
 
-    // resolve all promises
-    bluebird
-      .all(uploads)
+    return defaultFuncs
+      .postFormData(
+        ctx.endpoints.upload + "/ajax/mercury/upload.php",
+        ctx.jar,
+        form,
+        {},
+      )
+      .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
-        callback(null, resData);
+        if (resData.error) {
+          throw utils.fromResponse(resData);
+        }
+
+        // We have to return the data unformatted unless we want to change it
+        // back in sendMessage.
+        return resData.payload.metadata[0];
       })
       .catch(function (err) {
         log.error("uploadAttachment", err);
-        return callback(err);
+        throw err;
       });
   }
 
-  let variance = 0;
-  const epoch_id = () =>
-    Math.floor(Date.now() * (4194304 + (variance = (variance + 0.1) % 5)));
   const emojiSizes = {
     small: 1,
     medium: 2,
@@ -67,7 +40,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
   function handleEmoji(msg, form, callback, cb) {
     if (msg.emojiSize != null && msg.emoji == null) {
-      return callback({ error: "emoji property is empty" });
+      return callback(new utils.InvalidArgumentError("emoji property is empty", { argument: "emoji" }));
     }
     if (msg.emoji) {
       if (!msg.emojiSize) {
@@ -79,7 +52,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         msg.emojiSize !== "large" &&
         (isNaN(msg.emojiSize) || msg.emojiSize < 1 || msg.emojiSize > 3)
       ) {
-        return callback({ error: "emojiSize property is invalid" });
+        return callback(new utils.InvalidArgumentError("emojiSize property is invalid", { argument: "emojiSize" }));
       }
 
       form.payload.tasks[0].payload.send_type = 1;
@@ -99,31 +72,38 @@ module.exports = function (defaultFuncs, api, ctx) {
     cb();
   }
 
-  function handleAttachment(msg, form, callback, cb) {
-    if (msg.attachment) {
-      form.payload.tasks[0].payload.send_type = 3;
-      form.payload.tasks[0].payload.attachment_fbids = [];
-      if (form.payload.tasks[0].payload.text == "")
-        form.payload.tasks[0].payload.text = null;
-      if (utils.getType(msg.attachment) !== "Array") {
-        msg.attachment = [msg.attachment];
-      }
+  // Runs right before the send, which it may repeat; see sendMessage.
+  function handleAttachment(msg, form, callback, sendForm) {
+    if (!msg.attachment) {
+      return sendForm(callback);
+    }
 
-      uploadAttachment(msg.attachment, function (err, files) {
-        if (err) {
-          return callback(err);
-        }
+    form.payload.tasks[0].payload.send_type = 3;
+    if (form.payload.tasks[0].payload.text == "")
+      form.payload.tasks[0].payload.text = null;
+    if (utils.getType(msg.attachment) !== "Array") {
+      msg.attachment = [msg.attachment];
+    }
 
-        files.forEach(function (file) {
+    ctx.uploadCache
+      .uploadAndSend(msg.attachment, uploadAttachment, function (files) {
+        form.payload.tasks[0].payload.attachment_fbids = files.map(function (file) {
           var key = Object.keys(file);
           var type = key[0]; // image_id, file_id, etc
-          form.payload.tasks[0].payload.attachment_fbids.push(file[type]); // push the id
+          return file[type];
         });
-        cb();
+        return new Promise(function (resolve, reject) {
+          sendForm(function (err, info) {
+            if (err) return reject(err);
+            resolve(info);
+          });
+        });
+      })
+      .then(function (info) {
+        callback(null, info);
+      }, function (err) {
+        callback(err);
       });
-    } else {
-      cb();
-    }
   }
 
   function handleMention(msg, form, callback, cb) {
@@ -140,7 +120,7 @@ module.exports = function (defaultFuncs, api, ctx) {
 
         const tag = mention.tag;
         if (typeof tag !== "string") {
-          return callback({ error: "Mention tags must be strings." });
+          return callback(new utils.InvalidArgumentError("Mention tags must be strings.", { argument: "mentions" }));
         }
 
         const offset = msg.body.indexOf(tag, mention.fromIndex || 0);
@@ -177,9 +157,9 @@ module.exports = function (defaultFuncs, api, ctx) {
     // this is not working yet
     if (msg.location) {
       if (msg.location.latitude == null || msg.location.longitude == null) {
-        return callback({
-          error: "location property needs both latitude and longitude",
-        });
+        return callback(
+          new utils.InvalidArgumentError("location property needs both latitude and longitude", { argument: "location" }),
+        );
       }
 
       form.payload.tasks[0].payload.send_type = 1;
@@ -204,57 +184,25 @@ module.exports = function (defaultFuncs, api, ctx) {
         reply_type: 0,
       };
     }
-    const mqttClient = ctx.mqttClient;
-    form.payload.tasks.forEach((task) => {
-      task.payload = JSON.stringify(task.payload);
-    });
-    form.payload = JSON.stringify(form.payload);
-    console.log(global.jsonStringifyColor(form, null, 2));
+    const otid = form.payload.tasks[0].payload.otid;
 
-    return mqttClient.publish(
-      "/ls_req",
-      JSON.stringify(form),
-      function (err, data) {
-        if (err) {
-          console.error("Error publishing message: ", err);
-          callback(err);
-        } else {
-          console.log("Message published successfully with data: ", data);
-          callback(null, data);
-        }
-      },
-    );
+    return ctx.lsTasks
+      .publish({
+        versionID: form.payload.version_id,
+        tasks: form.payload.tasks,
+        parse: (calls) => getSentMessage(calls, otid, threadID),
+      })
+      .then(function (data) {
+        callback(null, data);
+      })
+      .catch(function (err) {
+        log.error("sendMessageMqtt", err);
+        callback(err);
+      });
   }
 
   return function sendMessageMqtt(msg, threadID, callback, replyToMessage) {
-    if (
-      !callback &&
-      (utils.getType(threadID) === "Function" ||
-        utils.getType(threadID) === "AsyncFunction")
-    ) {
-      return threadID({ error: "Pass a threadID as a second argument." });
-    }
-    if (!replyToMessage && utils.getType(callback) === "String") {
-      replyToMessage = callback;
-      callback = function () {};
-    }
-
-    if (!callback) {
-      callback = function (err, friendList) {};
-    }
-
-    var msgType = utils.getType(msg);
-    var threadIDType = utils.getType(threadID);
-    var messageIDType = utils.getType(replyToMessage);
-
-    if (msgType !== "String" && msgType !== "Object") {
-      return callback({
-        error:
-          "Message should be of type string or object and not " + msgType + ".",
-      });
-    }
-
-    if (msgType === "String") {
+    if (typeof msg === "string") {
       msg = { body: msg };
     }
 
@@ -265,7 +213,6 @@ module.exports = function (defaultFuncs, api, ctx) {
     const otid = epoch + Math.floor(Math.random() * 4194304);
 
     const form = {
-      app_id: "2220391788200892",
       payload: {
         tasks: [
           {
@@ -284,8 +231,6 @@ module.exports = function (defaultFuncs, api, ctx) {
               skip_url_preview_gen: 0,
             },
             queue_name: threadID.toString(),
-            task_id: 0,
-            failure_count: null,
           },
           {
             label: "21",
@@ -295,24 +240,18 @@ module.exports = function (defaultFuncs, api, ctx) {
               sync_group: 1,
             },
             queue_name: threadID.toString(),
-            task_id: 1,
-            failure_count: null,
           },
         ],
-        epoch_id: epoch_id(),
         version_id: "6120284488008082",
-        data_trace_id: null,
       },
-      request_id: 1,
-      type: 3,
     };
 
     handleEmoji(msg, form, callback, function () {
       handleLocation(msg, form, callback, function () {
         handleMention(msg, form, callback, function () {
           handleSticker(msg, form, callback, function () {
-            handleAttachment(msg, form, callback, function () {
-              send(form, threadID, callback, replyToMessage);
+            handleAttachment(msg, form, callback, function (done) {
+              send(form, threadID, done, replyToMessage);
             });
           });
         });
@@ -19,11 +19,11 @@ module.exports = function (defaultFuncs, api, ctx) {
         form.to = threadID;
       }
       defaultFuncs
-        .post("https://www.facebook.com/ajax/messaging/typ.php", ctx.jar, form)
+        .post(ctx.endpoints.www + "/ajax/messaging/typ.php", ctx.jar, form)
         .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
         .then(function (resData) {
           if (resData.error) {
-            throw resData;
+            throw utils.fromResponse(resData);
           }
 
           return callback();
@@ -48,14 +48,14 @@ module.exports = function (defaultFuncs, api, ctx) {
 
         defaultFuncs
           .post(
-            "https://www.facebook.com/ajax/messaging/typ.php",
+            ctx.endpoints.www + "/ajax/messaging/typ.php",
             ctx.jar,
             form,
           )
           .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
           .then(function (resData) {
             if (resData.error) {
-              throw resData;
+              throw utils.fromResponse(resData);
             }
 
             return callback();
@@ -1,27 +1,27 @@
 "use strict";
 
-
-
-var utils = require("../utils");
-
 module.exports = function (defaultFuncs, api, ctx) {
 	return async function sendTypingIndicatorV2(sendTyping, threadID, callback) {
-		let count_req = 0
-		var wsContent = {
-			app_id: 2220391788200892,
-			payload: JSON.stringify({
-				label: 3,
-				payload: JSON.stringify({
-					thread_key: threadID.toString(),
-					is_group_thread: +(threadID.toString().length >= 16),
-					is_typing: +sendTyping,
-					attribution: 0
-				}),
-				version: 5849951561777440
-			}),
-			request_id: ++count_req,
-			type: 4
-		};
-			await new Promise((resolve, reject) => ctx.mqttClient.publish('/ls_req', JSON.stringify(wsContent), {}, (err, _packet) => err ? reject(err) : resolve()));
+		// Typing updates are ephemeral (type 4): the server does not answer them on /ls_resp,
+		// so we only wait for the publish to be acknowledged.
+		try {
+			const data = await ctx.lsTasks.publish({
+				type: 4,
+				versionID: 5849951561777440,
+				awaitResponse: false,
+				payload: {
+					label: 3,
+					payload: JSON.stringify({
+						thread_key: threadID.toString(),
+						is_group_thread: +(threadID.toString().length >= 16),
+						is_typing: +sendTyping,
+						attribution: 0
+					})
+				}
+			});
+			callback(null, data);
+		} catch (err) {
+			callback(err);
+		}
 	};
-};
\ No newline at end of file
+};
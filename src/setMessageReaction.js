@@ -10,22 +10,6 @@ module.exports = function (defaultFuncs, api, ctx) {
     callback,
     forceCustomReaction,
   ) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     switch (reaction) {
       case "\uD83D\uDE0D": //:heart_eyes:
       case "\uD83D\uDE06": //:laughing:
@@ -76,7 +60,7 @@ module.exports = function (defaultFuncs, api, ctx) {
         if (forceCustomReaction) {
           break;
         }
-        return callback({ error: "Reaction is not a valid emoji." });
+        return callback(new utils.InvalidArgumentError("Reaction is not a valid emoji.", { argument: "reaction" }));
     }
 
     const variables = {
@@ -90,25 +74,25 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     const qs = {
-      doc_id: "1491398900900362",
+      doc_id: ctx.docIds.MessengerMessageReactionMutation,
       variables: JSON.stringify(variables),
       dpr: 1,
     };
 
     defaultFuncs
       .postFormData(
-        "https://www.facebook.com/webgraphql/mutation/",
+        ctx.endpoints.www + "/webgraphql/mutation/",
         ctx.jar,
         {},
         qs,
       )
-      .then(utils.parseAndCheckLogin(ctx.jar, defaultFuncs))
+      .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (!resData) {
-          throw { error: "setReaction returned empty object." };
+          throw new utils.TransportError("setReaction returned empty object.");
         }
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         callback(null);
       })
@@ -116,7 +100,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("setReaction", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
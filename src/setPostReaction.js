@@ -21,28 +21,8 @@ function formatData(resData) {
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function setPostReaction(postID, type, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      if (
-        utils.getType(type) === "Function" ||
-        utils.getType(type) === "AsyncFunction"
-      ) {
-        callback = type;
-        type = 0;
-      } else {
-        callback = function (err, data) {
-          if (err) {
-            return rejectFunc(err);
-          }
-          resolveFunc(data);
-        };
-      }
+    if (type === undefined || type === null) {
+      type = 0;
     }
 
     const map = {
@@ -56,27 +36,19 @@ module.exports = function (defaultFuncs, api, ctx) {
       angry: 8,
     };
 
-    if (utils.getType(type) !== "Number" && utils.getType(type) === "String") {
+    if (utils.getType(type) === "String") {
       type = map[type.toLowerCase()];
     }
 
-    if (utils.getType(type) !== "Number" && utils.getType(type) !== "String") {
-      throw {
-        error: "setPostReaction: Invalid reaction type",
-      };
-    }
-
     if (type != 0 && !type) {
-      throw {
-        error: "setPostReaction: Invalid reaction type",
-      };
+      return callback(new utils.InvalidArgumentError("setPostReaction: Invalid reaction type", { argument: "type" }));
     }
 
     const form = {
       av: ctx.i_userID || ctx.userID,
       fb_api_caller_class: "RelayModern",
       fb_api_req_friendly_name: "CometUFIFeedbackReactMutation",
-      doc_id: "4769042373179384",
+      doc_id: ctx.docIds.CometUFIFeedbackReactMutation,
       variables: JSON.stringify({
         input: {
           actor_id: ctx.i_userID || ctx.userID,
@@ -94,11 +66,11 @@ module.exports = function (defaultFuncs, api, ctx) {
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/api/graphql/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphql/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.errors) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
         return callback(null, formatData(resData.data));
       })
@@ -106,7 +78,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("setPostReaction", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
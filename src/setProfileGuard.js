@@ -5,12 +5,7 @@ const log = require("npmlog");
 
 // @NethWs3Dev
 module.exports = (defaultFuncs, api, ctx) => {
-  return (guard, callback = () => {}) => {
-    if (utils.getType(guard) !== "Boolean") {
-      throw {
-        error: "Please pass a boolean as a second argument.",
-      };
-    }
+  return (guard, callback) => {
     const uid = ctx.userID || ctx.i_userID;
     const form = {
       av: uid,
@@ -22,19 +17,17 @@ module.exports = (defaultFuncs, api, ctx) => {
         },
         scale: 1
       }),
-      doc_id: "1477043292367183",
+      doc_id: ctx.docIds.IsShieldedSetMutation,
       fb_api_req_friendly_name: "IsShieldedSetMutation",
       fb_api_caller_class: "IsShieldedSetMutation"
     }
 
     return defaultFuncs
-      .post("https://www.facebook.com/api/graphql", ctx.jar, form)
+      .post(ctx.endpoints.www + "/api/graphql", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then((resData) => {
         if (resData.err) {
-          throw {
-            err: resData.err
-          };
+          throw new utils.FBError("setProfileGuard failed.", { err: resData.err, res: resData });
         }
         return callback();
       })
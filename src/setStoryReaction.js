@@ -5,17 +5,7 @@ var log = require('npmlog');
 
 module.exports = function(defaultFuncs, api, ctx) {
   return function setStoryReaction(storyID, react, callback) {
-    var cb;
-    var returnPromise = new Promise(function(resolve, reject) {
-      cb = error => error ? reject(error) : resolve();
-    });
-
-    if (typeof react == 'function') {
-      callback = react;
-      react = 1;
-    }
-    if (typeof callback == 'function') cb = callback;
-    if (typeof Number(react) != 'number') react = 1;
+    if (react === undefined || react === null) react = 1;
 
     var map = {
       1: '👍',
@@ -42,22 +32,20 @@ module.exports = function(defaultFuncs, api, ctx) {
           client_mutation_id: String(parseInt(Math.random() * 16))
         }
       }),
-      doc_id: '4826141330837571'
+      doc_id: ctx.docIds.useStoriesSendReplyMutation
     }
 
     defaultFuncs
-      .post('https://www.facebook.com/api/graphql/', ctx.jar, form)
+      .post(ctx.endpoints.www + '/api/graphql/', ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function(res) {
-        if (res.errors) throw res;
-        return cb();
+        if (res.errors) throw utils.fromResponse(res);
+        return callback();
       })
       .catch(function(err) {
         log.error('setPostReaction', err);
-        return cb(err);
+        return callback(err);
       });
-
-    return returnPromise;
   }
 }
 
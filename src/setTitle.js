@@ -5,30 +5,6 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function setTitle(newTitle, threadID, callback) {
-    if (
-      !callback &&
-      (utils.getType(threadID) === "Function" ||
-        utils.getType(threadID) === "AsyncFunction")
-    ) {
-      throw { error: "please pass a threadID as a second argument." };
-    }
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const messageAndOTID = utils.generateOfflineThreadingID();
     const form = {
       client: "mercury",
@@ -60,22 +36,22 @@ module.exports = function (defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/messaging/set_thread_name/",
+        ctx.endpoints.www + "/messaging/set_thread_name/",
         ctx.jar,
         form,
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         if (resData.error && resData.error === 1545012) {
-          throw { error: "Cannot change chat title: Not member of chat." };
+          throw utils.fromResponse(resData, { message: "Cannot change chat title: Not member of chat." });
         }
 
         if (resData.error && resData.error === 1545003) {
-          throw { error: "Cannot set title of single-user chat." };
+          throw utils.fromResponse(resData, { message: "Cannot set title of single-user chat." });
         }
 
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -84,7 +60,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("setTitle", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -1,7 +1,7 @@
 'use strict';
 
-const axios = require('axios');
 const log = require('npmlog');
+const utils = require('../utils');
 
 // Credits: Kenneth Panio
 // If the original credits are changed or removed, this module will no longer receive future updates.
@@ -9,6 +9,9 @@ const log = require('npmlog');
 // Note: The shared post can be configured to be visible or invisible depending on the privacy settings.
 const agent = atob("ZmFjZWJvb2tleHRlcm5hbGhpdC8xLjEgKCtodHRwOi8vd3d3LmZhY2Vib29rLmNvbS9leHRlcm5hbGhpdF91YXRleHQucGhpKQ==");
 
+// The crawler agent is only sent when the session has no device profile; otherwise the transport adds the profile's.
+const userAgent = (ctx) => (ctx.globalOptions.deviceProfile ? undefined : agent);
+
 /**
  * Converts a cookie input (JSON array, object, or string) to a cookie string.
  * @param {string|Array|Object} cookieInput - The cookie input to convert.
@@ -121,39 +124,37 @@ module.exports = function (defaultFuncs, api, ctx) {
 
         try {
             if (!postUrl || !cookie) {
-                throw new Error('Missing required parameters: postUrl or cookie');
+                throw new utils.InvalidArgumentError('Missing required parameters: postUrl or cookie', { argument: postUrl ? 'cookie' : 'postUrl' });
             }
 
             // Convert cookie (string, array, or object) to string
             const appstate = cookieToString(cookie);
             if (!appstate) {
-                throw new Error('Invalid cookie format provided');
+                throw new utils.InvalidArgumentError('Invalid cookie format provided', { argument: 'cookie' });
             }
 
             // Fetch access token using cookie
-            const tokenResponse = await axios.get(
-                "https://business.facebook.com/business_locations",
-                {
-                    headers: {
-                        "user-agent": agent,
-                        "cookie": appstate
-                    }
-                }
-            );
-
-            const tokenMatch = tokenResponse.data.match(/EAAG\w+/);
+            const tokenResponse = await utils.request({
+                url: ctx.endpoints.business + "/business_locations",
+                headers: {
+                    "user-agent": userAgent(ctx),
+                    "cookie": appstate
+                },
+                throwHttpErrors: true
+            }, ctx.globalOptions);
+
+            const tokenMatch = tokenResponse.body.match(/EAAG\w+/);
             if (!tokenMatch) {
-                throw new Error('Failed to retrieve access token. Invalid or expired cookie.');
+                throw new utils.NotLoggedInError('Failed to retrieve access token. Invalid or expired cookie.');
             }
             const accessToken = tokenMatch[0];
 
-            const url = "https://graph.facebook.com/v22.0/me/feed";
+            const url = ctx.endpoints.graph + "/v22.0/me/feed";
 
             const headers = {
                 "authority": "graph.facebook.com",
                 "cache-control": "max-age=0",
-                "sec-ch-ua-mobile": "?0",
-                "user-agent": agent,
+                "user-agent": userAgent(ctx),
                 "content-type": "application/x-www-form-urlencoded",
                 "authorization": `Bearer ${accessToken}`,
                 "cookie": appstate
@@ -171,12 +172,19 @@ module.exports = function (defaultFuncs, api, ctx) {
                     no_story: true
                 };
 
-                const response = await axios.post(url, payload, { headers });
+                const response = await utils.request({
+                    url,
+                    method: "POST",
+                    headers,
+                    form: payload,
+                    responseType: "json",
+                    throwHttpErrors: true
+                }, ctx.globalOptions);
 
-                if (response.data.id) {
+                if (response.body.id) {
                     shareCount++;
-                    log.info('sharePost', `Share ${shareCount}/${shareAmount}: Post shared successfully: ${response.data.id}`);
-                    postIds.push(response.data.id);
+                    log.info('sharePost', `Share ${shareCount}/${shareAmount}: Post shared successfully: ${response.body.id}`);
+                    postIds.push(response.body.id);
                 } else {
                     log.error('sharePost', `Share ${shareCount + 1}/${shareAmount}: Failed to share post: No post ID returned.`);
                 }
@@ -189,10 +197,12 @@ module.exports = function (defaultFuncs, api, ctx) {
             return { success: true, postIds, shareCount };
         } catch (error) {
             log.error('sharePost', error.response?.data || error.message || error);
+            const err = utils.toTransportError(error);
 
             return {
                 success: false,
-                error: error.response?.data?.error?.message || error.message || 'An unknown error occurred',
+                error: err.message || 'An unknown error occurred',
+                code: err.code,
                 shareCount
             };
         }
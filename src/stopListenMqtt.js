@@ -7,20 +7,22 @@
 // @NethWs3Dev
 
 var log = require("npmlog");
+var utils = require("../utils");
 
 module.exports = function (defaultFuncs, api, ctx){
   return function stopListenMqtt() {
-    if (!ctx.mqttClient) {
-      throw new Error("Not connected to MQTT");
+    if (!ctx.mqttConnection || ctx.mqttConnection.getState() === "stopped") {
+      throw new utils.TransportError("Not connected to MQTT");
     }
     log.warn("stopListenMqtt", "Stopping...");
-    ctx.mqttClient.unsubscribe("/webrtc");
-    ctx.mqttClient.unsubscribe("/rtc_multi");
-    ctx.mqttClient.unsubscribe("/onevc");
-    ctx.mqttClient.publish("/browser_close", "{}");
-    ctx.mqttClient.end(false, (...data) => {
-      log.info("stopListenMqtt", "Stopped");
-      ctx.mqttClient = null;
-    });
+    // While backing off there is no client to say goodbye on; just cancel the reconnect.
+    if (ctx.mqttClient) {
+      ctx.mqttClient.unsubscribe("/webrtc");
+      ctx.mqttClient.unsubscribe("/rtc_multi");
+      ctx.mqttClient.unsubscribe("/onevc");
+      ctx.mqttClient.publish("/browser_close", "{}");
+    }
+    if (ctx.syncTracker) ctx.syncTracker.flush();
+    ctx.mqttConnection.stop(undefined, () => log.info("stopListenMqtt", "Stopped"));
   }
 };
\ No newline at end of file
@@ -5,22 +5,6 @@ var log = require("npmlog");
 
 module.exports = function(defaultFuncs, api, ctx) {
   return function unFriend(userID, callback) {
-    var resolveFunc = function(){};
-    var rejectFunc = function(){};
-    var returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     var form = {
       uid: userID,
       unref: "bd_friends_tab",
@@ -30,14 +14,14 @@ module.exports = function(defaultFuncs, api, ctx) {
 
     defaultFuncs
       .post(
-        "https://www.facebook.com/ajax/profile/removefriendconfirm.php",
+        ctx.endpoints.www + "/ajax/profile/removefriendconfirm.php",
         ctx.jar,
         form
       )
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function(resData) {
         if (resData.error) {
-          throw resData;
+          throw utils.fromResponse(resData);
         }
 
         return callback();
@@ -46,7 +30,5 @@ module.exports = function(defaultFuncs, api, ctx) {
         log.error("unfriend", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
@@ -5,28 +5,12 @@ const log = require("npmlog");
 
 module.exports = function (defaultFuncs, api, ctx) {
   return function unsendMessage(messageID, callback) {
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, friendList) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(friendList);
-      };
-    }
-
     const form = {
       message_id: messageID,
     };
 
     defaultFuncs
-      .post("https://www.facebook.com/messaging/unsend_message/", ctx.jar, form)
+      .post(ctx.endpoints.www + "/messaging/unsend_message/", ctx.jar, form)
       .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
       .then(function (resData) {
         return callback();
@@ -35,7 +19,5 @@ module.exports = function (defaultFuncs, api, ctx) {
         log.error("unsendMessage", err);
         return callback(err);
       });
-
-    return returnPromise;
   };
 };
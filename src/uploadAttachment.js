@@ -4,28 +4,17 @@ const log = require("npmlog");
 module.exports = function (defaultFuncs, api, ctx) {
   function upload(attachments, callback) {
     callback = callback || function () {};
-    const uploads = [];
 
-    // create an array of promises
-    for (let i = 0; i < attachments.length; i++) {
-      if (!utils.isReadableStream(attachments[i])) {
-        throw {
-          error:
-            "Attachment should be a readable stream and not " +
-            utils.getType(attachments[i]) +
-            ".",
+    ctx.uploadCache
+      .upload(attachments, (file) => {
+        const form = {
+          upload_1024: file,
+          voice_clip: "true",
         };
-      }
-
-      const form = {
-        upload_1024: attachments[i],
-        voice_clip: "true",
-      };
 
-      uploads.push(
-        defaultFuncs
+        return defaultFuncs
           .postFormData(
-            "https://upload.facebook.com/ajax/mercury/upload.php",
+            ctx.endpoints.upload + "/ajax/mercury/upload.php",
             ctx.jar,
             form,
             {},
@@ -33,20 +22,16 @@ module.exports = function (defaultFuncs, api, ctx) {
           .then(utils.parseAndCheckLogin(ctx, defaultFuncs))
           .then(function (resData) {
             if (resData.error) {
-              throw resData;
+              throw utils.fromResponse(resData);
             }
 
             // We have to return the data unformatted unless we want to change it
             // back in sendMessage.
             return resData.payload.metadata[0];
-          }),
-      );
-    }
-
-    // resolve all promises
-    Promise.all(uploads)
-      .then(function (resData) {
-        callback(null, resData);
+          });
+      })
+      .then(function (uploads) {
+        callback(null, uploads.map((upload) => upload.metadata));
       })
       .catch(function (err) {
         log.error("uploadAttachment", err);
@@ -55,31 +40,6 @@ module.exports = function (defaultFuncs, api, ctx) {
   }
 
   return function uploadAttachment(attachments, callback) {
-    if (
-      !attachments &&
-      !utils.isReadableStream(attachments) &&
-      !utils.getType(attachments) === "Array" &&
-      utils.getType(attachments) === "Array" &&
-      !attachments.length
-    )
-      throw { error: "Please pass an attachment or an array of attachments." };
-
-    let resolveFunc = function () {};
-    let rejectFunc = function () {};
-    const returnPromise = new Promise(function (resolve, reject) {
-      resolveFunc = resolve;
-      rejectFunc = reject;
-    });
-
-    if (!callback) {
-      callback = function (err, info) {
-        if (err) {
-          return rejectFunc(err);
-        }
-        resolveFunc(info);
-      };
-    }
-
     if (utils.getType(attachments) !== "Array") attachments = [attachments];
 
     upload(attachments, (err, info) => {
@@ -88,7 +48,5 @@ module.exports = function (defaultFuncs, api, ctx) {
       }
       callback(null, info);
     });
-
-    return returnPromise;
   };
 };
@@ -0,0 +1,333 @@
+"use strict";
+
+/**
+ * Offline stand-in for the parts of Facebook the library talks to: the login pages, the
+ * GraphQL endpoints, `/messaging/send/`, uploads and the MQTT websocket (`/chat`). Files in
+ * `test/data` are served under `/mock/files/` for URL attachments.
+ * Point a session at it with the `baseURL` option.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const querystring = require("querystring");
+const WebSocket = require("ws");
+const mqttPacket = require("mqtt-packet");
+const { DEFAULT_DOC_IDS } = require("../../lib/docIds");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const DATA = path.join(__dirname, "..", "data");
+const DOC_SEQ_ID = DEFAULT_DOC_IDS.MessengerSyncSequenceIDQuery;
+const DOC_THREAD_INFO = DEFAULT_DOC_IDS.MessengerGraphQLThreadFetcher;
+
+/**
+ * Loads a fixture and fills in its `{{NAME}}` placeholders.
+ * @param {string} name - File name inside `fixtures/`.
+ * @param {Record<string, string>} vars - Placeholder values.
+ * @returns {string}
+ */
+function loadFixture(name, vars) {
+  return fs
+    .readFileSync(path.join(FIXTURES, name), "utf8")
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in vars ? vars[key] : match));
+}
+
+/**
+ * Just enough multipart parsing to see which files were uploaded, under which name and type.
+ * @returns {{ name: string, filename?: string, contentType?: string, size: number }[]}
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (!match) return [];
+  return body
+    .toString("latin1")
+    .split("--" + (match[1] || match[2]))
+    .slice(1, -1)
+    .map((part) => {
+      const end = part.indexOf("\r\n\r\n");
+      const head = part.slice(0, end);
+      const disposition = /name="([^"]*)"(?:; filename="([^"]*)")?/.exec(head) || [];
+      const type = /content-type:\s*([^\r\n]+)/i.exec(head);
+      return {
+        name: disposition[1],
+        filename: disposition[2],
+        contentType: type ? type[1].trim() : undefined,
+        size: part.length - end - 6,
+      };
+    });
+}
+
+/** Serializes responses the way Facebook does, anti-JSON-hijacking prefix included. */
+function fbJSON(obj) {
+  return "for (;;);" + JSON.stringify(obj);
+}
+
+/**
+ * @param {{ userID?: string, friendID?: string, threadID?: string, fb_dtsg?: string, jazoest?: string, seqID?: number, retiredDocIds?: string[] }} [options]
+ */
+function createMockServer(options = {}) {
+  const vars = {
+    USER_ID: options.userID || "100000000000001",
+    FRIEND_ID: options.friendID || "100000000000002",
+    THREAD_ID: options.threadID || "200000000000001",
+    FB_DTSG: options.fb_dtsg || "mock-fb-dtsg:1:1",
+    JAZOEST: options.jazoest || "25000",
+  };
+
+  /** Every HTTP request received, for assertions: `{ method, path, query, headers, form, parts }`. */
+  const requests = [];
+  /** Every MQTT publish received from clients: `{ topic, payload }`. */
+  const published = [];
+  /** Every MQTT connect: `{ username, headers }`, the parsed username payload and the websocket's headers. */
+  const connects = [];
+  /** Resolvers waiting for the next publish on a topic; see `nextPublish`. */
+  const publishWaiters = [];
+  const clients = new Set();
+  /** doc_ids answered as if Facebook had dropped the persisted query. */
+  const retiredDocIds = new Set(options.retiredDocIds || []);
+  /** Canned failures by path, each answered once instead of the normal reply: `{ status, body, headers }`. */
+  const failures = new Map();
+  let seqID = options.seqID || 100;
+  let messageCounter = 0;
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({ "Content-Type": "text/html; charset=utf-8" }, headers));
+    res.end(body);
+  }
+
+  function graphqlBatch(form) {
+    const queries = JSON.parse(form.queries || "{}");
+    const results = Object.keys(queries).map((key) => {
+      const query = queries[key];
+      let data = {};
+      if (query.doc_id === DOC_SEQ_ID) {
+        data = { viewer: { message_threads: { sync_sequence_id: String(seqID), nodes: [] } } };
+      } else if (query.doc_id === DOC_THREAD_INFO) {
+        data = JSON.parse(
+          loadFixture("thread-info.json", Object.assign({}, vars, { THREAD_ID: query.query_params.id }))
+        );
+      }
+      return JSON.stringify({ [key]: { data } });
+    });
+    const summary = JSON.stringify({
+      successful_results: results.length,
+      error_results: 0,
+      skipped_results: 0,
+    });
+    return results.concat(summary).join("\r\n");
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readBody(req);
+    const isForm = (req.headers["content-type"] || "").startsWith("application/x-www-form-urlencoded");
+    const form = isForm ? querystring.parse(body.toString("utf8")) : {};
+    const parts = parseMultipart(body, req.headers["content-type"] || "");
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, form, parts });
+
+    const failure = failures.get(url.pathname);
+    if (failure) {
+      failures.delete(url.pathname);
+      const body = typeof failure.body === "string" ? failure.body : fbJSON(failure.body || {});
+      return send(res, failure.status || 200, body, failure.headers);
+    }
+
+    if (url.pathname.startsWith("/mock/files/")) {
+      const file = path.join(DATA, path.basename(url.pathname));
+      if (!fs.existsSync(file)) return send(res, 404, "Not found");
+      // Like many CDNs: a generic type, so the client has to look at the name or the bytes.
+      return send(res, 200, fs.readFileSync(file), { "Content-Type": "application/octet-stream" });
+    }
+
+    switch (url.pathname) {
+      case "/":
+      case "/home.php":
+        // Rotate a cookie on every page load, like Facebook does with `fr`.
+        return send(res, 200, loadFixture("home.html", vars), {
+          "Set-Cookie": [`fr=mock-fr-${Date.now()}; expires=Fri, 01 Jan 2100 00:00:00 GMT; path=/; domain=.facebook.com; httponly`],
+        });
+      case "/api/graphql/":
+        // Probes arrive with empty variables; answer like Facebook does for a known or a dropped query.
+        return send(
+          res,
+          200,
+          JSON.stringify({
+            data: null,
+            errors: [
+              retiredDocIds.has(form.doc_id)
+                ? { message: `PersistedQueryNotFound: no document with doc_id ${form.doc_id}`, severity: "CRITICAL" }
+                : { message: "A server error missing_required_variable_value occured.", severity: "CRITICAL" },
+            ],
+          }),
+          { "Content-Type": "application/json" }
+        );
+      case "/api/graphqlbatch/":
+        return send(res, 200, graphqlBatch(form), { "Content-Type": "application/json" });
+      case "/messaging/send/": {
+        const threadID = form.thread_fbid || form.other_user_fbid;
+        return send(
+          res,
+          200,
+          fbJSON({
+            payload: {
+              actions: [{ thread_fbid: threadID, message_id: `mid.$mock${++messageCounter}`, timestamp: Date.now() }],
+            },
+          })
+        );
+      }
+      case "/ajax/mercury/upload.php":
+        return send(
+          res,
+          200,
+          fbJSON({ payload: { metadata: [{ image_id: `9${++messageCounter}`, filename: "upload", filetype: "image/png" }] } })
+        );
+      default:
+        return send(res, 200, fbJSON({ payload: {} }));
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, String(err && err.stack)));
+  });
+
+  const wss = new WebSocket.Server({ server, path: "/chat" });
+
+  function write(socket, packet) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(mqttPacket.generate(packet));
+  }
+
+  function publishTo(socket, topic, payload) {
+    write(socket, { cmd: "publish", topic, payload: JSON.stringify(payload), qos: 0, retain: false, dup: false });
+  }
+
+  wss.on("connection", (socket, req) => {
+    const parser = mqttPacket.parser({ protocolVersion: 3 });
+    clients.add(socket);
+
+    parser.on("packet", (packet) => {
+      switch (packet.cmd) {
+        case "connect":
+          connects.push({ username: JSON.parse(packet.username), headers: req.headers });
+          return write(socket, { cmd: "connack", returnCode: 0, sessionPresent: false });
+        case "subscribe":
+          return write(socket, {
+            cmd: "suback",
+            messageId: packet.messageId,
+            granted: packet.subscriptions.map(() => 0),
+          });
+        case "unsubscribe":
+          return write(socket, { cmd: "unsuback", messageId: packet.messageId });
+        case "pingreq":
+          return write(socket, { cmd: "pingresp" });
+        case "publish": {
+          if (packet.qos > 0) write(socket, { cmd: "puback", messageId: packet.messageId });
+          const text = packet.payload.toString("utf8");
+          published.push({ topic: packet.topic, payload: text });
+          publishWaiters
+            .filter((waiter) => waiter.topic === packet.topic)
+            .forEach((waiter) => {
+              publishWaiters.splice(publishWaiters.indexOf(waiter), 1);
+              waiter.resolve({ topic: packet.topic, payload: text });
+            });
+          if (packet.topic === "/messenger_sync_create_queue" || packet.topic === "/messenger_sync_get_diffs") {
+            // Acknowledge the queue, then replay the canned deltas.
+            publishTo(socket, "/t_ms", {
+              firstDeltaSeqId: seqID + 1,
+              lastIssuedSeqId: seqID,
+              syncToken: "mock-sync-token",
+              queueEntityId: vars.USER_ID,
+            });
+            const deltas = JSON.parse(loadFixture("deltas.json", vars));
+            if (deltas.length) {
+              seqID += deltas.length;
+              publishTo(socket, "/t_ms", { deltas, lastIssuedSeqId: seqID });
+            }
+          }
+          return;
+        }
+        case "disconnect":
+          return socket.close();
+      }
+    });
+
+    socket.on("message", (data) => parser.parse(Buffer.from(data)));
+    socket.on("close", () => clients.delete(socket));
+    socket.on("error", () => clients.delete(socket));
+  });
+
+  return {
+    vars,
+    requests,
+    published,
+    connects,
+    retiredDocIds,
+
+    /**
+     * Answers the next request to `path` with a canned failure instead of the normal reply.
+     * @param {string} path - Request path, e.g. `/messaging/send/`.
+     * @param {{ status?: number, body?: string | Object, headers?: Object }} failure - Objects are sent as `for (;;);{...}`.
+     */
+    failNext(path, failure) {
+      failures.set(path, failure);
+    },
+
+    /**
+     * Starts listening on a random local port.
+     * @returns {Promise<string>} Base URL to pass as the `baseURL` option.
+     */
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    /**
+     * Pushes deltas to every connected MQTT client.
+     * @param {Object[]} deltas - Delta objects as found in `/t_ms`.
+     */
+    pushDeltas(deltas) {
+      seqID += deltas.length;
+      clients.forEach((socket) => publishTo(socket, "/t_ms", { deltas, lastIssuedSeqId: seqID }));
+    },
+
+    /**
+     * Publishes a message on any topic to every connected MQTT client, e.g. `/ls_resp` updates.
+     * @param {string} topic
+     * @param {Object} payload - Sent as JSON.
+     */
+    publish(topic, payload) {
+      clients.forEach((socket) => publishTo(socket, topic, payload));
+    },
+
+    /**
+     * Waits for the next message a client publishes on a topic.
+     * @param {string} topic - E.g. `/ls_req`.
+     * @returns {Promise<{ topic: string, payload: string }>}
+     */
+    nextPublish(topic) {
+      return new Promise((resolve) => publishWaiters.push({ topic, resolve }));
+    },
+
+    /** Cuts every MQTT client off, as a network failure would; the server keeps accepting new ones. */
+    dropClients() {
+      clients.forEach((socket) => socket.terminate());
+    },
+
+    /** Stops the server and drops every client. */
+    close() {
+      clients.forEach((socket) => socket.terminate());
+      return new Promise((resolve) => wss.close(() => server.close(() => resolve())));
+    },
+  };
+}
+
+module.exports = { createMockServer, loadFixture };
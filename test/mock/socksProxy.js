@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Minimal SOCKS5 proxy (no authentication, CONNECT only) for testing `proxyPool` offline.
+ */
+
+const net = require("net");
+
+/**
+ * Creates the proxy. It is not listening until `listen()`.
+ */
+function createSocksProxy() {
+  const sockets = new Set();
+  /** @type {string[]} `host:port` of every CONNECT it carried out. */
+  const connections = [];
+
+  const server = net.createServer((client) => {
+    sockets.add(client);
+    client.on("close", () => sockets.delete(client));
+    client.on("error", () => client.destroy());
+    let buffer = Buffer.alloc(0);
+    let greeted = false;
+
+    function onData(chunk) {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!greeted) {
+        if (buffer.length < 2 || buffer.length < 2 + buffer[1]) return;
+        buffer = buffer.subarray(2 + buffer[1]);
+        greeted = true;
+        client.write(Buffer.from([5, 0]));
+      }
+      if (buffer.length < 5) return;
+      const type = buffer[3];
+      const length = type === 1 ? 10 : type === 4 ? 22 : 7 + buffer[4];
+      if (buffer.length < length) return;
+      const host = type === 1 ? Array.from(buffer.subarray(4, 8)).join(".") : buffer.subarray(5, 5 + buffer[4]).toString();
+      const port = buffer.readUInt16BE(length - 2);
+      const rest = buffer.subarray(length);
+      client.removeListener("data", onData);
+
+      const upstream = net.connect(port, host);
+      sockets.add(upstream);
+      upstream.on("close", () => sockets.delete(upstream));
+      upstream.once("error", () => {
+        client.end(Buffer.from([5, 5, 0, 1, 0, 0, 0, 0, 0, 0]));
+      });
+      upstream.once("connect", () => {
+        connections.push(`${host}:${port}`);
+        client.write(Buffer.from([5, 0, 0, 1, 0, 0, 0, 0, 0, 0]));
+        if (rest.length) upstream.write(rest);
+        client.pipe(upstream).pipe(client);
+      });
+    }
+
+    client.on("data", onData);
+  });
+
+  return {
+    connections,
+
+    /**
+     * Starts listening on a random local port.
+     * @returns {Promise<string>} The proxy URL.
+     */
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(`socks5://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    /** Stops the proxy and drops every connection. */
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createSocksProxy };
@@ -0,0 +1,1287 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+var log = require('npmlog');
+var login = require('../index.js');
+var createMockServer = require('./mock/server').createMockServer;
+var createSocksProxy = require('./mock/socksProxy').createSocksProxy;
+
+log.level = 'silent';
+
+describe('Offline (mock server):', function () {
+  var server = createMockServer();
+  var vars = server.vars;
+  var api = null;
+  var listener = null;
+  this.timeout(10000);
+
+  var appState = [
+    { key: 'c_user', value: vars.USER_ID, domain: '.facebook.com', path: '/' },
+    { key: 'xs', value: 'mock-xs', domain: '.facebook.com', path: '/' },
+    { key: 'datr', value: 'mock-datr', domain: '.facebook.com', path: '/' },
+  ];
+
+  before(function () {
+    return server.listen().then(function (baseURL) {
+      return login({ appState: appState }, {
+        baseURL: baseURL,
+        refresh_dtsg: false,
+        autoMarkRead: false,
+      });
+    }).then(function (localAPI) {
+      api = localAPI;
+    });
+  });
+
+  after(function () {
+    if (listener) listener.stopListening();
+    if (api) api.ctx.appStateWatcher.stop();
+    return server.close();
+  });
+
+  it('should login against the mock server', function () {
+    assert(api);
+    assert.strictEqual(api.getCurrentUserID(), vars.USER_ID);
+    assert.strictEqual(api.ctx.fb_dtsg, vars.FB_DTSG);
+  });
+
+  it('should keep rotated cookies keyed to facebook.com', function () {
+    var fr = api.getAppState().find(function (c) { return c.key === 'fr'; });
+    assert(fr && fr.value.indexOf('mock-fr-') === 0);
+  });
+
+  it('should send a text message', function (done) {
+    api.sendMessage('hello mock', vars.THREAD_ID, function (err, info) {
+      if (err) return done(err);
+      try {
+        var sent = server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+        assert.strictEqual(sent.form.body, 'hello mock');
+        assert.strictEqual(sent.form.thread_fbid, vars.THREAD_ID);
+        assert.strictEqual(sent.form.fb_dtsg, vars.FB_DTSG);
+        assert.strictEqual(info.threadID, vars.THREAD_ID);
+        assert(info.messageID.indexOf('mid.$mock') === 0);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    }, null, true);
+  });
+
+  it('should send a message with an attachment', function (done) {
+    var attachment = fs.createReadStream(path.join(__dirname, 'data', 'test.png'));
+    api.sendMessage({ body: 'with image', attachment: attachment }, vars.THREAD_ID, function (err, info) {
+      if (err) return done(err);
+      try {
+        assert.strictEqual(info.threadID, vars.THREAD_ID);
+        assert(info.messageID.indexOf('mid.$mock') === 0);
+        assert(server.requests.some(function (r) { return r.path === '/ajax/mercury/upload.php'; }));
+        var sent = server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+        assert(sent.form['image_ids[0]']);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    }, null, true);
+  });
+
+  it('should upload Buffers, URLs and named data with the right type', function () {
+    var png = fs.readFileSync(path.join(__dirname, 'data', 'test.png'));
+    var before = server.requests.length;
+    return api.uploadAttachment([
+      png,
+      api.ctx.endpoints.www + '/mock/files/test.txt',
+      { data: Buffer.from('voice'), filename: 'note.ogg' },
+    ]).then(function (files) {
+      assert.strictEqual(files.length, 3);
+      var uploaded = server.requests.slice(before).filter(function (r) {
+        return r.path === '/ajax/mercury/upload.php';
+      }).map(function (r) {
+        return r.parts.find(function (p) { return p.name === 'upload_1024'; });
+      }).sort(function (a, b) { return a.filename < b.filename ? -1 : 1; });
+      assert.deepStrictEqual(uploaded.map(function (p) { return [p.filename, p.contentType]; }), [
+        ['attachment.png', 'image/png'],
+        ['note.ogg', 'audio/ogg'],
+        ['test.txt', 'text/plain'],
+      ]);
+      assert.strictEqual(uploaded[0].size, png.length);
+    });
+  });
+
+  it('should refuse attachments above maxAttachmentSize', function () {
+    var before = server.requests.length;
+    return api.setOptions({ maxAttachmentSize: 16 }).then(function () {
+      return api.uploadAttachment(api.ctx.endpoints.www + '/mock/files/test.png');
+    }).then(function () {
+      throw new Error('uploadAttachment should have failed');
+    }, function (err) {
+      assert(err instanceof login.InvalidArgumentError);
+      assert.strictEqual(err.argument, 'url');
+      assert(!server.requests.slice(before).some(function (r) { return r.path === '/ajax/mercury/upload.php'; }));
+      return api.setOptions({ maxAttachmentSize: null });
+    });
+  });
+
+  it('should upload the same bytes once with uploadCache', function () {
+    var data = Buffer.from('cached bytes ' + Date.now());
+    var before = server.requests.length;
+    var uploads = function () {
+      return server.requests.slice(before).filter(function (r) { return r.path === '/ajax/mercury/upload.php'; }).length;
+    };
+    var sent = function () {
+      return server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+    };
+    var first;
+    return api.setOptions({ uploadCache: true }).then(function () {
+      return api.sendMessage({ attachment: { data: data, filename: 'a.txt' } }, vars.THREAD_ID);
+    }).then(function () {
+      first = sent().form['image_ids[0]'];
+      return api.sendMessage({ attachment: { data: data, filename: 'a.txt' } }, vars.THREAD_ID);
+    }).then(function () {
+      assert.strictEqual(uploads(), 1);
+      assert.strictEqual(sent().form['image_ids[0]'], first);
+
+      // A refused send with a reused id drops it and uploads the file again.
+      server.failNext('/messaging/send/', { body: { error: 1545012, errorSummary: 'Attachment expired' } });
+      return api.sendMessage({ attachment: { data: data, filename: 'a.txt' } }, vars.THREAD_ID);
+    }).then(function () {
+      assert.strictEqual(uploads(), 2);
+      assert.notStrictEqual(sent().form['image_ids[0]'], first);
+      assert.strictEqual(api.invalidateUploadCache(sent().form['image_ids[0]']), 1);
+      assert.strictEqual(api.invalidateUploadCache(), 0);
+      return api.setOptions({ uploadCache: false });
+    });
+  });
+
+  it('should get thread info', function () {
+    return api.getThreadInfo(vars.THREAD_ID).then(function (info) {
+      assert.strictEqual(info.threadID, vars.THREAD_ID);
+      assert.strictEqual(info.threadName, 'Mock Group');
+      assert.deepStrictEqual(info.participantIDs, [vars.USER_ID, vars.FRIEND_ID]);
+      assert.strictEqual(info.messageCount, 42);
+      assert.strictEqual(info.isGroup, true);
+      assert.strictEqual(info.emoji, '👍');
+      assert.strictEqual(info.nicknames[vars.FRIEND_ID], 'Buddy');
+    });
+  });
+
+  it('should resolve endpoints through the session registry', function () {
+    var baseURL = api.ctx.endpoints.www;
+    return api.setOptions({ endpoints: { upload: 'http://uploads.test/' } }).then(function () {
+      assert.strictEqual(api.ctx.endpoints.upload, 'http://uploads.test');
+      assert.strictEqual(api.ctx.endpoints.www, baseURL);
+      assert.strictEqual(api.ctx.endpoints.canonical('http://uploads.test/ajax/mercury/upload.php'), 'https://upload.facebook.com/ajax/mercury/upload.php');
+      return api.setOptions({ endpoints: null });
+    }).then(function () {
+      assert.strictEqual(api.ctx.endpoints.upload, baseURL);
+    });
+  });
+
+  it('should send every request through the session transport', function () {
+    var nodeTransport = require('../lib/transport').createNodeTransport();
+    var seen = [];
+    var transport = {
+      request: function (req) {
+        seen.push(req);
+        return nodeTransport.request(req);
+      },
+    };
+    return api.setOptions({ transport: transport }).then(function () {
+      return api.sendMessage({ attachment: api.ctx.endpoints.www + '/mock/files/test.txt' }, vars.THREAD_ID);
+    }).then(function () {
+      var paths = seen.map(function (req) { return new URL(req.url).pathname; });
+      assert.deepStrictEqual(paths, ['/mock/files/test.txt', '/ajax/mercury/upload.php', '/messaging/send/']);
+      assert(/multipart\/form-data; boundary=/.test(seen[1].headers['Content-Type']));
+      assert(seen[2].headers.Cookie.indexOf('c_user=' + vars.USER_ID) !== -1);
+      return api.setOptions({ transport: null });
+    }).then(function () {
+      var count = seen.length;
+      return api.getThreadInfo(vars.THREAD_ID).then(function () {
+        assert.strictEqual(seen.length, count);
+      });
+    });
+  });
+
+  it('should pass requests, responses and parsed bodies through interceptors', function () {
+    var responses = [];
+    var parsed = [];
+    var stop = api.interceptors.use({
+      name: 'trace',
+      request: function (req) {
+        if (req.form) req.form.traced = 'yes';
+      },
+      response: function (res) {
+        responses.push([new URL(res.request.url).pathname, res.statusCode, typeof res.duration]);
+      },
+      parsed: function (data) {
+        parsed.push(data);
+      },
+    });
+    var before = server.requests.length;
+    return api.sendMessage('intercepted', vars.THREAD_ID).then(function () {
+      var sent = server.requests.slice(before).filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+      assert.strictEqual(sent.form.traced, 'yes');
+      assert.deepStrictEqual(responses, [['/messaging/send/', 200, 'number']]);
+      assert.strictEqual(parsed.length, 1);
+
+      api.interceptors.use({
+        request: function (req) {
+          if (req.url.endsWith('/messaging/send/')) return { body: { error: 1357001 } };
+        },
+      });
+      before = server.requests.length;
+      return api.sendMessage('never sent', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessage should have failed');
+    }, function (err) {
+      assert(err instanceof login.NotLoggedInError);
+      assert(!server.requests.slice(before).some(function (r) { return r.path === '/messaging/send/'; }));
+      assert.strictEqual(stop(), true);
+      assert.strictEqual(api.interceptors.list().length, 1);
+      assert.throws(function () { api.interceptors.use({}); }, login.InvalidArgumentError);
+      return api.setOptions({ interceptors: [] });
+    }).then(function () {
+      assert.strictEqual(api.interceptors.list().length, 0);
+    });
+  });
+
+  it('should pass the bodies of reactions through parsed interceptors', function () {
+    var seen = [];
+    var stop = api.interceptors.use({
+      parsed: function (data, res) {
+        seen.push(new URL(res.request.url).pathname);
+      },
+    });
+    return api.setMessageReaction('\uD83D\uDC4D', 'mid.$mockReaction').then(function () {
+      stop();
+      assert.deepStrictEqual(seen, ['/webgraphql/mutation/']);
+    }, function (err) {
+      stop();
+      throw err;
+    });
+  });
+
+  it('should report doc_ids that are no longer known', function () {
+    server.retiredDocIds.add('1234567890');
+    return api.setOptions({ docIds: { CometUFIFeedbackReactMutation: 1234567890 } }).then(function () {
+      assert.strictEqual(api.ctx.docIds.CometUFIFeedbackReactMutation, '1234567890');
+      return api.checkDocIds(['CometUFIFeedbackReactMutation', 'ComposerStoryCreateMutation']);
+    }).then(function (result) {
+      assert.deepStrictEqual(result.ok, ['ComposerStoryCreateMutation']);
+      assert.strictEqual(result.missing.length, 1);
+      assert.strictEqual(result.missing[0].name, 'CometUFIFeedbackReactMutation');
+      assert.strictEqual(result.missing[0].docID, '1234567890');
+      assert.deepStrictEqual(result.failed, []);
+      return api.setOptions({ docIds: null });
+    }).then(function () {
+      assert.strictEqual(api.ctx.docIds.CometUFIFeedbackReactMutation, '4769042373179384');
+    });
+  });
+
+  it('should pace queued sends and keep each thread in order', function () {
+    var otherThread = '200000000000002';
+    var before = server.requests.length;
+    var started = Date.now();
+    return api.setOptions({ sendQueue: { rate: 20, burst: 1, jitter: 0 } }).then(function () {
+      var sends = [
+        api.sendMessage('q1', vars.THREAD_ID, null, null, true),
+        api.sendMessage('q2', vars.THREAD_ID, null, null, true),
+        api.sendMessage('other', otherThread, null, null, true),
+        api.sendMessage('q3', vars.THREAD_ID, null, null, true),
+      ];
+      assert.strictEqual(api.getSendQueueDepth(), 4);
+      assert.strictEqual(api.getSendQueueDepth(vars.THREAD_ID), 3);
+      return Promise.all(sends);
+    }).then(function (infos) {
+      assert.strictEqual(infos.length, 4);
+      assert.strictEqual(api.getSendQueueDepth(), 0);
+      // One token to start with, then 20 per second: the three later sends wait ~150ms in total.
+      assert(Date.now() - started >= 140);
+      var bodies = server.requests.slice(before).filter(function (r) {
+        return r.path === '/messaging/send/';
+      }).map(function (r) { return r.form.body; });
+      assert.deepStrictEqual(bodies, ['q1', 'q2', 'other', 'q3']);
+      return api.setOptions({ sendQueue: false });
+    });
+  });
+
+  it('should fail a queued send that throws and go on with the thread', function (done) {
+    var queue = require('../lib/sendQueue').createSendQueue({ globalOptions: { sendQueue: { rate: 100, burst: 5, jitter: 0 } } });
+    var send = queue.wrap(function (msg, threadID, callback) {
+      if (msg === 'boom') throw new TypeError('cannot send ' + msg);
+      callback(null, { body: msg });
+    });
+    var results = [];
+
+    send('boom', vars.THREAD_ID, function (err, info) { results.push([err, info]); });
+    send('after', vars.THREAD_ID, function (err, info) {
+      results.push([err, info]);
+      try {
+        assert.strictEqual(results.length, 2);
+        assert(results[0][0] instanceof TypeError);
+        assert.strictEqual(results[0][0].message, 'cannot send boom');
+        assert.strictEqual(results[1][0], null);
+        assert.deepStrictEqual(results[1][1], { body: 'after' });
+        assert.strictEqual(queue.depth(), 0);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+
+  it('should keep scheduled messages in the session store', function () {
+    var key = 'scheduled:' + vars.USER_ID;
+    var id;
+    return api.scheduleMessage('later', vars.THREAD_ID, new Date(Date.now() + 3600000)).then(function (job) {
+      id = job.id;
+      assert.deepStrictEqual(job.msg, { body: 'later' });
+      assert.deepStrictEqual(api.ctx.sessionStore.get(key).map(function (j) { return j.id; }), [id]);
+      return api.rescheduleMessage(id, { cron: '0 9 * * 1', timezone: 'Asia/Manila' });
+    }).then(function (job) {
+      assert.strictEqual(job.at, undefined);
+      assert.strictEqual(api.ctx.sessionStore.get(key)[0].cron, '0 9 * * 1');
+      return api.listScheduledMessages(vars.THREAD_ID);
+    }).then(function (jobs) {
+      assert.deepStrictEqual(jobs.map(function (j) { return j.id; }), [id]);
+      return api.cancelScheduledMessage(id);
+    }).then(function (cancelled) {
+      assert.strictEqual(cancelled, true);
+      assert.deepStrictEqual(api.ctx.sessionStore.get(key), []);
+      return api.scheduleMessage({ attachment: fs.createReadStream(path.join(__dirname, 'data', 'test.png')) }, vars.THREAD_ID, 1000);
+    }).then(function () {
+      throw new Error('scheduleMessage should have refused a stream');
+    }, function (err) {
+      assert(err instanceof login.InvalidArgumentError);
+      assert.strictEqual(err.argument, 'attachment');
+      return api.scheduleMessage('never', vars.THREAD_ID, 'next tuesday-ish');
+    }).then(function () {
+      throw new Error('scheduleMessage should have refused the time');
+    }, function (err) {
+      assert.strictEqual(err.argument, 'when');
+    });
+  });
+
+  it('should reject bad arguments with an InvalidArgumentError', function (done) {
+    api.sendMessage(42, vars.THREAD_ID, function (err) {
+      try {
+        assert(err instanceof login.InvalidArgumentError);
+        assert(err instanceof login.FBError);
+        assert.strictEqual(err.code, 'INVALID_ARGUMENT');
+        assert.strictEqual(err.argument, 'msg');
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+
+  it('should accept one options object instead of positional arguments', function () {
+    return api.sendMessage({ threadID: vars.THREAD_ID, body: 'from options', replyTo: 'mid.$reply', isGroup: true }).then(function (info) {
+      var sent = server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+      assert.strictEqual(sent.form.body, 'from options');
+      assert.strictEqual(sent.form.replied_to_message_id, 'mid.$reply');
+      assert.strictEqual(info.threadID, vars.THREAD_ID);
+    });
+  });
+
+  it('should build a message with mentions from placeholders', function () {
+    return api.message(vars.THREAD_ID)
+      .text('Hi @{' + vars.FRIEND_ID + '}, meet @{' + vars.USER_ID + '}')
+      .mention(vars.FRIEND_ID, 'Ann')
+      .mention(vars.USER_ID, 'Bob')
+      .replyTo('mid.$original')
+      .group()
+      .send()
+      .then(function (info) {
+        var sent = server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+        assert.strictEqual(sent.form.body, '\u200EHi @Ann, meet @Bob');
+        assert.strictEqual(sent.form['profile_xmd[0][id]'], vars.FRIEND_ID);
+        assert.strictEqual(String(sent.form['profile_xmd[0][offset]']), '4');
+        assert.strictEqual(String(sent.form['profile_xmd[1][offset]']), '15');
+        assert.strictEqual(String(sent.form['profile_xmd[1][length]']), '4');
+        assert.strictEqual(sent.form.replied_to_message_id, 'mid.$original');
+        assert.strictEqual(info.threadID, vars.THREAD_ID);
+        assert(info.messageID.indexOf('mid.$mock') === 0);
+        assert(info.timestamp);
+      });
+  });
+
+  it('should refuse message parts that cannot be sent together', function () {
+    var before = server.requests.length;
+    return api.message(vars.THREAD_ID).text('hello').sticker('369239263222822').send().then(function () {
+      throw new Error('send should have failed');
+    }, function (err) {
+      assert(err instanceof login.InvalidArgumentError);
+      assert.strictEqual(err.argument, 'sticker');
+      return api.message(vars.THREAD_ID).url('https://example.com').via('mqtt').send();
+    }).then(function () {
+      throw new Error('send should have failed');
+    }, function (err) {
+      assert.strictEqual(err.argument, 'url');
+      assert.strictEqual(server.requests.length, before);
+    });
+  });
+
+  it('should check arguments before anything is sent', function () {
+    var before = server.requests.length;
+    return api.setTitle('no thread').then(function () {
+      throw new Error('setTitle should have failed');
+    }, function (err) {
+      assert(err instanceof login.InvalidArgumentError);
+      assert.strictEqual(err.argument, 'threadID');
+      return api.changeAdminStatus(vars.THREAD_ID, vars.USER_ID, 'yes');
+    }).then(function () {
+      throw new Error('changeAdminStatus should have failed');
+    }, function (err) {
+      assert(err instanceof login.InvalidArgumentError);
+      assert.strictEqual(err.argument, 'adminStatus');
+      assert.strictEqual(server.requests.length, before);
+    });
+  });
+
+  it('should turn Facebook failures into typed errors', function () {
+    server.failNext('/messaging/send/', { body: { error: 368, errorSummary: 'You\'re Temporarily Blocked', errorDescription: 'Slow down.' } });
+    return api.sendMessage('too fast', vars.THREAD_ID, null, null, true).then(function () {
+      throw new Error('sendMessage should have failed');
+    }, function (err) {
+      assert(err instanceof login.RateLimitedError);
+      assert.strictEqual(err.code, 'RATE_LIMITED');
+      assert.strictEqual(err.errorCode, 368);
+      server.failNext('/messaging/send/', { status: 403, body: 'Forbidden' });
+      return api.sendMessage('again', vars.THREAD_ID, null, null, true);
+    }).then(function () {
+      throw new Error('sendMessage should have failed');
+    }, function (err) {
+      assert(err instanceof login.TransportError);
+      assert.strictEqual(err.code, 'TRANSPORT_ERROR');
+      assert.strictEqual(err.statusCode, 403);
+    });
+  });
+
+  it('should retry only what is safe to send twice', function () {
+    var file = api.ctx.endpoints.www + '/mock/files/test.txt';
+    var count = function (path, since) {
+      return server.requests.slice(since).filter(function (r) { return r.path === path; }).length;
+    };
+    var before;
+    return api.setOptions({ retry: { minDelay: 1, jitter: false } }).then(function () {
+      before = server.requests.length;
+      server.failNext('/mock/files/test.txt', { status: 503, body: 'Busy', headers: { 'Retry-After': '0' } });
+      return api.httpGet(file);
+    }).then(function (body) {
+      assert(body.length > 0);
+      assert.strictEqual(count('/mock/files/test.txt', before), 2);
+
+      // A query that only reads is POSTed too, and is as safe to repeat as a GET.
+      before = server.requests.length;
+      server.failNext('/api/graphqlbatch/', { status: 503, body: 'Busy' });
+      return api.getThreadInfo(vars.THREAD_ID);
+    }).then(function (info) {
+      assert.strictEqual(info.threadID, vars.THREAD_ID);
+      assert.strictEqual(count('/api/graphqlbatch/', before), 2);
+
+      before = server.requests.length;
+      server.failNext('/messaging/send/', { status: 503, body: 'Busy' });
+      return api.sendMessage('once only', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessage should have failed');
+    }, function (err) {
+      assert(err instanceof login.TransportError);
+      assert.strictEqual(err.statusCode, 503);
+      assert.strictEqual(count('/messaging/send/', before), 1);
+
+      server.failNext('/messaging/send/', { status: 302, body: '', headers: { Location: 'https://www.facebook.com/login.php?next=x' } });
+      return api.sendMessage('logged out', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessage should have failed');
+    }, function (err) {
+      assert(err instanceof login.NotLoggedInError);
+      assert.strictEqual(err.statusCode, 302);
+      return api.setOptions({ retry: null });
+    });
+  });
+
+  it('should move an account to the next proxy of its pool when one fails', function () {
+    var socks = createSocksProxy();
+    var dead = require('net').createServer();
+    var pool, deadURL, liveURL;
+    return new Promise(function (resolve) {
+      // A port nothing listens on any more.
+      dead.listen(0, '127.0.0.1', function () {
+        deadURL = 'socks5://127.0.0.1:' + dead.address().port;
+        dead.close(resolve);
+      });
+    }).then(function () {
+      return socks.listen();
+    }).then(function (url) {
+      liveURL = url;
+      pool = login.createProxyPool({ proxies: [deadURL, liveURL] });
+      // Start the account on the dead proxy, whatever its hash says.
+      pool.markFailed(liveURL);
+      assert.strictEqual(pool.acquire(vars.USER_ID), deadURL);
+      pool.markHealthy(liveURL);
+      return api.setOptions({ proxyPool: pool, retry: { minDelay: 1, jitter: false } });
+    }).then(function () {
+      return api.httpGet(api.ctx.endpoints.www + '/mock/files/test.txt');
+    }).then(function (body) {
+      assert(body.length > 0);
+      assert.strictEqual(socks.connections.length, 1);
+      var status = pool.status();
+      assert.strictEqual(status[0].healthy, false);
+      assert.deepStrictEqual(status[0].accounts, []);
+      assert.deepStrictEqual(status[1].accounts, [vars.USER_ID]);
+      assert.strictEqual(pool.acquire(vars.USER_ID), liveURL);
+    }).then(function () {
+      return api.setOptions({ proxyPool: null, retry: null });
+    }).then(function () {
+      return socks.close();
+    }, function (err) {
+      return api.setOptions({ proxyPool: null, retry: null }).then(function () {
+        return socks.close();
+      }).then(function () {
+        throw err;
+      });
+    });
+  });
+
+  it('should receive canned deltas over MQTT', function (done) {
+    var states = [];
+    var finished = false;
+    function finish(err) {
+      if (finished) return;
+      finished = true;
+      done(err);
+    }
+
+    api.listenMqtt(function (err, msg) {
+      if (err) return finish(err.error ? new Error(err.error) : err);
+      if (msg.type !== 'message') return;
+      try {
+        assert.strictEqual(msg.body, 'hello from the mock');
+        assert.strictEqual(msg.senderID, vars.FRIEND_ID);
+        assert.strictEqual(msg.threadID, vars.THREAD_ID);
+        assert.strictEqual(msg.isGroup, true);
+        assert(states.indexOf('live') > -1);
+        finish();
+      } catch (e) {
+        finish(e);
+      }
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) { states.push(change.state); });
+    });
+  });
+
+  it('should deliver deltas pushed after the sync', function (done) {
+    var delta = JSON.parse(JSON.stringify(require('./mock/fixtures/deltas.json')[0]));
+    delta.body = 'pushed later';
+    delta.messageMetadata.actorFbId = vars.FRIEND_ID;
+    delta.messageMetadata.threadKey.threadFbId = vars.THREAD_ID;
+    delta.messageMetadata.messageId = 'mid.$mockPushed';
+
+    listener.stopListening();
+    api.listenMqtt(function (err, msg) {
+      if (err) return done(err.error ? new Error(err.error) : err);
+      if (msg.type === 'message' && msg.body === 'pushed later') done();
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) {
+        if (change.state === 'live') server.pushDeltas([delta]);
+      });
+    });
+  });
+
+  // Answers the next /ls_req with the step tree `step(otid)` builds from the task's otid.
+  function answerTask(step) {
+    return server.nextPublish('/ls_req').then(function (req) {
+      var content = JSON.parse(req.payload);
+      var task = JSON.parse(JSON.parse(content.payload).tasks[0].payload);
+      server.publish('/ls_resp', { request_id: content.request_id, payload: JSON.stringify({ step: step(task.otid) }) });
+      return content.request_id;
+    });
+  }
+
+  it('should settle MQTT tasks with the /ls_resp of their request_id', function () {
+    var answered = answerTask(function (otid) { return [1, [5, 'replaceOptimsiticMessage', otid, 'mid.$mockMqtt1']]; });
+    return api.sendMessageMqtt('over mqtt', vars.THREAD_ID).then(function (info) {
+      assert.strictEqual(info.messageID, 'mid.$mockMqtt1');
+      assert.strictEqual(info.threadID, vars.THREAD_ID);
+      return answered;
+    }).then(function () {
+      assert.strictEqual(api.ctx.lsTasks.pending(), 0);
+      answerTask(function () { return [1, [5, 'taskFailed', 1545012, 'Blocked']]; });
+      return api.sendMessageMqtt('refused', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessageMqtt should have failed');
+    }, function (err) {
+      assert(err instanceof login.FBError);
+      assert.strictEqual(err.failureCode, 1545012);
+      // An answer without the message ID fails instead of resolving without one.
+      answerTask(function () { return [1, [5, 'updateThreadSnippet', vars.THREAD_ID]]; });
+      return api.sendMessageMqtt('unreadable', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessageMqtt should have failed');
+    }, function (err) {
+      assert(err instanceof login.FBError);
+      assert(/No message ID/.test(err.message));
+      assert(Array.isArray(err.calls));
+      return api.setOptions({ mqttTaskTimeout: 50 });
+    }).then(function () {
+      return api.sendMessageMqtt('unanswered', vars.THREAD_ID);
+    }).then(function () {
+      throw new Error('sendMessageMqtt should have timed out');
+    }, function (err) {
+      assert(err instanceof login.TransportError);
+      assert(/Timed out/.test(err.message));
+      assert.strictEqual(api.ctx.lsTasks.pending(), 0);
+      return api.setOptions({ mqttTaskTimeout: null });
+    });
+  });
+
+  it('should reject MQTT tasks still waiting when the connection drops', function () {
+    server.nextPublish('/ls_req').then(function () { server.dropClients(); });
+    return api.sendMessageMqtt('cut off', vars.THREAD_ID).then(function () {
+      throw new Error('sendMessageMqtt should have failed');
+    }, function (err) {
+      assert(err instanceof login.TransportError);
+      assert(/connection closed/.test(err.message));
+      assert.strictEqual(api.ctx.lsTasks.pending(), 0);
+    });
+  });
+
+  it('should back off, reconnect after a drop and stay down after stopListening', function (done) {
+    var computeBackoff = require('../lib/connectionManager').computeBackoff;
+    for (var attempt = 1; attempt <= 12; attempt++) {
+      var ceiling = Math.min(60000, 1000 * Math.pow(2, attempt - 1));
+      var delay = computeBackoff(attempt);
+      assert(delay >= ceiling / 2 && delay <= ceiling, 'attempt ' + attempt + ' waited ' + delay);
+    }
+    assert(computeBackoff(30, 100, 5000) <= 5000);
+
+    var states = [];
+    var reconnecting = [];
+
+    listener.stopListening();
+    api.listenMqtt(function (err) {
+      if (err) done(err.error ? new Error(err.error) : err);
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) {
+        states.push(change.state);
+        if (change.state === 'live' && !reconnecting.length) server.dropClients();
+      });
+      emitter.on('reconnecting', function (info) { reconnecting.push(info); });
+      emitter.on('reconnected', function (info) {
+        try {
+          assert.deepStrictEqual(states, ['connecting', 'syncing', 'live', 'backoff', 'connecting', 'syncing', 'live']);
+          assert.strictEqual(reconnecting.length, 1);
+          assert.strictEqual(reconnecting[0].attempt, 1);
+          assert(reconnecting[0].delay >= 500 && reconnecting[0].delay <= 1000);
+          assert.strictEqual(info.attempts, 1);
+        } catch (e) {
+          return done(e);
+        }
+        var connects = server.connects.length;
+        emitter.stopListening(function () {
+          // Longer than the first backoff: a reconnect would have happened by now.
+          setTimeout(function () {
+            try {
+              assert.strictEqual(api.ctx.mqttConnection.getState(), 'stopped');
+              assert.strictEqual(api.ctx.mqttClient, undefined);
+              assert(server.published.some(function (p) { return p.topic === '/browser_close'; }));
+              assert.strictEqual(server.connects.length, connects);
+              assert.strictEqual(states[states.length - 1], 'stopped');
+              done();
+            } catch (e) {
+              done(e);
+            }
+          }, 1200);
+        });
+      });
+    });
+  });
+
+  it('should present one saved device profile on HTTP, MQTT and the next login', function () {
+    var profile = api.getDeviceProfile();
+    assert(profile && profile.userAgent);
+    server.requests.forEach(function (r) {
+      assert.strictEqual(r.headers['user-agent'], profile.userAgent, r.path);
+      assert.strictEqual(r.headers['accept-language'], profile.acceptLanguage, r.path);
+      if (profile.clientHints) assert.strictEqual(r.headers['sec-ch-ua'], profile.clientHints['sec-ch-ua'], r.path);
+    });
+    assert(server.connects.length > 0);
+    server.connects.forEach(function (c) {
+      assert.strictEqual(c.username.a, profile.userAgent);
+      assert.strictEqual(c.headers['user-agent'], profile.userAgent);
+    });
+
+    var second = null;
+    return Promise.resolve(api.ctx.sessionStore.get('deviceProfile:' + vars.USER_ID)).then(function (saved) {
+      assert.deepStrictEqual(saved, profile);
+      return login({ appState: appState }, {
+        baseURL: api.ctx.endpoints.www,
+        sessionStore: api.ctx.sessionStore,
+        refresh_dtsg: false,
+        autoMarkRead: false,
+      });
+    }).then(function (localAPI) {
+      second = localAPI;
+      assert.deepStrictEqual(second.getDeviceProfile(), profile);
+    }).then(function () {
+      second.ctx.appStateWatcher.stop();
+    }, function (err) {
+      if (second) second.ctx.appStateWatcher.stop();
+      throw err;
+    });
+  });
+
+  it('should resume the sync after a restart without delivering a message twice', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbvibex-sync-'));
+    var syncStore = path.join(dir, 'sync.json');
+    var later = JSON.parse(JSON.stringify(require('./mock/fixtures/deltas.json')[0]));
+    later.body = 'sent while away';
+    later.messageMetadata.actorFbId = vars.FRIEND_ID;
+    later.messageMetadata.threadKey.threadFbId = vars.THREAD_ID;
+    later.messageMetadata.messageId = 'mid.$mockAfterRestart';
+
+    // One process lifetime: log in, listen until the sync settles, then stop.
+    function run(onLive) {
+      var session = null;
+      return login({ appState: appState }, {
+        baseURL: api.ctx.endpoints.www,
+        refresh_dtsg: false,
+        autoMarkRead: false,
+        resumeSync: true,
+        syncStore: syncStore,
+      }).then(function (localAPI) {
+        session = localAPI;
+        var received = [];
+        return new Promise(function (resolve, reject) {
+          session.listenMqtt(function (err, msg) {
+            if (err) return reject(err.error ? new Error(err.error) : err);
+            if (msg.type === 'message') received.push(msg.messageID);
+          }).then(function (emitter) {
+            emitter.on('state', function (change) {
+              if (change.state !== 'live') return;
+              if (onLive) onLive();
+              setTimeout(function () {
+                emitter.stopListening(function () { resolve(received); });
+              }, 300);
+            });
+          });
+        });
+      }).then(function (received) {
+        session.ctx.appStateWatcher.stop();
+        return received;
+      }, function (err) {
+        if (session) session.ctx.appStateWatcher.stop();
+        throw err;
+      });
+    }
+
+    return run().then(function (received) {
+      assert.deepStrictEqual(received, ['mid.$mockIncoming1']);
+      var checkpoint = JSON.parse(fs.readFileSync(syncStore, 'utf8'))['sync:' + vars.USER_ID];
+      assert(checkpoint.lastSeqId);
+      assert.strictEqual(checkpoint.syncToken, 'mock-sync-token');
+      assert.deepStrictEqual(checkpoint.seenMessageIDs, ['mid.$mockIncoming1']);
+
+      // The server replays the canned delta on resume; only the new one may come through.
+      return run(function () { server.pushDeltas([later]); });
+    }).then(function (received) {
+      assert.deepStrictEqual(received, ['mid.$mockAfterRestart']);
+      var resumed = server.published.filter(function (p) { return /^\/messenger_sync_/.test(p.topic); }).pop();
+      assert.strictEqual(resumed.topic, '/messenger_sync_get_diffs');
+      assert.strictEqual(JSON.parse(resumed.payload).sync_token, 'mock-sync-token');
+      var checkpoint = JSON.parse(fs.readFileSync(syncStore, 'utf8'))['sync:' + vars.USER_ID];
+      assert.deepStrictEqual(checkpoint.seenMessageIDs, ['mid.$mockIncoming1', 'mid.$mockAfterRestart']);
+    }).then(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }, function (err) {
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw err;
+    });
+  });
+
+  it('should keep the options, cookies, proxy and listener of two sessions apart', function () {
+    var socks = createSocksProxy();
+    var a = null;
+    var b = null;
+    var received = { a: [], b: [] };
+    var listeners = {};
+
+    function message(id) {
+      var delta = JSON.parse(JSON.stringify(require('./mock/fixtures/deltas.json')[0]));
+      delta.messageMetadata.actorFbId = vars.FRIEND_ID;
+      delta.messageMetadata.threadKey.threadFbId = vars.THREAD_ID;
+      delta.messageMetadata.messageId = id;
+      return delta;
+    }
+
+    function listen(name, session) {
+      return new Promise(function (resolve, reject) {
+        session.listenMqtt(function (err, msg) {
+          if (err) return reject(err.error ? new Error(err.error) : err);
+          if (msg.type === 'message') received[name].push(msg.messageID);
+        }).then(function (emitter) {
+          listeners[name] = emitter;
+          emitter.on('state', function (change) {
+            if (change.state === 'live') resolve();
+          });
+        });
+      });
+    }
+
+    function cookieOf(userAgent) {
+      return server.requests.filter(function (r) { return r.headers['user-agent'] === userAgent; }).map(function (r) {
+        return /xs=([^;]+)/.exec(r.headers.cookie || '')[1];
+      });
+    }
+
+    function settle() {
+      return new Promise(function (resolve) { setTimeout(resolve, 200); });
+    }
+
+    function cleanUp() {
+      [a, b].forEach(function (session) { if (session) session.ctx.appStateWatcher.stop(); });
+      return Promise.all(Object.keys(listeners).map(function (name) {
+        return new Promise(function (resolve) { listeners[name].stopListening(resolve); });
+      })).then(function () {
+        return socks.close();
+      });
+    }
+
+    return socks.listen().then(function (proxy) {
+      return login({ appState: appState.map(function (c) { return c.key === 'xs' ? { key: 'xs', value: 'xs-a', domain: c.domain, path: c.path } : c; }) }, {
+        baseURL: api.ctx.endpoints.www,
+        refresh_dtsg: false,
+        autoMarkRead: false,
+        userAgent: 'session-a',
+        proxy: proxy,
+      });
+    }).then(function (localAPI) {
+      a = localAPI;
+      return login({ appState: appState.map(function (c) { return c.key === 'xs' ? { key: 'xs', value: 'xs-b', domain: c.domain, path: c.path } : c; }) }, {
+        baseURL: api.ctx.endpoints.www,
+        refresh_dtsg: false,
+        autoMarkRead: false,
+        userAgent: 'session-b',
+        listenEvents: false,
+      });
+    }).then(function (localAPI) {
+      b = localAPI;
+      assert.notStrictEqual(a.ctx.globalOptions, b.ctx.globalOptions);
+      assert.notStrictEqual(a.ctx.jar, b.ctx.jar);
+      assert.strictEqual(a.ctx.globalOptions.listenEvents, true);
+      assert.strictEqual(b.ctx.globalOptions.listenEvents, false);
+      assert.strictEqual(b.ctx.globalOptions.proxy, undefined);
+      var viaProxy = socks.connections.length;
+      assert(viaProxy > 0);
+
+      return a.setOptions({ selfListen: true }).then(function () {
+        assert.strictEqual(b.ctx.globalOptions.selfListen, false);
+        return Promise.all([a.httpGet(api.ctx.endpoints.www + '/mock/files/test.txt'), b.httpGet(api.ctx.endpoints.www + '/mock/files/test.txt')]);
+      }).then(function () {
+        // Only session A goes through the proxy; each sends its own cookies.
+        assert.strictEqual(socks.connections.length, viaProxy + 1);
+        assert(cookieOf('session-a').length > 0 && cookieOf('session-a').every(function (xs) { return xs === 'xs-a'; }));
+        assert(cookieOf('session-b').length > 0 && cookieOf('session-b').every(function (xs) { return xs === 'xs-b'; }));
+        assert.strictEqual(a.getAppState().filter(function (c) { return c.key === 'xs'; })[0].value, 'xs-a');
+        assert.strictEqual(b.getAppState().filter(function (c) { return c.key === 'xs'; })[0].value, 'xs-b');
+      });
+    }).then(function () {
+      return Promise.all([listen('a', a), listen('b', b)]);
+    }).then(function () {
+      assert.notStrictEqual(a.ctx.mqttClient, b.ctx.mqttClient);
+      server.pushDeltas([message('mid.$mockBoth')]);
+      return settle();
+    }).then(function () {
+      return new Promise(function (resolve) { listeners.a.stopListening(resolve); });
+    }).then(function () {
+      assert.strictEqual(a.ctx.mqttConnection.getState(), 'stopped');
+      assert.strictEqual(b.ctx.mqttConnection.getState(), 'live');
+      server.pushDeltas([message('mid.$mockOnlyB')]);
+      return settle();
+    }).then(function () {
+      assert.deepStrictEqual(received.a, ['mid.$mockIncoming1', 'mid.$mockBoth']);
+      assert.deepStrictEqual(received.b, ['mid.$mockIncoming1', 'mid.$mockBoth', 'mid.$mockOnlyB']);
+    }).then(cleanUp, function (err) {
+      return cleanUp().then(function () {
+        throw err;
+      });
+    });
+  });
+
+  it('should keep session stores on disk, encrypted or not, and only readable by the owner', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbvibex-store-'));
+    var plainPath = path.join(dir, 'nested', 'session.json');
+    var securePath = path.join(dir, 'session.enc');
+    var renames = [];
+    var renameSync = fs.renameSync;
+    fs.renameSync = function (from, to) {
+      renames.push([from, to]);
+      return renameSync.apply(fs, arguments);
+    };
+
+    var restore = function () {
+      fs.renameSync = renameSync;
+      fs.rmSync(dir, { recursive: true, force: true });
+    };
+    var secure, salt;
+
+    return Promise.resolve().then(function () {
+      var plain = login.createFileStore(plainPath);
+      plain.set('appState:1', appState);
+      plain.set('dtsg:1', { fb_dtsg: 'x' });
+      assert.deepStrictEqual(plain.get('appState:1'), appState);
+      // Every write lands in a temp file first and replaces the store in one rename.
+      assert.strictEqual(renames.length, 2);
+      renames.forEach(function (rename) {
+        assert.notStrictEqual(rename[0], plainPath);
+        assert.strictEqual(rename[1], plainPath);
+      });
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(plainPath)), ['session.json']);
+      assert.strictEqual(fs.statSync(plainPath).mode & 0o777, 0o600);
+      plain.delete('dtsg:1');
+      assert.strictEqual(login.createFileStore(plainPath).get('dtsg:1'), null);
+
+      assert.throws(function () { login.createEncryptedFileStore(securePath); }, login.InvalidArgumentError);
+
+      secure = login.createEncryptedFileStore(securePath, 'correct horse');
+      return Promise.all([secure.set('appState:1', appState), secure.set('dtsg:1', { fb_dtsg: 'x' })]);
+    }).then(function () {
+      var box = JSON.parse(fs.readFileSync(securePath, 'utf8'));
+      salt = box.salt;
+      assert.strictEqual(box.data.indexOf('mock-xs'), -1);
+      assert.strictEqual(fs.statSync(securePath).mode & 0o777, 0o600);
+      return secure.delete('dtsg:1');
+    }).then(function () {
+      // The salt stays with the file so the key is only derived once.
+      assert.strictEqual(JSON.parse(fs.readFileSync(securePath, 'utf8')).salt, salt);
+      var reopened = login.createEncryptedFileStore(securePath, 'correct horse');
+      return Promise.all([reopened.get('appState:1'), reopened.get('dtsg:1')]);
+    }).then(function (values) {
+      assert.deepStrictEqual(values, [appState, null]);
+      return login.createEncryptedFileStore(securePath, 'wrong horse').get('appState:1').then(function () {
+        assert.fail('a wrong secret should not decrypt the store');
+      }, function (err) {
+        assert.match(err.message, /authenticate/);
+      });
+    }).then(restore, function (err) {
+      restore();
+      throw err;
+    });
+  });
+
+  it('should log in with only a userID from the appState in the session store', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbvibex-store-'));
+    var storePath = path.join(dir, 'session.json');
+    var options = { baseURL: api.ctx.endpoints.www, sessionStore: storePath, refresh_dtsg: false, autoMarkRead: false };
+    var restored = null;
+    login.createFileStore(storePath).set('appState:' + vars.USER_ID, api.getAppState());
+
+    return login({ userID: vars.USER_ID }, options).then(function (localAPI) {
+      restored = localAPI;
+      assert.strictEqual(restored.getCurrentUserID(), vars.USER_ID);
+      var xs = restored.getAppState().filter(function (c) { return c.key === 'xs'; })[0];
+      assert.strictEqual(xs.value, 'mock-xs');
+      return login({ userID: '4' }, options);
+    }).then(function () {
+      throw new Error('login should have failed');
+    }, function (err) {
+      assert(err instanceof login.NotLoggedInError, err);
+      assert(/No appState saved/.test(err.message));
+    }).then(function () {
+      restored.ctx.appStateWatcher.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }, function (err) {
+      if (restored) restored.ctx.appStateWatcher.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw err;
+    });
+  });
+
+  it('should report and persist rotated session cookies once, ignoring other cookies', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbvibex-appstate-'));
+    var file = path.join(dir, 'appstate.json');
+    var changes = [];
+    var www = api.ctx.endpoints.www;
+
+    function wait(ms) {
+      return new Promise(function (resolve) { setTimeout(resolve, ms); });
+    }
+
+    function cleanUp() {
+      fs.rmSync(dir, { recursive: true, force: true });
+      return api.setOptions({ onAppStateChange: null, persistAppState: false });
+    }
+
+    return api.setOptions({
+      onAppStateChange: function (state) { changes.push(state); },
+      persistAppState: file,
+    }).then(function () {
+      server.failNext('/mock/files/test.txt', { status: 200, body: 'ok', headers: { 'Set-Cookie': ['locale=vi_VN; path=/; domain=.facebook.com'] } });
+      return api.httpGet(www + '/mock/files/test.txt');
+    }).then(function () {
+      // Longer than the debounce: a change would have been reported by now.
+      return wait(2200);
+    }).then(function () {
+      assert(api.getAppState().some(function (c) { return c.key === 'locale'; }));
+      assert.strictEqual(changes.length, 0);
+      assert(!fs.existsSync(file));
+
+      // Two page loads, two rotations of `fr`: one report.
+      return api.httpGet(www + '/');
+    }).then(function () {
+      return wait(5);
+    }).then(function () {
+      return api.httpGet(www + '/');
+    }).then(function () {
+      return wait(2200);
+    }).then(function () {
+      var fr = api.getAppState().filter(function (c) { return c.key === 'fr'; })[0];
+      assert.strictEqual(changes.length, 1);
+      assert.deepStrictEqual(changes[0], api.getAppState());
+      var saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.strictEqual(saved.filter(function (c) { return c.key === 'fr'; })[0].value, fr.value);
+      assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      assert.deepStrictEqual(fs.readdirSync(dir), ['appstate.json']);
+    }).then(cleanUp, function (err) {
+      return cleanUp().then(function () {
+        throw err;
+      });
+    });
+  });
+
+  it('should report scheduled messages to the listener', function (done) {
+    var scheduleID = null;
+    listener.stopListening();
+    api.listenMqtt(function (err, event) {
+      if (err) return done(err.error ? new Error(err.error) : err);
+      if (event.type !== 'scheduled_sent') return;
+      try {
+        assert.strictEqual(event.scheduleID, scheduleID);
+        assert.strictEqual(event.threadID, vars.THREAD_ID);
+        assert(event.messageID.indexOf('mid.$mock') === 0);
+        var sent = server.requests.filter(function (r) { return r.path === '/messaging/send/'; }).pop();
+        assert.strictEqual(sent.form.body, 'on time');
+        done();
+      } catch (e) {
+        done(e);
+      }
+    }).then(function (emitter) {
+      listener = emitter;
+      return api.scheduleMessage('on time', vars.THREAD_ID, 50);
+    }).then(function (job) {
+      scheduleID = job.id;
+    }, done);
+  });
+
+  it('should tell what an edit or unsend changed with messageCache', function (done) {
+    var messageID = 'mid.$mockCached';
+    var delta = JSON.parse(JSON.stringify(require('./mock/fixtures/deltas.json')[0]));
+    delta.body = 'before edit';
+    delta.messageMetadata.actorFbId = vars.FRIEND_ID;
+    delta.messageMetadata.threadKey.threadFbId = vars.THREAD_ID;
+    delta.messageMetadata.messageId = messageID;
+    var recall = {
+      deltaRecallMessageData: {
+        threadKey: { threadFbId: vars.THREAD_ID },
+        messageID: messageID,
+        senderID: vars.FRIEND_ID,
+        deletionTimestamp: Date.now(),
+        timestamp: Date.now(),
+      },
+    };
+    var edit = { request_id: null, payload: JSON.stringify({ step: [1, [5, 'editMessage', messageID, 'after edit', [19, '1']]] }) };
+    var events = [];
+
+    function finish(err) {
+      api.setOptions({ listenEvents: false, messageCache: false }).then(function () { done(err); });
+    }
+
+    listener.stopListening();
+    api.setOptions({ listenEvents: true, messageCache: true }).then(function () {
+      return api.listenMqtt(function (err, event) {
+        if (err) return finish(err.error ? new Error(err.error) : err);
+        if (event.messageID !== messageID) return;
+        events.push(event);
+        if (event.type === 'message') server.publish('/ls_resp', edit);
+        if (event.type === 'message_edit') {
+          server.pushDeltas([{ class: 'ClientPayload', payload: Array.from(Buffer.from(JSON.stringify({ deltas: [recall] }))) }]);
+        }
+        if (event.type !== 'message_unsend') return;
+        try {
+          assert.deepStrictEqual(events.map(function (e) { return e.type; }), ['message', 'message_edit', 'message_unsend']);
+          assert.strictEqual(events[1].threadID, vars.THREAD_ID);
+          assert.strictEqual(events[1].senderID, vars.FRIEND_ID);
+          assert.strictEqual(events[1].oldBody, 'before edit');
+          assert.strictEqual(events[1].newBody, 'after edit');
+          assert.strictEqual(event.original.body, 'after edit');
+          assert(Array.isArray(event.original.attachments));
+          finish();
+        } catch (e) {
+          finish(e);
+        }
+      });
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) {
+        if (change.state === 'live') server.pushDeltas([delta]);
+      });
+    });
+  });
+
+  it('should turn every delta class into an event', function (done) {
+    var threadKey = { threadFbId: vars.THREAD_ID };
+    var metadata = { actorFbId: vars.FRIEND_ID, threadKey: threadKey, messageId: 'mid.$mockAdmin', timestamp: '1700000000000', adminText: 'changed' };
+    var nickname = {
+      deltaThreadNickname: { messageMetadata: metadata, type: 'change_thread_nickname', untypedData: { participant_id: vars.FRIEND_ID, nickname: 'Bob' } },
+    };
+    var edited = {
+      deltaMessageEdit: { threadKey: threadKey, messageID: 'mid.$edited', senderID: vars.FRIEND_ID, text: 'fixed typo', editCount: 2, timestamp: '1700000000003' },
+    };
+    var deltas = [
+      { class: 'MarkRead', threadKeys: [threadKey], actionTimestampMs: '1700000000001' },
+      { class: 'DeliveryReceipt', threadKey: threadKey, actorFbId: vars.FRIEND_ID, messageIds: ['mid.$a'], deliveredWatermarkTimestampMs: '1700000000002' },
+      { class: 'ThreadMuteSettings', threadKey: threadKey, expireTime: -1 },
+      { class: 'ThreadFolder', threadKey: threadKey, folder: 'ARCHIVED' },
+      { class: 'AdminTextMessage', type: 'pin_messages_v2', messageMetadata: metadata, untypedData: { pinned_message_id: 'mid.$a' } },
+      { class: 'ClientPayload', payload: Array.from(Buffer.from(JSON.stringify({ deltas: [nickname, edited] }))) },
+      { class: 'NoOp' },
+      { class: 'SomethingNew', value: 1 },
+    ];
+    var events = [];
+    var edit = null;
+
+    function finish(err) {
+      api.setOptions({ listenEvents: false }).then(function () { done(err); });
+    }
+
+    listener.stopListening();
+    api.setOptions({ listenEvents: true }).then(function () {
+      return api.listenMqtt(function (err, event) {
+        if (err) return finish(err.error ? new Error(err.error) : err);
+        if (event.type === 'message_edit' && event.messageID === 'mid.$edited') edit = event;
+        else if (event.type !== 'message' && event.type !== 'message_edit' && event.type !== 'message_unsend') events.push(event);
+        // Edits are handed over after the message cache was asked, so they may come last.
+        if (!edit || !events.length || events[events.length - 1].type !== 'raw_delta') return;
+        try {
+          assert.deepStrictEqual(edit, {
+            type: 'message_edit',
+            threadID: vars.THREAD_ID,
+            messageID: 'mid.$edited',
+            senderID: vars.FRIEND_ID,
+            oldBody: null,
+            newBody: 'fixed typo',
+            editCount: 2,
+            timestamp: 1700000000003,
+          });
+          assert.deepStrictEqual(events.map(function (e) { return e.type; }), [
+            'read', 'delivery_receipt', 'thread_mute', 'thread_folder', 'event', 'event', 'raw_delta',
+          ]);
+          assert.deepStrictEqual(events[0], { type: 'read', threadID: vars.THREAD_ID, time: 1700000000001 });
+          assert.deepStrictEqual(events[1].messageIDs, ['mid.$a']);
+          assert.strictEqual(events[2].muted, true);
+          assert.strictEqual(events[3].folder, 'ARCHIVED');
+          assert.strictEqual(events[4].logMessageType, 'log:thread-pinned');
+          assert.strictEqual(events[5].logMessageType, 'log:user-nickname');
+          assert.strictEqual(events[5].logMessageData.nickname, 'Bob');
+          assert.strictEqual(events[6].class, 'SomethingNew');
+          assert.strictEqual(events[6].delta.value, 1);
+          finish();
+        } catch (e) {
+          finish(e);
+        }
+      });
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) {
+        if (change.state === 'live') server.pushDeltas(deltas);
+      });
+    });
+  });
+
+  it('should run commands from the listener and reply to them', function (done) {
+    var fixture = require('./mock/fixtures/deltas.json')[0];
+    function command(messageID, body, prng) {
+      var delta = JSON.parse(JSON.stringify(fixture));
+      delta.body = body;
+      delta.data = prng ? { prng: JSON.stringify(prng) } : {};
+      delta.messageMetadata.actorFbId = vars.FRIEND_ID;
+      delta.messageMetadata.threadKey.threadFbId = vars.THREAD_ID;
+      delta.messageMetadata.messageId = messageID;
+      return delta;
+    }
+    var deltas = [
+      command('mid.$cmd1', '!hi @Buddy welcome back', [{ i: vars.FRIEND_ID, o: 4, l: 6 }]),
+      command('mid.$cmd2', '/kick 123', null),
+      command('mid.$cmd3', '/ping', null),
+      command('mid.$cmd4', '/help', null),
+    ];
+    var poll = null;
+
+    function replies() {
+      return server.requests.filter(function (r) {
+        return r.path === '/messaging/send/' && /^mid\.\$cmd/.test(r.form.replied_to_message_id || '');
+      });
+    }
+
+    function finish(err) {
+      clearInterval(poll);
+      ['greet', 'kick', 'ping'].forEach(function (name) { api.commands.remove(name); });
+      api.setOptions({ commands: null }).then(function () { done(err); });
+    }
+
+    function check() {
+      var sent = replies();
+      if (sent.length < 3) return;
+      try {
+        var byMessage = {};
+        sent.forEach(function (r) { byMessage[r.form.replied_to_message_id] = r.form.body; });
+        assert.strictEqual(byMessage['mid.$cmd1'], 'Hi ' + vars.FRIEND_ID + ': welcome back');
+        assert.strictEqual(byMessage['mid.$cmd2'], '/kick is not available to you here.');
+        assert.strictEqual(byMessage['mid.$cmd3'], undefined);
+        assert(byMessage['mid.$cmd4'].indexOf('/greet <who> [note...] - Says hi.') !== -1);
+        assert.strictEqual(byMessage['mid.$cmd4'].indexOf('/ping'), -1);
+        Promise.resolve(api.ctx.sessionStore.get('commands:' + vars.USER_ID)).then(function (saved) {
+          assert.deepStrictEqual(saved[vars.THREAD_ID], ['ping']);
+          finish();
+        }).catch(finish);
+      } catch (e) {
+        finish(e);
+      }
+      clearInterval(poll);
+    }
+
+    assert.throws(function () { api.commands.add({ name: 'bad name', run: function () {} }); }, function (err) {
+      return err instanceof login.InvalidArgumentError && err.argument === 'name';
+    });
+    api.commands
+      .add({
+        name: 'greet',
+        aliases: ['hi'],
+        description: 'Says hi.',
+        args: [{ name: 'who', type: 'user' }, { name: 'note', type: 'rest', optional: true }],
+        run: function (context) { return 'Hi ' + context.args.who + ': ' + context.args.note; },
+      })
+      .add({ name: 'kick', permission: 'admin', args: [{ name: 'user', type: 'user' }], run: function () { return 'kicked'; } })
+      .add({ name: 'ping', run: function () { return 'pong'; } });
+
+    listener.stopListening();
+    Promise.all([api.setOptions({ commands: { prefix: ['/', '!'] } }), api.commands.disable('ping', vars.THREAD_ID)]).then(function () {
+      assert.strictEqual(api.commands.isEnabled('ping', vars.THREAD_ID), false);
+      return api.listenMqtt(function (err) {
+        if (err) finish(err.error ? new Error(err.error) : err);
+      });
+    }).then(function (emitter) {
+      listener = emitter;
+      emitter.on('state', function (change) {
+        if (change.state !== 'live') return;
+        server.pushDeltas(deltas);
+        poll = setInterval(check, 20);
+      });
+    }).catch(finish);
+  });
+});
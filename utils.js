@@ -1,76 +1,26 @@
 /* eslint-disable no-prototype-builtins */
 "use strict";
 
-let request = promisifyPromise(require("request").defaults({ jar: true, proxy: process.env.FB_PROXY }));
 const stream = require("stream");
 const log = require("npmlog");
 const querystring = require("querystring");
 const url = require("url");
+const { getEndpoints } = require("./lib/endpoints");
+const transport = require("./lib/transport");
+const { createCookieJar } = require("./lib/cookieJar");
+const { getInterceptors } = require("./lib/interceptors");
 
-class CustomError extends Error {
-	constructor(obj) {
-		if (typeof obj === 'string')
-			obj = { message: obj };
-		if (typeof obj !== 'object' || obj === null)
-			throw new TypeError('Object required');
-		obj.message ? super(obj.message) : super();
-		Object.assign(this, obj);
-	}
-}
-
-function callbackToPromise(func) {
-	return function (...args) {
-		return new Promise((resolve, reject) => {
-			func(...args, (err, data) => {
-				if (err)
-					reject(err);
-				else
-					resolve(data);
-			});
-		});
-	};
-}
-
-function isHasCallback(func) {
-	if (typeof func !== "function")
-		return false;
-	return func.toString().split("\n")[0].match(/(callback|cb)\s*\)/) !== null;
-}
-
-// replace for bluebird.promisify (but this only applies best to the `request` package)
-function promisifyPromise(promise) {
-	const keys = Object.keys(promise);
-	let promise_;
-	if (
-		typeof promise === "function"
-		&& isHasCallback(promise)
-	)
-		promise_ = callbackToPromise(promise);
-	else
-		promise_ = promise;
-
-	for (const key of keys) {
-		if (!promise[key]?.toString)
-			continue;
-
-		if (
-			typeof promise[key] === "function"
-			&& isHasCallback(promise[key])
-		) {
-			promise_[key] = callbackToPromise(promise[key]);
-		}
-		else {
-			promise_[key] = promise[key];
-		}
-	}
-
-	return promise_;
-}
-
-// replace for bluebird.delay
-function delay(ms) {
-	return new Promise(resolve => setTimeout(resolve, ms));
-}
+const errors = require("./lib/errors");
+const {
+	CustomError,
+	NotLoggedInError,
+	CheckpointError,
+	RateLimitedError,
+	TransportError,
+	RATE_LIMIT_CODES,
+	fromResponse,
+	toTransportError
+} = errors;
 
 // replace for bluebird.try
 function tryPromise(tryFunc) {
@@ -83,24 +33,25 @@ function tryPromise(tryFunc) {
 	});
 }
 
+// Sets the process-wide proxy, used by sessions that don't configure their own `proxy` option.
 function setProxy(url) {
-	if (typeof url == "undefined")
-		return request = promisifyPromise(require("request").defaults({
-			jar: true
-		}));
-	return request = promisifyPromise(require("request").defaults({
-		jar: true,
-		proxy: url
-	}));
+	transport.setDefaultProxy(url);
+}
+
+// Sends a request through the session's transport (`options.transport`, or the built-in one on
+// Node's http/https). Every HTTP call of the library goes through here, so the session's proxy,
+// cookies and endpoint overrides apply the same way everywhere.
+function request(op, options) {
+	return transport.send(op, options);
 }
 
 function getHeaders(url, options, ctx, customHeader) {
+	const www = getEndpoints(options).www;
 	const headers = {
 		"Content-Type": "application/x-www-form-urlencoded",
-		Referer: "https://www.facebook.com/",
-		Host: url.replace("https://", "").split("/")[0],
-		Origin: "https://www.facebook.com",
-		"User-Agent": options.userAgent,
+		Referer: www + "/",
+		Host: new URL(url).host,
+		Origin: www,
 		Connection: "keep-alive",
 		"sec-fetch-site": "same-origin",
 		'Sec-Fetch-User': '?1'
@@ -124,7 +75,7 @@ function isReadableStream(obj) {
 	);
 }
 
-function get(url, jar, qs, options, ctx) {
+function get(url, jar, qs, options, ctx, customHeader) {
 	// I'm still confused about this
 	if (getType(qs) === "Object") {
 		for (const prop in qs) {
@@ -134,37 +85,38 @@ function get(url, jar, qs, options, ctx) {
 		}
 	}
 	const op = {
-		headers: getHeaders(url, options, ctx),
+		headers: getHeaders(url, options, ctx, customHeader),
 		timeout: 60000,
 		qs: qs,
 		url: url,
 		method: "GET",
-		jar: jar,
-		gzip: true
+		jar: jar
 	};
 
-	return request(op).then(function (res) {
-		return Array.isArray(res) ? res[0] : res;
-	});
+	return request(op, options);
+}
+
+// POSTs are only retried after reaching the server when the caller says so: pass `{ idempotent: true }`
+// as `requestOptions` for queries that read, never for sends or other mutations.
+function withRequestOptions(op, requestOptions) {
+	if (requestOptions && typeof requestOptions.idempotent === "boolean") op.idempotent = requestOptions.idempotent;
+	return op;
 }
 
-function post(url, jar, form, options, ctx, customHeader) {
+function post(url, jar, form, options, ctx, customHeader, requestOptions) {
 	const op = {
 		headers: getHeaders(url, options, ctx, customHeader),
 		timeout: 60000,
 		url: url,
 		method: "POST",
 		form: form,
-		jar: jar,
-		gzip: true
+		jar: jar
 	};
 
-	return request(op).then(function (res) {
-		return Array.isArray(res) ? res[0] : res;
-	});
+	return request(withRequestOptions(op, requestOptions), options);
 }
 
-function postFormData(url, jar, form, qs, options, ctx) {
+function postFormData(url, jar, form, qs, options, ctx, requestOptions) {
 	const headers = getHeaders(url, options, ctx);
 	headers["Content-Type"] = "multipart/form-data";
 	const op = {
@@ -174,13 +126,10 @@ function postFormData(url, jar, form, qs, options, ctx) {
 		method: "POST",
 		formData: form,
 		qs: qs,
-		jar: jar,
-		gzip: true
+		jar: jar
 	};
 
-	return request(op).then(function (res) {
-		return Array.isArray(res) ? res[0] : res;
-	});
+	return request(withRequestOptions(op, requestOptions), options);
 }
 
 function padZeros(val, len) {
@@ -944,6 +893,10 @@ function getAdminTextMessageType(type) {
     case "messenger_call_log":
     case "participant_joined_group_call":
       return "log:thread-call";
+    case "pin_messages_v2":
+      return "log:thread-pinned";
+    case "unpin_messages_v2":
+      return "log:thread-unpinned";
     default:
       return type;
   }
@@ -1176,22 +1129,23 @@ function makeDefaults(html, userID, ctx) {
 		return newObj;
 	}
 
-	function postWithDefaults(url, jar, form, ctxx, customHeader = {}) {
-		return post(url, jar, mergeWithDefaults(form), ctx.globalOptions, ctxx || ctx, customHeader);
+	function postWithDefaults(url, jar, form, ctxx, customHeader = {}, requestOptions) {
+		return post(url, jar, mergeWithDefaults(form), ctx.globalOptions, ctxx || ctx, customHeader, requestOptions);
 	}
 
 	function getWithDefaults(url, jar, qs, ctxx, customHeader = {}) {
 		return get(url, jar, mergeWithDefaults(qs), ctx.globalOptions, ctxx || ctx, customHeader);
 	}
 
-	function postFormDataWithDefault(url, jar, form, qs, ctxx) {
+	function postFormDataWithDefault(url, jar, form, qs, ctxx, requestOptions) {
 		return postFormData(
 			url,
 			jar,
 			mergeWithDefaults(form),
 			mergeWithDefaults(qs),
 			ctx.globalOptions,
-			ctxx || ctx
+			ctxx || ctx,
+			requestOptions
 		);
 	}
 
@@ -1203,10 +1157,7 @@ function makeDefaults(html, userID, ctx) {
 }
 
 //Fix parseAndCheckLogin
-function parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall) {
-	if (retryCount == undefined) {
-		retryCount = 0;
-	}
+function parseAndCheckLogin(ctx, defaultFuncs, sourceCall) {
 	if (sourceCall == undefined) {
 		try {
 			throw new Error();
@@ -1218,60 +1169,49 @@ function parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall) {
 	return function (data) {
 		return tryPromise(function () {
 			log.verbose("parseAndCheckLogin", data.body);
-			if (data.statusCode >= 500 && data.statusCode < 600) {
-				if (retryCount >= 5) {
-					throw new CustomError({
-						message: "Request retry failed. Check the `res` and `statusCode` property on this error.",
+			// Retrying is the HTTP client's job (see the `retry` option); what still fails here is final.
+			if (data.statusCode === 302 || data.statusCode === 301 || data.statusCode === 303) {
+				const location = String((data.headers && data.headers.location) || "");
+				if (location.includes("/checkpoint/"))
+					throw new CheckpointError({
+						message: "Facebook redirected the request to a checkpoint. Log in with a browser to clear it.",
+						checkpointURL: location,
 						statusCode: data.statusCode,
-						res: data.body,
-						error: "Request retry failed. Check the `res` and `statusCode` property on this error.",
 						sourceCall: sourceCall
 					});
-				}
-				retryCount++;
-				const retryTime = Math.floor(Math.random() * 5000);
-				log.warn(
-					"parseAndCheckLogin",
-					"Got status code " +
-					data.statusCode +
-					" - " +
-					retryCount +
-					". attempt to retry in " +
-					retryTime +
-					" milliseconds..."
-				);
-				const url =
-					data.request.uri.protocol +
-					"//" +
-					data.request.uri.hostname +
-					data.request.uri.pathname;
-				if (
-					data.request.headers["Content-Type"].split(";")[0] ===
-					"multipart/form-data"
-				) {
-					return delay(retryTime)
-						.then(function () {
-							return defaultFuncs.postFormData(
-								url,
-								ctx.jar,
-								data.request.formData,
-								{}
-							);
-						})
-						.then(parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall));
-				}
-				else {
-					return delay(retryTime)
-						.then(function () {
-							return defaultFuncs.post(url, ctx.jar, data.request.formData);
-						})
-						.then(parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall));
-				}
+				if (/\/login(\.php|\/|\?|$)/.test(location))
+					throw new NotLoggedInError({
+						message: "Facebook redirected the request to the login page: the session has expired.",
+						statusCode: data.statusCode,
+						location: location,
+						sourceCall: sourceCall
+					});
+				throw new TransportError({
+					message: "Facebook redirected the request to " + (location || "an unknown location") + " instead of answering it.",
+					statusCode: data.statusCode,
+					location: location,
+					sourceCall: sourceCall
+				});
 			}
-			if (data.statusCode === 302 || data.statusCode === 404) return;
-            
+			if (data.statusCode === 404)
+				throw new TransportError({
+					message: "Facebook answered 404 for " + data.request.uri.href + ". The endpoint may have moved; see the `endpoints` option.",
+					statusCode: data.statusCode,
+					res: data.body,
+					sourceCall: sourceCall
+				});
+
+			if (data.statusCode === 429)
+				throw new RateLimitedError({
+					message: "Rate limited by Facebook (status code 429). Slow down and try again later.",
+					statusCode: data.statusCode,
+					retryAfter: Number(data.headers && data.headers["retry-after"]) * 1000 || undefined,
+					res: data.body,
+					sourceCall: sourceCall
+				});
+
 			if (data.statusCode !== 200)
-				throw new CustomError({
+				throw new TransportError({
 					message: "parseAndCheckLogin got status code: " + data.statusCode + ". Bailing out of trying to parse response.",
 					statusCode: data.statusCode,
 					res: data.body,
@@ -1283,7 +1223,7 @@ function parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall) {
 			try {
 				res = JSON.parse(makeParsable(data.body));
 			} catch (e) {
-				throw new CustomError({
+				throw new TransportError({
 					message: "JSON.parse error. Check the `detail` property on this error.",
 					detail: e,
 					res: data.body,
@@ -1292,57 +1232,77 @@ function parseAndCheckLogin(ctx, defaultFuncs, retryCount, sourceCall) {
 				});
 			}
 
-			// In some cases the response contains only a redirect URL which should be followed
-			if (res.redirect && data.request.method === "GET") {
-				return defaultFuncs
-					.get(res.redirect, ctx.jar)
-					.then(parseAndCheckLogin(ctx, defaultFuncs, undefined, sourceCall));
-			}
+			// Interceptors see (and may replace) the body before it is checked, so they can fake errors too.
+			return getInterceptors(ctx.globalOptions).runParsed(res, data).then(checkParsed);
 
-			// TODO: handle multiple cookies?
-			if (
-				res.jsmods &&
-				res.jsmods.require &&
-				Array.isArray(res.jsmods.require[0]) &&
-				res.jsmods.require[0][0] === "Cookie"
-			) {
-				res.jsmods.require[0][3][0] = res.jsmods.require[0][3][0].replace(
-					"_js_",
-					""
-				);
-				const cookie = formatCookie(res.jsmods.require[0][3], "facebook");
-				const cookie2 = formatCookie(res.jsmods.require[0][3], "messenger");
-				ctx.jar.setCookie(cookie, "https://www.facebook.com");
-				ctx.jar.setCookie(cookie2, "https://www.messenger.com");
-			}
+			function checkParsed(res) {
+				if (typeof res.redirect === "string" && res.redirect.includes("/checkpoint/")) {
+					throw new CheckpointError({
+						checkpointURL: res.redirect,
+						res: res,
+						statusCode: data.statusCode,
+						sourceCall: sourceCall
+					});
+				}
+
+				// In some cases the response contains only a redirect URL which should be followed
+				if (res.redirect && data.request.method === "GET") {
+					return defaultFuncs
+						.get(res.redirect, ctx.jar)
+						.then(parseAndCheckLogin(ctx, defaultFuncs, sourceCall));
+				}
 
-			// On every request we check if we got a DTSG and we mutate the context so that we use the latest
-			// one for the next requests.
-			if (res.jsmods && Array.isArray(res.jsmods.require)) {
-				const arr = res.jsmods.require;
-				for (const i in arr) {
-					if (arr[i][0] === "DTSG" && arr[i][1] === "setToken") {
-						ctx.fb_dtsg = arr[i][3][0];
-
-						// Update ttstamp since that depends on fb_dtsg
-						ctx.ttstamp = "2";
-						for (let j = 0; j < ctx.fb_dtsg.length; j++) {
-							ctx.ttstamp += ctx.fb_dtsg.charCodeAt(j);
+				// TODO: handle multiple cookies?
+				if (
+					res.jsmods &&
+					res.jsmods.require &&
+					Array.isArray(res.jsmods.require[0]) &&
+					res.jsmods.require[0][0] === "Cookie"
+				) {
+					res.jsmods.require[0][3][0] = res.jsmods.require[0][3][0].replace(
+						"_js_",
+						""
+					);
+					const cookie = formatCookie(res.jsmods.require[0][3], "facebook");
+					const cookie2 = formatCookie(res.jsmods.require[0][3], "messenger");
+					ctx.jar.setCookie(cookie, "https://www.facebook.com");
+					ctx.jar.setCookie(cookie2, "https://www.messenger.com");
+				}
+
+				// On every request we check if we got a DTSG and we mutate the context so that we use the latest
+				// one for the next requests.
+				if (res.jsmods && Array.isArray(res.jsmods.require)) {
+					const arr = res.jsmods.require;
+					for (const i in arr) {
+						if (arr[i][0] === "DTSG" && arr[i][1] === "setToken") {
+							ctx.fb_dtsg = arr[i][3][0];
+
+							// Update ttstamp since that depends on fb_dtsg
+							ctx.ttstamp = "2";
+							for (let j = 0; j < ctx.fb_dtsg.length; j++) {
+								ctx.ttstamp += ctx.fb_dtsg.charCodeAt(j);
+							}
 						}
 					}
 				}
-			}
 
-			if (res.error === 1357001) {
-				throw new CustomError({
-					message: "Facebook blocked login. Please visit https://facebook.com and check your account.",
-					error: "Not logged in.",
-					res: res,
-					statusCode: data.statusCode,
-					sourceCall: sourceCall
-				});
+				if (res.error === 1357001) {
+					throw new NotLoggedInError({
+						message: "Facebook blocked login. Please visit https://facebook.com and check your account.",
+						error: "Not logged in.",
+						res: res,
+						statusCode: data.statusCode,
+						sourceCall: sourceCall
+					});
+				}
+				if (
+					RATE_LIMIT_CODES.has(res.error) ||
+					(Array.isArray(res.errors) && res.errors.some(function (e) { return e && RATE_LIMIT_CODES.has(e.code); }))
+				) {
+					throw fromResponse(res, { statusCode: data.statusCode, sourceCall: sourceCall });
+				}
+				return res;
 			}
-			return res;
 		});
 	};
 }
@@ -1731,7 +1691,19 @@ function generateUserAgent() {
 
 module.exports = {
 	CustomError,
+	FBError: errors.FBError,
+	NotLoggedInError,
+	CheckpointError,
+	AccountSuspendedError: errors.AccountSuspendedError,
+	AccountLockedError: errors.AccountLockedError,
+	RateLimitedError,
+	InvalidArgumentError: errors.InvalidArgumentError,
+	GraphQLError: errors.GraphQLError,
+	TransportError,
+	fromResponse,
+	toTransportError,
 	isReadableStream,
+	request,
 	get,
 	post,
 	postFormData,
@@ -1742,7 +1714,7 @@ module.exports = {
 	makeParsable,
 	arrToForm,
 	getSignatureID,
-	getJar: request.jar,
+	getJar: createCookieJar,
 	generateTimestampRelative,
 	generateUserAgent,
 	makeDefaults,